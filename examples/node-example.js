@@ -10,8 +10,7 @@
  *    Where service-name can be: sms, ussd, payment, or all (default)
  */
 
-const Sonatel = require('../dist'); // Use the built package
-// For local development without building: const Sonatel = require('../src');
+const Sonatel = require('..'); // Use the built package (run `npm run build` first)
 
 // Set up client credentials - use environment variables for security
 const clientId = process.env.SONATEL_CLIENT_ID || 'YOUR_CLIENT_ID';
@@ -41,24 +40,21 @@ async function runSMSExample() {
     // Send an SMS
     console.log('Sending SMS...');
     const smsResponse = await client.sms.sendSMS({
-      recipient: '221700000000', // Replace with a valid number
+      recipient: '221770000000', // Replace with a valid number
       message: 'Hello from Sonatel API Framework!',
       sender: '12345', // Optional sender ID
     });
     
-    displayResponse('SMS Sent Response', smsResponse);
+    displayResponse('SMS Sent Response', smsResponse.raw);
+    console.log(`Message ID: ${smsResponse.id}`);
     
-    // Extract message ID from response
-    const messageId = smsResponse.resourceReference.resourceURL.split('/').pop();
-    console.log(`Message ID: ${messageId}`);
+    // Wait until the message is delivered, failed or expired
+    console.log('Waiting for delivery...');
     
-    // Check SMS delivery status (may need to wait a moment)
-    console.log('Checking delivery status...');
-    console.log('(Waiting 5 seconds for message processing)');
-    
-    await new Promise(resolve => setTimeout(resolve, 5000));
-    
-    const statusResponse = await client.sms.getDeliveryStatus(messageId);
+    const statusResponse = await client.sms.waitForDelivery(smsResponse.id, {
+      timeout: 60000,
+      onStatusChange: status => console.log(`Delivery status: ${status.status}`),
+    });
     displayResponse('SMS Status Response', statusResponse);
     
     return true;
@@ -79,7 +75,7 @@ async function runUSSDExample() {
     // Send a USSD notification
     console.log('Sending USSD notification...');
     const ussdResponse = await client.ussd.sendNotification({
-      address: '221700000000', // Replace with a valid number
+      address: '221770000000', // Replace with a valid number
       message: 'Your account balance is 5000 XOF',
       keyword: 'BALANCE', // Optional service keyword
     });
@@ -106,23 +102,19 @@ async function runPaymentExample() {
       amount: '1000',
       currency: 'XOF',
       description: 'Payment for services',
-      customerMsisdn: '221700000000', // Replace with a valid number
+      customerMsisdn: '221770000000', // Replace with a valid number
       callbackUrl: 'https://your-website.com/payment-callback',
     });
     
-    displayResponse('Payment Request Response', paymentResponse);
+    displayResponse('Payment Request Response', paymentResponse.raw);
+    console.log(`Payment ID: ${paymentResponse.paymentId}`);
     
-    // Extract payment ID from response
-    const paymentId = paymentResponse.resourceReference.resourceURL.split('/').pop();
-    console.log(`Payment ID: ${paymentId}`);
+    // Wait until the payment reaches a final status
+    console.log('Waiting for payment completion...');
     
-    // Check payment status (may need to wait a moment)
-    console.log('Checking payment status...');
-    console.log('(Waiting 5 seconds for payment processing)');
-    
-    await new Promise(resolve => setTimeout(resolve, 5000));
-    
-    const statusResponse = await client.payment.checkPaymentStatus(paymentId);
+    const statusResponse = await client.payment.waitForCompletion(paymentResponse.paymentId, {
+      onStatusChange: status => console.log(`Payment status: ${status.status}`),
+    });
     displayResponse('Payment Status Response', statusResponse);
     
     return true;
@@ -143,7 +135,7 @@ async function runCustomAPIExample() {
     // Example GET request
     console.log('Making custom GET request...');
     const getData = await client.api.get('/user/v1/profile', {
-      msisdn: '221700000000', // Replace with a valid number
+      msisdn: '221770000000', // Replace with a valid number
     });
     
     displayResponse('Custom GET Response', getData);
@@ -151,7 +143,7 @@ async function runCustomAPIExample() {
     // Example POST request
     console.log('Making custom POST request...');
     const postData = await client.api.post('/user/v1/update', {
-      msisdn: '221700000000', // Replace with a valid number
+      msisdn: '221770000000', // Replace with a valid number
       name: 'John Doe',
     });
     
@@ -0,0 +1,20 @@
+/**
+ * Finish the dual build
+ *
+ * `dist/esm` is marked as an ES module package, and the type definitions
+ * are copied next to the ESM entry points so that TypeScript reads them
+ * as ES module declarations for `import` and as CommonJS declarations
+ * (from `types/`) for `require`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const esm = path.join(root, 'dist', 'esm');
+
+fs.writeFileSync(path.join(esm, 'package.json'), `${JSON.stringify({ type: 'module' }, null, 2)}\n`);
+
+fs.readdirSync(path.join(root, 'types'))
+  .filter(file => file.endsWith('.d.ts'))
+  .forEach(file => fs.copyFileSync(path.join(root, 'types', file), path.join(esm, file)));
@@ -0,0 +1,285 @@
+/**
+ * Bulk SMS campaigns
+ *
+ * Sends a templated message to many recipients through SMSService,
+ * with a rate limit, bounded concurrency, deduplication of recipients
+ * and a per-recipient report.
+ */
+
+import EventEmitter from './event-emitter.js';
+import { RequestScheduler } from './scheduler.js';
+import { normalizeMsisdn } from './msisdn.js';
+import { generateIdempotencyKey } from './idempotency.js';
+import { SonatelAbortError, SonatelValidationError } from './errors.js';
+
+/**
+ * Substitute `{{name}}` placeholders with recipient variables
+ * @param {string|Function} template - Message template, or function returning the message
+ * @param {Object} recipient - Recipient variables
+ * @returns {string} Message
+ * @throws {SonatelValidationError} When a placeholder has no value
+ */
+function renderTemplate(template, recipient) {
+  if (typeof template === 'function') {
+    return template(recipient);
+  }
+
+  return String(template).replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+    const value = path.split('.').reduce((object, key) => (object == null ? undefined : object[key]), recipient);
+    if (value === undefined || value === null) {
+      throw new SonatelValidationError(`Missing value for ${placeholder}`, { code: 'MISSING_VARIABLE' });
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Convert an error to a plain report entry
+ * @param {Error} error - Error raised for a recipient
+ * @returns {Object} { name, code, status, message }
+ * @private
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    code: error.code || null,
+    status: error.status || null,
+    message: error.message
+  };
+}
+
+class BulkSMSCampaign extends EventEmitter {
+  /**
+   * Bulk SMS campaign, started on creation
+   *
+   * The campaign is awaitable and resolves to its report. It emits
+   * `result` for each recipient, `progress` after each recipient and
+   * `complete` with the report, or `error` when the recipients cannot be
+   * read, in which case the campaign rejects.
+   *
+   * Messages are throttled by the client's rate limiter when it has one,
+   * so that they share the SMS quota with other requests; `rateLimit` and
+   * `burst` only apply to clients without one.
+   * @param {SMSService} service - SMS service used to send the messages
+   * @param {Iterable|AsyncIterable} recipients - Phone numbers, or objects with `recipient` (or `msisdn`) and template variables
+   * @param {string|Function} template - Message with `{{variable}}` placeholders, or function taking the recipient
+   * @param {Object} [options] - Campaign options, see SMSService#sendBulk
+   */
+  constructor(service, recipients, template, options = {}) {
+    super();
+    if (!recipients || !template) {
+      throw new Error('Recipients and template are required');
+    }
+
+    this.service = service;
+    this.recipients = recipients;
+    this.template = template;
+    this.options = options;
+    this.campaignId = options.campaignId || generateIdempotencyKey();
+    this.concurrency = Math.max(1, options.concurrency || 5);
+    this.rateLimiter = service.api && service.api.rateLimiter ? null : new RequestScheduler({
+      limits: { default: { rate: options.rateLimit || 10, capacity: options.burst || 1 } }
+    });
+    this.signal = options.signal;
+    this.paused = false;
+    this._resumeWaiters = [];
+    this._seen = new Set();
+    this.report = {
+      campaignId: this.campaignId,
+      total: Array.isArray(recipients) ? recipients.length : null,
+      processed: 0,
+      sent: 0,
+      failed: 0,
+      duplicates: 0,
+      aborted: false,
+      results: []
+    };
+
+    // Start on the next tick so listeners can be attached first
+    this.promise = Promise.resolve().then(() => this._run()).catch(error => {
+      this.emit('error', error);
+      throw error;
+    });
+    // Failures are reported through `error` and the campaign itself; awaiting it is optional
+    this.promise.catch(() => {});
+  }
+
+  /**
+   * Stop sending new messages until resume() is called
+   *
+   * Messages already being sent complete normally.
+   */
+  pause() {
+    this.paused = true;
+    this.emit('pause');
+  }
+
+  /**
+   * Resume a paused campaign
+   */
+  resume() {
+    if (!this.paused) {
+      return;
+    }
+    this.paused = false;
+    this._resumeWaiters.splice(0).forEach(resolve => resolve());
+    this.emit('resume');
+  }
+
+  /**
+   * Wait for the campaign report
+   * @param {Function} onFulfilled - Called with the report
+   * @param {Function} [onRejected] - Called with the error
+   * @returns {Promise<any>}
+   */
+  then(onFulfilled, onRejected) {
+    return this.promise.then(onFulfilled, onRejected);
+  }
+
+  /**
+   * Handle a campaign failure
+   * @param {Function} onRejected - Called with the error
+   * @returns {Promise<any>}
+   */
+  catch(onRejected) {
+    return this.promise.catch(onRejected);
+  }
+
+  /**
+   * Send to all recipients with the configured concurrency
+   * @returns {Promise<Object>} Campaign report
+   * @private
+   */
+  async _run() {
+    const iterator = this.recipients[Symbol.asyncIterator]
+      ? this.recipients[Symbol.asyncIterator]()
+      : this.recipients[Symbol.iterator]();
+
+    let index = 0;
+    const worker = async () => {
+      for (;;) {
+        await this._waitWhilePaused();
+        if (this.signal && this.signal.aborted) {
+          this.report.aborted = true;
+          return;
+        }
+
+        const { value, done } = await iterator.next();
+        if (done) {
+          return;
+        }
+        await this._process(value, index++);
+      }
+    };
+
+    await Promise.all(Array.from({ length: this.concurrency }, worker));
+    this.emit('complete', this.report);
+    return this.report;
+  }
+
+  /**
+   * Wait until the campaign is resumed or aborted
+   * @returns {Promise<void>}
+   * @private
+   */
+  _waitWhilePaused() {
+    if (!this.paused || (this.signal && this.signal.aborted)) {
+      return Promise.resolve();
+    }
+
+    return new Promise(resolve => {
+      const onResume = () => {
+        if (this.signal) {
+          this.signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      };
+      const onAbort = () => {
+        this._resumeWaiters = this._resumeWaiters.filter(waiter => waiter !== onResume);
+        resolve();
+      };
+
+      this._resumeWaiters.push(onResume);
+      if (this.signal) {
+        this.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Send the message of one recipient and record the outcome
+   * @param {string|Object} entry - Recipient entry
+   * @param {number} index - Position of the entry in the recipient list
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _process(entry, index) {
+    const recipient = typeof entry === 'object' && entry !== null ? entry : { recipient: entry };
+    const number = recipient.recipient || recipient.msisdn;
+    const result = { index, recipient: number, msisdn: null, status: null, messageId: null, error: null };
+
+    try {
+      result.msisdn = normalizeMsisdn(number, { field: 'recipient' });
+      if (this._seen.has(result.msisdn)) {
+        result.status = 'duplicate';
+      } else {
+        this._seen.add(result.msisdn);
+        const message = renderTemplate(this.template, recipient);
+
+        const response = await this.service.sendSMS({
+          recipient: result.msisdn,
+          message,
+          sender: this.options.sender,
+          transliterate: this.options.transliterate,
+          maxSegments: this.options.maxSegments
+        }, {
+          idempotencyKey: `${this.campaignId}:${result.msisdn}`,
+          retry: this.options.retry,
+          priority: this.options.priority === undefined ? -1 : this.options.priority,
+          rateLimiter: this.rateLimiter || undefined,
+          signal: this.signal,
+          raw: false
+        });
+
+        result.messageId = response.id || null;
+        result.status = 'sent';
+      }
+    } catch (error) {
+      if (error instanceof SonatelAbortError) {
+        this.report.aborted = true;
+      }
+      result.status = 'failed';
+      result.error = serializeError(error);
+    }
+
+    this._record(result);
+  }
+
+  /**
+   * Add a recipient outcome to the report
+   * @param {Object} result - Recipient outcome
+   * @private
+   */
+  _record(result) {
+    const { report } = this;
+    report.processed++;
+    if (result.status === 'sent') report.sent++;
+    if (result.status === 'failed') report.failed++;
+    if (result.status === 'duplicate') report.duplicates++;
+    if (this.options.includeResults !== false) {
+      report.results.push(result);
+    }
+
+    this.emit('result', result);
+    this.emit('progress', {
+      campaignId: report.campaignId,
+      total: report.total,
+      processed: report.processed,
+      sent: report.sent,
+      failed: report.failed,
+      duplicates: report.duplicates
+    });
+  }
+}
+
+export { BulkSMSCampaign, renderTemplate };
@@ -0,0 +1,80 @@
+/**
+ * Configuration files for the Orange Sonatel API client
+ *
+ * Reads the accounts of a JSON file and registers them as named
+ * clients. Node-only: it is exported from `sonatel-api/config-file`, so
+ * that the package root does not depend on `node:fs`.
+ */
+
+import { promises as fs } from 'node:fs';
+import Sonatel from './index.js';
+import { getEnv } from './runtime.js';
+
+/**
+ * Replace `${NAME}` references in the strings of a value
+ * @param {any} value - Parsed configuration
+ * @param {Object} env - Variables to substitute
+ * @returns {any} Configuration with the references replaced
+ * @throws {Error} When a referenced variable is not set
+ * @private
+ */
+function interpolate(value, env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) => {
+      if (env[name] === undefined) {
+        throw new Error(`Environment variable ${name} is not set`);
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, env));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = interpolate(item, env);
+    });
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Read client configurations from a JSON file
+ *
+ * The file holds `{ defaults, clients: { name: config } }`, or a single
+ * client configuration used as the `default` client. Strings can
+ * reference environment variables as `${NAME}`, to keep secrets out of
+ * the file.
+ * @param {string} filePath - Path of the JSON file
+ * @param {Object} [env] - Variables to substitute (defaults to the process environment)
+ * @returns {Promise<Object>} { defaults, clients }
+ */
+async function loadConfigFile(filePath, env = getEnv()) {
+  const text = await fs.readFile(filePath, 'utf8');
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid Sonatel config file ${filePath}: ${error.message}`);
+  }
+
+  const config = interpolate(parsed, env);
+  if (config.clients) {
+    return { defaults: config.defaults || {}, clients: config.clients };
+  }
+  return { defaults: {}, clients: { default: config } };
+}
+
+/**
+ * Register the clients of a JSON configuration file, see Sonatel.configure
+ * @param {string} filePath - Path of the configuration file
+ * @param {Object} [env] - Variables referenced by the file (defaults to the process environment)
+ * @returns {Promise<string[]>} Names of the registered clients
+ */
+async function loadConfig(filePath, env) {
+  return Sonatel.configure(await loadConfigFile(filePath, env));
+}
+
+export { loadConfigFile, loadConfig };
@@ -0,0 +1,114 @@
+/**
+ * Client configuration for the Orange Sonatel API
+ *
+ * Named environment presets provide the base URL and defaults of each
+ * Sonatel environment. Configuration can also be read from environment
+ * variables; reading it from a file is Node-only and lives in
+ * ./config-file.js, so that this module runs on every runtime.
+ */
+
+import { getEnv } from './runtime.js';
+
+const ENVIRONMENTS = {
+  production: {
+    baseUrl: 'https://api.orange-sonatel.com',
+    timeout: 10000
+  },
+  sandbox: {
+    baseUrl: 'https://api.sandbox.orange-sonatel.com',
+    // The sandbox answers more slowly than production
+    timeout: 30000
+  }
+};
+
+// Environment variables read by configFromEnv, after the prefix
+const ENV_VARIABLES = {
+  CLIENT_ID: ['clientId', String],
+  CLIENT_SECRET: ['clientSecret', String],
+  ENVIRONMENT: ['environment', String],
+  BASE_URL: ['baseUrl', String],
+  TIMEOUT: ['timeout', Number],
+  DEBUG: ['debug', value => ['1', 'true', 'yes'].includes(String(value).toLowerCase())]
+};
+
+/**
+ * Add or replace an environment preset
+ * @param {string} name - Environment name, e.g. 'staging'
+ * @param {Object} preset - Configuration defaults, at least `baseUrl`
+ */
+function defineEnvironment(name, preset) {
+  if (!preset || !preset.baseUrl) {
+    throw new Error('Environment base URL is required');
+  }
+  ENVIRONMENTS[name] = { ...preset };
+}
+
+/**
+ * Apply the preset of the configured environment
+ *
+ * Options set in the configuration take precedence over the preset.
+ * @param {Object} config - Client configuration, with an optional `environment` name
+ * @returns {Object} Configuration with the preset defaults filled in
+ * @throws {Error} When the environment is unknown
+ */
+function applyEnvironment(config) {
+  if (!config.environment) {
+    return config;
+  }
+
+  const preset = ENVIRONMENTS[config.environment];
+  if (!preset) {
+    throw new Error(`Unknown Sonatel environment: ${config.environment}`);
+  }
+
+  const defined = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (value !== undefined) {
+      defined[key] = value;
+    }
+  });
+  return { ...preset, ...defined };
+}
+
+/**
+ * Prefix of the environment variables of a named client
+ * @param {string} [name] - Client name, e.g. 'merchantA'
+ * @returns {string} 'SONATEL_' for the default client, e.g. 'SONATEL_MERCHANTA_' otherwise
+ */
+function envPrefix(name) {
+  if (!name || name === 'default') {
+    return 'SONATEL_';
+  }
+  return `SONATEL_${String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}_`;
+}
+
+/**
+ * Read a client configuration from environment variables
+ *
+ * Reads `CLIENT_ID`, `CLIENT_SECRET`, `ENVIRONMENT`, `BASE_URL`,
+ * `TIMEOUT` and `DEBUG` after the prefix, e.g. `SONATEL_CLIENT_ID`.
+ * @param {Object} [env] - Variables to read (defaults to the process environment)
+ * @param {Object} [options] - Options
+ * @param {string} [options.prefix='SONATEL_'] - Prefix of the variable names
+ * @returns {Object} Configuration with the options that are set
+ */
+function configFromEnv(env = getEnv(), options = {}) {
+  const prefix = options.prefix || 'SONATEL_';
+  const config = {};
+
+  Object.entries(ENV_VARIABLES).forEach(([suffix, [key, parse]]) => {
+    const value = env[`${prefix}${suffix}`];
+    if (value !== undefined && value !== '') {
+      config[key] = parse(value);
+    }
+  });
+  return config;
+}
+
+export {
+  ENVIRONMENTS,
+  defineEnvironment,
+  applyEnvironment,
+  envPrefix,
+  configFromEnv
+};
@@ -0,0 +1,164 @@
+/**
+ * Cryptographic helpers over the Web Crypto API
+ *
+ * The core of the client only uses the Web Crypto API rather than
+ * `node:crypto`: `globalThis.crypto` on Node 19+, Deno, Bun and
+ * Cloudflare Workers. Node 18 has no global Web Crypto, so the
+ * `webcrypto` object of `node:crypto` is loaded instead.
+ */
+
+import { detectRuntime } from './runtime.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * Check that an object implements the Web Crypto API
+ * @param {any} crypto - Candidate implementation
+ * @returns {boolean} True if it has getRandomValues and subtle
+ * @private
+ */
+function hasWebCrypto(crypto) {
+  return Boolean(crypto && crypto.subtle && typeof crypto.getRandomValues === 'function');
+}
+
+let nodeCrypto = null;
+let nodeCryptoLoading = null;
+
+if (!hasWebCrypto(globalThis.crypto) && detectRuntime() === 'node') {
+  if (typeof require === 'function') {
+    nodeCrypto = require('node:crypto').webcrypto;
+  } else {
+    // ES modules cannot require: the import resolves within a few ticks
+    nodeCryptoLoading = import('node:crypto').then(module => {
+      nodeCrypto = module.webcrypto;
+    });
+  }
+}
+
+/**
+ * Get the Web Crypto implementation of the runtime
+ * @returns {Crypto} globalThis.crypto, or the webcrypto of node:crypto on Node 18
+ * @throws {Error} When the runtime has no Web Crypto API
+ * @private
+ */
+function getCrypto() {
+  if (hasWebCrypto(globalThis.crypto)) {
+    return globalThis.crypto;
+  }
+  if (nodeCrypto) {
+    return nodeCrypto;
+  }
+  if (nodeCryptoLoading) {
+    throw new Error('The Web Crypto API of node:crypto is still loading: call this after the first await');
+  }
+  throw new Error('The Web Crypto API (globalThis.crypto) is not available in this runtime: use Node 18 or later');
+}
+
+/**
+ * Get the Web Crypto implementation, once it is loaded
+ * @returns {Promise<Crypto>} Web Crypto implementation
+ * @private
+ */
+async function loadCrypto() {
+  if (nodeCryptoLoading) {
+    await nodeCryptoLoading;
+  }
+  return getCrypto();
+}
+
+/**
+ * Convert bytes to a hex string
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes
+ * @returns {string} Lower-case hex string
+ * @private
+ */
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a random UUID v4
+ * @returns {string} UUID
+ */
+function randomUUID() {
+  return getCrypto().randomUUID();
+}
+
+/**
+ * Generate random bytes as a hex string
+ * @param {number} size - Number of bytes
+ * @returns {string} Hex string of 2 × size characters
+ */
+function randomHex(size) {
+  return toHex(getCrypto().getRandomValues(new Uint8Array(size)));
+}
+
+/**
+ * Generate a uniformly distributed random integer
+ * @param {number} min - Minimum, inclusive
+ * @param {number} max - Maximum, exclusive, at most min + 2^32
+ * @returns {number} Integer in [min, max)
+ */
+function randomInt(min, max) {
+  const range = max - min;
+  // Reject the values above the largest multiple of range to avoid modulo bias
+  const limit = 2 ** 32 - (2 ** 32 % range);
+  const value = new Uint32Array(1);
+  do {
+    getCrypto().getRandomValues(value);
+  } while (value[0] >= limit);
+  return min + (value[0] % range);
+}
+
+/**
+ * Compute the HMAC-SHA256 of a string
+ * @param {string|Uint8Array} key - Secret key
+ * @param {string} data - Data to sign
+ * @returns {Promise<string>} Hex signature
+ */
+async function hmacSha256(key, data) {
+  const { subtle } = await loadCrypto();
+  const cryptoKey = await subtle.importKey(
+    'raw',
+    typeof key === 'string' ? encoder.encode(key) : key,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await subtle.sign('HMAC', cryptoKey, encoder.encode(data)));
+}
+
+/**
+ * Compute the SHA-256 digest of a string
+ * @param {string} data - Data to hash
+ * @returns {Promise<string>} Hex digest
+ */
+async function sha256(data) {
+  const { subtle } = await loadCrypto();
+  return toHex(await subtle.digest('SHA-256', encoder.encode(data)));
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string|null} actual - Received value
+ * @param {string} expected - Expected value
+ * @returns {boolean} True if both are equal
+ */
+function safeEqual(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') {
+    return false;
+  }
+  const a = encoder.encode(actual);
+  const b = encoder.encode(expected);
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+}
+
+export { randomUUID, randomHex, randomInt, hmacSha256, sha256, safeEqual };
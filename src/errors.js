@@ -0,0 +1,236 @@
+/**
+ * Error classes for the Orange Sonatel API client
+ *
+ * Every failure raised by the client is an instance of SonatelError, so
+ * callers can branch on the error class instead of parsing messages.
+ */
+
+class SonatelError extends Error {
+  /**
+   * Base class for all errors raised by the client
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.code] - Error code returned by the API
+   * @param {string} [details.requestId] - Request ID returned by the API
+   * @param {string} [details.endpoint] - API endpoint that was called
+   * @param {string} [details.method] - HTTP method that was used
+   * @param {Object} [details.headers] - Response headers
+   * @param {any} [details.body] - Parsed response body
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status || null;
+    this.code = details.code || null;
+    this.requestId = details.requestId || null;
+    this.endpoint = details.endpoint || null;
+    this.method = details.method || null;
+    this.headers = details.headers || {};
+    this.body = details.body === undefined ? null : details.body;
+
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+
+  /**
+   * Response details, shaped like the `error.response` of common HTTP clients
+   * @returns {Object|null} Response status, headers and data
+   */
+  get response() {
+    if (this.status === null) {
+      return null;
+    }
+
+    return {
+      status: this.status,
+      headers: this.headers,
+      data: this.body
+    };
+  }
+}
+
+/**
+ * The API answered with a non-2xx status not covered by a more specific class
+ */
+class SonatelAPIError extends SonatelError {}
+
+/**
+ * Authentication failed (401/403) or no token could be obtained
+ */
+class SonatelAuthError extends SonatelAPIError {}
+
+/**
+ * The request was rejected as invalid (400/422), or failed local validation
+ */
+class SonatelValidationError extends SonatelAPIError {}
+
+/**
+ * The requested resource does not exist (404)
+ */
+class SonatelNotFoundError extends SonatelAPIError {}
+
+/**
+ * The API quota was exceeded (429)
+ */
+class SonatelRateLimitError extends SonatelAPIError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, see SonatelError
+   * @param {number} [details.retryAfter] - Delay requested by the API in milliseconds
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter === undefined ? null : details.retryAfter;
+  }
+}
+
+/**
+ * The API failed on its side (5xx)
+ */
+class SonatelServerError extends SonatelAPIError {}
+
+/**
+ * The request never got a response (DNS failure, socket reset, ...)
+ */
+class SonatelNetworkError extends SonatelError {}
+
+/**
+ * The request did not complete within the configured timeout
+ */
+class SonatelTimeoutError extends SonatelNetworkError {}
+
+/**
+ * The request was cancelled through the caller's AbortSignal
+ */
+class SonatelAbortError extends SonatelError {}
+
+/**
+ * A webhook notification was rejected
+ *
+ * `status` holds the HTTP status to answer the notification with and
+ * `code` one of INVALID_PAYLOAD, INVALID_SIGNATURE, STALE_EVENT or
+ * REPLAYED_EVENT.
+ */
+class SonatelWebhookError extends SonatelError {}
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value, in seconds or as an HTTP date
+ * @returns {number|null} Delay in milliseconds
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Extract the error code and message from an API error body
+ *
+ * Handles the OneAPI `requestError` envelope as well as flat
+ * `{ code, message }` bodies.
+ * @param {any} body - Parsed response body
+ * @returns {{code: (string|null), message: (string|null)}} Error code and message
+ * @private
+ */
+function parseErrorBody(body) {
+  if (!body || typeof body !== 'object') {
+    return { code: null, message: typeof body === 'string' && body ? body : null };
+  }
+
+  if (body.requestError) {
+    const exception = body.requestError.serviceException || body.requestError.policyException || {};
+    return {
+      code: exception.messageId || null,
+      message: exception.text || null
+    };
+  }
+
+  return {
+    code: body.code || body.error || null,
+    message: body.message || body.description || body.error_description || null
+  };
+}
+
+/**
+ * Build the error matching a failed HTTP response
+ * @param {Object} options - Error options
+ * @param {Response} options.response - Fetch response
+ * @param {any} options.body - Parsed response body
+ * @param {string} options.endpoint - API endpoint that was called
+ * @param {string} options.method - HTTP method that was used
+ * @returns {SonatelAPIError} Error instance
+ * @private
+ */
+function createHttpError({ response, body, endpoint, method }) {
+  const { status } = response;
+  const { code, message } = parseErrorBody(body);
+  const headers = {};
+  response.headers.forEach((value, key) => {
+    headers[key] = value;
+  });
+
+  const details = {
+    status,
+    code,
+    requestId: headers['x-request-id'] || headers['x-correlation-id'] || null,
+    endpoint,
+    method,
+    headers,
+    body
+  };
+  const text = `${method} ${endpoint} failed: ${status} ${message || response.statusText}`;
+
+  if (status === 401 || status === 403) {
+    return new SonatelAuthError(text, details);
+  }
+  if (status === 400 || status === 422) {
+    return new SonatelValidationError(text, details);
+  }
+  if (status === 404) {
+    return new SonatelNotFoundError(text, details);
+  }
+  if (status === 429) {
+    return new SonatelRateLimitError(text, {
+      ...details,
+      retryAfter: parseRetryAfter(headers['retry-after'])
+    });
+  }
+  if (status >= 500) {
+    return new SonatelServerError(text, details);
+  }
+
+  return new SonatelAPIError(text, details);
+}
+
+export {
+  SonatelError,
+  SonatelAPIError,
+  SonatelAuthError,
+  SonatelValidationError,
+  SonatelNotFoundError,
+  SonatelRateLimitError,
+  SonatelServerError,
+  SonatelNetworkError,
+  SonatelTimeoutError,
+  SonatelAbortError,
+  SonatelWebhookError,
+  createHttpError,
+  parseRetryAfter
+};
@@ -0,0 +1,100 @@
+/**
+ * Minimal event emitter
+ *
+ * Small runtime-independent replacement for Node's EventEmitter, used by
+ * the webhook receiver and other event sources of the client.
+ */
+
+class EventEmitter {
+  /**
+   * Create an emitter without listeners
+   */
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Register a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener called with the event payload
+   * @returns {EventEmitter} This emitter
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(listener);
+    return this;
+  }
+
+  /**
+   * Register a listener called at most once
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener called with the event payload
+   * @returns {EventEmitter} This emitter
+   */
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      return listener(...args);
+    };
+    wrapper.listener = listener;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a listener
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener to remove
+   * @returns {EventEmitter} This emitter
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      this.listeners.set(event, listeners.filter(l => l !== listener && l.listener !== listener));
+    }
+    return this;
+  }
+
+  /**
+   * Call the listeners of an event
+   * @param {string} event - Event name
+   * @param {...any} args - Arguments passed to the listeners
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    const listeners = this.listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+    listeners.slice().forEach(listener => listener(...args));
+    return true;
+  }
+
+  /**
+   * Call the listeners of an event and wait for the promises they return
+   * @param {string} event - Event name
+   * @param {...any} args - Arguments passed to the listeners
+   * @returns {Promise<boolean>} True if the event had listeners
+   */
+  async emitAsync(event, ...args) {
+    const listeners = this.listeners.get(event);
+    if (!listeners || listeners.length === 0) {
+      return false;
+    }
+    await Promise.all(listeners.slice().map(listener => listener(...args)));
+    return true;
+  }
+
+  /**
+   * Count the listeners of an event
+   * @param {string} event - Event name
+   * @returns {number} Number of listeners
+   */
+  listenerCount(event) {
+    const listeners = this.listeners.get(event);
+    return listeners ? listeners.length : 0;
+  }
+}
+
+export default EventEmitter;
@@ -0,0 +1,93 @@
+/**
+ * Idempotency ledger
+ *
+ * Remembers the result of money-moving calls by idempotency key, so that
+ * replaying a call with the same key returns the original result instead
+ * of charging or refunding a customer twice.
+ */
+
+import { randomUUID } from './crypto.js';
+import MemoryStore from './stores/memory-store.js';
+import { SonatelValidationError } from './errors.js';
+
+/**
+ * Generate a new idempotency key
+ * @returns {string} Random UUID
+ */
+function generateIdempotencyKey() {
+  return randomUUID();
+}
+
+class IdempotencyLedger {
+  /**
+   * Ledger of results by idempotency key
+   * @param {Object} [options] - Ledger options
+   * @param {Object} [options.store] - Store keeping the results (defaults to an in-memory store)
+   * @param {number} [options.ttl=86400] - How long results are kept, in seconds
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryStore();
+    this.ttl = options.ttl === undefined ? 86400 : options.ttl;
+    this.pending = new Map();
+  }
+
+  /**
+   * Run an operation once per idempotency key
+   *
+   * Concurrent calls with the same key share one execution. Reusing a key
+   * with different parameters is rejected.
+   * @param {string} scope - Operation name, e.g. 'payment'
+   * @param {string} key - Idempotency key
+   * @param {Object} params - Operation parameters, compared on replay
+   * @param {Function} operation - Async function performing the call
+   * @returns {Promise<any>} Result of the first execution
+   * @throws {SonatelValidationError} When the key was used with other parameters
+   */
+  async run(scope, key, params, operation) {
+    const storeKey = `sonatel:idempotency:${scope}:${key}`;
+    const fingerprint = JSON.stringify(params);
+
+    if (this.pending.has(storeKey)) {
+      const entry = this.pending.get(storeKey);
+      this._checkFingerprint(key, entry.fingerprint, fingerprint);
+      return entry.promise;
+    }
+
+    // Registered before the first await, so that concurrent calls share it
+    const promise = (async () => {
+      const stored = await this.store.get(storeKey);
+      if (stored) {
+        this._checkFingerprint(key, stored.fingerprint, fingerprint);
+        return stored.result;
+      }
+
+      const result = await operation(key);
+      await this.store.set(storeKey, { fingerprint, result }, this.ttl * 1000);
+      return result;
+    })();
+
+    this.pending.set(storeKey, { fingerprint, promise });
+    try {
+      return await promise;
+    } finally {
+      this.pending.delete(storeKey);
+    }
+  }
+
+  /**
+   * Reject a key replayed with different parameters
+   * @param {string} key - Idempotency key
+   * @param {string} expected - Fingerprint of the first call
+   * @param {string} actual - Fingerprint of the replayed call
+   * @private
+   */
+  _checkFingerprint(key, expected, actual) {
+    if (expected !== actual) {
+      throw new SonatelValidationError(`Idempotency key ${key} was already used with different parameters`, {
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+  }
+}
+
+export { IdempotencyLedger, generateIdempotencyKey };
@@ -0,0 +1,12 @@
+/**
+ * CommonJS entry point
+ *
+ * `require('sonatel-api')` returns the Sonatel object itself, with the
+ * named exports as its properties, rather than a `{ default }` wrapper.
+ */
+
+const Sonatel = require('./index.js').default;
+
+module.exports = Sonatel;
+// Keeps `require('sonatel-api').default` working for code written against 1.0
+module.exports.default = Sonatel;
@@ -1,19 +1,241 @@
-import SonatelAPI from './sonatel-api';
-import SMSService from './services/sms';
-import USSDService from './services/ussd';
-import PaymentService from './services/payment';
+import SonatelAPI from './sonatel-api.js';
+import SMSService from './services/sms.js';
+import USSDService from './services/ussd.js';
+import PaymentService from './services/payment.js';
+import VerifyService from './services/verify.js';
+import MemoryStore from './stores/memory-store.js';
+import SonatelWebhooks from './webhooks.js';
+import { PaymentStatus, DeliveryStatus, VerificationStatus } from './status.js';
+import { reconcileSubscriptions } from './subscriptions.js';
+import { parseMsisdn, isValidMsisdn, normalizeMsisdn, validateMsisdn } from './msisdn.js';
+import { analyzeMessage, detectEncoding, estimateSMSCost, transliterate } from './sms-encoding.js';
+import { USSDApp } from './ussd-app.js';
+import { retryMiddleware, rateLimitMiddleware, authMiddleware, telemetryMiddleware, loggingMiddleware } from './middleware.js';
+import { MetricsCollector } from './metrics.js';
+import { RequestScheduler, MemoryRateLimitStore } from './scheduler.js';
+import { redact } from './logger.js';
+import { ENVIRONMENTS, defineEnvironment, configFromEnv } from './config.js';
+import { ClientRegistry } from './registry.js';
+import { Money, CURRENCIES } from './money.js';
+import { ReconciliationIssue, ReconciliationReport, reconcileTransactions } from './reconciliation.js';
+import {
+  SonatelError,
+  SonatelAPIError,
+  SonatelAuthError,
+  SonatelValidationError,
+  SonatelNotFoundError,
+  SonatelRateLimitError,
+  SonatelServerError,
+  SonatelNetworkError,
+  SonatelTimeoutError,
+  SonatelAbortError,
+  SonatelWebhookError
+} from './errors.js';
 
 const Sonatel = {
-  createClient(config) {
+  /**
+   * Create a client
+   *
+   * Without credentials in the config, the options are read from the
+   * SONATEL_* environment variables, see configFromEnv.
+   * @param {Object} [config] - Client configuration, see SonatelAPI
+   * @returns {Object} Client with api, sms, ussd, payment and verify services
+   */
+  createClient(config = {}) {
+    if (!config.clientId && !config.clientSecret) {
+      config = { ...configFromEnv(), ...config };
+    }
     const apiClient = new SonatelAPI(config);
+    const sms = new SMSService(apiClient, config.sms);
+    const ussd = new USSDService(apiClient);
     
-    return {
+    const client = {
       api: apiClient,
-      sms: new SMSService(apiClient),
-      ussd: new USSDService(apiClient),
-      payment: new PaymentService(apiClient)
+      sms,
+      ussd,
+      payment: new PaymentService(apiClient, {
+        idempotencyStore: config.idempotencyStore,
+        idempotencyTtl: config.idempotencyTtl,
+        transactionLimits: config.transactionLimits
+      }),
+      verify: new VerifyService({ sms, ussd }, config.verify),
+
+      /**
+       * Make the registered notification subscriptions match a declared list
+       * @param {Object[]} desired - Declared subscriptions, see reconcileSubscriptions
+       * @param {Object} [options] - Reconciliation options
+       * @returns {Promise<Object>} Created, deleted and unchanged subscriptions
+       */
+      reconcileSubscriptions(desired, options) {
+        return reconcileSubscriptions(client, desired, options);
+      }
     };
-  }
+    
+    return client;
+  },
+
+  /**
+   * Create a receiver for the notifications Sonatel sends to webhooks
+   * @param {Object} [options] - Receiver options, see SonatelWebhooks
+   * @returns {SonatelWebhooks} Webhook receiver
+   */
+  createWebhooks(options) {
+    return new SonatelWebhooks(options);
+  },
+
+  /**
+   * Create a declarative USSD menu application
+   * @param {Object} options - Application options, see USSDApp
+   * @returns {USSDApp} USSD application
+   */
+  createUSSDApp(options) {
+    return new USSDApp(options);
+  },
+
+  /**
+   * Create and register a named client, e.g. one per merchant account
+   * @param {string} name - Client name
+   * @param {Object} config - Client configuration
+   * @returns {Object} The new client
+   */
+  registerClient(name, config) {
+    return registry.register(name, config);
+  },
+
+  /**
+   * Get a named client, created from its environment variables if needed
+   * @param {string} [name='default'] - Client name
+   * @returns {Object} Client
+   */
+  getClient(name) {
+    return registry.get(name);
+  },
+
+  /**
+   * Unregister a named client
+   * @param {string} name - Client name
+   * @returns {boolean} True if a client was removed
+   */
+  removeClient(name) {
+    return registry.remove(name);
+  },
+
+  /**
+   * List the named clients
+   * @returns {string[]} Client names
+   */
+  listClients() {
+    return registry.names();
+  },
+
+  /**
+   * Register the clients of a configuration object { defaults, clients }
+   * @param {Object} config - Configuration
+   * @returns {string[]} Names of the registered clients
+   */
+  configure(config) {
+    return registry.configure(config);
+  },
+
+  SonatelAPI,
+  SMSService,
+  USSDService,
+  PaymentService,
+  VerifyService,
+  SonatelWebhooks,
+  USSDApp,
+  PaymentStatus,
+  DeliveryStatus,
+  VerificationStatus,
+  ENVIRONMENTS,
+  defineEnvironment,
+  configFromEnv,
+  Money,
+  CURRENCIES,
+  ReconciliationIssue,
+  ReconciliationReport,
+  reconcileTransactions,
+  parseMsisdn,
+  isValidMsisdn,
+  normalizeMsisdn,
+  validateMsisdn,
+  analyzeMessage,
+  detectEncoding,
+  estimateSMSCost,
+  transliterate,
+  retryMiddleware,
+  rateLimitMiddleware,
+  authMiddleware,
+  telemetryMiddleware,
+  loggingMiddleware,
+  redact,
+  MetricsCollector,
+  RequestScheduler,
+  MemoryRateLimitStore,
+  MemoryStore,
+  SonatelError,
+  SonatelAPIError,
+  SonatelAuthError,
+  SonatelValidationError,
+  SonatelNotFoundError,
+  SonatelRateLimitError,
+  SonatelServerError,
+  SonatelNetworkError,
+  SonatelTimeoutError,
+  SonatelAbortError,
+  SonatelWebhookError
+};
+
+const registry = new ClientRegistry(config => Sonatel.createClient(config));
+
+export {
+  SonatelAPI,
+  SMSService,
+  USSDService,
+  PaymentService,
+  VerifyService,
+  SonatelWebhooks,
+  USSDApp,
+  PaymentStatus,
+  DeliveryStatus,
+  VerificationStatus,
+  ENVIRONMENTS,
+  defineEnvironment,
+  configFromEnv,
+  Money,
+  CURRENCIES,
+  ReconciliationIssue,
+  ReconciliationReport,
+  reconcileTransactions,
+  parseMsisdn,
+  isValidMsisdn,
+  normalizeMsisdn,
+  validateMsisdn,
+  analyzeMessage,
+  detectEncoding,
+  estimateSMSCost,
+  transliterate,
+  retryMiddleware,
+  rateLimitMiddleware,
+  authMiddleware,
+  telemetryMiddleware,
+  loggingMiddleware,
+  redact,
+  MetricsCollector,
+  RequestScheduler,
+  MemoryRateLimitStore,
+  MemoryStore,
+  SonatelError,
+  SonatelAPIError,
+  SonatelAuthError,
+  SonatelValidationError,
+  SonatelNotFoundError,
+  SonatelRateLimitError,
+  SonatelServerError,
+  SonatelNetworkError,
+  SonatelTimeoutError,
+  SonatelAbortError,
+  SonatelWebhookError
 };
 
 export default Sonatel;
\ No newline at end of file
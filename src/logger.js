@@ -0,0 +1,184 @@
+/**
+ * Structured logging for the Orange Sonatel API client
+ *
+ * Log records are forwarded to a pino/winston-style logger, or printed
+ * to the console in debug mode. Tokens, secrets and phone numbers are
+ * redacted by default; request and response bodies are only logged when
+ * enabled with `logBodies`.
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Keys whose values are always redacted
+const SENSITIVE_KEYS = /token|secret|password|authorization|signature|api[-_]?key|cookie/i;
+
+// Senegalese mobile numbers, with or without country code
+const MSISDN_PATTERN = /(^|\D)((?:\+|00)?(?:221)?7[05678]\d{7})(?!\d)/g;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Mask a phone number, keeping only its last 4 digits
+ * @param {string} number - Phone number
+ * @returns {string} Masked number, e.g. '+********4567'
+ */
+function maskMsisdn(number) {
+  const digits = String(number).replace(/\D/g, '').length;
+  let seen = 0;
+  return String(number).replace(/\d/g, digit => (++seen > digits - 4 ? digit : '*'));
+}
+
+/**
+ * Resolve the redact option
+ * @param {boolean|Object} [option=true] - true, false, or { keys, msisdn }
+ * @returns {Object|null} { isSensitiveKey, msisdn }, or null when redaction is off
+ * @private
+ */
+function resolveRedaction(option) {
+  if (option === false) {
+    return null;
+  }
+
+  const settings = option && typeof option === 'object' ? option : {};
+  const extraKeys = (settings.keys || []).map(key => String(key).toLowerCase());
+  return {
+    isSensitiveKey: key => SENSITIVE_KEYS.test(key) || extraKeys.includes(key.toLowerCase()),
+    msisdn: settings.msisdn !== false
+  };
+}
+
+/**
+ * Convert an error to a plain log field
+ * @param {Error} error - Error to log
+ * @param {boolean} includeBody - Include the response body of API errors
+ * @returns {Object} { name, message, code, status, requestId, endpoint, method, body }
+ * @private
+ */
+function serializeError(error, includeBody) {
+  const fields = { name: error.name, message: error.message };
+  ['code', 'status', 'requestId', 'endpoint', 'method'].forEach(key => {
+    if (error[key] !== undefined && error[key] !== null) {
+      fields[key] = error[key];
+    }
+  });
+  if (includeBody && error.body !== undefined && error.body !== null) {
+    fields.body = error.body;
+  }
+  return fields;
+}
+
+/**
+ * Redact sensitive values from a log field
+ *
+ * Values under sensitive keys are replaced by '[REDACTED]' and phone
+ * numbers found in strings are masked.
+ * @param {any} value - Value to redact
+ * @param {boolean|Object} [option=true] - Redaction settings: true, false, or { keys, msisdn }
+ * @returns {any} Redacted copy
+ */
+function redact(value, option) {
+  return redactValue(value, resolveRedaction(option), new WeakSet());
+}
+
+/**
+ * Redact a value with resolved settings
+ * @param {any} value - Value to redact
+ * @param {Object|null} redaction - Resolved settings
+ * @param {WeakSet} seen - Objects already visited
+ * @returns {any} Redacted copy
+ * @private
+ */
+function redactValue(value, redaction, seen) {
+  if (!redaction) {
+    return value;
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    if (!redaction.msisdn) {
+      return value;
+    }
+    const masked = String(value).replace(MSISDN_PATTERN, (match, prefix, number) => prefix + maskMsisdn(number));
+    return typeof value === 'number' && masked === String(value) ? value : masked;
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, redaction, seen));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = redaction.isSensitiveKey(key) ? REDACTED : redactValue(item, redaction, seen);
+  });
+  return copy;
+}
+
+// Logger used in debug mode when no logger is configured
+const consoleLogger = {};
+LEVELS.forEach(level => {
+  consoleLogger[level] = (message, fields) => {
+    if (fields && Object.keys(fields).length > 0) {
+      console.log(`[SonatelAPI] ${message}`, fields);
+    } else {
+      console.log(`[SonatelAPI] ${message}`);
+    }
+  };
+});
+
+/**
+ * Create the logger used by the client
+ *
+ * pino-style loggers (recognized by their `levels.values` map) are
+ * called as `logger.info(fields, message)`; winston-style and console
+ * loggers as `logger.info(message, fields)`.
+ * @param {Object} [options] - Logging options
+ * @param {Object} [options.logger] - Logger with debug, info, warn and error methods
+ * @param {boolean} [options.debug=false] - Log to the console when no logger is given
+ * @param {boolean|Object} [options.redact=true] - Redaction settings, or false to disable it
+ * @param {string[]} [options.redact.keys] - Additional keys whose values are redacted
+ * @param {boolean} [options.redact.msisdn=true] - Mask phone numbers, keeping the last 4 digits
+ * @param {boolean} [options.logBodies=false] - Include request and response bodies in log records
+ * @returns {Object} Logger with debug, info, warn and error methods taking (message, fields)
+ */
+function createLogger(options = {}) {
+  const target = options.logger || (options.debug ? consoleLogger : null);
+  const redaction = resolveRedaction(options.redact);
+  const fieldsFirst = Boolean(target && target.levels && target.levels.values);
+  const logBodies = Boolean(options.logBodies);
+
+  const logger = { enabled: Boolean(target), logBodies };
+  LEVELS.forEach(level => {
+    logger[level] = (message, fields = {}) => {
+      if (!target) {
+        return;
+      }
+
+      const record = {};
+      Object.entries(fields).forEach(([key, value]) => {
+        if (value instanceof Error) {
+          record[key] = serializeError(value, logBodies);
+        } else if (value !== undefined) {
+          record[key] = value;
+        }
+      });
+
+      const method = typeof target[level] === 'function' ? level : 'info';
+      const redacted = redactValue(record, redaction, new WeakSet());
+      const text = redactValue(message, redaction, new WeakSet());
+      if (fieldsFirst) {
+        target[method](redacted, text);
+      } else {
+        target[method](text, redacted);
+      }
+    };
+  });
+
+  return logger;
+}
+
+export { createLogger, redact, maskMsisdn };
@@ -0,0 +1,270 @@
+/**
+ * In-memory metrics for the Orange Sonatel API client
+ *
+ * A MetricsCollector listens to the instrumentation events of one or
+ * more SonatelAPI clients, keeps counters and latency histograms by
+ * service, endpoint and status, and exports them in the Prometheus text
+ * format.
+ */
+
+import { SonatelTimeoutError, SonatelAbortError } from './errors.js';
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Help texts of the metrics recorded from the client events
+const HELP = {
+  requests_total: 'HTTP requests sent to the Sonatel API',
+  request_duration_seconds: 'Duration of HTTP requests to the Sonatel API',
+  retries_total: 'Requests retried after a failure',
+  rate_limit_hits_total: 'Requests rejected or delayed by rate limits',
+  token_refreshes_total: 'Authentication token refreshes',
+  token_refresh_duration_seconds: 'Duration of authentication token refreshes'
+};
+
+/**
+ * Status label of a request outcome
+ * @param {Object} event - Request event
+ * @returns {string} HTTP status, or 'timeout', 'aborted' or 'network' when no response was received
+ * @private
+ */
+function statusLabel(event) {
+  if (event.status) {
+    return String(event.status);
+  }
+  if (event.error instanceof SonatelTimeoutError) {
+    return 'timeout';
+  }
+  if (event.error instanceof SonatelAbortError) {
+    return 'aborted';
+  }
+  return 'network';
+}
+
+/**
+ * Identify a label set regardless of the order of its labels
+ * @param {Object} labels - Label values by name
+ * @returns {string} Series key
+ * @private
+ */
+function seriesKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+/**
+ * Escape a Prometheus label value
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ * @private
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set for the Prometheus text format
+ * @param {Object} labels - Label values by name
+ * @returns {string} e.g. '{service="sms",status="201"}', or '' without labels
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class MetricsCollector {
+  /**
+   * In-memory metrics collector
+   * @param {Object} [options] - Collector options
+   * @param {string} [options.prefix='sonatel_'] - Prefix of the metric names
+   * @param {number[]} [options.buckets] - Upper bounds of the duration histogram buckets, in seconds
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix === undefined ? 'sonatel_' : options.prefix;
+    this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+    this.reset();
+  }
+
+  /**
+   * Record the events of a client
+   * @param {SonatelAPI} api - Client to instrument
+   * @returns {Function} Stops recording the client's events
+   */
+  attach(api) {
+    const handlers = {
+      request: event => {
+        const labels = {
+          service: event.service,
+          endpoint: event.endpoint,
+          method: event.method,
+          status: statusLabel(event)
+        };
+        this.increment('requests_total', labels);
+        this.observe('request_duration_seconds', labels, event.duration / 1000);
+      },
+      retry: event => {
+        this.increment('retries_total', { service: event.service, endpoint: event.endpoint, method: event.method });
+      },
+      rateLimit: event => {
+        this.increment('rate_limit_hits_total', {
+          service: event.service,
+          endpoint: event.endpoint,
+          method: event.method,
+          source: event.source
+        });
+      },
+      'token.refresh': event => {
+        const labels = { source: event.source, outcome: event.success ? 'success' : 'failure' };
+        this.increment('token_refreshes_total', labels);
+        this.observe('token_refresh_duration_seconds', { source: event.source }, event.duration / 1000);
+      }
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => api.on(event, handler));
+    return () => Object.entries(handlers).forEach(([event, handler]) => api.off(event, handler));
+  }
+
+  /**
+   * Add to a counter
+   * @param {string} name - Metric name, without prefix
+   * @param {Object} [labels] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  increment(name, labels = {}, value = 1) {
+    const series = this._series(name, 'counter', labels, () => ({ value: 0 }));
+    series.value += value;
+  }
+
+  /**
+   * Record a value in a histogram
+   * @param {string} name - Metric name, without prefix
+   * @param {Object} [labels] - Label values
+   * @param {number} value - Observed value
+   */
+  observe(name, labels = {}, value) {
+    const series = this._series(name, 'histogram', labels, () => ({
+      count: 0,
+      sum: 0,
+      buckets: this.buckets.map(() => 0)
+    }));
+    series.count++;
+    series.sum += value;
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.buckets[index]++;
+      }
+    });
+  }
+
+  /**
+   * Get the current value of a series
+   * @param {string} name - Metric name, without prefix
+   * @param {Object} [labels] - Label values
+   * @returns {number|Object|null} Counter value, histogram { count, sum, buckets }, or null if never recorded
+   */
+  get(name, labels = {}) {
+    const metric = this.metrics.get(name);
+    const series = metric && metric.series.get(seriesKey(labels));
+    if (!series) {
+      return null;
+    }
+    return metric.type === 'counter' ? series.value : this._histogram(series);
+  }
+
+  /**
+   * Get all recorded series
+   * @returns {Object[]} Metrics: { name, type, help, series: [{ labels, value } or { labels, count, sum, buckets }] }
+   */
+  snapshot() {
+    return [...this.metrics.entries()].map(([name, metric]) => ({
+      name: `${this.prefix}${name}`,
+      type: metric.type,
+      help: metric.help,
+      series: [...metric.series.values()].map(series => (metric.type === 'counter'
+        ? { labels: series.labels, value: series.value }
+        : { labels: series.labels, ...this._histogram(series) }))
+    }));
+  }
+
+  /**
+   * Export all series in the Prometheus text exposition format
+   * @returns {string} Metrics text, e.g. served on a /metrics endpoint
+   */
+  toPrometheus() {
+    const lines = [];
+
+    this.metrics.forEach((metric, shortName) => {
+      const name = `${this.prefix}${shortName}`;
+      lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+
+      metric.series.forEach(series => {
+        if (metric.type === 'counter') {
+          lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+          return;
+        }
+
+        this.buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[index]}`);
+        });
+        lines.push(
+          `${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+          `${name}_sum${formatLabels(series.labels)} ${series.sum}`,
+          `${name}_count${formatLabels(series.labels)} ${series.count}`
+        );
+      });
+    });
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  /**
+   * Drop all recorded series
+   */
+  reset() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Find or create a series
+   * @param {string} name - Metric name, without prefix
+   * @param {string} type - 'counter' or 'histogram'
+   * @param {Object} labels - Label values
+   * @param {Function} create - Creates the initial series state
+   * @returns {Object} Series state
+   * @private
+   */
+  _series(name, type, labels, create) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { type, help: HELP[name] || name, series: new Map() });
+    }
+
+    const metric = this.metrics.get(name);
+    if (metric.type !== type) {
+      throw new Error(`Metric ${name} is a ${metric.type}, not a ${type}`);
+    }
+
+    const key = seriesKey(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, ...create() });
+    }
+    return metric.series.get(key);
+  }
+
+  /**
+   * Convert a histogram series to its public shape
+   * @param {Object} series - Histogram series state
+   * @returns {Object} { count, sum, buckets } with cumulative counts by upper bound
+   * @private
+   */
+  _histogram(series) {
+    const buckets = {};
+    this.buckets.forEach((bound, index) => {
+      buckets[bound] = series.buckets[index];
+    });
+    return { count: series.count, sum: series.sum, buckets };
+  }
+}
+
+export { MetricsCollector };
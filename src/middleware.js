@@ -0,0 +1,364 @@
+/**
+ * Request middleware for the Orange Sonatel API client
+ *
+ * Every request made through SonatelAPI#request runs through an ordered
+ * chain of middleware functions `(ctx, next) => response`. A middleware
+ * can change the request in `ctx` before calling `next()`, change the
+ * response `{ status, headers, data }` it gets back, call `next()` again
+ * (retries) or answer without calling it at all (caches).
+ *
+ * Authentication, retries, rate limiting, telemetry and logging are
+ * built-in middlewares named `retry`, `rateLimit`, `auth`, `telemetry` and
+ * `logging`, which can be removed or replaced.
+ */
+
+import { SonatelAbortError, SonatelRateLimitError } from './errors.js';
+import { resolveRetryPolicy, isRetryable, computeRetryDelay, sleep } from './retry.js';
+
+// OpenTelemetry SpanKind.CLIENT and SpanStatusCode.ERROR
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * Describe an endpoint for metrics and traces
+ *
+ * Path segments that are not plain words (IDs, phone numbers) are
+ * replaced by `:id` to keep the number of distinct routes small.
+ * @param {string} endpoint - API endpoint path, e.g. '/payment/v1/payments/pay-42'
+ * @returns {Object} { service, route }, e.g. { service: 'payment', route: '/payment/v1/payments/:id' }
+ */
+function describeEndpoint(endpoint) {
+  const segments = endpoint.split('?')[0].split('/').filter(Boolean);
+  const route = segments.map(segment => (/^[a-z]+$/i.test(segment) || /^v\d+$/.test(segment) ? segment : ':id'));
+
+  return {
+    service: segments.length > 0 && /^[a-z]+$/i.test(segments[0]) ? segments[0] : 'unknown',
+    route: `/${route.join('/')}`
+  };
+}
+
+/**
+ * Build a W3C traceparent header from an OpenTelemetry span
+ * @param {Object} span - OpenTelemetry span
+ * @returns {Object} Trace context headers, empty if the span has no valid context
+ * @private
+ */
+function traceContextHeaders(span) {
+  const context = typeof span.spanContext === 'function' ? span.spanContext() : null;
+  if (!context || !/^[0-9a-f]{32}$/.test(context.traceId) || /^0+$/.test(context.traceId)) {
+    return {};
+  }
+
+  const flags = (context.traceFlags || 0).toString(16).padStart(2, '0');
+  const headers = { traceparent: `00-${context.traceId}-${context.spanId}-${flags}` };
+  if (context.traceState && typeof context.traceState.serialize === 'function') {
+    const state = context.traceState.serialize();
+    if (state) {
+      headers.tracestate = state;
+    }
+  }
+  return headers;
+}
+
+/**
+ * Run a function inside a new span, active when the tracer supports it
+ * @param {Object} tracer - OpenTelemetry tracer
+ * @param {string} name - Span name
+ * @param {Object} attributes - Span attributes
+ * @param {Function} fn - Called with the span
+ * @returns {Promise<any>} Result of fn
+ * @private
+ */
+function withSpan(tracer, name, attributes, fn) {
+  const options = { kind: SPAN_KIND_CLIENT, attributes };
+  if (typeof tracer.startActiveSpan === 'function') {
+    return tracer.startActiveSpan(name, options, fn);
+  }
+  return fn(tracer.startSpan(name, options));
+}
+
+/**
+ * Compose middlewares into a single handler
+ *
+ * `next` may be called more than once; each call runs the rest of the
+ * chain again.
+ * @param {Function[]} middlewares - Middlewares, outermost first
+ * @param {Function} handler - Final handler sending the request
+ * @returns {Function} Handler taking the request context
+ */
+function compose(middlewares, handler) {
+  const dispatch = (index, ctx) => {
+    if (index === middlewares.length) {
+      return Promise.resolve(handler(ctx));
+    }
+    return Promise.resolve(middlewares[index](ctx, () => dispatch(index + 1, ctx)));
+  };
+
+  return ctx => dispatch(0, ctx);
+}
+
+/**
+ * Retry failed requests according to the client's retry policy
+ *
+ * Sets `ctx.attempt` before each attempt. The policy can be overridden
+ * per call with the `retry` request option.
+ * @returns {Function} Middleware
+ */
+function retryMiddleware() {
+  return async function retry(ctx, next) {
+    const { endpoint, method, options } = ctx;
+    const policy = resolveRetryPolicy(ctx.api.retryPolicy, options.retry);
+
+    for (let attempt = 1; ; attempt++) {
+      ctx.attempt = attempt;
+      try {
+        return await next();
+      } catch (error) {
+        if (error instanceof SonatelAbortError ||
+          attempt >= policy.maxAttempts ||
+          !isRetryable(policy, { method, headers: ctx.headers }, error)) {
+          throw error;
+        }
+
+        const delay = computeRetryDelay(policy, attempt, error);
+        ctx.api.emit('retry', {
+          service: ctx.service,
+          endpoint: ctx.route,
+          method,
+          attempt: attempt + 1,
+          delay,
+          error
+        });
+        ctx.logger.warn(`Retrying ${method} ${endpoint} in ${delay}ms`, {
+          endpoint,
+          method,
+          status: error.status,
+          attempt: attempt + 1,
+          maxAttempts: policy.maxAttempts,
+          delay,
+          error
+        });
+        if (policy.onRetry) {
+          policy.onRetry({ attempt: attempt + 1, delay, error, endpoint, method });
+        }
+        await sleep(delay, options.signal);
+
+        if (options.signal && options.signal.aborted) {
+          throw new SonatelAbortError(`${method} ${endpoint} was aborted`, {
+            endpoint,
+            method,
+            cause: options.signal.reason
+          });
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Hold requests back to stay under the client's rate limits
+ *
+ * Each attempt waits for a slot of the client's `rateLimiter` (see
+ * RequestScheduler), or of the `rateLimiter` request option; requests
+ * without either are not limited. The group and priority can be set per
+ * call with the `rateLimitGroup` and `priority` request options. Emits
+ * `rateLimit` with source 'client' when a request had to wait for a
+ * token, and holds back the group for the Retry-After delay when the API
+ * answers 429.
+ * @returns {Function} Middleware
+ */
+function rateLimitMiddleware() {
+  return async function rateLimit(ctx, next) {
+    const { api, options, method } = ctx;
+    const limiter = options.rateLimiter || api.rateLimiter;
+    if (!limiter) {
+      return next();
+    }
+
+    const group = options.rateLimitGroup || limiter.groupOf({ service: ctx.service, route: ctx.route, method });
+    const slot = await limiter.acquire({ group, priority: options.priority, signal: options.signal, id: api.clientId });
+    if (slot.throttled) {
+      api.emit('rateLimit', { service: ctx.service, endpoint: ctx.route, method, source: 'client', group, wait: slot.wait });
+    }
+
+    try {
+      return await next();
+    } catch (error) {
+      if (error instanceof SonatelRateLimitError && error.retryAfter) {
+        limiter.pause(group, error.retryAfter);
+      }
+      throw error;
+    } finally {
+      slot.release();
+    }
+  };
+}
+
+/**
+ * Add the bearer token to requests
+ *
+ * A 401 response invalidates the cached token and the request is sent
+ * once more with a new token.
+ * @returns {Function} Middleware
+ */
+function authMiddleware() {
+  return async function auth(ctx, next) {
+    const { signal } = ctx.options;
+    const token = await ctx.api.getToken({ signal });
+    ctx.headers.Authorization = `Bearer ${token}`;
+
+    try {
+      return await next();
+    } catch (error) {
+      if (error.status !== 401) {
+        throw error;
+      }
+
+      ctx.logger.info('Token rejected, fetching a new one', { endpoint: ctx.endpoint, method: ctx.method });
+      await ctx.api.invalidateToken(token);
+      ctx.headers.Authorization = `Bearer ${await ctx.api.getToken({ signal })}`;
+      return next();
+    }
+  };
+}
+
+/**
+ * Emit instrumentation events and OpenTelemetry spans for each HTTP attempt
+ *
+ * Emits `request` on the client after every attempt with { service,
+ * endpoint, method, status, duration, attempt, error }, and `rateLimit`
+ * when the API answers 429. When the client has a `tracer`, each attempt
+ * runs in a client span and the trace context is sent in the
+ * `traceparent` and `tracestate` headers.
+ * @returns {Function} Middleware
+ */
+function telemetryMiddleware() {
+  return async function telemetry(ctx, next) {
+    const { api, method } = ctx;
+    const event = { service: ctx.service, endpoint: ctx.route, method };
+
+    const run = async span => {
+      if (span && api.propagateTraceContext) {
+        Object.assign(ctx.headers, traceContextHeaders(span));
+      }
+
+      const startedAt = Date.now();
+      try {
+        const response = await next();
+        api.emit('request', {
+          ...event,
+          status: response.status,
+          duration: Date.now() - startedAt,
+          attempt: ctx.attempt
+        });
+        if (span) {
+          span.setAttribute('http.response.status_code', response.status);
+        }
+        return response;
+      } catch (error) {
+        const status = error.status || null;
+        api.emit('request', { ...event, status, duration: Date.now() - startedAt, attempt: ctx.attempt, error });
+        if (error instanceof SonatelRateLimitError) {
+          api.emit('rateLimit', { ...event, source: 'server', retryAfter: error.retryAfter });
+        }
+        if (span) {
+          if (status) {
+            span.setAttribute('http.response.status_code', status);
+          }
+          span.setAttribute('error.type', status ? String(status) : error.name);
+          span.recordException(error);
+          span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+        }
+        throw error;
+      } finally {
+        if (span) {
+          span.end();
+        }
+      }
+    };
+
+    if (!api.tracer) {
+      return run(null);
+    }
+
+    return withSpan(api.tracer, `${method} ${ctx.route}`, {
+      'http.request.method': method,
+      'url.full': `${api.baseUrl}${ctx.endpoint}`,
+      'url.template': ctx.route,
+      'http.request.resend_count': ctx.attempt - 1,
+      'sonatel.service': ctx.service
+    }, run);
+  };
+}
+
+/**
+ * Log each HTTP attempt and its outcome to the client's logger
+ *
+ * Records carry endpoint, method, attempt, status and duration (ms).
+ * Bodies are only included when the client is created with `logBodies`.
+ * @returns {Function} Middleware
+ */
+function loggingMiddleware() {
+  return async function logging(ctx, next) {
+    const { logger, endpoint, method, attempt } = ctx;
+    const bodies = logger.logBodies;
+    logger.debug(`Making ${method} request to ${endpoint}`, {
+      endpoint,
+      method,
+      attempt,
+      params: ctx.params,
+      data: bodies ? ctx.data : undefined
+    });
+
+    const startedAt = Date.now();
+    try {
+      const response = await next();
+      logger.debug(`${method} ${endpoint} succeeded`, {
+        endpoint,
+        method,
+        attempt,
+        status: response.status,
+        duration: Date.now() - startedAt,
+        requestId: response.headers && response.headers['x-request-id'],
+        data: bodies ? response.data : undefined
+      });
+      return response;
+    } catch (error) {
+      logger.warn(`${method} ${endpoint} failed`, {
+        endpoint,
+        method,
+        attempt,
+        status: error.status,
+        duration: Date.now() - startedAt,
+        requestId: error.requestId,
+        error
+      });
+      throw error;
+    }
+  };
+}
+
+/**
+ * Create the default middleware chain
+ * @returns {Object[]} Named middlewares: retry, rateLimit, auth, telemetry, logging
+ */
+function defaultMiddlewares() {
+  return [
+    { name: 'retry', fn: retryMiddleware() },
+    { name: 'rateLimit', fn: rateLimitMiddleware() },
+    { name: 'auth', fn: authMiddleware() },
+    { name: 'telemetry', fn: telemetryMiddleware() },
+    { name: 'logging', fn: loggingMiddleware() }
+  ];
+}
+
+export {
+  compose,
+  retryMiddleware,
+  rateLimitMiddleware,
+  authMiddleware,
+  telemetryMiddleware,
+  loggingMiddleware,
+  defaultMiddlewares,
+  describeEndpoint
+};
@@ -0,0 +1,1095 @@
+/**
+ * Mock Sonatel server for offline tests
+ *
+ * Serves `/oauth/token` and the SMS, USSD and Payment endpoints used by
+ * the services from a local HTTP server. State (payments, refunds,
+ * balance, messages, subscriptions) is kept in memory, payments and
+ * messages move through configurable lifecycles, status changes are
+ * POSTed to the subscribed notify URLs, and faults (401, 429, 5xx, slow
+ * responses, timeouts) can be injected per endpoint.
+ */
+
+import { createServer } from 'node:http';
+import { createHmac, randomUUID } from 'node:crypto';
+import Sonatel from './index.js';
+
+const DEFAULT_LIFECYCLES = {
+  payment: ['PENDING', 'SUCCESS'],
+  sms: ['DeliveredToNetwork', 'DeliveredToTerminal']
+};
+
+// Envelope property of the subscriptions of each service
+const SUBSCRIPTION_WRAPPERS = {
+  sms: 'deliveryReceiptSubscription',
+  ussd: 'ussdNotificationSubscription',
+  payment: 'paymentNotificationSubscription'
+};
+
+/**
+ * Build a OneAPI error body
+ * @param {string} messageId - Exception ID, e.g. 'SVC0002'
+ * @param {string} text - Error message
+ * @param {boolean} [policy=false] - Report a policy exception instead of a service exception
+ * @returns {Object} Error body
+ * @private
+ */
+function oneApiError(messageId, text, policy = false) {
+  return {
+    requestError: {
+      [policy ? 'policyException' : 'serviceException']: { messageId, text }
+    }
+  };
+}
+
+/**
+ * Build a JSON response
+ * @param {number} status - HTTP status
+ * @param {any} [body] - Response body
+ * @param {Object} [headers] - Response headers
+ * @returns {Object} { status, body, headers }
+ * @private
+ */
+function reply(status, body, headers = {}) {
+  return { status, body, headers };
+}
+
+/**
+ * Default error body of an injected fault
+ * @param {number} status - HTTP status
+ * @returns {Object} Error body
+ * @private
+ */
+function faultBody(status) {
+  if (status === 401 || status === 403) {
+    return oneApiError('POL0001', 'Invalid or expired access token', true);
+  }
+  if (status === 429) {
+    return oneApiError('POL3003', 'Too many requests', true);
+  }
+  if (status >= 500) {
+    return oneApiError('SVC0001', 'Service temporarily unavailable');
+  }
+  return oneApiError('SVC0002', 'Invalid input value');
+}
+
+/**
+ * Check whether a request matches a fault
+ * @param {Object} fault - Injected fault
+ * @param {Object} request - Parsed request
+ * @returns {boolean} True if the fault applies
+ * @private
+ */
+function matchesFault(fault, request) {
+  if (fault.method && fault.method.toUpperCase() !== request.method) {
+    return false;
+  }
+  if (fault.path instanceof RegExp) {
+    return fault.path.test(request.path);
+  }
+  return !fault.path || request.path.startsWith(fault.path);
+}
+
+/**
+ * Page a list with the limit and offset query parameters
+ * @param {Object[]} items - All items
+ * @param {Object} query - Query parameters
+ * @returns {Object[]} Requested page
+ * @private
+ */
+function paginate(items, query) {
+  const offset = Number(query.offset) || 0;
+  const limit = Number(query.limit) || 10;
+  return items.slice(offset, offset + limit);
+}
+
+/**
+ * Filter items by the startDate and endDate query parameters
+ * @param {Object[]} items - Items with a createdAt ISO date
+ * @param {Object} query - Query parameters
+ * @returns {Object[]} Items within the range
+ * @private
+ */
+function filterByDate(items, query) {
+  return items.filter(item => (!query.startDate || item.createdAt >= query.startDate) &&
+    (!query.endDate || item.createdAt <= query.endDate));
+}
+
+class MockSonatelServer {
+  /**
+   * Mock Sonatel server, started with listen()
+   * @param {Object} [options] - Server options
+   * @param {string} [options.clientId='test-client-id'] - Accepted client ID
+   * @param {string} [options.clientSecret='test-client-secret'] - Accepted client secret
+   * @param {number} [options.tokenTtl=3600] - Lifetime of issued tokens in seconds
+   * @param {number} [options.balance=0] - Initial account balance
+   * @param {string} [options.currency='XOF'] - Account currency
+   * @param {Object} [options.lifecycles] - Status sequences: `payment` and `sms`, each an array or a function of the resource returning one
+   * @param {number} [options.stepDelay=20] - Delay between two lifecycle steps in milliseconds
+   * @param {string} [options.webhookSecret] - HMAC-SHA256 secret used to sign notifications
+   * @param {string} [options.host='127.0.0.1'] - Host to listen on
+   * @param {number} [options.port=0] - Port to listen on (random by default)
+   */
+  constructor(options = {}) {
+    this.clientId = options.clientId || 'test-client-id';
+    this.clientSecret = options.clientSecret || 'test-client-secret';
+    this.tokenTtl = options.tokenTtl || 3600;
+    this.initialBalance = options.balance || 0;
+    this.currency = options.currency || 'XOF';
+    this.lifecycles = { ...DEFAULT_LIFECYCLES, ...options.lifecycles };
+    this.stepDelay = options.stepDelay === undefined ? 20 : options.stepDelay;
+    this.webhookSecret = options.webhookSecret || null;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+
+    this.server = null;
+    this.tokens = new Set();
+    this._sockets = new Set();
+    this._timers = new Map();
+    this._pending = new Set();
+    this._routes = this._buildRoutes();
+    this.reset();
+  }
+
+  /**
+   * Base URL of the running server
+   * @returns {string} URL, e.g. 'http://127.0.0.1:40123'
+   */
+  get url() {
+    if (!this.server || !this.server.listening) {
+      throw new Error('Mock server is not listening');
+    }
+    const { port } = this.server.address();
+    return `http://${this.host}:${port}`;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<MockSonatelServer>} This server
+   */
+  listen() {
+    this.server = createServer((req, res) => {
+      this._handle(req, res).catch(() => res.destroy());
+    });
+    this.server.on('connection', socket => {
+      this._sockets.add(socket);
+      socket.on('close', () => this._sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stop the server, cancelling lifecycles and hanging requests
+   * @returns {Promise<void>}
+   */
+  close() {
+    this._clearTimers();
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const { server } = this;
+    this.server = null;
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      this._sockets.forEach(socket => socket.destroy());
+    });
+  }
+
+  /**
+   * Clear all state, faults and logs, keeping issued tokens valid
+   */
+  reset() {
+    this._clearTimers();
+    this.state = {
+      balance: this.initialBalance,
+      payments: new Map(),
+      refunds: [],
+      messages: new Map(),
+      subscriptions: new Map(),
+      idempotency: new Map(),
+      ussd: { outbound: [], responses: [], cancelled: [] }
+    };
+    this.faults = [];
+    this.requests = [];
+    this.webhooks = [];
+    this._sequence = 0;
+  }
+
+  /**
+   * Create a client configured for this server
+   * @param {Object} [config] - Additional client configuration, see Sonatel.createClient
+   * @returns {Object} Sonatel client
+   */
+  createClient(config = {}) {
+    return Sonatel.createClient({
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      baseUrl: this.url,
+      ...config
+    });
+  }
+
+  /**
+   * Inject a fault answering matching requests
+   *
+   * Faults are applied in the order they were injected, each to `times`
+   * requests. Without a status, a delayed request is then handled
+   * normally.
+   * @param {Object} fault - Fault definition
+   * @param {string} [fault.method] - HTTP method to match
+   * @param {string|RegExp} [fault.path] - Path prefix or pattern to match (all paths by default)
+   * @param {number} [fault.times=1] - Number of requests to fail (Infinity for all)
+   * @param {number} [fault.status] - HTTP status to answer with, e.g. 401, 429 or 503
+   * @param {any} [fault.body] - Response body (a OneAPI error matching the status by default)
+   * @param {Object} [fault.headers] - Response headers
+   * @param {number} [fault.retryAfter] - Retry-After header value in seconds
+   * @param {number} [fault.delay] - Delay before answering in milliseconds
+   * @param {boolean} [fault.hang=false] - Never answer, so the client times out
+   * @returns {Object} The fault, whose `remaining` count is updated as it is used
+   */
+  inject(fault) {
+    const entry = { times: 1, ...fault };
+    entry.remaining = entry.times;
+    this.faults.push(entry);
+    return entry;
+  }
+
+  /**
+   * Invalidate every issued token, so the next calls get a 401
+   */
+  expireTokens() {
+    this.tokens.clear();
+  }
+
+  /**
+   * Get a payment
+   * @param {string} paymentId - Payment ID
+   * @returns {Object|undefined} Payment state
+   */
+  getPayment(paymentId) {
+    return this.state.payments.get(paymentId);
+  }
+
+  /**
+   * Get a sent message
+   * @param {string} messageId - Message ID
+   * @returns {Object|undefined} Message state
+   */
+  getMessage(messageId) {
+    return this.state.messages.get(messageId);
+  }
+
+  /**
+   * Move a payment to a status and notify the subscribers
+   * @param {string} paymentId - Payment ID
+   * @param {string} status - New status, e.g. 'SUCCESS' or 'FAILED'
+   * @returns {Promise<void>} Resolves once the notifications are delivered
+   */
+  setPaymentStatus(paymentId, status) {
+    const payment = this.state.payments.get(paymentId);
+    if (!payment) {
+      throw new Error(`Unknown payment: ${paymentId}`);
+    }
+    return this._updatePayment(payment, status);
+  }
+
+  /**
+   * Move a message to a delivery status and notify the subscribers
+   * @param {string} messageId - Message ID
+   * @param {string} status - New OneAPI delivery status, e.g. 'DeliveredToTerminal'
+   * @returns {Promise<void>} Resolves once the notifications are delivered
+   */
+  setDeliveryStatus(messageId, status) {
+    const message = this.state.messages.get(messageId);
+    if (!message) {
+      throw new Error(`Unknown message: ${messageId}`);
+    }
+    return this._updateMessage(message, status);
+  }
+
+  /**
+   * Simulate a user USSD message, POSTed to the USSD subscribers
+   * @param {Object} options - Inbound message
+   * @param {string} options.sessionId - USSD session ID
+   * @param {string} options.address - User's MSISDN
+   * @param {string} options.message - Message typed by the user
+   * @param {string} [options.keyword] - Service keyword
+   * @returns {Promise<Object[]>} Webhook deliveries
+   */
+  sendUSSD(options) {
+    return this._notify('ussd', {
+      inboundUSSDMessageNotification: {
+        sessionId: options.sessionId,
+        address: `tel:${Sonatel.normalizeMsisdn(options.address)}`,
+        keyword: options.keyword,
+        inboundUSSDMessage: { message: options.message }
+      }
+    }, subscription => !subscription.keyword || !options.keyword || subscription.keyword === options.keyword);
+  }
+
+  /**
+   * Wait until lifecycles and webhook deliveries in progress are done
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    while (this._pending.size > 0) {
+      await Promise.all([...this._pending]);
+    }
+  }
+
+  /**
+   * Generate a readable resource ID
+   * @param {string} prefix - ID prefix
+   * @returns {string} ID, e.g. 'pay-000001'
+   * @private
+   */
+  _id(prefix) {
+    this._sequence++;
+    return `${prefix}-${String(this._sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Keep track of an operation in progress for settle()
+   * @param {Promise} promise - Operation
+   * @returns {Promise} The same operation
+   * @private
+   */
+  _track(promise) {
+    const tracked = promise.catch(() => {}).finally(() => this._pending.delete(tracked));
+    this._pending.add(tracked);
+    return promise;
+  }
+
+  /**
+   * Run a function after a delay, unless the server is reset or closed
+   * @param {number} delay - Delay in milliseconds
+   * @param {Function} fn - Function to run
+   * @private
+   */
+  _schedule(delay, fn) {
+    this._track(new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._timers.delete(timer);
+        resolve(fn());
+      }, delay);
+      this._timers.set(timer, resolve);
+    }));
+  }
+
+  /**
+   * Cancel scheduled lifecycle steps
+   * @private
+   */
+  _clearTimers() {
+    this._timers.forEach((resolve, timer) => {
+      clearTimeout(timer);
+      resolve();
+    });
+    this._timers.clear();
+  }
+
+  /**
+   * Run the lifecycle of a resource from its first status
+   * @param {string} kind - 'payment' or 'sms'
+   * @param {Object} resource - Payment or message
+   * @param {Function} update - Called with each following status
+   * @returns {string} First status
+   * @private
+   */
+  _startLifecycle(kind, resource, update) {
+    const lifecycle = this.lifecycles[kind];
+    const steps = typeof lifecycle === 'function' ? lifecycle(resource) : lifecycle;
+
+    steps.slice(1).forEach((status, index) => {
+      this._schedule(this.stepDelay * (index + 1), () => update(status));
+    });
+    return steps[0];
+  }
+
+  /**
+   * Handle an HTTP request
+   * @param {IncomingMessage} req - Request
+   * @param {ServerResponse} res - Response
+   * @private
+   */
+  async _handle(req, res) {
+    const request = await this._readRequest(req);
+    this.requests.push(request);
+
+    const fault = this.faults.find(candidate => candidate.remaining > 0 && matchesFault(candidate, request));
+    let result;
+    if (fault) {
+      fault.remaining--;
+      if (fault.hang) {
+        return;
+      }
+      if (fault.delay) {
+        await new Promise(resolve => setTimeout(resolve, fault.delay));
+      }
+      if (fault.status) {
+        const headers = { ...fault.headers };
+        if (fault.retryAfter !== undefined) {
+          headers['Retry-After'] = String(fault.retryAfter);
+        }
+        result = reply(fault.status, fault.body === undefined ? faultBody(fault.status) : fault.body, headers);
+      }
+    }
+
+    if (!result) {
+      try {
+        result = this._route(request);
+      } catch (error) {
+        result = reply(500, oneApiError('SVC0001', error.message));
+      }
+    }
+
+    if (res.destroyed) {
+      return;
+    }
+    res.writeHead(result.status, {
+      'X-Request-Id': request.id,
+      ...(result.body === undefined ? {} : { 'Content-Type': 'application/json' }),
+      ...result.headers
+    });
+    res.end(result.body === undefined ? undefined : JSON.stringify(result.body));
+  }
+
+  /**
+   * Read and parse an HTTP request
+   * @param {IncomingMessage} req - Request
+   * @returns {Promise<Object>} { id, method, path, query, headers, body }
+   * @private
+   */
+  async _readRequest(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    const url = new URL(req.url, 'http://localhost');
+    const contentType = req.headers['content-type'] || '';
+
+    let body = text || null;
+    if (text && contentType.includes('application/json')) {
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        body = text;
+      }
+    } else if (text && contentType.includes('application/x-www-form-urlencoded')) {
+      body = Object.fromEntries(new URLSearchParams(text));
+    }
+
+    return {
+      id: randomUUID(),
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body
+    };
+  }
+
+  /**
+   * Find the handler of a request and run it
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _route(request) {
+    for (const [method, pattern, handler, authenticated = true] of this._routes) {
+      const match = request.method === method && pattern.exec(request.path);
+      if (!match) {
+        continue;
+      }
+
+      if (authenticated) {
+        const authorization = request.headers.authorization || '';
+        if (!this.tokens.has(authorization.replace(/^Bearer\s+/i, ''))) {
+          return reply(401, oneApiError('POL0001', 'Invalid or expired access token', true));
+        }
+      }
+      return handler(request, ...match.slice(1));
+    }
+
+    return reply(404, oneApiError('SVC0004', `No resource found for ${request.method} ${request.path}`));
+  }
+
+  /**
+   * Route table: [method, path pattern, handler, authenticated]
+   * @returns {Array[]} Routes
+   * @private
+   */
+  _buildRoutes() {
+    const routes = [
+      ['POST', /^\/oauth\/token$/, request => this._issueToken(request), false],
+      ['POST', /^\/sms\/v1\/messages$/, request => this._sendSMS(request)],
+      ['GET', /^\/sms\/v1\/messages$/, request => this._listMessages(request)],
+      ['GET', /^\/sms\/v1\/messages\/([^/]+)\/deliveryInfos$/, (request, id) => this._deliveryInfos(id)],
+      ['POST', /^\/ussd\/v1\/outbound$/, request => this._sendUSSD(request)],
+      ['POST', /^\/ussd\/v1\/inbound\/([^/]+)$/, (request, id) => this._respondUSSD(request, id)],
+      ['DELETE', /^\/ussd\/v1\/sessions\/([^/]+)$/, (request, id) => this._cancelSession(id)],
+      ['POST', /^\/payment\/v1\/payments$/, request => this._requestPayment(request)],
+      ['GET', /^\/payment\/v1\/payments\/([^/]+)$/, (request, id) => this._getPayment(id)],
+      ['POST', /^\/payment\/v1\/payments\/([^/]+)\/refund$/, (request, id) => this._refundPayment(request, id)],
+      ['GET', /^\/payment\/v1\/transactions$/, request => this._listTransactions(request)],
+      ['GET', /^\/payment\/v1\/account\/balance$/, () => this._getBalance()]
+    ];
+
+    Object.keys(SUBSCRIPTION_WRAPPERS).forEach(service => {
+      const base = `\\/${service}\\/v1\\/subscriptions`;
+      routes.push(
+        ['POST', new RegExp(`^${base}$`), request => this._subscribe(service, request)],
+        ['GET', new RegExp(`^${base}$`), () => this._listSubscriptions(service)],
+        ['GET', new RegExp(`^${base}\\/([^/]+)$`), (request, id) => this._getSubscription(service, id)],
+        ['PUT', new RegExp(`^${base}\\/([^/]+)$`), (request, id) => this._updateSubscription(service, request, id)],
+        ['DELETE', new RegExp(`^${base}\\/([^/]+)$`), (request, id) => this._deleteSubscription(service, id)]
+      );
+    });
+
+    return routes;
+  }
+
+  /**
+   * Replay the response of an idempotent request, or record a new one
+   * @param {Object} request - Parsed request
+   * @param {string} scope - Operation scope
+   * @param {Function} operation - Produces the response of a new request
+   * @returns {Object} Response
+   * @private
+   */
+  _idempotent(request, scope, operation) {
+    const key = request.headers['idempotency-key'];
+    if (!key) {
+      return operation();
+    }
+
+    const entry = `${scope}:${key}`;
+    if (!this.state.idempotency.has(entry)) {
+      this.state.idempotency.set(entry, operation());
+    }
+    return this.state.idempotency.get(entry);
+  }
+
+  /**
+   * Issue an access token for valid client credentials
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _issueToken(request) {
+    const body = request.body || {};
+    if (body.grant_type !== 'client_credentials') {
+      return reply(400, { error: 'unsupported_grant_type', error_description: 'Only client_credentials is supported' });
+    }
+    if (body.client_id !== this.clientId || body.client_secret !== this.clientSecret) {
+      return reply(401, { error: 'invalid_client', error_description: 'Invalid client credentials' });
+    }
+
+    const token = randomUUID();
+    this.tokens.add(token);
+    return reply(200, { access_token: token, token_type: 'Bearer', expires_in: this.tokenTtl });
+  }
+
+  /**
+   * Send an SMS and start its delivery lifecycle
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _sendSMS(request) {
+    const outbound = request.body && request.body.outboundSMSMessageRequest;
+    const text = outbound && outbound.outboundSMSTextMessage && outbound.outboundSMSTextMessage.message;
+    if (!outbound || !outbound.address || !text) {
+      return reply(400, oneApiError('SVC0002', 'Invalid input value for address or message'));
+    }
+
+    return this._idempotent(request, 'sms', () => {
+      const messageId = this._id('sms');
+      const resourceURL = `${this.url}/sms/v1/messages/${messageId}`;
+      const message = {
+        messageId,
+        addresses: [].concat(outbound.address),
+        senderAddress: outbound.senderAddress || null,
+        message: text,
+        deliveryStatus: null,
+        createdAt: new Date().toISOString()
+      };
+      this.state.messages.set(messageId, message);
+      message.deliveryStatus = this._startLifecycle('sms', message, status => this._updateMessage(message, status));
+
+      return reply(201, {
+        outboundSMSMessageRequest: { ...outbound, resourceURL },
+        resourceReference: { resourceURL }
+      });
+    });
+  }
+
+  /**
+   * List sent messages
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _listMessages(request) {
+    const { query } = request;
+    const messages = filterByDate([...this.state.messages.values()], query)
+      .filter(message => !query.senderAddress || message.senderAddress === query.senderAddress);
+
+    return reply(200, {
+      outboundSMSMessageList: {
+        outboundSMSMessage: paginate(messages, query).map(message => ({
+          messageId: message.messageId,
+          address: message.addresses,
+          senderAddress: message.senderAddress,
+          outboundSMSTextMessage: { message: message.message },
+          deliveryStatus: message.deliveryStatus,
+          createdAt: message.createdAt
+        })),
+        totalCount: messages.length
+      }
+    });
+  }
+
+  /**
+   * Get the delivery status of a message
+   * @param {string} messageId - Message ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _deliveryInfos(messageId) {
+    const message = this.state.messages.get(messageId);
+    if (!message) {
+      return reply(404, oneApiError('SVC0004', `Unknown message: ${messageId}`));
+    }
+
+    return reply(200, {
+      deliveryInfoList: {
+        resourceURL: `${this.url}/sms/v1/messages/${messageId}/deliveryInfos`,
+        deliveryInfo: message.addresses.map(address => ({ address, deliveryStatus: message.deliveryStatus }))
+      }
+    });
+  }
+
+  /**
+   * Move a message to a delivery status and notify the subscribers
+   * @param {Object} message - Message state
+   * @param {string} status - OneAPI delivery status
+   * @returns {Promise<void>} Resolves once the notifications are delivered
+   * @private
+   */
+  _updateMessage(message, status) {
+    message.deliveryStatus = status;
+    return Promise.all(message.addresses.map(address => this._notify('sms', {
+      deliveryInfoNotification: {
+        messageId: message.messageId,
+        resourceURL: `${this.url}/sms/v1/messages/${message.messageId}`,
+        deliveryInfo: { address, deliveryStatus: status }
+      }
+    }))).then(() => {});
+  }
+
+  /**
+   * Record an outbound USSD notification
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _sendUSSD(request) {
+    const outbound = request.body && request.body.outboundUSSDMessageRequest;
+    if (!outbound || !outbound.address || !outbound.outboundUSSDMessage) {
+      return reply(400, oneApiError('SVC0002', 'Invalid input value for address or message'));
+    }
+
+    const resourceURL = `${this.url}/ussd/v1/outbound/${this._id('ussd')}`;
+    this.state.ussd.outbound.push({
+      address: outbound.address,
+      keyword: outbound.keyword || null,
+      message: outbound.outboundUSSDMessage.message
+    });
+    return reply(201, { outboundUSSDMessageRequest: { ...outbound, resourceURL }, resourceReference: { resourceURL } });
+  }
+
+  /**
+   * Record the response to an inbound USSD message
+   * @param {Object} request - Parsed request
+   * @param {string} sessionId - USSD session ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _respondUSSD(request, sessionId) {
+    const inbound = request.body && request.body.inboundUSSDMessageRequest;
+    if (!inbound || !inbound.address || !inbound.inboundUSSDMessage) {
+      return reply(400, oneApiError('SVC0002', 'Invalid input value for address or message'));
+    }
+
+    this.state.ussd.responses.push({
+      sessionId,
+      address: inbound.address,
+      message: inbound.inboundUSSDMessage.message,
+      endSession: Boolean(inbound.ussdSessionTermination)
+    });
+    return reply(200, { inboundUSSDMessageRequest: { ...inbound, sessionId } });
+  }
+
+  /**
+   * Record a cancelled USSD session
+   * @param {string} sessionId - USSD session ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _cancelSession(sessionId) {
+    this.state.ussd.cancelled.push(sessionId);
+    return reply(204);
+  }
+
+  /**
+   * Create a payment and start its lifecycle
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _requestPayment(request) {
+    const body = (request.body && request.body.requestPayment) || {};
+    const amount = Number(body.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || !body.currency || !body.customerMsisdn) {
+      return reply(400, oneApiError('SVC0002', 'Invalid input value for amount, currency or customerMsisdn'));
+    }
+    if (body.currency !== this.currency) {
+      return reply(400, oneApiError('SVC0002', `Unsupported currency: ${body.currency}`));
+    }
+
+    return this._idempotent(request, 'payment', () => {
+      const paymentId = this._id('pay');
+      const now = new Date().toISOString();
+      const payment = {
+        paymentId,
+        transactionId: this._id('txn'),
+        amount,
+        currency: body.currency,
+        description: body.description || '',
+        customerMsisdn: body.customerMsisdn,
+        merchantId: body.merchantId || null,
+        orderId: body.orderId || null,
+        status: null,
+        refundedAmount: 0,
+        refunds: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      this.state.payments.set(paymentId, payment);
+      payment.status = this._startLifecycle('payment', payment, status => this._updatePayment(payment, status));
+
+      return reply(201, {
+        requestPayment: { ...body, paymentId, status: payment.status, createdAt: now },
+        resourceReference: { resourceURL: `${this.url}/payment/v1/payments/${paymentId}` }
+      });
+    });
+  }
+
+  /**
+   * Get a payment
+   * @param {string} paymentId - Payment ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _getPayment(paymentId) {
+    const payment = this.state.payments.get(paymentId);
+    if (!payment) {
+      return reply(404, oneApiError('SVC0004', `Unknown payment: ${paymentId}`));
+    }
+    return reply(200, { payment: { ...payment, refunds: payment.refunds.map(refund => ({ ...refund })) } });
+  }
+
+  /**
+   * Move a payment to a status and notify the subscribers
+   * @param {Object} payment - Payment state
+   * @param {string} status - Payment status
+   * @returns {Promise<void>} Resolves once the notifications are delivered
+   * @private
+   */
+  _updatePayment(payment, status) {
+    if (status === 'SUCCESS' && payment.status !== 'SUCCESS') {
+      this.state.balance += payment.amount;
+    }
+    payment.status = status;
+    payment.updatedAt = new Date().toISOString();
+
+    return this._notify('payment', {
+      paymentNotification: {
+        paymentId: payment.paymentId,
+        transactionId: payment.transactionId,
+        status,
+        amount: payment.amount,
+        currency: payment.currency,
+        orderId: payment.orderId,
+        customerMsisdn: payment.customerMsisdn
+      }
+    }, subscription => !subscription.eventType || subscription.eventType === 'all' ||
+      subscription.eventType.toUpperCase() === status).then(() => {});
+  }
+
+  /**
+   * Refund part or all of a successful payment
+   * @param {Object} request - Parsed request
+   * @param {string} paymentId - Payment ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _refundPayment(request, paymentId) {
+    const payment = this.state.payments.get(paymentId);
+    if (!payment) {
+      return reply(404, oneApiError('SVC0004', `Unknown payment: ${paymentId}`));
+    }
+
+    return this._idempotent(request, `refund:${paymentId}`, () => {
+      const body = (request.body && request.body.refundPayment) || {};
+      const amount = Number(body.amount);
+      if (!Number.isFinite(amount) || amount <= 0) {
+        return reply(400, oneApiError('SVC0002', `Invalid refund amount: ${body.amount}`));
+      }
+      if (payment.status !== 'SUCCESS') {
+        return reply(400, oneApiError('SVC0005', `Payment ${paymentId} cannot be refunded in status ${payment.status}`));
+      }
+      if (payment.refundedAmount + amount > payment.amount) {
+        return reply(400, oneApiError('SVC0005', `Refund exceeds the remaining ${payment.amount - payment.refundedAmount}`));
+      }
+      if (this.state.balance < amount) {
+        return reply(400, oneApiError('SVC0006', 'Insufficient balance'));
+      }
+
+      const refund = {
+        refundId: this._id('ref'),
+        paymentId,
+        transactionId: this._id('txn'),
+        amount,
+        currency: payment.currency,
+        reason: body.reason || null,
+        status: 'SUCCESS',
+        createdAt: new Date().toISOString()
+      };
+      payment.refunds.push(refund);
+      payment.refundedAmount += amount;
+      payment.updatedAt = refund.createdAt;
+      this.state.refunds.push(refund);
+      this.state.balance -= amount;
+
+      return reply(201, {
+        refundPayment: refund,
+        resourceReference: { resourceURL: `${this.url}/payment/v1/payments/${paymentId}/refunds/${refund.refundId}` }
+      });
+    });
+  }
+
+  /**
+   * List payments and refunds as transactions
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _listTransactions(request) {
+    const { query } = request;
+    const payments = [...this.state.payments.values()].map(payment => ({
+      transactionId: payment.transactionId,
+      type: 'payment',
+      paymentId: payment.paymentId,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      currency: payment.currency,
+      customerMsisdn: payment.customerMsisdn,
+      status: payment.status,
+      createdAt: payment.createdAt
+    }));
+    const refunds = this.state.refunds.map(refund => ({
+      transactionId: refund.transactionId,
+      type: 'refund',
+      paymentId: refund.paymentId,
+      refundId: refund.refundId,
+      orderId: this.state.payments.get(refund.paymentId).orderId,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      createdAt: refund.createdAt
+    }));
+
+    const transactions = filterByDate([...payments, ...refunds], query)
+      .filter(transaction => !query.status || transaction.status === query.status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    return reply(200, { transactions: paginate(transactions, query), totalCount: transactions.length });
+  }
+
+  /**
+   * Get the account balance
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _getBalance() {
+    return reply(200, { balance: { amount: this.state.balance, currency: this.currency } });
+  }
+
+  /**
+   * Create a notification subscription
+   * @param {string} service - 'sms', 'ussd' or 'payment'
+   * @param {Object} request - Parsed request
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _subscribe(service, request) {
+    const wrapper = SUBSCRIPTION_WRAPPERS[service];
+    const body = request.body && request.body[wrapper];
+    if (!body || !body.callbackReference || !body.callbackReference.notifyURL) {
+      return reply(400, oneApiError('SVC0002', 'Invalid input value for notifyURL'));
+    }
+
+    const subscriptionId = this._id('sub');
+    const subscription = {
+      ...body,
+      resourceURL: `${this.url}/${service}/v1/subscriptions/${subscriptionId}`
+    };
+    this.state.subscriptions.set(subscriptionId, { service, subscription });
+    return reply(201, { [wrapper]: subscription });
+  }
+
+  /**
+   * List the subscriptions of a service
+   * @param {string} service - 'sms', 'ussd' or 'payment'
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _listSubscriptions(service) {
+    const wrapper = SUBSCRIPTION_WRAPPERS[service];
+    const subscriptions = [...this.state.subscriptions.values()]
+      .filter(entry => entry.service === service)
+      .map(entry => entry.subscription);
+    return reply(200, { [`${wrapper}List`]: { [wrapper]: subscriptions } });
+  }
+
+  /**
+   * Get a subscription
+   * @param {string} service - 'sms', 'ussd' or 'payment'
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _getSubscription(service, subscriptionId) {
+    const entry = this.state.subscriptions.get(subscriptionId);
+    if (!entry || entry.service !== service) {
+      return reply(404, oneApiError('SVC0004', `Unknown subscription: ${subscriptionId}`));
+    }
+    return reply(200, { [SUBSCRIPTION_WRAPPERS[service]]: entry.subscription });
+  }
+
+  /**
+   * Replace the settings of a subscription
+   * @param {string} service - 'sms', 'ussd' or 'payment'
+   * @param {Object} request - Parsed request
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _updateSubscription(service, request, subscriptionId) {
+    const entry = this.state.subscriptions.get(subscriptionId);
+    const body = request.body && request.body[SUBSCRIPTION_WRAPPERS[service]];
+    if (!entry || entry.service !== service) {
+      return reply(404, oneApiError('SVC0004', `Unknown subscription: ${subscriptionId}`));
+    }
+    if (!body || !body.callbackReference || !body.callbackReference.notifyURL) {
+      return reply(400, oneApiError('SVC0002', 'Invalid input value for notifyURL'));
+    }
+
+    entry.subscription = { ...body, resourceURL: entry.subscription.resourceURL };
+    return reply(200, { [SUBSCRIPTION_WRAPPERS[service]]: entry.subscription });
+  }
+
+  /**
+   * Delete a subscription
+   * @param {string} service - 'sms', 'ussd' or 'payment'
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Object} { status, body, headers }
+   * @private
+   */
+  _deleteSubscription(service, subscriptionId) {
+    const entry = this.state.subscriptions.get(subscriptionId);
+    if (!entry || entry.service !== service) {
+      return reply(404, oneApiError('SVC0004', `Unknown subscription: ${subscriptionId}`));
+    }
+    this.state.subscriptions.delete(subscriptionId);
+    return reply(204);
+  }
+
+  /**
+   * POST a notification to the subscribers of a service
+   * @param {string} service - 'sms', 'ussd' or 'payment'
+   * @param {Object} payload - Notification body
+   * @param {Function} [filter] - Selects the subscriptions to notify
+   * @returns {Promise<Object[]>} Deliveries: { url, body, status, error }
+   * @private
+   */
+  _notify(service, payload, filter = () => true) {
+    const subscriptions = [...this.state.subscriptions.values()]
+      .filter(entry => entry.service === service && filter(entry.subscription))
+      .map(entry => entry.subscription);
+
+    return this._track(Promise.all(subscriptions.map(async subscription => {
+      const notificationId = randomUUID();
+      const body = JSON.stringify({ notificationId, ...payload });
+      const headers = { 'Content-Type': 'application/json', 'X-Sonatel-Event-Id': notificationId };
+      if (this.webhookSecret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = createHmac('sha256', this.webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+        headers['X-Sonatel-Timestamp'] = timestamp;
+        headers['X-Sonatel-Signature'] = `sha256=${signature}`;
+      }
+
+      const delivery = { url: subscription.callbackReference.notifyURL, body: JSON.parse(body), status: null, error: null };
+      this.webhooks.push(delivery);
+      try {
+        const response = await fetch(delivery.url, { method: 'POST', headers, body });
+        delivery.status = response.status;
+        await response.text();
+      } catch (error) {
+        delivery.error = error;
+      }
+      return delivery;
+    })));
+  }
+}
+
+/**
+ * Create and start a mock Sonatel server
+ * @param {Object} [options] - Server options, see MockSonatelServer
+ * @returns {Promise<MockSonatelServer>} Listening server
+ */
+function startMockServer(options) {
+  return new MockSonatelServer(options).listen();
+}
+
+/**
+ * Run a mock Sonatel server for the tests of the current file
+ *
+ * Registers Jest `beforeAll`, `afterEach` and `afterAll` hooks that start
+ * the server, reset its state between tests and stop it.
+ * @param {Object} [options] - Server options, see MockSonatelServer
+ * @returns {MockSonatelServer} Server, listening once the tests run
+ */
+function useMockServer(options) {
+  if (typeof beforeAll !== 'function' || typeof afterEach !== 'function' || typeof afterAll !== 'function') {
+    throw new Error('useMockServer must be called at the top level of a Jest test file');
+  }
+
+  const server = new MockSonatelServer(options);
+  beforeAll(() => server.listen());
+  afterEach(() => server.reset());
+  afterAll(() => server.close());
+  return server;
+}
+
+export { MockSonatelServer, startMockServer, useMockServer };
@@ -0,0 +1,274 @@
+/**
+ * Money amounts for the Orange Sonatel API
+ *
+ * Amounts are kept as integers in the minor unit of their currency, so
+ * that sums and differences (e.g. the amount left to refund) are exact.
+ * XOF has no minor unit: fractional XOF amounts are rejected.
+ */
+
+import { SonatelValidationError } from './errors.js';
+
+// Currencies of the Sonatel group markets (Senegal, Mali, Guinea-Bissau, Guinea, Sierra Leone) and settlement currencies
+const CURRENCIES = Object.freeze({
+  XOF: Object.freeze({ code: 'XOF', decimals: 0, symbol: 'FCFA', name: 'West African CFA franc' }),
+  GNF: Object.freeze({ code: 'GNF', decimals: 0, symbol: 'FG', name: 'Guinean franc' }),
+  SLE: Object.freeze({ code: 'SLE', decimals: 2, symbol: 'Le', name: 'Sierra Leonean leone' }),
+  EUR: Object.freeze({ code: 'EUR', decimals: 2, symbol: '€', name: 'Euro' }),
+  USD: Object.freeze({ code: 'USD', decimals: 2, symbol: '$', name: 'US dollar' })
+});
+
+/**
+ * Get the metadata of a currency
+ * @param {string} code - ISO 4217 currency code
+ * @returns {Object} { code, decimals, symbol, name }
+ * @throws {SonatelValidationError} When the currency is not supported
+ * @private
+ */
+function currencyInfo(code) {
+  const currency = CURRENCIES[String(code).toUpperCase()];
+  if (!currency) {
+    throw new SonatelValidationError(`Unsupported currency: ${code}`, { code: 'UNSUPPORTED_CURRENCY' });
+  }
+  return currency;
+}
+
+/**
+ * Convert an amount in major units to an integer number of minor units
+ *
+ * Strings must be plain decimals such as '1000' or '10.50': signs,
+ * exponents and separators are rejected.
+ * @param {number|string} amount - Amount in major units
+ * @param {Object} currency - Currency metadata
+ * @returns {number} Minor units
+ * @throws {SonatelValidationError} When the amount is not a valid amount of the currency
+ * @private
+ */
+function toMinorUnits(amount, currency) {
+  const invalid = reason => new SonatelValidationError(`Invalid ${currency.code} amount ${amount}: ${reason}`, {
+    code: 'INVALID_AMOUNT'
+  });
+  const scale = 10 ** currency.decimals;
+  let minor;
+
+  if (typeof amount === 'number') {
+    if (!Number.isFinite(amount)) {
+      throw invalid('not a finite number');
+    }
+    minor = Math.round(amount * scale);
+    if (Math.abs(amount * scale - minor) > 1e-6) {
+      throw invalid(currency.decimals === 0 ? 'fractional amounts are not allowed' : `more than ${currency.decimals} decimals`);
+    }
+  } else if (typeof amount === 'string') {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(amount.trim());
+    if (!match) {
+      throw invalid(/^\s*-/.test(amount) ? 'amounts cannot be negative' : 'not a plain decimal number');
+    }
+    const fraction = (match[2] || '').replace(/0+$/, '');
+    if (fraction.length > currency.decimals) {
+      throw invalid(currency.decimals === 0 ? 'fractional amounts are not allowed' : `more than ${currency.decimals} decimals`);
+    }
+    minor = Number(match[1]) * scale + Number(fraction.padEnd(currency.decimals, '0') || 0);
+  } else {
+    throw invalid('expected a number or a string');
+  }
+
+  if (minor < 0) {
+    throw invalid('amounts cannot be negative');
+  }
+  if (!Number.isSafeInteger(minor)) {
+    throw invalid('too large');
+  }
+  // Turn -0 into 0
+  return minor || 0;
+}
+
+class Money {
+  /**
+   * Create an amount of money
+   * @param {number|string} amount - Amount in major units, e.g. 1000 or '1000' for 1 000 FCFA
+   * @param {string} [currency='XOF'] - ISO 4217 currency code
+   * @throws {SonatelValidationError} When the amount is negative, fractional in XOF or otherwise invalid
+   */
+  constructor(amount, currency = 'XOF') {
+    const info = currencyInfo(currency);
+    this.currency = info.code;
+    this.minor = toMinorUnits(amount, info);
+    Object.freeze(this);
+  }
+
+  /**
+   * Create an amount from a number of minor units
+   * @param {number} minor - Integer number of minor units (FCFA for XOF, cents for EUR)
+   * @param {string} [currency='XOF'] - ISO 4217 currency code
+   * @returns {Money} Amount
+   */
+  static fromMinor(minor, currency = 'XOF') {
+    if (!Number.isSafeInteger(minor)) {
+      throw new SonatelValidationError(`Invalid minor amount: ${minor}`, { code: 'INVALID_AMOUNT' });
+    }
+    return new Money(minor / 10 ** currencyInfo(currency).decimals, currency);
+  }
+
+  /**
+   * Get the metadata of a supported currency
+   * @param {string} code - ISO 4217 currency code
+   * @returns {Object} { code, decimals, symbol, name }
+   */
+  static currency(code) {
+    return currencyInfo(code);
+  }
+
+  /**
+   * Amount in major units
+   * @returns {number} e.g. 1000 for 1 000 FCFA
+   */
+  get amount() {
+    return this.minor / 10 ** currencyInfo(this.currency).decimals;
+  }
+
+  /**
+   * Check that another amount has the same currency
+   * @param {Money} other - Other amount
+   * @private
+   */
+  _assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new TypeError('Expected a Money amount');
+    }
+    if (other.currency !== this.currency) {
+      throw new SonatelValidationError(`Cannot combine ${this.currency} and ${other.currency} amounts`, {
+        code: 'CURRENCY_MISMATCH'
+      });
+    }
+  }
+
+  /**
+   * Add an amount of the same currency
+   * @param {Money} other - Amount to add
+   * @returns {Money} Sum
+   */
+  add(other) {
+    this._assertSameCurrency(other);
+    return Money.fromMinor(this.minor + other.minor, this.currency);
+  }
+
+  /**
+   * Subtract an amount of the same currency
+   * @param {Money} other - Amount to subtract
+   * @returns {Money} Difference
+   * @throws {SonatelValidationError} When the result would be negative
+   */
+  subtract(other) {
+    this._assertSameCurrency(other);
+    if (other.minor > this.minor) {
+      throw new SonatelValidationError(`Cannot subtract ${other} from ${this}`, { code: 'INVALID_AMOUNT' });
+    }
+    return Money.fromMinor(this.minor - other.minor, this.currency);
+  }
+
+  /**
+   * Compare with an amount of the same currency
+   * @param {Money} other - Amount to compare with
+   * @returns {number} -1, 0 or 1
+   */
+  compare(other) {
+    this._assertSameCurrency(other);
+    return Math.sign(this.minor - other.minor);
+  }
+
+  /**
+   * Check whether two amounts are equal
+   * @param {Money} other - Amount to compare with
+   * @returns {boolean} True if both amounts have the same value and currency
+   */
+  equals(other) {
+    return other instanceof Money && other.currency === this.currency && other.minor === this.minor;
+  }
+
+  /**
+   * Check whether the amount is zero
+   * @returns {boolean} True if the amount is zero
+   */
+  isZero() {
+    return this.minor === 0;
+  }
+
+  /**
+   * Check the amount against transaction limits
+   * @param {Object} [limits] - Limits in major units
+   * @param {number} [limits.min] - Minimum amount
+   * @param {number} [limits.max] - Maximum amount
+   * @returns {Money} This amount
+   * @throws {SonatelValidationError} When the amount is outside the limits
+   */
+  checkLimits(limits = {}) {
+    if (limits.min !== undefined && this.compare(new Money(limits.min, this.currency)) < 0) {
+      throw new SonatelValidationError(`Amount ${this} is below the minimum of ${limits.min} ${this.currency}`, {
+        code: 'AMOUNT_BELOW_MINIMUM'
+      });
+    }
+    if (limits.max !== undefined && this.compare(new Money(limits.max, this.currency)) > 0) {
+      throw new SonatelValidationError(`Amount ${this} is above the maximum of ${limits.max} ${this.currency}`, {
+        code: 'AMOUNT_ABOVE_MAXIMUM'
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Format the amount for display
+   *
+   * The number is formatted with the locale's separators (narrow no-break
+   * spaces in French) and followed by a no-break space and the currency
+   * symbol, e.g. '1 000 FCFA'.
+   * @param {Object} [options] - Formatting options
+   * @param {string} [options.locale='fr-SN'] - BCP 47 locale
+   * @param {boolean} [options.symbol=true] - Use the symbol (FCFA) rather than the code (XOF)
+   * @returns {string} Formatted amount
+   */
+  format(options = {}) {
+    const info = currencyInfo(this.currency);
+    const number = new Intl.NumberFormat(options.locale || 'fr-SN', {
+      minimumFractionDigits: info.decimals,
+      maximumFractionDigits: info.decimals
+    }).format(this.amount);
+    return `${number}\u00a0${options.symbol === false ? info.code : info.symbol}`;
+  }
+
+  /**
+   * Plain representation, e.g. '1000 XOF'
+   * @returns {string} Amount and currency code
+   */
+  toString() {
+    return `${this.amount.toFixed(currencyInfo(this.currency).decimals)} ${this.currency}`;
+  }
+
+  /**
+   * Representation used by JSON.stringify
+   * @returns {Object} { amount, currency }
+   */
+  toJSON() {
+    return { amount: this.amount, currency: this.currency };
+  }
+}
+
+/**
+ * Convert a number, string or Money to Money
+ * @param {Money|number|string} value - Amount
+ * @param {string} [currency] - Currency of plain amounts; must match the currency of Money amounts
+ * @returns {Money} Amount
+ * @throws {SonatelValidationError} When the amount is invalid or the currencies differ
+ */
+function toMoney(value, currency) {
+  if (value instanceof Money) {
+    if (currency && currencyInfo(currency).code !== value.currency) {
+      throw new SonatelValidationError(`Amount ${value} does not match currency ${currency}`, {
+        code: 'CURRENCY_MISMATCH'
+      });
+    }
+    return value;
+  }
+  return new Money(value, currency || 'XOF');
+}
+
+export { Money, CURRENCIES, toMoney };
@@ -0,0 +1,124 @@
+/**
+ * Senegalese MSISDN normalization and validation
+ *
+ * Phone numbers are accepted in the usual input formats (`77 123 45 67`,
+ * `+221771234567`, `00221771234567`, `tel:+221...`) and normalized to
+ * E.164. Only Senegal mobile numbers are valid.
+ */
+
+import { SonatelValidationError } from './errors.js';
+
+const COUNTRY_CODE = '221';
+
+// Mobile prefixes and the operator they belong to
+const OPERATORS = {
+  70: 'expresso',
+  75: 'promobile',
+  76: 'free',
+  77: 'orange',
+  78: 'orange'
+};
+
+/**
+ * Parse a Senegalese mobile number
+ * @param {string|number} input - Phone number in any common format
+ * @returns {Object|null} { e164, international, national, prefix, operator, isOrange }, or null if invalid
+ */
+function parseMsisdn(input) {
+  if (input === undefined || input === null) {
+    return null;
+  }
+
+  let digits = String(input).trim().replace(/^tel:/i, '');
+  if (!/^\+?[\d\s().-]+$/.test(digits)) {
+    return null;
+  }
+
+  digits = digits.replace(/[\s().-]/g, '');
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.length === 9) {
+    digits = `${COUNTRY_CODE}${digits}`;
+  }
+
+  if (!digits.startsWith(COUNTRY_CODE) || digits.length !== 12) {
+    return null;
+  }
+
+  const national = digits.slice(COUNTRY_CODE.length);
+  const prefix = national.slice(0, 2);
+  const operator = OPERATORS[prefix];
+  if (!operator) {
+    return null;
+  }
+
+  return {
+    e164: `+${digits}`,
+    international: digits,
+    national,
+    prefix,
+    operator,
+    isOrange: operator === 'orange'
+  };
+}
+
+/**
+ * Check whether a value is a valid Senegalese mobile number
+ * @param {string|number} input - Phone number in any common format
+ * @returns {boolean} True if valid
+ */
+function isValidMsisdn(input) {
+  return parseMsisdn(input) !== null;
+}
+
+/**
+ * Normalize a Senegalese mobile number to E.164
+ * @param {string|number} input - Phone number in any common format
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.requireOrange=false] - Only accept Orange lines
+ * @param {string} [options.field='msisdn'] - Name of the field, used in error messages
+ * @returns {string} E.164 number, e.g. '+221771234567'
+ * @throws {SonatelValidationError} When the number is invalid
+ */
+function normalizeMsisdn(input, options = {}) {
+  return validateMsisdn(input, options).e164;
+}
+
+/**
+ * Parse a Senegalese mobile number, throwing when it is invalid
+ * @param {string|number} input - Phone number in any common format
+ * @param {Object} [options] - Validation options
+ * @param {boolean} [options.requireOrange=false] - Only accept Orange lines
+ * @param {string} [options.field='msisdn'] - Name of the field, used in error messages
+ * @returns {Object} Parsed number, see parseMsisdn
+ * @throws {SonatelValidationError} When the number is invalid
+ */
+function validateMsisdn(input, options = {}) {
+  const field = options.field || 'msisdn';
+  const parsed = parseMsisdn(input);
+
+  if (!parsed) {
+    throw new SonatelValidationError(
+      `Invalid ${field} "${input}": expected a Senegal mobile number (70, 75, 76, 77 or 78)`,
+      { code: 'INVALID_MSISDN' }
+    );
+  }
+
+  if (options.requireOrange && !parsed.isOrange) {
+    throw new SonatelValidationError(
+      `Invalid ${field} "${input}": ${parsed.operator} lines are not supported, an Orange number is required`,
+      { code: 'NON_ORANGE_MSISDN' }
+    );
+  }
+
+  return parsed;
+}
+
+export {
+  parseMsisdn,
+  isValidMsisdn,
+  normalizeMsisdn,
+  validateMsisdn
+};
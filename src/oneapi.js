@@ -0,0 +1,28 @@
+/**
+ * OneAPI resource helpers
+ *
+ * The SMS, USSD and Payment APIs identify resources by URL and phone
+ * numbers by `tel:` addresses. These helpers are shared by the result,
+ * webhook and subscription normalizers; they are not part of the public
+ * API.
+ */
+
+/**
+ * Take the last path segment of a resource URL
+ * @param {string} url - Resource URL
+ * @returns {string|null} Resource ID
+ */
+function lastSegment(url) {
+  return url ? String(url).split('/').pop() : null;
+}
+
+/**
+ * Remove the tel: prefix of an address
+ * @param {string} address - Address, e.g. 'tel:+221770000000'
+ * @returns {string|null} Phone number
+ */
+function stripTel(address) {
+  return address ? String(address).replace(/^tel:/, '') : null;
+}
+
+export { lastSegment, stripTel };
@@ -0,0 +1,168 @@
+/**
+ * Offset-based pagination helper
+ *
+ * Turns a page-fetching function into an async iterator that requests
+ * pages on demand, with an optional number of pages fetched ahead and a
+ * cursor that can be saved to resume a long export.
+ */
+
+/**
+ * Encode a pagination position
+ * @param {number} offset - Offset of the next item
+ * @returns {string} Opaque cursor
+ * @private
+ */
+function encodeCursor(offset) {
+  return btoa(JSON.stringify({ offset }));
+}
+
+/**
+ * Decode a pagination position
+ * @param {string} cursor - Cursor returned by Paginator#cursor
+ * @returns {number} Offset of the next item
+ * @private
+ */
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(atob(cursor));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (error) {
+    // Reported below
+  }
+  throw new Error(`Invalid pagination cursor: ${cursor}`);
+}
+
+/**
+ * Read the end-of-results markers of a list response
+ * @param {Object} [list] - List response, or the object holding the list in it
+ * @returns {Object} { total, hasMore }, each null when the response does not tell
+ */
+function readPageInfo(list) {
+  if (!list || typeof list !== 'object') {
+    return { total: null, hasMore: null };
+  }
+
+  const total = Number(list.totalCount === undefined ? list.total : list.totalCount);
+  let hasMore = null;
+  if (typeof list.hasMore === 'boolean') {
+    hasMore = list.hasMore;
+  } else if ('next' in list || (list.links && 'next' in list.links)) {
+    hasMore = Boolean(list.next || (list.links && list.links.next));
+  }
+
+  return { total: Number.isFinite(total) ? total : null, hasMore };
+}
+
+/**
+ * Convert a date filter to an ISO string
+ * @param {Date|string} [value] - Date or ISO string
+ * @returns {string|undefined} ISO string
+ */
+function toISODate(value) {
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+class Paginator {
+  /**
+   * Async iterator over paginated results
+   *
+   * Iteration ends on an empty page, or earlier when a page tells there
+   * is nothing more: `hasMore` false or `total` reached. A page shorter
+   * than requested does not end it, as the API may cap the page size.
+   * @param {Object} options - Pagination options
+   * @param {Function} options.fetchPage - Async function taking ({ offset, limit }) and resolving to an array of items,
+   *   or to { items, total, hasMore } (see readPageInfo)
+   * @param {number} [options.pageSize=50] - Number of items requested per page
+   * @param {number} [options.maxItems=Infinity] - Stop after this many items
+   * @param {number} [options.concurrency=1] - Number of pages fetched in parallel
+   * @param {string} [options.cursor] - Cursor to resume from, see Paginator#cursor
+   * @param {number} [options.offset=0] - Offset to start from when no cursor is given
+   */
+  constructor(options) {
+    this.fetchPage = options.fetchPage;
+    this.pageSize = options.pageSize || 50;
+    this.maxItems = options.maxItems || Infinity;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.offset = options.cursor ? decodeCursor(options.cursor) : options.offset || 0;
+    this.count = 0;
+  }
+
+  /**
+   * Cursor pointing after the last item yielded
+   *
+   * Save it and pass it back as `cursor` to resume an interrupted
+   * iteration.
+   * @returns {string} Opaque cursor
+   */
+  get cursor() {
+    return encodeCursor(this.offset);
+  }
+
+  /**
+   * Iterate over all items, fetching pages as needed
+   * @returns {AsyncGenerator<Object>} Items
+   */
+  async *[Symbol.asyncIterator]() {
+    let nextOffset = this.offset;
+    let exhausted = false;
+    let inflight = [];
+    // No page past maxItems is ever needed
+    let endOffset = this.offset + (this.maxItems - this.count);
+
+    const schedule = () => {
+      while (!exhausted && inflight.length < this.concurrency && nextOffset < endOffset) {
+        const offset = nextOffset;
+        const promise = Promise.resolve().then(() => this.fetchPage({ offset, limit: this.pageSize }));
+        // Pages fetched ahead may be discarded; keep their failures from going unhandled
+        promise.catch(() => {});
+        inflight.push({ offset, promise });
+        nextOffset += this.pageSize;
+      }
+    };
+
+    schedule();
+    while (inflight.length > 0 && this.count < this.maxItems) {
+      const { offset, promise } = inflight.shift();
+      const page = await promise;
+      const items = Array.isArray(page) ? page : [].concat((page && page.items) || []);
+      const { total, hasMore } = Array.isArray(page) ? { total: null, hasMore: null } : readPageInfo(page);
+
+      if (total !== null) {
+        endOffset = Math.min(endOffset, total);
+      }
+      if (items.length === 0 || hasMore === false || offset + items.length >= endOffset) {
+        exhausted = true;
+        inflight = [];
+      } else {
+        if (items.length < this.pageSize) {
+          // The pages fetched ahead start after a gap; fetch from the end of this one
+          inflight = [];
+          nextOffset = offset + items.length;
+        }
+        schedule();
+      }
+
+      for (let i = 0; i < items.length && this.count < this.maxItems; i++) {
+        this.offset = offset + i + 1;
+        this.count++;
+        yield items[i];
+      }
+    }
+  }
+
+  /**
+   * Fetch all remaining items
+   * @returns {Promise<Object[]>} Items
+   */
+  async collectAll() {
+    const items = [];
+    for await (const item of this) {
+      items.push(item);
+    }
+    return items;
+  }
+}
+
+export { Paginator, readPageInfo, toISODate };
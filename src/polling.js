@@ -0,0 +1,68 @@
+/**
+ * Status polling helper
+ *
+ * Repeatedly fetches a resource until its normalized status is final,
+ * used by the payment and SMS services to wait for asynchronous results.
+ */
+
+import { SonatelAbortError, SonatelTimeoutError } from './errors.js';
+import { sleep } from './retry.js';
+
+/**
+ * Poll a resource until it reaches a terminal status
+ * @param {Object} options - Polling options
+ * @param {Function} options.check - Async function resolving to `{ status, ... }`
+ * @param {Function} options.isTerminal - Returns true for final statuses
+ * @param {string} options.description - Resource description, used in error messages
+ * @param {number} [options.timeout=120000] - Maximum time to wait in milliseconds
+ * @param {number} [options.interval=2000] - Delay before the second check in milliseconds
+ * @param {number} [options.backoff=1.5] - Factor applied to the delay after each check
+ * @param {number} [options.maxInterval=15000] - Maximum delay between checks in milliseconds
+ * @param {AbortSignal} [options.signal] - Signal to stop polling
+ * @param {Function} [options.onStatusChange] - Called with (result, previousResult) when the status changes
+ * @returns {Promise<Object>} Last result, with a terminal status
+ * @throws {SonatelTimeoutError} When the timeout elapses first
+ * @throws {SonatelAbortError} When the signal is aborted
+ */
+async function pollUntilTerminal(options) {
+  const {
+    check,
+    isTerminal,
+    description,
+    timeout = 120000,
+    backoff = 1.5,
+    maxInterval = 15000,
+    signal,
+    onStatusChange
+  } = options;
+  const deadline = Date.now() + timeout;
+  let interval = options.interval || 2000;
+  let previous = null;
+
+  for (;;) {
+    if (signal && signal.aborted) {
+      throw new SonatelAbortError(`Waiting for ${description} was aborted`, { cause: signal.reason });
+    }
+
+    const result = await check({ signal });
+    if (onStatusChange && (!previous || previous.status !== result.status)) {
+      onStatusChange(result, previous);
+    }
+    if (isTerminal(result.status)) {
+      return result;
+    }
+    previous = result;
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new SonatelTimeoutError(`${description} did not reach a final status within ${timeout}ms`, {
+        body: result
+      });
+    }
+
+    await sleep(Math.min(interval, remaining), signal);
+    interval = Math.min(interval * backoff, maxInterval);
+  }
+}
+
+export { pollUntilTerminal };
@@ -0,0 +1,102 @@
+/**
+ * Token bucket rate limiter
+ *
+ * Allows bursts of up to `capacity` operations and a sustained rate of
+ * `rate` operations per second. Callers are served in arrival order.
+ */
+
+import { SonatelAbortError } from './errors.js';
+
+class TokenBucket {
+  /**
+   * Create a full token bucket
+   * @param {Object} options - Bucket options
+   * @param {number} options.rate - Tokens added per second
+   * @param {number} [options.capacity] - Maximum number of tokens (defaults to rate)
+   */
+  constructor(options) {
+    if (!options || !(options.rate > 0)) {
+      throw new Error('Rate must be a positive number');
+    }
+
+    this.rate = options.rate;
+    this.capacity = options.capacity || Math.max(1, options.rate);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Add the tokens accumulated since the last update
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token without waiting
+   * @returns {boolean} True if a token was available
+   */
+  tryTake() {
+    this._refill();
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+
+  /**
+   * Time until a token is available
+   * @returns {number} Milliseconds, 0 if a token is available now
+   */
+  waitTime() {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+
+  /**
+   * Take a token, waiting until one is available
+   *
+   * The token is reserved immediately, so concurrent callers queue up in
+   * order instead of racing for the next token.
+   * @param {AbortSignal} [signal] - Signal to stop waiting
+   * @returns {Promise<number>} Time waited in milliseconds
+   * @throws {SonatelAbortError} When the signal is aborted while waiting
+   */
+  take(signal) {
+    this._refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) {
+      return Promise.resolve(0);
+    }
+
+    const wait = Math.ceil((-this.tokens / this.rate) * 1000);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        // Give the reserved token back
+        this.tokens += 1;
+        reject(new SonatelAbortError('Waiting for rate limit was aborted', { cause: signal.reason }));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve(wait);
+      }, wait);
+
+      if (signal) {
+        if (signal.aborted) {
+          onAbort();
+          return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+export { TokenBucket };
@@ -0,0 +1,444 @@
+/**
+ * Payment reconciliation
+ *
+ * Matches the payments and refunds of the transaction history against
+ * the caller's own records (orders), flags the discrepancies and
+ * computes the net settlement per currency. Reports can be exported as
+ * CSV or JSON. Amounts are compared and summed as integer minor units.
+ */
+
+import { Money, toMoney } from './money.js';
+import { PaymentStatus, normalizePaymentStatus } from './status.js';
+import { SonatelValidationError } from './errors.js';
+
+const ReconciliationIssue = Object.freeze({
+  MISSING_PAYMENT: 'MISSING_PAYMENT',
+  MISSING_RECORD: 'MISSING_RECORD',
+  DUPLICATE_PAYMENT: 'DUPLICATE_PAYMENT',
+  DUPLICATE_RECORD: 'DUPLICATE_RECORD',
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  INVALID_AMOUNT: 'INVALID_AMOUNT',
+  REFUND_WITHOUT_PAYMENT: 'REFUND_WITHOUT_PAYMENT'
+});
+
+const CSV_COLUMNS = [
+  'result',
+  'orderId',
+  'paymentId',
+  'transactionId',
+  'expectedAmount',
+  'actualAmount',
+  'currency',
+  'transactionStatus',
+  'createdAt',
+  'message'
+];
+
+/**
+ * Format a value as a CSV field
+ *
+ * Text starting with =, +, - or @ is prefixed with a quote so that
+ * spreadsheets do not evaluate it as a formula.
+ * @param {any} value - Field value
+ * @returns {string} CSV field
+ * @private
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read the amount of a transaction
+ * @param {Object} transaction - Transaction of the history
+ * @returns {Money} Amount, in XOF when the transaction has no currency
+ * @throws {SonatelValidationError} When the amount or currency is invalid
+ * @private
+ */
+function transactionAmount(transaction) {
+  return toMoney(transaction.amount, transaction.currency || undefined);
+}
+
+/**
+ * Check the amount of a successful transaction
+ * @param {Object} transaction - Transaction of the history
+ * @param {Object[]} issues - Issues of the report, to which an INVALID_AMOUNT issue is added
+ * @param {Object} [entry] - { record, payments } entry of the record the transaction matches
+ * @returns {boolean} True if the amount and currency are valid
+ * @private
+ */
+function checkAmount(transaction, issues, entry) {
+  try {
+    transactionAmount(transaction);
+    return true;
+  } catch (error) {
+    if (!(error instanceof SonatelValidationError)) {
+      throw error;
+    }
+
+    const name = transaction.type === 'refund'
+      ? `Refund ${transaction.refundId || transaction.transactionId}`
+      : `Payment ${transaction.paymentId}`;
+    const issue = {
+      type: ReconciliationIssue.INVALID_AMOUNT,
+      ...describeTransaction(transaction, null),
+      expectedAmount: null,
+      message: `${name} cannot be reconciled: ${error.message}`
+    };
+    if (transaction.type === 'refund') {
+      issue.refundId = transaction.refundId || null;
+    }
+    if (entry) {
+      issue.orderId = entry.record.orderId || issue.orderId;
+      issue.record = entry.record;
+    }
+    issues.push(issue);
+    return false;
+  }
+}
+
+/**
+ * Read the amount of a record
+ * @param {Object} record - Caller's record
+ * @param {string} [currency] - Currency of plain amounts when the record has none (defaults to XOF)
+ * @returns {Money} Amount
+ * @throws {SonatelValidationError} When the amount or currency is invalid
+ * @private
+ */
+function recordAmount(record, currency) {
+  if (record.currency || record.amount instanceof Money) {
+    return toMoney(record.amount, record.currency || undefined);
+  }
+  return toMoney(record.amount, currency);
+}
+
+/**
+ * Add an amount to the settlement totals of its currency
+ * @param {Map} totals - Totals in minor units by currency
+ * @param {Object} transaction - Successful payment or refund
+ * @private
+ */
+function addToSettlement(totals, transaction) {
+  const amount = transactionAmount(transaction);
+  if (!totals.has(amount.currency)) {
+    totals.set(amount.currency, { paymentCount: 0, paymentTotal: 0, refundCount: 0, refundTotal: 0 });
+  }
+
+  const entry = totals.get(amount.currency);
+  if (transaction.type === 'refund') {
+    entry.refundCount += 1;
+    entry.refundTotal += amount.minor;
+  } else {
+    entry.paymentCount += 1;
+    entry.paymentTotal += amount.minor;
+  }
+}
+
+/**
+ * Convert the settlement totals to major units
+ * @param {Map} totals - Totals in minor units by currency
+ * @returns {Object[]} { currency, paymentCount, paymentTotal, refundCount, refundTotal, net } per currency
+ * @private
+ */
+function settlementTotals(totals) {
+  return [...totals].map(([currency, entry]) => {
+    const scale = 10 ** Money.currency(currency).decimals;
+    return {
+      currency,
+      paymentCount: entry.paymentCount,
+      paymentTotal: entry.paymentTotal / scale,
+      refundCount: entry.refundCount,
+      refundTotal: entry.refundTotal / scale,
+      net: (entry.paymentTotal - entry.refundTotal) / scale
+    };
+  });
+}
+
+class ReconciliationReport {
+  /**
+   * Result of a reconciliation
+   * @param {Object} data - Report data
+   * @param {Object[]} data.matched - Records matched to a successful payment of the same amount
+   * @param {Object[]} data.issues - Discrepancies, each with a `type` from ReconciliationIssue
+   * @param {Object[]} data.settlement - Net settlement per currency
+   * @param {Object} [data.period] - { startDate, endDate } of the transactions
+   * @param {number} data.transactionCount - Number of transactions reconciled
+   * @param {number} data.recordCount - Number of records reconciled
+   */
+  constructor(data) {
+    this.generatedAt = new Date();
+    this.period = data.period || null;
+    this.matched = data.matched;
+    this.issues = data.issues;
+    this.settlement = data.settlement;
+    this.transactionCount = data.transactionCount;
+    this.recordCount = data.recordCount;
+  }
+
+  /**
+   * Count the matched records and the issues of each type
+   * @returns {Object} { transactions, records, matched, issues, MISSING_PAYMENT, ... }
+   */
+  get summary() {
+    const summary = {
+      transactions: this.transactionCount,
+      records: this.recordCount,
+      matched: this.matched.length,
+      issues: this.issues.length
+    };
+    Object.values(ReconciliationIssue).forEach(type => {
+      summary[type] = this.issues.filter(issue => issue.type === type).length;
+    });
+    return summary;
+  }
+
+  /**
+   * Check whether every record and transaction was matched
+   * @returns {boolean} True if there are no issues
+   */
+  get balanced() {
+    return this.issues.length === 0;
+  }
+
+  /**
+   * Export the report as CSV, one row per matched record or issue
+   * @param {Object} [options] - Export options
+   * @param {boolean} [options.issuesOnly=false] - Leave out the matched records
+   * @param {string} [options.delimiter=','] - Field delimiter
+   * @returns {string} CSV with a header row
+   */
+  toCSV(options = {}) {
+    const delimiter = options.delimiter || ',';
+    const entries = options.issuesOnly ? this.issues : [...this.matched, ...this.issues];
+    const rows = entries.map(entry => [
+      entry.type || 'matched',
+      entry.orderId,
+      entry.paymentId,
+      entry.transactionId,
+      entry.expectedAmount,
+      entry.actualAmount,
+      entry.currency,
+      entry.transactionStatus,
+      entry.createdAt,
+      entry.message
+    ].map(csvField).join(delimiter));
+
+    return [CSV_COLUMNS.join(delimiter), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Plain representation of the report, used by JSON.stringify
+   * @returns {Object} { generatedAt, period, summary, settlement, matched, issues }
+   */
+  toJSON() {
+    return {
+      generatedAt: this.generatedAt.toISOString(),
+      period: this.period,
+      summary: this.summary,
+      settlement: this.settlement,
+      matched: this.matched,
+      issues: this.issues
+    };
+  }
+}
+
+/**
+ * Describe a transaction for a report entry
+ * @param {Object} transaction - Transaction of the history
+ * @param {Money|null} [amount] - Amount of the transaction, null when it is invalid
+ * @returns {Object} Report entry fields
+ * @private
+ */
+function describeTransaction(transaction, amount = transactionAmount(transaction)) {
+  return {
+    orderId: transaction.orderId || null,
+    paymentId: transaction.paymentId || null,
+    transactionId: transaction.transactionId || null,
+    actualAmount: amount ? amount.amount : null,
+    currency: transaction.currency || null,
+    transactionStatus: transaction.status || null,
+    createdAt: transaction.createdAt instanceof Date ? transaction.createdAt.toISOString() : transaction.createdAt || null
+  };
+}
+
+/**
+ * Name a record in messages
+ * @param {Object} record - Caller's record
+ * @returns {string} e.g. 'order A-42' or 'payment pay-1'
+ * @private
+ */
+function describeRecord(record) {
+  return record.paymentId ? `payment ${record.paymentId}` : `order ${record.orderId}`;
+}
+
+/**
+ * Reconcile transactions against the caller's records
+ *
+ * A record matches a payment by `paymentId` when it has one, otherwise by
+ * `orderId`. Only successful payments and refunds are matched and
+ * counted in the settlement; transactions listed twice with the same
+ * `transactionId` are counted once. Amounts can be numbers, strings or
+ * Money; plain amounts without a currency are read in the currency of
+ * the payment they are compared with, or as XOF. Successful transactions
+ * with an invalid amount or currency are reported as INVALID_AMOUNT
+ * issues, and left out of the matching and the settlement.
+ * @param {Object[]} transactions - Payments and refunds of the history, normalized or as listed by the API
+ * @param {Iterable<Object>} records - Caller's records, with `orderId` and/or `paymentId`, `amount` and optional `currency`
+ * @param {Object} [options] - Reconciliation options
+ * @param {Object} [options.period] - { startDate, endDate } recorded in the report
+ * @returns {ReconciliationReport} Matched records, issues and settlement
+ * @throws {SonatelValidationError} When the amount or currency of a record is invalid
+ */
+function reconcileTransactions(transactions, records, options = {}) {
+  const issues = [];
+  const matched = [];
+  const settlement = new Map();
+
+  const unique = new Map();
+  transactions.forEach(transaction => {
+    const key = transaction.transactionId || `${transaction.type}:${transaction.refundId || transaction.paymentId}`;
+    if (!unique.has(key)) {
+      unique.set(key, transaction);
+    }
+  });
+
+  const entries = [];
+  const byPaymentId = new Map();
+  const byOrderId = new Map();
+  for (const record of records) {
+    const id = record.paymentId || record.orderId;
+    if (!id) {
+      throw new Error('Records need an orderId or a paymentId');
+    }
+    const index = record.paymentId ? byPaymentId : byOrderId;
+    if (index.has(id)) {
+      issues.push({
+        type: ReconciliationIssue.DUPLICATE_RECORD,
+        orderId: record.orderId || null,
+        paymentId: record.paymentId || null,
+        expectedAmount: recordAmount(record).amount,
+        record,
+        message: `${describeRecord(record)} is listed more than once`
+      });
+      continue;
+    }
+    const entry = { record, payments: [] };
+    index.set(id, entry);
+    entries.push(entry);
+  }
+
+  const paymentIds = new Set();
+  const refunds = [];
+  let transactionCount = 0;
+  unique.forEach(transaction => {
+    transactionCount += 1;
+    if (transaction.type === 'refund') {
+      refunds.push(transaction);
+      return;
+    }
+
+    paymentIds.add(transaction.paymentId);
+    if (normalizePaymentStatus(transaction.status) !== PaymentStatus.SUCCESS) {
+      return;
+    }
+
+    const entry = byPaymentId.get(transaction.paymentId) || (transaction.orderId && byOrderId.get(transaction.orderId));
+    if (!checkAmount(transaction, issues, entry)) {
+      if (entry) {
+        entry.invalid = true;
+      }
+      return;
+    }
+    addToSettlement(settlement, transaction);
+    if (entry) {
+      entry.payments.push(transaction);
+      return;
+    }
+    issues.push({
+      type: ReconciliationIssue.MISSING_RECORD,
+      ...describeTransaction(transaction),
+      expectedAmount: null,
+      message: `Payment ${transaction.paymentId} has no matching record`
+    });
+  });
+
+  entries.forEach(({ record, payments, invalid }) => {
+    const expected = recordAmount(record, payments.length ? transactionAmount(payments[0]).currency : undefined);
+    const recordFields = {
+      orderId: record.orderId || null,
+      paymentId: record.paymentId || null,
+      expectedAmount: expected.amount,
+      record
+    };
+
+    if (payments.length === 0) {
+      if (invalid) {
+        return;
+      }
+      issues.push({
+        type: ReconciliationIssue.MISSING_PAYMENT,
+        ...recordFields,
+        actualAmount: null,
+        currency: record.currency || (record.amount instanceof Money ? record.amount.currency : null),
+        message: `No successful payment for ${describeRecord(record)}`
+      });
+      return;
+    }
+
+    const [payment, ...duplicates] = payments;
+    const fields = { ...recordFields, ...describeTransaction(payment), orderId: record.orderId || payment.orderId || null };
+    const actual = transactionAmount(payment);
+    if (!actual.equals(expected)) {
+      issues.push({
+        type: ReconciliationIssue.AMOUNT_MISMATCH,
+        ...fields,
+        message: `Paid ${actual}, expected ${expected}`
+      });
+    } else {
+      matched.push(fields);
+    }
+
+    duplicates.forEach(duplicate => {
+      issues.push({
+        type: ReconciliationIssue.DUPLICATE_PAYMENT,
+        ...recordFields,
+        ...describeTransaction(duplicate),
+        orderId: record.orderId || duplicate.orderId || null,
+        message: `Payment ${duplicate.paymentId} duplicates payment ${payment.paymentId}`
+      });
+    });
+  });
+
+  refunds.forEach(refund => {
+    if (normalizePaymentStatus(refund.status) !== PaymentStatus.SUCCESS || !checkAmount(refund, issues)) {
+      return;
+    }
+    addToSettlement(settlement, refund);
+    if (!paymentIds.has(refund.paymentId)) {
+      issues.push({
+        type: ReconciliationIssue.REFUND_WITHOUT_PAYMENT,
+        ...describeTransaction(refund),
+        expectedAmount: null,
+        refundId: refund.refundId || null,
+        message: `Refund ${refund.refundId || refund.transactionId} of payment ${refund.paymentId} has no payment in the period`
+      });
+    }
+  });
+
+  return new ReconciliationReport({
+    period: options.period,
+    matched,
+    issues,
+    settlement: settlementTotals(settlement),
+    transactionCount,
+    recordCount: entries.length
+  });
+}
+
+export { ReconciliationIssue, ReconciliationReport, reconcileTransactions };
@@ -0,0 +1,104 @@
+/**
+ * Registry of named Sonatel clients
+ *
+ * Keeps one client per account (e.g. one per merchant). Each client has
+ * its own credentials and token cache, so the accounts never share a
+ * token.
+ */
+
+import { configFromEnv, envPrefix } from './config.js';
+import { getEnv } from './runtime.js';
+
+class ClientRegistry {
+  /**
+   * Create a client registry
+   * @param {Function} createClient - Creates a client from a configuration
+   */
+  constructor(createClient) {
+    this.createClient = createClient;
+    this.clients = new Map();
+  }
+
+  /**
+   * Create and register a client
+   * @param {string} name - Client name, e.g. 'merchantA'
+   * @param {Object} config - Client configuration, see Sonatel.createClient
+   * @returns {Object} The new client
+   * @throws {Error} When a client is already registered under this name
+   */
+  register(name, config) {
+    if (this.clients.has(name)) {
+      throw new Error(`Sonatel client ${name} is already registered`);
+    }
+    const client = this.createClient(config);
+    this.clients.set(name, client);
+    return client;
+  }
+
+  /**
+   * Get a registered client
+   *
+   * A client that is not registered is created from its environment
+   * variables when they are set: `SONATEL_CLIENT_ID`... for 'default',
+   * `SONATEL_MERCHANTA_CLIENT_ID`... for 'merchantA'.
+   * @param {string} [name='default'] - Client name
+   * @returns {Object} Client
+   * @throws {Error} When no client is registered or configured under this name
+   */
+  get(name = 'default') {
+    if (this.clients.has(name)) {
+      return this.clients.get(name);
+    }
+
+    const config = configFromEnv(getEnv(), { prefix: envPrefix(name) });
+    if (!config.clientId) {
+      throw new Error(`Unknown Sonatel client: ${name}`);
+    }
+    return this.register(name, config);
+  }
+
+  /**
+   * Check whether a client is registered
+   * @param {string} name - Client name
+   * @returns {boolean} True if the client is registered
+   */
+  has(name) {
+    return this.clients.has(name);
+  }
+
+  /**
+   * Unregister a client
+   *
+   * Requests already made by the client still complete.
+   * @param {string} name - Client name
+   * @returns {boolean} True if a client was removed
+   */
+  remove(name) {
+    return this.clients.delete(name);
+  }
+
+  /**
+   * List the registered clients
+   * @returns {string[]} Client names
+   */
+  names() {
+    return [...this.clients.keys()];
+  }
+
+  /**
+   * Register the clients of a configuration
+   * @param {Object} config - Configuration
+   * @param {Object} [config.defaults] - Options shared by all clients
+   * @param {Object} config.clients - Client configurations by name
+   * @returns {string[]} Names of the registered clients
+   */
+  configure(config) {
+    const defaults = config.defaults || {};
+    return Object.entries(config.clients || {}).map(([name, clientConfig]) => {
+      this.register(name, { ...defaults, ...clientConfig });
+      return name;
+    });
+  }
+}
+
+export { ClientRegistry };
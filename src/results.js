@@ -0,0 +1,304 @@
+/**
+ * Result normalization for the Orange Sonatel API
+ *
+ * Service methods return flat result objects rather than the OneAPI
+ * envelopes of the API: IDs are extracted from resource URLs, statuses
+ * are mapped to PaymentStatus and DeliveryStatus, and amounts and dates
+ * are parsed. The response body stays available in `raw`, and each item
+ * of a listing keeps its API shape in its own `raw`.
+ */
+
+import { readPageInfo } from './pagination.js';
+import { lastSegment, stripTel } from './oneapi.js';
+import {
+  DeliveryStatus,
+  normalizeDeliveryStatus,
+  normalizePaymentStatus,
+  isTerminalDeliveryStatus
+} from './status.js';
+
+/**
+ * Parse an amount
+ * @param {number|string} amount - Amount as returned by the API
+ * @returns {number|null} Amount in major units
+ * @private
+ */
+function toAmount(amount) {
+  if (amount === undefined || amount === null || amount === '') {
+    return null;
+  }
+  const value = Number(amount);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parse a date
+ * @param {string} value - ISO 8601 date as returned by the API
+ * @returns {Date|null} Date
+ * @private
+ */
+function toDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether a service method should return the response body as is
+ *
+ * The `raw` request option takes precedence over the `rawResponses`
+ * option of the client.
+ * @param {SonatelAPI} api - API client
+ * @param {Object} [requestOptions] - Per-call request options
+ * @returns {boolean} True if results should not be normalized
+ */
+function wantsRaw(api, requestOptions = {}) {
+  return requestOptions.raw === undefined ? Boolean(api.rawResponses) : Boolean(requestOptions.raw);
+}
+
+/**
+ * Combine the delivery statuses of the recipients of a message
+ *
+ * A message is final once every recipient is; any failure wins over
+ * DELIVERED.
+ * @param {Object[]} deliveries - Deliveries with a normalized status
+ * @param {string} [fallback=PENDING] - Status when there are no deliveries
+ * @returns {string} One of DeliveryStatus
+ * @private
+ */
+function combineDeliveries(deliveries, fallback = DeliveryStatus.PENDING) {
+  const pending = deliveries.find(delivery => !isTerminalDeliveryStatus(delivery.status));
+  const failed = deliveries.find(delivery => delivery.status !== DeliveryStatus.DELIVERED);
+  if (pending) {
+    return pending.status;
+  }
+  if (deliveries.length > 0) {
+    return failed ? failed.status : DeliveryStatus.DELIVERED;
+  }
+  return fallback;
+}
+
+/**
+ * Normalize the deliveries of a deliveryInfoList
+ * @param {Object} [list] - deliveryInfoList of a response
+ * @returns {Object[]} { address, status, deliveryStatus } per recipient
+ * @private
+ */
+function normalizeDeliveries(list) {
+  return [].concat((list && list.deliveryInfo) || []).map(info => ({
+    address: stripTel(info.address),
+    status: normalizeDeliveryStatus(info.deliveryStatus),
+    deliveryStatus: info.deliveryStatus
+  }));
+}
+
+/**
+ * Normalize the response of an outbound SMS or USSD message
+ * @param {Object} body - Response body
+ * @param {string} wrapper - Name of the envelope property, e.g. 'outboundSMSMessageRequest'
+ * @returns {Object} { id, status, recipient, raw }, status being PENDING until the API reports a delivery
+ */
+function normalizeOutboundMessage(body, wrapper) {
+  const request = (body && body[wrapper]) || {};
+  const resourceReference = (body && body.resourceReference) || {};
+  const address = [].concat(request.address || [])[0];
+
+  return {
+    id: request.messageId || lastSegment(request.resourceURL) || lastSegment(resourceReference.resourceURL),
+    status: combineDeliveries(normalizeDeliveries(request.deliveryInfoList)),
+    recipient: stripTel(address),
+    raw: body
+  };
+}
+
+/**
+ * Normalize a delivery status response
+ * @param {string} messageId - Message ID
+ * @param {Object} body - Response body with a deliveryInfoList
+ * @returns {Object} { id, messageId, status, deliveries, raw }
+ */
+function normalizeDeliveryInfo(messageId, body) {
+  const deliveries = normalizeDeliveries(body && body.deliveryInfoList);
+
+  return {
+    id: messageId,
+    messageId,
+    status: combineDeliveries(deliveries),
+    deliveries,
+    raw: body
+  };
+}
+
+/**
+ * Normalize a payment, as returned by requestPayment or checkPaymentStatus
+ * @param {Object} body - Response body
+ * @param {string} [paymentId] - Payment ID, when the body may not hold it
+ * @returns {Object} { paymentId, status, rawStatus, amount, currency, createdAt, orderId, transactionId, raw }
+ */
+function normalizePayment(body, paymentId) {
+  const payment = (body && (body.payment || body.requestPayment)) || body || {};
+  const resourceReference = (body && body.resourceReference) || {};
+  const rawStatus = payment.status || payment.paymentStatus || payment.transactionStatus || null;
+
+  return {
+    paymentId: payment.paymentId || paymentId || lastSegment(resourceReference.resourceURL),
+    status: normalizePaymentStatus(rawStatus),
+    rawStatus,
+    amount: toAmount(payment.amount),
+    currency: payment.currency || null,
+    createdAt: toDate(payment.createdAt),
+    orderId: payment.orderId || null,
+    transactionId: payment.transactionId || null,
+    raw: body
+  };
+}
+
+/**
+ * Normalize a refund
+ * @param {Object} body - Response body
+ * @param {string} paymentId - ID of the refunded payment
+ * @returns {Object} { refundId, paymentId, status, rawStatus, amount, currency, createdAt, transactionId, raw }
+ */
+function normalizeRefund(body, paymentId) {
+  const refund = (body && body.refundPayment) || body || {};
+  const resourceReference = (body && body.resourceReference) || {};
+  const rawStatus = refund.status || null;
+
+  return {
+    refundId: refund.refundId || lastSegment(resourceReference.resourceURL),
+    paymentId: refund.paymentId || paymentId,
+    status: normalizePaymentStatus(rawStatus),
+    rawStatus,
+    amount: toAmount(refund.amount),
+    currency: refund.currency || null,
+    createdAt: toDate(refund.createdAt),
+    transactionId: refund.transactionId || null,
+    raw: body
+  };
+}
+
+/**
+ * Normalize a transaction of the payment history
+ * @param {Object} item - Transaction as listed by the API
+ * @returns {Object} { type, paymentId, refundId, status, rawStatus, amount, currency, createdAt, orderId, transactionId, raw }
+ */
+function normalizeTransaction(item) {
+  const rawStatus = item.status || item.transactionStatus || null;
+
+  return {
+    type: item.type === 'refund' || (!item.type && item.refundId) ? 'refund' : 'payment',
+    paymentId: item.paymentId || null,
+    refundId: item.refundId || null,
+    status: normalizePaymentStatus(rawStatus),
+    rawStatus,
+    amount: toAmount(item.amount),
+    currency: item.currency || null,
+    createdAt: toDate(item.createdAt),
+    orderId: item.orderId || null,
+    transactionId: item.transactionId || null,
+    raw: item
+  };
+}
+
+/**
+ * Normalize a page of the payment history
+ * @param {Object|Object[]} body - Response body
+ * @returns {Object} { transactions, total, hasMore, raw }, total and hasMore being null when the API does not tell
+ */
+function normalizeTransactionList(body) {
+  const list = Array.isArray(body) ? body : body && (body.transactions || body.transactionList || body.items);
+
+  return {
+    transactions: [].concat(list || []).map(normalizeTransaction),
+    ...readPageInfo(body),
+    raw: body
+  };
+}
+
+/**
+ * Normalize a message of the sent SMS history
+ * @param {Object} item - Message as listed by the API
+ * @returns {Object} { id, status, deliveryStatus, recipients, senderAddress, message, createdAt, raw }
+ */
+function normalizeHistoryMessage(item) {
+  const deliveryStatus = item.deliveryStatus || null;
+  const text = item.outboundSMSTextMessage ? item.outboundSMSTextMessage.message : item.message;
+
+  return {
+    id: item.messageId || lastSegment(item.resourceURL),
+    status: deliveryStatus
+      ? normalizeDeliveryStatus(deliveryStatus)
+      : combineDeliveries(normalizeDeliveries(item.deliveryInfoList)),
+    deliveryStatus,
+    recipients: [].concat(item.address || []).map(stripTel),
+    senderAddress: stripTel(item.senderAddress),
+    message: text === undefined ? null : text,
+    createdAt: toDate(item.createdAt),
+    raw: item
+  };
+}
+
+/**
+ * Normalize a page of the sent SMS history
+ * @param {Object|Object[]} body - Response body
+ * @returns {Object} { messages, total, hasMore, raw }, total and hasMore being null when the API does not tell
+ */
+function normalizeMessageList(body) {
+  const list = Array.isArray(body) ? { outboundSMSMessage: body } : (body && body.outboundSMSMessageList) || body || {};
+
+  return {
+    messages: [].concat(list.outboundSMSMessage || list.messages || []).map(normalizeHistoryMessage),
+    ...readPageInfo(list),
+    raw: body
+  };
+}
+
+/**
+ * Normalize the response to an inbound USSD message
+ * @param {Object} body - Response body
+ * @param {Object} sent - Response that was sent: { sessionId, address, message, endSession }
+ * @returns {Object} { sessionId, address, message, endSession, raw }
+ */
+function normalizeInboundResponse(body, sent) {
+  const request = (body && body.inboundUSSDMessageRequest) || {};
+  const message = request.inboundUSSDMessage ? request.inboundUSSDMessage.message : sent.message;
+
+  return {
+    sessionId: request.sessionId || sent.sessionId,
+    address: stripTel(request.address) || sent.address,
+    message,
+    endSession: request.ussdSessionTermination === undefined ? sent.endSession : Boolean(request.ussdSessionTermination),
+    raw: body
+  };
+}
+
+/**
+ * Normalize an account balance
+ * @param {Object} body - Response body
+ * @returns {Object} { amount, currency, raw }
+ */
+function normalizeBalance(body) {
+  const balance = (body && body.balance) || body || {};
+
+  return {
+    amount: toAmount(balance.amount),
+    currency: balance.currency || null,
+    raw: body
+  };
+}
+
+export {
+  wantsRaw,
+  normalizeOutboundMessage,
+  normalizeDeliveryInfo,
+  normalizePayment,
+  normalizeRefund,
+  normalizeBalance,
+  normalizeTransaction,
+  normalizeTransactionList,
+  normalizeHistoryMessage,
+  normalizeMessageList,
+  normalizeInboundResponse
+};
@@ -0,0 +1,154 @@
+/**
+ * Retry policy for the Orange Sonatel API client
+ *
+ * Decides whether a failed request may be sent again and how long to
+ * wait before the next attempt.
+ */
+
+import { SonatelNetworkError, parseRetryAfter } from './errors.js';
+
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 300,
+  maxDelay: 10000,
+  jitter: true,
+  retryStatuses: [408, 429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+  respectRetryAfter: true,
+  idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  onRetry: null
+};
+
+/**
+ * Merge retry settings into a complete policy
+ *
+ * `false` disables retries, `true` or `undefined` keeps the base policy.
+ * @param {Object} base - Base policy
+ * @param {Object|boolean} [overrides] - Retry settings to apply
+ * @returns {Object} Retry policy
+ */
+function resolveRetryPolicy(base, overrides) {
+  if (overrides === false) {
+    return { ...base, maxAttempts: 1 };
+  }
+  if (!overrides || overrides === true) {
+    return { ...base };
+  }
+  return { ...base, ...overrides };
+}
+
+/**
+ * Check whether a request carries an idempotency key header
+ * @param {Object} headers - Request headers
+ * @returns {boolean} True if an idempotency key is present
+ */
+function hasIdempotencyKey(headers = {}) {
+  return Object.keys(headers).some(name => name.toLowerCase() === 'idempotency-key' && headers[name]);
+}
+
+/**
+ * Get the delay requested by the API with a Retry-After header
+ * @param {Object} policy - Retry policy
+ * @param {Error} error - Error raised by the last attempt
+ * @returns {number|null} Delay in milliseconds, or null if not set or not honored
+ */
+function getRetryAfter(policy, error) {
+  if (!policy.respectRetryAfter || !error || !error.headers) {
+    return null;
+  }
+  return parseRetryAfter(error.headers['retry-after']);
+}
+
+/**
+ * Check whether a request may be retried after the given error
+ *
+ * A request is not retried when the API asks to wait longer than
+ * `maxDelay` with Retry-After: the error is raised instead, so that the
+ * caller does not retry earlier than allowed.
+ * @param {Object} policy - Retry policy
+ * @param {Object} request - Request description
+ * @param {string} request.method - HTTP method
+ * @param {Object} request.headers - Request headers
+ * @param {Error} error - Error raised by the last attempt
+ * @returns {boolean} True if the request may be sent again
+ */
+function isRetryable(policy, { method, headers }, error) {
+  const safe = policy.idempotentMethods.includes(method) ||
+    (method === 'POST' && hasIdempotencyKey(headers));
+  if (!safe) {
+    return false;
+  }
+
+  if (error instanceof SonatelNetworkError) {
+    return policy.retryNetworkErrors;
+  }
+
+  if (!error || !error.status || !policy.retryStatuses.includes(error.status)) {
+    return false;
+  }
+
+  const retryAfter = getRetryAfter(policy, error);
+  return retryAfter === null || retryAfter <= policy.maxDelay;
+}
+
+/**
+ * Compute the delay before the next attempt
+ *
+ * Uses exponential backoff capped at `maxDelay`, with full jitter when
+ * enabled. A Retry-After value sent by the API is used as is.
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Error} error - Error raised by the last attempt
+ * @returns {number} Delay in milliseconds
+ */
+function computeRetryDelay(policy, attempt, error) {
+  const retryAfter = getRetryAfter(policy, error);
+  if (retryAfter !== null) {
+    return retryAfter;
+  }
+
+  const exponential = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return policy.jitter ? Math.round(Math.random() * exponential) : exponential;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ *
+ * Resolves early when the signal is aborted; callers check the signal
+ * afterwards.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Signal that cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      resolve();
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+export {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  hasIdempotencyKey,
+  getRetryAfter,
+  isRetryable,
+  computeRetryDelay,
+  sleep
+};
@@ -0,0 +1,79 @@
+/**
+ * Runtime detection for the Orange Sonatel API client
+ *
+ * The client only relies on web-standard globals (fetch, AbortController,
+ * URLSearchParams, Web Crypto), which Node 18+, Deno, Bun and Cloudflare
+ * Workers all provide. These helpers find the fetch implementation to use and name
+ * the runtime in error messages.
+ */
+
+/**
+ * Detect the JavaScript runtime
+ * @returns {string} 'node', 'deno', 'bun', 'workerd' (Cloudflare Workers), 'browser' or 'unknown'
+ */
+function detectRuntime() {
+  if (typeof globalThis.Deno !== 'undefined') {
+    return 'deno';
+  }
+  if (typeof globalThis.Bun !== 'undefined') {
+    return 'bun';
+  }
+  if (typeof globalThis.navigator !== 'undefined' && globalThis.navigator.userAgent === 'Cloudflare-Workers') {
+    return 'workerd';
+  }
+  if (typeof globalThis.process !== 'undefined' && globalThis.process.versions && globalThis.process.versions.node) {
+    return 'node';
+  }
+  if (typeof globalThis.window !== 'undefined') {
+    return 'browser';
+  }
+  return 'unknown';
+}
+
+/**
+ * Find the fetch implementation to use
+ *
+ * The global fetch is looked up on every call, so that it can be
+ * replaced after the client is created (e.g. by test mocks).
+ * @param {Function} [custom] - fetch implementation given in the config
+ * @returns {Function} fetch implementation
+ * @throws {Error} When no fetch implementation is available
+ */
+function resolveFetch(custom) {
+  if (custom) {
+    return custom;
+  }
+  if (typeof globalThis.fetch === 'function') {
+    return globalThis.fetch;
+  }
+
+  const runtime = detectRuntime();
+  const version = runtime === 'node' ? ` ${globalThis.process.versions.node}` : '';
+  throw new Error(
+    `fetch is not available in this runtime (${runtime}${version}): use Node 18 or later, or pass a fetch implementation in the config`
+  );
+}
+
+/**
+ * Read the environment variables of the current process
+ *
+ * Cloudflare Workers have no process environment: their bindings must be
+ * passed explicitly to the functions that read variables.
+ * @returns {Object} Variables by name, empty when the runtime has none
+ */
+function getEnv() {
+  if (typeof globalThis.process !== 'undefined' && globalThis.process.env) {
+    return globalThis.process.env;
+  }
+  if (typeof globalThis.Deno !== 'undefined') {
+    try {
+      return globalThis.Deno.env.toObject();
+    } catch (error) {
+      // --allow-env was not granted
+      return {};
+    }
+  }
+  return {};
+}
+
+export { detectRuntime, resolveFetch, getEnv };
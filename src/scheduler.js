@@ -0,0 +1,316 @@
+/**
+ * Client-side rate limiting for the Orange Sonatel API
+ *
+ * Sonatel enforces per-application TPS quotas. The scheduler keeps the
+ * client under them with a token bucket per group of endpoints (by
+ * default, per service), bounds the number of requests in flight and
+ * serves waiting requests by priority, so that payments can go ahead
+ * of bulk SMS.
+ *
+ * Buckets live in a rate limit store. The default MemoryRateLimitStore
+ * only limits the current process; an adapter over a shared store such
+ * as Redis limits all the processes using the same credentials.
+ */
+
+import { TokenBucket } from './rate-limiter.js';
+import { SonatelAbortError, SonatelRateLimitError } from './errors.js';
+
+class MemoryRateLimitStore {
+  /**
+   * In-process token buckets
+   */
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take a token from a bucket
+   *
+   * Adapters for shared stores implement the same method, atomically
+   * (e.g. with a Lua script on Redis).
+   * @param {string} key - Bucket key
+   * @param {Object} limit - { rate, capacity }, used when the bucket does not exist yet
+   * @returns {Promise<number>} 0 if a token was taken, otherwise milliseconds until one is available
+   */
+  async take(key, limit) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, new TokenBucket(limit));
+    }
+    const bucket = this.buckets.get(key);
+    return bucket.tryTake() ? 0 : Math.max(1, bucket.waitTime());
+  }
+}
+
+class RequestScheduler {
+  /**
+   * Rate limiter and priority queue for API requests
+   * @param {Object} [options] - Scheduler options
+   * @param {Object} [options.limits] - Token bucket { rate, capacity } by group, e.g. { sms: { rate: 10 }, payment: { rate: 5 } };
+   *   `default` applies to the other groups, which are unlimited otherwise
+   * @param {number} [options.maxConcurrent=Infinity] - Maximum number of requests in flight
+   * @param {number} [options.maxQueueSize=Infinity] - Reject requests when this many are already waiting
+   * @param {Object} [options.priorities] - Default priority by group, higher first (default: 0)
+   * @param {Function} [options.group] - Returns the group of a request from { service, route, method } (defaults to the service)
+   * @param {Object} [options.store] - Rate limit store with an async take(key, limit) method (defaults to a MemoryRateLimitStore)
+   * @param {string} [options.keyPrefix='sonatel:ratelimit'] - Prefix of the bucket keys in the store
+   * @param {Object} [options.logger] - Client logger, for store failures
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || {};
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+    this.maxQueueSize = options.maxQueueSize || Infinity;
+    this.priorities = options.priorities || {};
+    this.groupOf = options.group || (request => request.service);
+    this.store = options.store || new MemoryRateLimitStore();
+    this.keyPrefix = options.keyPrefix || 'sonatel:ratelimit';
+    this.logger = options.logger || null;
+    this.queue = [];
+    this.inFlight = 0;
+    this._sequence = 0;
+    this._pausedUntil = new Map();
+    this._timer = null;
+    this._dispatching = false;
+    this._dispatchAgain = false;
+    this.resetStats();
+  }
+
+  /**
+   * Wait for a slot to send a request
+   *
+   * Resolves when a token of the group's bucket was taken and fewer than
+   * `maxConcurrent` requests are in flight. The slot must be released
+   * when the request completes.
+   * @param {Object} request - Request to schedule
+   * @param {string} request.group - Rate limit group
+   * @param {number} [request.priority] - Priority, higher first (defaults to the group's priority)
+   * @param {AbortSignal} [request.signal] - Signal to stop waiting
+   * @param {string} [request.id] - Identifier of the bucket owner, e.g. the client ID
+   * @returns {Promise<Object>} { release, wait, throttled }, where throttled tells whether the bucket was empty
+   * @throws {SonatelRateLimitError} When the queue is full
+   * @throws {SonatelAbortError} When the signal is aborted while waiting
+   */
+  acquire(request) {
+    const { group, signal } = request;
+    if (signal && signal.aborted) {
+      return Promise.reject(new SonatelAbortError('Waiting for rate limit was aborted', { cause: signal.reason }));
+    }
+    if (this.queue.length >= this.maxQueueSize) {
+      this.stats.rejected += 1;
+      return Promise.reject(new SonatelRateLimitError(
+        `Client rate limit queue is full (${this.queue.length} requests waiting)`,
+        { code: 'QUEUE_FULL' }
+      ));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        group,
+        key: `${this.keyPrefix}:${request.id ? `${request.id}:` : ''}${group}`,
+        priority: request.priority === undefined ? (this.priorities[group] || 0) : request.priority,
+        sequence: this._sequence++,
+        enqueuedAt: Date.now(),
+        throttled: false,
+        resolve,
+        reject,
+        signal,
+        onAbort: null
+      };
+
+      if (signal) {
+        entry.onAbort = () => {
+          const index = this.queue.indexOf(entry);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(new SonatelAbortError('Waiting for rate limit was aborted', { cause: signal.reason }));
+          }
+        };
+        signal.addEventListener('abort', entry.onAbort, { once: true });
+      }
+
+      // Keep the queue sorted by priority, then arrival
+      let index = this.queue.findIndex(queued => queued.priority < entry.priority);
+      if (index === -1) {
+        index = this.queue.length;
+      }
+      this.queue.splice(index, 0, entry);
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.queue.length);
+      this._dispatch();
+    });
+  }
+
+  /**
+   * Hold back a group, e.g. after the API answered 429
+   * @param {string} group - Rate limit group
+   * @param {number} delay - Milliseconds before its requests are sent again
+   */
+  pause(group, delay) {
+    const until = Date.now() + delay;
+    if (until > (this._pausedUntil.get(group) || 0)) {
+      this._pausedUntil.set(group, until);
+    }
+  }
+
+  /**
+   * Get queue and wait time statistics
+   * @returns {Object} { inFlight, queueDepth, maxQueueDepth, rejected, storeErrors, groups },
+   *   groups holding { queued, granted, throttled, averageWait, maxWait } in milliseconds
+   */
+  getStats() {
+    const groups = {};
+    Object.entries(this.stats.groups).forEach(([group, stats]) => {
+      groups[group] = {
+        queued: 0,
+        granted: stats.granted,
+        throttled: stats.throttled,
+        averageWait: stats.granted ? Math.round(stats.totalWait / stats.granted) : 0,
+        maxWait: stats.maxWait
+      };
+    });
+    this.queue.forEach(entry => {
+      if (!groups[entry.group]) {
+        groups[entry.group] = { queued: 0, granted: 0, throttled: 0, averageWait: 0, maxWait: 0 };
+      }
+      groups[entry.group].queued += 1;
+    });
+
+    return {
+      inFlight: this.inFlight,
+      queueDepth: this.queue.length,
+      maxQueueDepth: this.stats.maxQueueDepth,
+      rejected: this.stats.rejected,
+      storeErrors: this.stats.storeErrors,
+      groups
+    };
+  }
+
+  /**
+   * Reset the counters of getStats()
+   */
+  resetStats() {
+    this.stats = { maxQueueDepth: this.queue.length, rejected: 0, storeErrors: 0, groups: {} };
+  }
+
+  /**
+   * Take a token for a queued request
+   * @param {Object} entry - Queued request
+   * @returns {Promise<number>} 0 if a token was taken, otherwise milliseconds to wait
+   * @private
+   */
+  async _takeToken(entry) {
+    const paused = (this._pausedUntil.get(entry.group) || 0) - Date.now();
+    if (paused > 0) {
+      return paused;
+    }
+
+    const limit = this.limits[entry.group] || this.limits.default;
+    if (!limit) {
+      return 0;
+    }
+    try {
+      return await this.store.take(entry.key, limit);
+    } catch (error) {
+      // Let requests through rather than stalling them when the store is down
+      this.stats.storeErrors += 1;
+      if (this.logger) {
+        this.logger.warn('Rate limit store failed', { group: entry.group, error });
+      }
+      return 0;
+    }
+  }
+
+  /**
+   * Grant slots to the queued requests that can be sent
+   *
+   * Requests are considered by priority. A group whose bucket is empty
+   * does not hold back the requests of other groups.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _dispatch() {
+    if (this._dispatching) {
+      this._dispatchAgain = true;
+      return;
+    }
+    this._dispatching = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+
+    try {
+      let nextWait;
+      do {
+        this._dispatchAgain = false;
+        nextWait = Infinity;
+        const blocked = new Set();
+
+        for (const entry of [...this.queue]) {
+          if (this.inFlight >= this.maxConcurrent) {
+            break;
+          }
+          if (blocked.has(entry.group) || !this.queue.includes(entry)) {
+            continue;
+          }
+
+          const wait = await this._takeToken(entry);
+          if (wait > 0) {
+            entry.throttled = true;
+            blocked.add(entry.group);
+            nextWait = Math.min(nextWait, wait);
+            continue;
+          }
+          const index = this.queue.indexOf(entry);
+          if (index === -1) {
+            // Aborted while the token was taken
+            continue;
+          }
+          this.queue.splice(index, 1);
+          this._grant(entry);
+        }
+      } while (this._dispatchAgain);
+
+      if (this.queue.length > 0 && nextWait !== Infinity) {
+        this._timer = setTimeout(() => this._dispatch(), nextWait);
+      }
+    } finally {
+      this._dispatching = false;
+    }
+  }
+
+  /**
+   * Give a slot to a queued request
+   * @param {Object} entry - Queued request
+   * @private
+   */
+  _grant(entry) {
+    if (entry.signal) {
+      entry.signal.removeEventListener('abort', entry.onAbort);
+    }
+    this.inFlight += 1;
+
+    const wait = Date.now() - entry.enqueuedAt;
+    if (!this.stats.groups[entry.group]) {
+      this.stats.groups[entry.group] = { granted: 0, throttled: 0, totalWait: 0, maxWait: 0 };
+    }
+    const stats = this.stats.groups[entry.group];
+    stats.granted += 1;
+    stats.totalWait += wait;
+    stats.maxWait = Math.max(stats.maxWait, wait);
+    if (entry.throttled) {
+      stats.throttled += 1;
+    }
+
+    let released = false;
+    entry.resolve({
+      wait,
+      throttled: entry.throttled,
+      release: () => {
+        if (!released) {
+          released = true;
+          this.inFlight -= 1;
+          this._dispatch();
+        }
+      }
+    });
+  }
+}
+
+export { RequestScheduler, MemoryRateLimitStore };
@@ -5,78 +5,260 @@
  * payment status through the Orange Sonatel API.
  */
 
+import { normalizeSubscription, normalizeSubscriptionList } from '../subscriptions.js';
+import { isTerminalPaymentStatus } from '../status.js';
+import { wantsRaw, normalizePayment, normalizeRefund, normalizeBalance, normalizeTransactionList } from '../results.js';
+import { pollUntilTerminal } from '../polling.js';
+import { Paginator, toISODate } from '../pagination.js';
+import { IdempotencyLedger, generateIdempotencyKey } from '../idempotency.js';
+import { SonatelValidationError } from '../errors.js';
+import { validateMsisdn } from '../msisdn.js';
+import { reconcileTransactions } from '../reconciliation.js';
+import { Money, toMoney } from '../money.js';
+
 class PaymentService {
   /**
    * Payment service for interacting with Sonatel Payment APIs
    * @param {Object} apiClient - Sonatel API client instance
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.idempotencyStore] - Store keeping results by idempotency key (defaults to an in-memory store)
+   * @param {number} [options.idempotencyTtl=86400] - How long results are kept, in seconds
+   * @param {Object} [options.transactionLimits] - Payment limits by currency in major units, e.g. { XOF: { min: 100, max: 2000000 } }
    */
-  constructor(apiClient) {
+  constructor(apiClient, options = {}) {
     this.api = apiClient;
     this.endpoint = '/payment/v1';
+    this.transactionLimits = options.transactionLimits || {};
+    this.ledger = new IdempotencyLedger({
+      store: options.idempotencyStore,
+      ttl: options.idempotencyTtl
+    });
+    this._refundQueues = new Map();
   }
 
   /**
    * Request a payment
+   *
+   * The call is sent with an Idempotency-Key header, so it is safely
+   * retried on transient failures. Replaying a key returns the result of
+   * the first call without charging the customer again.
    * @param {Object} options - Payment options
-   * @param {string} options.amount - Payment amount
-   * @param {string} options.currency - Currency code (e.g., 'XOF')
+   * @param {Money|number|string} options.amount - Payment amount, in whole francs for XOF
+   * @param {string} [options.currency] - Currency code (e.g., 'XOF'), required unless the amount is a Money
    * @param {string} options.description - Payment description
-   * @param {string} options.customerMsisdn - Customer phone number
+   * @param {string} options.customerMsisdn - Customer phone number, which must be an Orange line
    * @param {string} [options.callbackUrl] - Callback URL for notifications
    * @param {string} [options.merchantId] - Merchant ID
    * @param {string} [options.orderId] - Order ID
-   * @returns {Promise<Object>} Response data
+   * @param {string} [options.idempotencyKey] - Idempotency key (generated if omitted)
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { paymentId, status, rawStatus, amount, currency, createdAt, orderId, transactionId, raw }
+   * @throws {SonatelValidationError} When the amount is invalid or outside the transaction limits, or the customer number is invalid or not an Orange line
    */
-  async requestPayment(options) {
-    if (!options.amount || !options.currency || !options.customerMsisdn) {
+  async requestPayment(options, requestOptions = {}) {
+    if (!options.amount || !(options.currency || options.amount instanceof Money) || !options.customerMsisdn) {
       throw new Error('Amount, currency, and customer MSISDN are required');
     }
 
-    return this.api.post(`${this.endpoint}/payments`, {
+    const amount = this._checkAmount(toMoney(options.amount, options.currency));
+    amount.checkLimits(this.transactionLimits[amount.currency]);
+    // Orange Money only works for Orange lines
+    const customer = validateMsisdn(options.customerMsisdn, { field: 'customerMsisdn', requireOrange: true });
+    const body = {
       requestPayment: {
-        amount: options.amount,
-        currency: options.currency,
+        amount: amount.amount,
+        currency: amount.currency,
         description: options.description || '',
-        customerMsisdn: options.customerMsisdn,
+        customerMsisdn: customer.e164,
         callbackUrl: options.callbackUrl,
         merchantId: options.merchantId,
         orderId: options.orderId
       }
-    });
+    };
+    const idempotencyKey = options.idempotencyKey || requestOptions.idempotencyKey || generateIdempotencyKey();
+
+    const response = await this.ledger.run('payment', idempotencyKey, body, key => this.api.post(
+      `${this.endpoint}/payments`,
+      body,
+      { ...requestOptions, idempotencyKey: key }
+    ));
+    return wantsRaw(this.api, requestOptions) ? response : normalizePayment(response);
   }
 
   /**
    * Check payment status
    * @param {string} paymentId - Payment ID to check
-   * @returns {Promise<Object>} Payment status
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} Payment, see requestPayment
    */
-  async checkPaymentStatus(paymentId) {
+  async checkPaymentStatus(paymentId, requestOptions = {}) {
     if (!paymentId) {
       throw new Error('Payment ID is required');
     }
 
-    return this.api.get(`${this.endpoint}/payments/${paymentId}`);
+    const response = await this.api.get(`${this.endpoint}/payments/${paymentId}`, {}, requestOptions);
+    return wantsRaw(this.api, requestOptions) ? response : normalizePayment(response, paymentId);
+  }
+  
+  /**
+   * Wait until a payment reaches a final status
+   *
+   * Polls checkPaymentStatus until the payment is SUCCESS, FAILED,
+   * CANCELLED or EXPIRED.
+   * @param {string} paymentId - Payment ID to wait for
+   * @param {Object} [options] - Polling options
+   * @param {number} [options.timeout=120000] - Maximum time to wait in milliseconds
+   * @param {number} [options.interval=2000] - Delay before the second check in milliseconds
+   * @param {number} [options.backoff=1.5] - Factor applied to the delay after each check
+   * @param {number} [options.maxInterval=15000] - Maximum delay between checks in milliseconds
+   * @param {AbortSignal} [options.signal] - Signal to stop waiting
+   * @param {Function} [options.onStatusChange] - Called with (result, previousResult) on every status change, previousResult being null on the first check
+   * @returns {Promise<Object>} Final status of the payment, see requestPayment
+   * @throws {SonatelTimeoutError} When the payment is still pending after the timeout
+   */
+  async waitForCompletion(paymentId, options = {}) {
+    if (!paymentId) {
+      throw new Error('Payment ID is required');
+    }
+    
+    return pollUntilTerminal({
+      ...options,
+      description: `Payment ${paymentId}`,
+      isTerminal: isTerminalPaymentStatus,
+      check: ({ signal }) => this.checkPaymentStatus(paymentId, { signal, raw: false })
+    });
   }
   
   /**
    * Refund a payment
+   *
+   * The refund is checked against the original amount returned by
+   * checkPaymentStatus, and sent with an Idempotency-Key header like
+   * requestPayment. Refunds of the same payment are sent one at a time.
    * @param {Object} options - Refund options
    * @param {string} options.paymentId - Payment ID to refund
-   * @param {string} options.amount - Refund amount
+   * @param {Money|number|string} options.amount - Refund amount, in whole francs for XOF
+   * @param {string} [options.currency='XOF'] - Currency of a plain amount, which must be the payment currency
    * @param {string} [options.reason] - Refund reason
-   * @returns {Promise<Object>} Refund result
+   * @param {string} [options.idempotencyKey] - Idempotency key (generated if omitted)
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { refundId, paymentId, status, rawStatus, amount, currency, createdAt, transactionId, raw }
+   * @throws {SonatelValidationError} When the amount is invalid or the refunded total would exceed the payment amount
    */
-  async refundPayment(options) {
+  async refundPayment(options, requestOptions = {}) {
     if (!options.paymentId || !options.amount) {
       throw new Error('Payment ID and amount are required');
     }
     
-    return this.api.post(`${this.endpoint}/payments/${options.paymentId}/refund`, {
+    const amount = this._checkAmount(toMoney(options.amount, options.currency));
+    const body = {
       refundPayment: {
-        amount: options.amount,
+        amount: amount.amount,
         reason: options.reason || 'Customer request'
       }
-    });
+    };
+    const idempotencyKey = options.idempotencyKey || requestOptions.idempotencyKey || generateIdempotencyKey();
+    
+    const response = await this.ledger.run(`refund:${options.paymentId}`, idempotencyKey, body, key => (
+      this._serializeRefund(options.paymentId, async () => {
+        await this._checkRefundAmount(options.paymentId, amount, requestOptions);
+        
+        return this.api.post(
+          `${this.endpoint}/payments/${options.paymentId}/refund`,
+          body,
+          { ...requestOptions, idempotencyKey: key }
+        );
+      })
+    ));
+    return wantsRaw(this.api, requestOptions) ? response : normalizeRefund(response, options.paymentId);
+  }
+  
+  /**
+   * Run refunds of the same payment one after the other
+   * @param {string} paymentId - Payment ID
+   * @param {Function} operation - Async function performing the refund
+   * @returns {Promise<any>} Result of the operation
+   * @private
+   */
+  async _serializeRefund(paymentId, operation) {
+    const previous = this._refundQueues.get(paymentId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+    this._refundQueues.set(paymentId, current);
+    
+    try {
+      return await current;
+    } finally {
+      if (this._refundQueues.get(paymentId) === current) {
+        this._refundQueues.delete(paymentId);
+      }
+    }
+  }
+  
+  /**
+   * Reject zero amounts
+   * @param {Money} amount - Payment or refund amount
+   * @returns {Money} The amount
+   * @throws {SonatelValidationError} When the amount is zero
+   * @private
+   */
+  _checkAmount(amount) {
+    if (amount.isZero()) {
+      throw new SonatelValidationError(`Invalid amount: ${amount}`, { code: 'INVALID_AMOUNT' });
+    }
+    return amount;
+  }
+  
+  /**
+   * Check that a refund does not exceed the amount left on the payment
+   * @param {string} paymentId - Payment ID
+   * @param {Money} amount - Refund amount
+   * @param {Object} requestOptions - Per-call request options
+   * @returns {Promise<void>}
+   * @throws {SonatelValidationError} When the refund is too large or in another currency
+   * @private
+   */
+  async _checkRefundAmount(paymentId, amount, requestOptions) {
+    const response = await this.checkPaymentStatus(paymentId, { signal: requestOptions.signal, raw: true });
+    const payment = (response && (response.payment || response.requestPayment)) || response || {};
+    let original;
+    try {
+      original = new Money(payment.amount, payment.currency || amount.currency);
+    } catch (error) {
+      throw new SonatelValidationError(`Cannot determine the amount of payment ${paymentId}`, {
+        code: 'UNKNOWN_PAYMENT_AMOUNT',
+        body: response,
+        cause: error
+      });
+    }
+    if (original.currency !== amount.currency) {
+      throw new SonatelValidationError(
+        `Refund in ${amount.currency} of payment ${paymentId} made in ${original.currency}`,
+        { code: 'CURRENCY_MISMATCH', body: response }
+      );
+    }
+    
+    let refunded = Money.fromMinor(0, original.currency);
+    if (payment.refundedAmount) {
+      refunded = new Money(payment.refundedAmount, original.currency);
+    } else if (Array.isArray(payment.refunds)) {
+      refunded = payment.refunds.reduce(
+        (total, refund) => total.add(new Money(refund.amount || 0, original.currency)),
+        refunded
+      );
+    }
+    
+    const remaining = refunded.compare(original) >= 0
+      ? Money.fromMinor(0, original.currency)
+      : original.subtract(refunded);
+    if (amount.compare(remaining) > 0) {
+      throw new SonatelValidationError(
+        `Refund of ${amount} exceeds the remaining ${remaining} on payment ${paymentId}`,
+        { code: 'REFUND_EXCEEDS_PAYMENT', body: response }
+      );
+    }
   }
   
   /**
@@ -84,29 +266,100 @@ class PaymentService {
    * @param {Object} [options] - Query options
    * @param {number} [options.limit=10] - Maximum number of transactions to return
    * @param {string} [options.offset] - Offset for pagination
-   * @param {string} [options.startDate] - Start date for filtering (ISO format)
-   * @param {string} [options.endDate] - End date for filtering (ISO format)
+   * @param {string|Date} [options.startDate] - Start date for filtering (ISO format)
+   * @param {string|Date} [options.endDate] - End date for filtering (ISO format)
    * @param {string} [options.status] - Transaction status filter
-   * @returns {Promise<Object>} Transaction history
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { transactions, total, hasMore, raw }, each transaction being
+   *   { type, paymentId, refundId, status, rawStatus, amount, currency, createdAt, orderId, transactionId, raw }
    */
-  async getTransactionHistory(options = {}) {
+  async getTransactionHistory(options = {}, requestOptions = {}) {
     const params = {};
     
     if (options.limit) params.limit = options.limit;
     if (options.offset) params.offset = options.offset;
-    if (options.startDate) params.startDate = options.startDate;
-    if (options.endDate) params.endDate = options.endDate;
+    if (options.startDate) params.startDate = toISODate(options.startDate);
+    if (options.endDate) params.endDate = toISODate(options.endDate);
     if (options.status) params.status = options.status;
     
-    return this.api.get(`${this.endpoint}/transactions`, params);
+    const response = await this.api.get(`${this.endpoint}/transactions`, params, requestOptions);
+    return wantsRaw(this.api, requestOptions) ? response : normalizeTransactionList(response);
+  }
+  
+  /**
+   * Iterate over the whole transaction history
+   *
+   * Pages are fetched on demand while iterating with `for await`.
+   * @param {Object} [filters] - Transaction filters
+   * @param {string|Date} [filters.startDate] - Start date for filtering
+   * @param {string|Date} [filters.endDate] - End date for filtering
+   * @param {string} [filters.status] - Transaction status filter
+   * @param {number} [filters.pageSize=50] - Number of transactions requested per page
+   * @param {number} [filters.maxItems] - Stop after this many transactions
+   * @param {number} [filters.concurrency=1] - Number of pages fetched in parallel
+   * @param {string} [filters.cursor] - Cursor of an interrupted iteration to resume
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Yield the transactions as listed by the API (defaults to the client's rawResponses)
+   * @returns {Paginator} Async iterable of transactions, as in getTransactionHistory, with collectAll() and cursor
+   */
+  iterateTransactions(filters = {}, requestOptions = {}) {
+    const { pageSize, maxItems, concurrency, cursor, ...query } = filters;
+    const raw = wantsRaw(this.api, requestOptions);
+    
+    return new Paginator({
+      pageSize,
+      maxItems,
+      concurrency,
+      cursor,
+      fetchPage: async ({ offset, limit }) => {
+        const page = await this.getTransactionHistory({ ...query, offset, limit }, { ...requestOptions, raw: false });
+        return {
+          items: raw ? page.transactions.map(transaction => transaction.raw) : page.transactions,
+          total: page.total,
+          hasMore: page.hasMore
+        };
+      }
+    });
+  }
+  
+  /**
+   * Reconcile the transactions of a period against the caller's records
+   *
+   * Pulls the payments and refunds of the period and matches them to the
+   * records by `paymentId` (as returned by requestPayment) or `orderId`,
+   * see reconcileTransactions. Refunds of payments made before the period
+   * are reported as refunds without payment, so choose a period that
+   * covers the payments of the refunds it contains.
+   * @param {Iterable<Object>} records - Records with `orderId` and/or `paymentId`, `amount` and optional `currency`
+   * @param {Object} [options] - Reconciliation options
+   * @param {string|Date} [options.startDate] - Start of the period
+   * @param {string|Date} [options.endDate] - End of the period
+   * @param {number} [options.pageSize=50] - Number of transactions requested per page
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<ReconciliationReport>} Matched records, issues and net settlement, exportable with toCSV() and toJSON()
+   */
+  async reconcile(records, options = {}, requestOptions = {}) {
+    const { startDate, endDate, pageSize } = options;
+    const transactions = await this.iterateTransactions({ startDate, endDate, pageSize }, { ...requestOptions, raw: false }).collectAll();
+    
+    return reconcileTransactions(transactions, records, {
+      period: {
+        startDate: startDate ? toISODate(startDate) : null,
+        endDate: endDate ? toISODate(endDate) : null
+      }
+    });
   }
   
   /**
    * Get account balance
-   * @returns {Promise<Object>} Account balance
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { amount, currency, raw }
    */
-  async getAccountBalance() {
-    return this.api.get(`${this.endpoint}/account/balance`);
+  async getAccountBalance(requestOptions = {}) {
+    const response = await this.api.get(`${this.endpoint}/account/balance`, {}, requestOptions);
+    return wantsRaw(this.api, requestOptions) ? response : normalizeBalance(response);
   }
   
   /**
@@ -114,21 +367,101 @@ class PaymentService {
    * @param {Object} options - Subscription options
    * @param {string} options.notifyUrl - URL to receive notifications
    * @param {string} [options.eventType] - Event type to subscribe to (default: all)
-   * @returns {Promise<Object>} Subscription result
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Subscription, with its ID in `id`
    */
-  async subscribeToNotifications(options) {
+  async subscribeToNotifications(options, requestOptions = {}) {
     if (!options.notifyUrl) {
       throw new Error('Notify URL is required');
     }
     
-    return this.api.post(`${this.endpoint}/subscriptions`, {
+    const response = await this.api.post(
+      `${this.endpoint}/subscriptions`,
+      this._subscriptionBody(options),
+      requestOptions
+    );
+    return normalizeSubscription('payment', 'paymentNotificationSubscription', response);
+  }
+  
+  /**
+   * List payment notification subscriptions
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object[]>} Subscriptions
+   */
+  async listSubscriptions(requestOptions = {}) {
+    const response = await this.api.get(`${this.endpoint}/subscriptions`, {}, requestOptions);
+    return normalizeSubscriptionList('payment', 'paymentNotificationSubscription', response);
+  }
+  
+  /**
+   * Get a payment notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Subscription
+   */
+  async getSubscription(subscriptionId, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    
+    const response = await this.api.get(`${this.endpoint}/subscriptions/${subscriptionId}`, {}, requestOptions);
+    return normalizeSubscription('payment', 'paymentNotificationSubscription', response);
+  }
+  
+  /**
+   * Update a payment notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - Subscription options
+   * @param {string} options.notifyUrl - URL to receive notifications
+   * @param {string} [options.eventType] - Event type to subscribe to (default: all)
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async updateSubscription(subscriptionId, options, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    if (!options.notifyUrl) {
+      throw new Error('Notify URL is required');
+    }
+    
+    const response = await this.api.put(
+      `${this.endpoint}/subscriptions/${subscriptionId}`,
+      this._subscriptionBody(options),
+      requestOptions
+    );
+    return normalizeSubscription('payment', 'paymentNotificationSubscription', response);
+  }
+  
+  /**
+   * Delete a payment notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Response data
+   */
+  async deleteSubscription(subscriptionId, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    
+    return this.api.delete(`${this.endpoint}/subscriptions/${subscriptionId}`, requestOptions);
+  }
+  
+  /**
+   * Build the request body of a subscription
+   * @param {Object} options - Subscription options
+   * @returns {Object} Request body
+   * @private
+   */
+  _subscriptionBody(options) {
+    return {
       paymentNotificationSubscription: {
         callbackReference: {
           notifyURL: options.notifyUrl
         },
         eventType: options.eventType || 'all'
       }
-    });
+    };
   }
 }
 
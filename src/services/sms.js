@@ -5,71 +5,236 @@
  * delivery status through the Orange Sonatel API.
  */
 
+import { normalizeSubscription, normalizeSubscriptionList } from '../subscriptions.js';
+import { isTerminalDeliveryStatus } from '../status.js';
+import { wantsRaw, normalizeOutboundMessage, normalizeDeliveryInfo, normalizeMessageList } from '../results.js';
+import { pollUntilTerminal } from '../polling.js';
+import { Paginator, toISODate } from '../pagination.js';
+import { normalizeMsisdn } from '../msisdn.js';
+import { analyzeMessage } from '../sms-encoding.js';
+import { SonatelValidationError } from '../errors.js';
+import { BulkSMSCampaign } from '../bulk-sms.js';
+
 class SMSService {
   /**
    * SMS service for interacting with Sonatel SMS APIs
    * @param {Object} apiClient - Sonatel API client instance
+   * @param {Object} [options] - Service options
+   * @param {number} [options.pricePerSegment] - Price of one SMS segment, used for cost estimates
+   * @param {string} [options.currency='XOF'] - Currency of the segment price
+   * @param {number} [options.maxSegments] - Default maximum number of segments per message
+   * @param {boolean} [options.transliterate=false] - Transliterate messages to stay in GSM-7 by default
    */
-  constructor(apiClient) {
+  constructor(apiClient, options = {}) {
     this.api = apiClient;
     this.endpoint = '/sms/v1';
+    this.pricePerSegment = options.pricePerSegment === undefined ? null : options.pricePerSegment;
+    this.currency = options.currency || 'XOF';
+    this.maxSegments = options.maxSegments || null;
+    this.transliterate = options.transliterate || false;
+  }
+
+  /**
+   * Analyze the encoding, segments and cost of a message
+   * @param {string} message - SMS content
+   * @param {Object} [options] - Analysis options
+   * @param {boolean} [options.transliterate] - Transliterate to stay in GSM-7 where possible
+   * @returns {Object} { text, encoding, length, segments, perSegment, remaining, unsupportedCharacters, cost }
+   */
+  analyzeMessage(message, options = {}) {
+    const analysis = analyzeMessage(message, {
+      transliterate: options.transliterate === undefined ? this.transliterate : options.transliterate
+    });
+    
+    return {
+      ...analysis,
+      cost: this.pricePerSegment === null
+        ? null
+        : { amount: analysis.segments * this.pricePerSegment, currency: this.currency }
+    };
   }
 
   /**
    * Send an SMS message
    * @param {Object} options - SMS options
-   * @param {string} options.recipient - Recipient phone number
+   * @param {string} options.recipient - Recipient phone number, normalized to E.164
    * @param {string} options.message - SMS content
    * @param {string} [options.sender] - Sender identifier
-   * @returns {Promise<Object>} Response data
+   * @param {boolean} [options.transliterate] - Transliterate the message to stay in GSM-7 where possible
+   * @param {number} [options.maxSegments] - Reject messages longer than this many segments
+   * @param {boolean} [options.dryRun=false] - Validate and analyze the message without sending it
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { id, status, recipient, raw }, or the message analysis and request body for dry runs
+   * @throws {SonatelValidationError} When the recipient is not a Senegal mobile number or the message is too long
    */
-  async sendSMS(options) {
+  async sendSMS(options, requestOptions = {}) {
     if (!options.recipient || !options.message) {
       throw new Error('Recipient and message are required');
     }
 
-    return this.api.post(`${this.endpoint}/messages`, {
+    const analysis = this.analyzeMessage(options.message, options);
+    const maxSegments = options.maxSegments || this.maxSegments;
+    if (maxSegments && analysis.segments > maxSegments) {
+      throw new SonatelValidationError(
+        `Message needs ${analysis.segments} ${analysis.encoding} segments, more than the maximum of ${maxSegments}`,
+        { code: 'MESSAGE_TOO_LONG', body: analysis }
+      );
+    }
+
+    const body = {
       outboundSMSMessageRequest: {
-        address: `tel:${options.recipient}`,
+        address: `tel:${normalizeMsisdn(options.recipient, { field: 'recipient' })}`,
         senderAddress: options.sender ? `tel:${options.sender}` : undefined,
         outboundSMSTextMessage: {
-          message: options.message
+          message: analysis.text
         }
       }
-    });
+    };
+
+    if (options.dryRun) {
+      return { dryRun: true, ...analysis, request: body };
+    }
+
+    const response = await this.api.post(`${this.endpoint}/messages`, body, requestOptions);
+    return wantsRaw(this.api, requestOptions) ? response : normalizeOutboundMessage(response, 'outboundSMSMessageRequest');
+  }
+
+  /**
+   * Send a templated SMS to many recipients
+   *
+   * Recipients are deduplicated by normalized number and each message is
+   * sent with an idempotency key derived from the campaign ID, so
+   * transient failures are retried safely.
+   * @param {Iterable|AsyncIterable} recipients - Phone numbers, or objects with `recipient` (or `msisdn`) and template variables
+   * @param {string|Function} template - Message with `{{variable}}` placeholders, or function taking the recipient
+   * @param {Object} [options] - Campaign options
+   * @param {string} [options.sender] - Sender identifier
+   * @param {number} [options.rateLimit=10] - Messages sent per second, matching the TPS quota; ignored when the client has a
+   *   rateLimit, whose `sms` limit applies instead
+   * @param {number} [options.burst=1] - Messages that may be sent at once before the rate limit applies, for clients without a rateLimit
+   * @param {number} [options.concurrency=5] - Maximum number of requests in flight
+   * @param {string} [options.campaignId] - Campaign ID, used in idempotency keys (generated if omitted)
+   * @param {boolean} [options.transliterate] - Transliterate messages to stay in GSM-7 where possible
+   * @param {number} [options.maxSegments] - Reject messages longer than this many segments
+   * @param {Object|boolean} [options.retry] - Retry policy overrides, see SonatelAPI.request
+   * @param {number} [options.priority=-1] - Priority of the messages in the client's rate limiter, below other requests by default
+   * @param {boolean} [options.includeResults=true] - Keep per-recipient results in the report
+   * @param {AbortSignal} [options.signal] - Signal to stop the campaign
+   * @returns {BulkSMSCampaign} Awaitable campaign resolving to its report, with pause() and resume()
+   */
+  sendBulk(recipients, template, options = {}) {
+    return new BulkSMSCampaign(this, recipients, template, options);
   }
 
   /**
    * Get SMS delivery status
    * @param {string} messageId - Message ID to check
-   * @returns {Promise<Object>} Delivery status
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { id, messageId, status, deliveries, raw }, status combining the deliveries to every recipient
    */
-  async getDeliveryStatus(messageId) {
+  async getDeliveryStatus(messageId, requestOptions = {}) {
     if (!messageId) {
       throw new Error('Message ID is required');
     }
 
-    return this.api.get(`${this.endpoint}/messages/${messageId}/deliveryInfos`);
+    const response = await this.api.get(`${this.endpoint}/messages/${messageId}/deliveryInfos`, {}, requestOptions);
+    return wantsRaw(this.api, requestOptions) ? response : normalizeDeliveryInfo(messageId, response);
+  }
+  
+  /**
+   * Wait until an SMS reaches a final delivery status
+   *
+   * Polls getDeliveryStatus until the message is DELIVERED, FAILED,
+   * EXPIRED or UNCERTAIN for every recipient. UNCERTAIN is final: the
+   * network does not report the delivery (DeliveryNotificationNotSupported)
+   * or cannot tell it (DeliveryUncertain). Missing or unrecognized
+   * statuses are UNKNOWN, and polled until the timeout.
+   * @param {string} messageId - Message ID to wait for
+   * @param {Object} [options] - Polling options
+   * @param {number} [options.timeout=120000] - Maximum time to wait in milliseconds
+   * @param {number} [options.interval=2000] - Delay before the second check in milliseconds
+   * @param {number} [options.backoff=1.5] - Factor applied to the delay after each check
+   * @param {number} [options.maxInterval=15000] - Maximum delay between checks in milliseconds
+   * @param {AbortSignal} [options.signal] - Signal to stop waiting
+   * @param {Function} [options.onStatusChange] - Called with (result, previousResult) on every status change, previousResult being null on the first check
+   * @returns {Promise<Object>} Final status, see getDeliveryStatus
+   * @throws {SonatelTimeoutError} When the message is still pending after the timeout
+   */
+  async waitForDelivery(messageId, options = {}) {
+    if (!messageId) {
+      throw new Error('Message ID is required');
+    }
+    
+    return pollUntilTerminal({
+      ...options,
+      description: `SMS ${messageId}`,
+      isTerminal: isTerminalDeliveryStatus,
+      check: ({ signal }) => this.getDeliveryStatus(messageId, { signal, raw: false })
+    });
   }
   
   /**
    * Get sent SMS history
    * @param {Object} [options] - Query options
    * @param {number} [options.limit=10] - Maximum number of messages to return
+   * @param {number} [options.offset] - Offset for pagination
    * @param {string} [options.senderAddress] - Filter by sender address
-   * @param {string} [options.startDate] - Start date for filtering (ISO format)
-   * @param {string} [options.endDate] - End date for filtering (ISO format)
-   * @returns {Promise<Object>} SMS history
+   * @param {string|Date} [options.startDate] - Start date for filtering (ISO format)
+   * @param {string|Date} [options.endDate] - End date for filtering (ISO format)
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { messages, total, hasMore, raw }, each message being
+   *   { id, status, deliveryStatus, recipients, senderAddress, message, createdAt, raw }
    */
-  async getHistory(options = {}) {
+  async getHistory(options = {}, requestOptions = {}) {
     const params = {};
     
     if (options.limit) params.limit = options.limit;
+    if (options.offset) params.offset = options.offset;
     if (options.senderAddress) params.senderAddress = options.senderAddress;
-    if (options.startDate) params.startDate = options.startDate;
-    if (options.endDate) params.endDate = options.endDate;
+    if (options.startDate) params.startDate = toISODate(options.startDate);
+    if (options.endDate) params.endDate = toISODate(options.endDate);
+    
+    const response = await this.api.get(`${this.endpoint}/messages`, params, requestOptions);
+    return wantsRaw(this.api, requestOptions) ? response : normalizeMessageList(response);
+  }
+  
+  /**
+   * Iterate over the whole sent SMS history
+   *
+   * Pages are fetched on demand while iterating with `for await`.
+   * @param {Object} [filters] - History filters
+   * @param {string} [filters.senderAddress] - Filter by sender address
+   * @param {string|Date} [filters.startDate] - Start date for filtering
+   * @param {string|Date} [filters.endDate] - End date for filtering
+   * @param {number} [filters.pageSize=50] - Number of messages requested per page
+   * @param {number} [filters.maxItems] - Stop after this many messages
+   * @param {number} [filters.concurrency=1] - Number of pages fetched in parallel
+   * @param {string} [filters.cursor] - Cursor of an interrupted iteration to resume
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Yield the messages as listed by the API (defaults to the client's rawResponses)
+   * @returns {Paginator} Async iterable of messages, as in getHistory, with collectAll() and cursor
+   */
+  iterateHistory(filters = {}, requestOptions = {}) {
+    const { pageSize, maxItems, concurrency, cursor, ...query } = filters;
+    const raw = wantsRaw(this.api, requestOptions);
     
-    return this.api.get(`${this.endpoint}/messages`, params);
+    return new Paginator({
+      pageSize,
+      maxItems,
+      concurrency,
+      cursor,
+      fetchPage: async ({ offset, limit }) => {
+        const page = await this.getHistory({ ...query, offset, limit }, { ...requestOptions, raw: false });
+        return {
+          items: raw ? page.messages.map(message => message.raw) : page.messages,
+          total: page.total,
+          hasMore: page.hasMore
+        };
+      }
+    });
   }
   
   /**
@@ -77,21 +242,101 @@ class SMSService {
    * @param {Object} options - Subscription options
    * @param {string} options.notifyUrl - URL to receive notifications
    * @param {string} [options.clientCorrelator] - Client correlator
-   * @returns {Promise<Object>} Subscription result
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Subscription, with its ID in `id`
    */
-  async subscribeToDeliveryNotifications(options) {
+  async subscribeToDeliveryNotifications(options, requestOptions = {}) {
     if (!options.notifyUrl) {
       throw new Error('Notify URL is required');
     }
     
-    return this.api.post(`${this.endpoint}/subscriptions`, {
+    const response = await this.api.post(
+      `${this.endpoint}/subscriptions`,
+      this._subscriptionBody(options),
+      requestOptions
+    );
+    return normalizeSubscription('sms', 'deliveryReceiptSubscription', response);
+  }
+  
+  /**
+   * List SMS delivery notification subscriptions
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object[]>} Subscriptions
+   */
+  async listSubscriptions(requestOptions = {}) {
+    const response = await this.api.get(`${this.endpoint}/subscriptions`, {}, requestOptions);
+    return normalizeSubscriptionList('sms', 'deliveryReceiptSubscription', response);
+  }
+  
+  /**
+   * Get a SMS delivery notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Subscription
+   */
+  async getSubscription(subscriptionId, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    
+    const response = await this.api.get(`${this.endpoint}/subscriptions/${subscriptionId}`, {}, requestOptions);
+    return normalizeSubscription('sms', 'deliveryReceiptSubscription', response);
+  }
+  
+  /**
+   * Update a SMS delivery notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - Subscription options
+   * @param {string} options.notifyUrl - URL to receive notifications
+   * @param {string} [options.clientCorrelator] - Client correlator
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async updateSubscription(subscriptionId, options, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    if (!options.notifyUrl) {
+      throw new Error('Notify URL is required');
+    }
+    
+    const response = await this.api.put(
+      `${this.endpoint}/subscriptions/${subscriptionId}`,
+      this._subscriptionBody(options),
+      requestOptions
+    );
+    return normalizeSubscription('sms', 'deliveryReceiptSubscription', response);
+  }
+  
+  /**
+   * Delete a SMS delivery notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Response data
+   */
+  async deleteSubscription(subscriptionId, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    
+    return this.api.delete(`${this.endpoint}/subscriptions/${subscriptionId}`, requestOptions);
+  }
+  
+  /**
+   * Build the request body of a subscription
+   * @param {Object} options - Subscription options
+   * @returns {Object} Request body
+   * @private
+   */
+  _subscriptionBody(options) {
+    return {
       deliveryReceiptSubscription: {
         callbackReference: {
           notifyURL: options.notifyUrl
         },
         clientCorrelator: options.clientCorrelator || undefined
       }
-    });
+    };
   }
 }
 
@@ -5,6 +5,10 @@
  * handling USSD sessions through the Orange Sonatel API.
  */
 
+import { normalizeSubscription, normalizeSubscriptionList } from '../subscriptions.js';
+import { normalizeMsisdn } from '../msisdn.js';
+import { wantsRaw, normalizeOutboundMessage, normalizeInboundResponse } from '../results.js';
+
 class USSDService {
   /**
    * USSD service for interacting with Sonatel USSD APIs
@@ -18,50 +22,63 @@ class USSDService {
   /**
    * Send a USSD notification
    * @param {Object} options - USSD options
-   * @param {string} options.address - User's MSISDN
+   * @param {string} options.address - User's MSISDN, normalized to E.164
    * @param {string} options.message - USSD message
    * @param {string} [options.keyword] - Service keyword
-   * @returns {Promise<Object>} Response data
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { id, status, recipient, raw }
+   * @throws {SonatelValidationError} When the address is not a Senegal mobile number
    */
-  async sendNotification(options) {
+  async sendNotification(options, requestOptions = {}) {
     if (!options.address || !options.message) {
       throw new Error('Address and message are required');
     }
 
-    return this.api.post(`${this.endpoint}/outbound`, {
+    const response = await this.api.post(`${this.endpoint}/outbound`, {
       outboundUSSDMessageRequest: {
-        address: `tel:${options.address}`,
+        address: `tel:${normalizeMsisdn(options.address, { field: 'address' })}`,
         keyword: options.keyword || '',
         outboundUSSDMessage: {
           message: options.message
         }
       }
-    });
+    }, requestOptions);
+    return wantsRaw(this.api, requestOptions) ? response : normalizeOutboundMessage(response, 'outboundUSSDMessageRequest');
   }
   
   /**
    * Handle USSD inbound message
    * @param {Object} options - USSD options
-   * @param {string} options.address - User's MSISDN
+   * @param {string} options.address - User's MSISDN, normalized to E.164
    * @param {string} options.message - USSD message from user
    * @param {string} options.sessionId - USSD session ID
    * @param {boolean} [options.endSession=false] - Whether to end the session
-   * @returns {Promise<Object>} Response data
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @param {boolean} [requestOptions.raw] - Return the response body as is (defaults to the client's rawResponses)
+   * @returns {Promise<Object>} { sessionId, address, message, endSession, raw }
+   * @throws {SonatelValidationError} When the address is not a Senegal mobile number
    */
-  async handleInbound(options) {
+  async handleInbound(options, requestOptions = {}) {
     if (!options.address || !options.message || !options.sessionId) {
       throw new Error('Address, message, and sessionId are required');
     }
     
-    return this.api.post(`${this.endpoint}/inbound/${options.sessionId}`, {
+    const address = normalizeMsisdn(options.address, { field: 'address' });
+    const endSession = options.endSession || false;
+    const response = await this.api.post(`${this.endpoint}/inbound/${options.sessionId}`, {
       inboundUSSDMessageRequest: {
-        address: `tel:${options.address}`,
+        address: `tel:${address}`,
         inboundUSSDMessage: {
           message: options.message
         },
-        ussdSessionTermination: options.endSession || false
+        ussdSessionTermination: endSession
       }
-    });
+    }, requestOptions);
+    if (wantsRaw(this.api, requestOptions)) {
+      return response;
+    }
+    return normalizeInboundResponse(response, { sessionId: options.sessionId, address, message: options.message, endSession });
   }
   
   /**
@@ -70,14 +87,95 @@ class USSDService {
    * @param {string} options.notifyUrl - URL to receive notifications
    * @param {string} options.keyword - Service keyword
    * @param {string} [options.clientCorrelator] - Client correlator
-   * @returns {Promise<Object>} Subscription result
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Subscription, with its ID in `id`
    */
-  async subscribeToNotifications(options) {
+  async subscribeToNotifications(options, requestOptions = {}) {
     if (!options.notifyUrl || !options.keyword) {
       throw new Error('Notify URL and keyword are required');
     }
     
-    return this.api.post(`${this.endpoint}/subscriptions`, {
+    const response = await this.api.post(
+      `${this.endpoint}/subscriptions`,
+      this._subscriptionBody(options),
+      requestOptions
+    );
+    return normalizeSubscription('ussd', 'ussdNotificationSubscription', response);
+  }
+  
+  /**
+   * List USSD notification subscriptions
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object[]>} Subscriptions
+   */
+  async listSubscriptions(requestOptions = {}) {
+    const response = await this.api.get(`${this.endpoint}/subscriptions`, {}, requestOptions);
+    return normalizeSubscriptionList('ussd', 'ussdNotificationSubscription', response);
+  }
+  
+  /**
+   * Get a USSD notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Subscription
+   */
+  async getSubscription(subscriptionId, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    
+    const response = await this.api.get(`${this.endpoint}/subscriptions/${subscriptionId}`, {}, requestOptions);
+    return normalizeSubscription('ussd', 'ussdNotificationSubscription', response);
+  }
+  
+  /**
+   * Update a USSD notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - Subscription options
+   * @param {string} options.notifyUrl - URL to receive notifications
+   * @param {string} options.keyword - Service keyword
+   * @param {string} [options.clientCorrelator] - Client correlator
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Updated subscription
+   */
+  async updateSubscription(subscriptionId, options, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    if (!options.notifyUrl || !options.keyword) {
+      throw new Error('Notify URL and keyword are required');
+    }
+    
+    const response = await this.api.put(
+      `${this.endpoint}/subscriptions/${subscriptionId}`,
+      this._subscriptionBody(options),
+      requestOptions
+    );
+    return normalizeSubscription('ussd', 'ussdNotificationSubscription', response);
+  }
+  
+  /**
+   * Delete a USSD notification subscription
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Response data
+   */
+  async deleteSubscription(subscriptionId, requestOptions = {}) {
+    if (!subscriptionId) {
+      throw new Error('Subscription ID is required');
+    }
+    
+    return this.api.delete(`${this.endpoint}/subscriptions/${subscriptionId}`, requestOptions);
+  }
+  
+  /**
+   * Build the request body of a subscription
+   * @param {Object} options - Subscription options
+   * @returns {Object} Request body
+   * @private
+   */
+  _subscriptionBody(options) {
+    return {
       ussdNotificationSubscription: {
         callbackReference: {
           notifyURL: options.notifyUrl
@@ -85,20 +183,21 @@ class USSDService {
         keyword: options.keyword,
         clientCorrelator: options.clientCorrelator || undefined
       }
-    });
+    };
   }
   
   /**
    * Cancel a USSD session
    * @param {string} sessionId - USSD session ID
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
    * @returns {Promise<Object>} Response data
    */
-  async cancelSession(sessionId) {
+  async cancelSession(sessionId, requestOptions = {}) {
     if (!sessionId) {
       throw new Error('Session ID is required');
     }
     
-    return this.api.delete(`${this.endpoint}/sessions/${sessionId}`);
+    return this.api.delete(`${this.endpoint}/sessions/${sessionId}`, requestOptions);
   }
 }
 
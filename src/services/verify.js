@@ -0,0 +1,435 @@
+/**
+ * Phone verification service for Orange Sonatel API
+ *
+ * This module sends one-time codes by SMS or USSD and checks the codes
+ * entered by users. Codes are only kept as salted hashes, and repeated
+ * sends and wrong guesses are limited per number and per IP address.
+ *
+ * Attempts and limits are counted with the atomic increment() of the
+ * store when it has one, so that concurrent checks against a shared
+ * store cannot exceed them. Otherwise they are only counted atomically
+ * within this process.
+ */
+
+import { hmacSha256, randomHex, randomInt, safeEqual } from '../crypto.js';
+import MemoryStore from '../stores/memory-store.js';
+import { normalizeMsisdn } from '../msisdn.js';
+import { VerificationStatus } from '../status.js';
+import { SonatelValidationError } from '../errors.js';
+
+const DEFAULT_TEMPLATE = 'Your verification code is {code}. It expires in {minutes} minutes.';
+
+class VerifyService {
+  /**
+   * Verification service sending codes through the SMS and USSD services
+   * @param {Object} services - Services used to send the codes
+   * @param {SMSService} services.sms - SMS service
+   * @param {USSDService} services.ussd - USSD service
+   * @param {Object} [options] - Service options
+   * @param {Object} [options.store] - Store keeping verifications and counters, with async get/set/delete and optionally increment methods (defaults to an in-memory store)
+   * @param {string} [options.secret] - Key used to hash the codes, required with a store; random by default with the in-memory store
+   * @param {string} [options.channel='sms'] - Default channel: 'sms' or 'ussd'
+   * @param {number} [options.length=6] - Default number of digits
+   * @param {number} [options.ttl=300] - Default code lifetime in seconds
+   * @param {string|Function} [options.template] - Default message, with {code} and {minutes} placeholders, or a function of { code, ttl, msisdn }
+   * @param {string} [options.sender] - SMS sender identifier
+   * @param {string} [options.keyword] - USSD service keyword
+   * @param {number} [options.maxAttempts=5] - Wrong codes accepted before the number is locked
+   * @param {number} [options.lockoutDuration=900] - How long a locked number stays locked, in seconds
+   * @param {number} [options.resendCooldown=30] - Minimum delay between two codes sent to a number, in seconds
+   * @param {Object|boolean} [options.numberLimit] - Codes sent per number, { max: 5, window: 3600 } by default, or false
+   * @param {Object|boolean} [options.ipLimit] - Codes requested, and codes checked, per IP address, { max: 20, window: 3600 } by default, or false
+   * @throws {SonatelValidationError} When a store is given without a secret
+   */
+  constructor(services, options = {}) {
+    if (options.store && !options.secret) {
+      throw new SonatelValidationError('A secret is required with a store, so that every process sharing it hashes the codes alike', {
+        code: 'MISSING_SECRET'
+      });
+    }
+
+    this.sms = services.sms;
+    this.ussd = services.ussd;
+    this.store = options.store || new MemoryStore();
+    this.secret = options.secret || null;
+    this.channel = options.channel || 'sms';
+    this.length = options.length || 6;
+    this.ttl = options.ttl || 300;
+    this.template = options.template || DEFAULT_TEMPLATE;
+    this.sender = options.sender || null;
+    this.keyword = options.keyword || null;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.lockoutDuration = options.lockoutDuration || 900;
+    this.resendCooldown = options.resendCooldown === undefined ? 30 : options.resendCooldown;
+    this.numberLimit = options.numberLimit === false ? null : { max: 5, window: 3600, ...options.numberLimit };
+    this.ipLimit = options.ipLimit === false ? null : { max: 20, window: 3600, ...options.ipLimit };
+    this._queues = new Map();
+  }
+
+  /**
+   * Send a verification code to a phone number
+   *
+   * A new code replaces the pending one, but the wrong attempts made
+   * against the previous code still count towards the lockout.
+   * @param {string} msisdn - Phone number, normalized to E.164
+   * @param {Object} [options] - Verification options
+   * @param {string} [options.channel] - 'sms' or 'ussd'
+   * @param {number} [options.length] - Number of digits, from 4 to 10
+   * @param {number} [options.ttl] - Code lifetime in seconds
+   * @param {string|Function} [options.template] - Message template
+   * @param {string} [options.ip] - IP address of the user, for per-IP limits
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} { status: 'PENDING', msisdn, channel, expiresAt, resendAfter },
+   *   { status: 'RATE_LIMITED', msisdn, reason, retryAfter } or { status: 'LOCKED', msisdn, retryAfter }
+   * @throws {SonatelValidationError} When the number is not a Senegal mobile number
+   */
+  async start(msisdn, options = {}, requestOptions = {}) {
+    const number = normalizeMsisdn(msisdn, { field: 'msisdn' });
+    const channel = options.channel || this.channel;
+    const length = options.length || this.length;
+    const ttl = options.ttl || this.ttl;
+
+    if (channel !== 'sms' && channel !== 'ussd') {
+      throw new Error(`Unsupported verification channel: ${channel}`);
+    }
+    if (!Number.isInteger(length) || length < 4 || length > 10) {
+      throw new Error('Code length must be an integer from 4 to 10');
+    }
+
+    const lock = await this.store.get(this._key('lock', number));
+    if (lock) {
+      return this._locked(number, lock);
+    }
+
+    const now = Date.now();
+    const pending = await this.store.get(this._key('code', number));
+    if (pending && now < pending.sentAt + this.resendCooldown * 1000) {
+      return this._rateLimited(number, 'cooldown', pending.sentAt + this.resendCooldown * 1000);
+    }
+
+    if (this.numberLimit) {
+      const window = await this._hit('rate:number', number, this.numberLimit);
+      if (window.count > this.numberLimit.max) {
+        return this._rateLimited(number, 'number', window.resetAt);
+      }
+    }
+    if (this.ipLimit && options.ip) {
+      const window = await this._hit('rate:ip', options.ip, this.ipLimit);
+      if (window.count > this.ipLimit.max) {
+        return this._rateLimited(number, 'ip', window.resetAt);
+      }
+    }
+    if (!pending) {
+      await this.store.delete(this._key('attempts', number));
+    }
+
+    const code = String(randomInt(0, 10 ** length)).padStart(length, '0');
+    const salt = randomHex(16);
+    const record = {
+      hash: await this._hash(number, code, salt),
+      salt,
+      channel,
+      sentAt: now,
+      expiresAt: now + ttl * 1000
+    };
+    await this._saveRecord(number, record);
+
+    const message = this._render(options.template || this.template, { code, ttl, msisdn: number });
+    try {
+      if (channel === 'sms') {
+        await this.sms.sendSMS({ recipient: number, message, sender: this.sender || undefined }, requestOptions);
+      } else {
+        await this.ussd.sendNotification({ address: number, message, keyword: this.keyword || undefined }, requestOptions);
+      }
+    } catch (error) {
+      // Put back the previous code, which the user may still enter
+      if (pending) {
+        await this._saveRecord(number, pending);
+      } else {
+        await this.store.delete(this._key('code', number));
+      }
+      throw error;
+    }
+
+    return {
+      status: VerificationStatus.PENDING,
+      msisdn: number,
+      channel,
+      expiresAt: new Date(record.expiresAt),
+      resendAfter: new Date(now + this.resendCooldown * 1000)
+    };
+  }
+
+  /**
+   * Check a code entered by the user
+   *
+   * An approved code can only be used once. After `maxAttempts` wrong
+   * codes the number is locked for `lockoutDuration` seconds. Checks of
+   * a number run one at a time, and each one counts as an attempt
+   * before the code is compared.
+   * @param {string} msisdn - Phone number, normalized to E.164
+   * @param {string} code - Code entered by the user
+   * @param {Object} [options] - Check options
+   * @param {string} [options.ip] - IP address of the user, for per-IP limits
+   * @returns {Promise<Object>} { status, msisdn }, with status 'APPROVED', 'INVALID'
+   *   (and attemptsRemaining), 'EXPIRED', 'NOT_FOUND', 'LOCKED' (and retryAfter)
+   *   or 'RATE_LIMITED' (and reason 'ip', retryAfter)
+   * @throws {SonatelValidationError} When the number is not a Senegal mobile number
+   */
+  async check(msisdn, code, options = {}) {
+    const number = normalizeMsisdn(msisdn, { field: 'msisdn' });
+
+    if (this.ipLimit && options.ip) {
+      const window = await this._hit('rate:check-ip', options.ip, this.ipLimit);
+      if (window.count > this.ipLimit.max) {
+        return this._rateLimited(number, 'ip', window.resetAt);
+      }
+    }
+
+    return this._serialize(`check:${number}`, () => this._check(number, code));
+  }
+
+  /**
+   * Check a code while holding the lock of its number
+   * @param {string} number - Normalized phone number
+   * @param {string} code - Code entered by the user
+   * @returns {Promise<Object>} Result, see check
+   * @private
+   */
+  async _check(number, code) {
+    const lock = await this.store.get(this._key('lock', number));
+    if (lock) {
+      return this._locked(number, lock);
+    }
+
+    const key = this._key('code', number);
+    const record = await this.store.get(key);
+    if (!record) {
+      return { status: VerificationStatus.NOT_FOUND, msisdn: number };
+    }
+    if (Date.now() >= record.expiresAt) {
+      await this.store.delete(key);
+      return { status: VerificationStatus.EXPIRED, msisdn: number };
+    }
+
+    const attempts = await this._increment(this._key('attempts', number), this._retention(record));
+    if (attempts > this.maxAttempts) {
+      // Other processes used the last attempts concurrently
+      return this._lockout(number);
+    }
+
+    const hash = await this._hash(number, String(code === undefined || code === null ? '' : code).trim(), record.salt);
+    if (safeEqual(hash, record.hash)) {
+      // Claim the code, so that concurrent checks cannot both approve it
+      if (await this._increment(this._key('used', record.salt), this._retention(record)) > 1) {
+        return { status: VerificationStatus.NOT_FOUND, msisdn: number };
+      }
+      await this.store.delete(key);
+      await this.store.delete(this._key('attempts', number));
+      return { status: VerificationStatus.APPROVED, msisdn: number, channel: record.channel };
+    }
+
+    if (attempts >= this.maxAttempts) {
+      return this._lockout(number);
+    }
+    return {
+      status: VerificationStatus.INVALID,
+      msisdn: number,
+      attemptsRemaining: this.maxAttempts - attempts
+    };
+  }
+
+  /**
+   * Drop the pending code of a phone number
+   * @param {string} msisdn - Phone number, normalized to E.164
+   * @returns {Promise<void>}
+   */
+  async cancel(msisdn) {
+    await this.store.delete(this._key('code', normalizeMsisdn(msisdn, { field: 'msisdn' })));
+  }
+
+  /**
+   * Remove the lockout of a phone number
+   * @param {string} msisdn - Phone number, normalized to E.164
+   * @returns {Promise<void>}
+   */
+  async unlock(msisdn) {
+    await this.store.delete(this._key('lock', normalizeMsisdn(msisdn, { field: 'msisdn' })));
+  }
+
+  /**
+   * Build a store key
+   * @param {string} type - Entry type
+   * @param {string} id - Phone number or IP address
+   * @returns {string} Store key
+   * @private
+   */
+  _key(type, id) {
+    return `sonatel:verify:${type}:${id}`;
+  }
+
+  /**
+   * Save the verification of a phone number
+   *
+   * Records are kept for twice their lifetime so that late checks are
+   * reported as expired rather than not found.
+   * @param {string} msisdn - Phone number
+   * @param {Object} record - Verification record
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveRecord(msisdn, record) {
+    await this.store.set(this._key('code', msisdn), record, this._retention(record));
+  }
+
+  /**
+   * Time for which a verification and its counters are kept
+   * @param {Object} record - Verification record
+   * @returns {number} Milliseconds, twice the lifetime of the code from when it was sent
+   * @private
+   */
+  _retention(record) {
+    const retainUntil = record.expiresAt + (record.expiresAt - record.sentAt);
+    return Math.max(1, retainUntil - Date.now());
+  }
+
+  /**
+   * Lock a phone number after too many wrong codes
+   * @param {string} msisdn - Phone number
+   * @returns {Promise<Object>} Locked result
+   * @private
+   */
+  async _lockout(msisdn) {
+    const until = Date.now() + this.lockoutDuration * 1000;
+    await this.store.set(this._key('lock', msisdn), { until }, this.lockoutDuration * 1000);
+    await this.store.delete(this._key('code', msisdn));
+    await this.store.delete(this._key('attempts', msisdn));
+    return this._locked(msisdn, { until });
+  }
+
+  /**
+   * Run a task after the previous tasks with the same key
+   * @param {string} key - Queue key
+   * @param {Function} task - Async task
+   * @returns {Promise<any>} Result of the task
+   * @private
+   */
+  _serialize(key, task) {
+    const previous = this._queues.get(key) || Promise.resolve();
+    const promise = previous.then(task);
+    const tail = promise.catch(() => {});
+    this._queues.set(key, tail);
+    tail.then(() => {
+      if (this._queues.get(key) === tail) {
+        this._queues.delete(key);
+      }
+    });
+    return promise;
+  }
+
+  /**
+   * Increment a counter of the store
+   *
+   * Uses the atomic increment() of the store when it has one. Otherwise
+   * the read and the write are only serialized within this process.
+   * @param {string} key - Counter key
+   * @param {number} ttl - Time to live of a new counter in milliseconds
+   * @returns {Promise<number>} Value of the counter after the increment
+   * @private
+   */
+  _increment(key, ttl) {
+    if (typeof this.store.increment === 'function') {
+      return this.store.increment(key, ttl);
+    }
+    return this._serialize(`counter:${key}`, async () => {
+      const count = (await this.store.get(key) || 0) + 1;
+      await this.store.set(key, count, ttl);
+      return count;
+    });
+  }
+
+  /**
+   * Hash a code with the salt of its verification
+   *
+   * Without a configured secret, the codes are only kept in memory, so a
+   * random secret is created on first use.
+   * @param {string} msisdn - Phone number
+   * @param {string} code - Code
+   * @param {string} salt - Salt of the verification
+   * @returns {Promise<string>} Hex-encoded HMAC-SHA256
+   * @private
+   */
+  _hash(msisdn, code, salt) {
+    if (!this.secret) {
+      this.secret = randomHex(32);
+    }
+    return hmacSha256(this.secret, `${salt}:${msisdn}:${code}`);
+  }
+
+  /**
+   * Render the message sent with the code
+   * @param {string|Function} template - Message template
+   * @param {Object} values - { code, ttl, msisdn }
+   * @returns {string} Message
+   * @private
+   */
+  _render(template, values) {
+    if (typeof template === 'function') {
+      return template(values);
+    }
+    return template
+      .replace(/\{code\}/g, values.code)
+      .replace(/\{minutes\}/g, String(Math.ceil(values.ttl / 60)));
+  }
+
+  /**
+   * Count a request against a rate limit
+   *
+   * Windows are fixed: they start at multiples of their duration.
+   * @param {string} type - Counter type
+   * @param {string} id - Phone number or IP address
+   * @param {Object} limit - { max, window }
+   * @returns {Promise<Object>} { count, resetAt }, count including this request
+   * @private
+   */
+  async _hit(type, id, limit) {
+    const duration = limit.window * 1000;
+    const resetAt = (Math.floor(Date.now() / duration) + 1) * duration;
+    const count = await this._increment(this._key(type, `${id}:${resetAt}`), resetAt - Date.now());
+    return { count, resetAt };
+  }
+
+  /**
+   * Build a rate limited result
+   * @param {string} msisdn - Phone number
+   * @param {string} reason - 'cooldown', 'number' or 'ip'
+   * @param {number} until - Time at which a new code can be sent
+   * @returns {Object} Result
+   * @private
+   */
+  _rateLimited(msisdn, reason, until) {
+    return {
+      status: VerificationStatus.RATE_LIMITED,
+      msisdn,
+      reason,
+      retryAfter: Math.max(1, Math.ceil((until - Date.now()) / 1000))
+    };
+  }
+
+  /**
+   * Build a locked result
+   * @param {string} msisdn - Phone number
+   * @param {Object} lock - { until }
+   * @returns {Object} Result
+   * @private
+   */
+  _locked(msisdn, lock) {
+    return {
+      status: VerificationStatus.LOCKED,
+      msisdn,
+      retryAfter: Math.max(1, Math.ceil((lock.until - Date.now()) / 1000))
+    };
+  }
+}
+
+export default VerifyService;
@@ -0,0 +1,157 @@
+/**
+ * SMS encoding and segmentation
+ *
+ * Detects whether a message fits the GSM 03.38 7-bit alphabet or needs
+ * UCS-2, counts the billed segments and estimates the cost of sending it.
+ * Accented French characters outside GSM-7 (ç, â, ê, ...) can be
+ * transliterated to keep messages in GSM-7.
+ */
+
+// GSM 03.38 basic character set
+const GSM_BASIC = new Set(
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+);
+
+// GSM 03.38 extension table, each character takes two septets
+const GSM_EXTENDED = new Set('\f^{}\\[~]|€');
+
+const TRANSLITERATIONS = {
+  'á': 'a', 'â': 'a', 'ã': 'a', 'À': 'A', 'Á': 'A', 'Â': 'A', 'Ã': 'A',
+  'ç': 'c', 'ê': 'e', 'ë': 'e', 'È': 'E', 'Ê': 'E', 'Ë': 'E',
+  'í': 'i', 'î': 'i', 'ï': 'i', 'Ì': 'I', 'Í': 'I', 'Î': 'I', 'Ï': 'I',
+  'ó': 'o', 'ô': 'o', 'õ': 'o', 'Ò': 'O', 'Ó': 'O', 'Ô': 'O', 'Õ': 'O',
+  'ú': 'u', 'û': 'u', 'Ù': 'U', 'Ú': 'U', 'Û': 'U',
+  'ÿ': 'y', 'Ÿ': 'Y', 'œ': 'oe', 'Œ': 'OE',
+  '‘': '\'', '’': '\'', '‚': '\'', '“': '"', '”': '"', '„': '"', '«': '"', '»': '"',
+  '–': '-', '—': '-', '…': '...', '°': 'o', '`': '\'',
+  '\u00a0': ' ', '\u202f': ' ', '\t': ' '
+};
+
+const LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 }
+};
+
+/**
+ * Check whether a character can be sent in GSM-7
+ * @param {string} char - Single character
+ * @returns {boolean} True if it belongs to the basic or extension table
+ * @private
+ */
+function isGsmChar(char) {
+  return GSM_BASIC.has(char) || GSM_EXTENDED.has(char);
+}
+
+/**
+ * Replace characters outside GSM-7 by their closest GSM-7 equivalent
+ *
+ * Characters without an equivalent (emoji, Arabic, ...) are kept.
+ * @param {string} text - Message text
+ * @returns {string} Transliterated text
+ */
+function transliterate(text) {
+  return Array.from(text)
+    .map(char => (isGsmChar(char) ? char : TRANSLITERATIONS[char] || char))
+    .join('');
+}
+
+/**
+ * Detect the encoding a message will be sent with
+ * @param {string} text - Message text
+ * @returns {string} 'GSM-7' or 'UCS-2'
+ */
+function detectEncoding(text) {
+  return Array.from(text).every(isGsmChar) ? 'GSM-7' : 'UCS-2';
+}
+
+/**
+ * Count the segments of a message
+ *
+ * Escaped GSM-7 characters and UTF-16 surrogate pairs are never split
+ * across two segments.
+ * @param {number[]} units - Size of each character, in septets or UTF-16 code units
+ * @param {Object} limit - Segment sizes for the encoding
+ * @returns {number} Number of segments
+ * @private
+ */
+function countSegments(units, limit) {
+  const total = units.reduce((sum, size) => sum + size, 0);
+  if (total <= limit.single) {
+    return total === 0 ? 0 : 1;
+  }
+
+  let segments = 1;
+  let used = 0;
+  units.forEach(size => {
+    if (used + size > limit.multi) {
+      segments++;
+      used = 0;
+    }
+    used += size;
+  });
+  return segments;
+}
+
+/**
+ * Analyze the encoding and size of a message
+ * @param {string} text - Message text
+ * @param {Object} [options] - Analysis options
+ * @param {boolean} [options.transliterate=false] - Transliterate to stay in GSM-7 where possible
+ * @returns {Object} { text, encoding, length, segments, perSegment, remaining, unsupportedCharacters }
+ */
+function analyzeMessage(text, options = {}) {
+  const message = options.transliterate ? transliterate(String(text)) : String(text);
+  const chars = Array.from(message);
+  const encoding = chars.every(isGsmChar) ? 'GSM-7' : 'UCS-2';
+  const units = encoding === 'GSM-7'
+    ? chars.map(char => (GSM_EXTENDED.has(char) ? 2 : 1))
+    : chars.map(char => char.length);
+  const length = units.reduce((sum, size) => sum + size, 0);
+  const limit = LIMITS[encoding];
+  const segments = countSegments(units, limit);
+  const perSegment = segments > 1 ? limit.multi : limit.single;
+
+  return {
+    text: message,
+    encoding,
+    length,
+    segments,
+    perSegment,
+    remaining: Math.max(0, segments * perSegment - length),
+    unsupportedCharacters: [...new Set(chars.filter(char => !isGsmChar(char)))]
+  };
+}
+
+/**
+ * Estimate the cost of sending a message
+ * @param {string} text - Message text
+ * @param {Object} options - Pricing options
+ * @param {number} options.pricePerSegment - Price of one segment
+ * @param {string} [options.currency='XOF'] - Currency of the price
+ * @param {number} [options.recipients=1] - Number of recipients
+ * @param {boolean} [options.transliterate=false] - Transliterate to stay in GSM-7 where possible
+ * @returns {Object} { segments, recipients, amount, currency }
+ */
+function estimateSMSCost(text, options) {
+  if (!options || typeof options.pricePerSegment !== 'number') {
+    throw new Error('Price per segment is required');
+  }
+
+  const recipients = options.recipients || 1;
+  const { segments } = analyzeMessage(text, options);
+
+  return {
+    segments,
+    recipients,
+    amount: segments * recipients * options.pricePerSegment,
+    currency: options.currency || 'XOF'
+  };
+}
+
+export {
+  analyzeMessage,
+  detectEncoding,
+  estimateSMSCost,
+  transliterate
+};
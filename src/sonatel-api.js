@@ -1,108 +1,599 @@
-class SonatelAPI {
+import {
+  SonatelAuthError,
+  SonatelAbortError,
+  SonatelNetworkError,
+  SonatelTimeoutError,
+  createHttpError
+} from './errors.js';
+import { DEFAULT_RETRY_POLICY, resolveRetryPolicy } from './retry.js';
+import { compose, defaultMiddlewares, describeEndpoint } from './middleware.js';
+import { createLogger } from './logger.js';
+import { detectRuntime, resolveFetch } from './runtime.js';
+import { applyEnvironment } from './config.js';
+import { RequestScheduler } from './scheduler.js';
+import EventEmitter from './event-emitter.js';
+import MemoryStore from './stores/memory-store.js';
+
+class SonatelAPI extends EventEmitter {
   /**
    * Initialize the Sonatel API client
    * @param {Object} config - Configuration object
    * @param {string} config.clientId - Client ID for authentication
    * @param {string} config.clientSecret - Client Secret for authentication
+   * @param {string} [config.environment] - Environment preset ('production', 'sandbox' or one added with defineEnvironment)
    * @param {string} [config.baseUrl=https://api.orange-sonatel.com] - Base URL for API requests
    * @param {number} [config.timeout=10000] - Request timeout in milliseconds
-   * @param {boolean} [config.debug=false] - Enable debug logging
+   * @param {Function} [config.fetch] - fetch implementation (defaults to the global fetch)
+   * @param {boolean} [config.debug=false] - Log to the console when no logger is given
+   * @param {Object} [config.logger] - pino/winston-style logger receiving structured log records
+   * @param {boolean|Object} [config.redact=true] - Redaction of tokens, secrets and phone numbers in logs, see createLogger
+   * @param {boolean} [config.logBodies=false] - Include request and response bodies in logs
+   * @param {Object} [config.tokenStore] - Store shared by clients to cache tokens, with async get/set/delete methods (defaults to an in-memory store)
+   * @param {number} [config.tokenRefreshMargin=60] - Refresh the token this many seconds before it expires
+   * @param {Object|boolean} [config.retry] - Retry policy, or false to disable retries
+   * @param {number} [config.retry.maxAttempts=3] - Maximum number of attempts, including the first one
+   * @param {number} [config.retry.baseDelay=300] - Base backoff delay in milliseconds
+   * @param {number} [config.retry.maxDelay=10000] - Maximum backoff delay in milliseconds; a longer Retry-After is not waited for
+   * @param {boolean} [config.retry.jitter=true] - Randomize backoff delays
+   * @param {number[]} [config.retry.retryStatuses] - HTTP statuses that may be retried
+   * @param {boolean} [config.retry.retryNetworkErrors=true] - Retry network errors and timeouts
+   * @param {boolean} [config.retry.respectRetryAfter=true] - Honor the Retry-After response header
+   * @param {string[]} [config.retry.idempotentMethods] - Methods that are always safe to retry
+   * @param {Function} [config.retry.onRetry] - Called before each retry with { attempt, delay, error, endpoint, method }
+   * @param {Function[]} [config.middleware] - Middlewares added after the built-in ones, see use()
+   * @param {MetricsCollector} [config.metrics] - Collector recording the client's metrics
+   * @param {Object} [config.tracer] - OpenTelemetry tracer used to create a span for each HTTP attempt
+   * @param {boolean} [config.propagateTraceContext=true] - Send the span's trace context in traceparent/tracestate headers
+   * @param {Object|RequestScheduler} [config.rateLimit] - Client-side rate limits, see RequestScheduler (no limits by default)
+   * @param {boolean} [config.rawResponses=false] - Have the services return response bodies as is rather than normalized results
    */
   constructor(config) {
+    super();
+    config = applyEnvironment(config);
     if (!config.clientId || !config.clientSecret) {
       throw new Error('Client ID and Client Secret are required');
     }
 
     this.clientId = config.clientId;
     this.clientSecret = config.clientSecret;
+    this.environment = config.environment || null;
     this.baseUrl = config.baseUrl || 'https://api.orange-sonatel.com';
     this.timeout = config.timeout || 10000;
+    this.runtime = detectRuntime();
+    // Fail at creation rather than on the first request when fetch is missing
+    resolveFetch(config.fetch);
+    this.fetchImpl = config.fetch || null;
     this.debug = config.debug || false;
+    this.logger = createLogger({
+      logger: config.logger,
+      debug: this.debug,
+      redact: config.redact,
+      logBodies: config.logBodies
+    });
+    this.retryPolicy = resolveRetryPolicy(DEFAULT_RETRY_POLICY, config.retry);
+    this.tokenStore = config.tokenStore || new MemoryStore();
+    this.tokenRefreshMargin = (config.tokenRefreshMargin === undefined ? 60 : config.tokenRefreshMargin) * 1000;
     this.token = null;
     this.tokenExpiry = null;
+    this._tokenRefresh = null;
+    // Incremented when the credentials are rotated
+    this._credentialsVersion = 0;
+    this.middleware = defaultMiddlewares();
+    this._pipeline = null;
+    (config.middleware || []).forEach(middleware => this.use(middleware));
+    this.tracer = config.tracer || null;
+    this.propagateTraceContext = config.propagateTraceContext !== false;
+    this.rateLimiter = this._createRateLimiter(config.rateLimit);
+    this.rawResponses = config.rawResponses || false;
+    if (config.metrics) {
+      config.metrics.attach(this);
+    }
+  }
+
+  /**
+   * Emit an instrumentation event
+   *
+   * Events are `request`, `retry`, `rateLimit` and `token.refresh`. A
+   * failing listener is logged and never fails the request.
+   * @param {string} event - Event name
+   * @param {...any} args - Arguments passed to the listeners
+   * @returns {boolean} True if the event had listeners
+   */
+  emit(event, ...args) {
+    try {
+      return super.emit(event, ...args);
+    } catch (error) {
+      this.logger.warn(`Listener of ${event} failed`, { event, error });
+      return true;
+    }
   }
 
   /**
-   * Log debug messages if debug mode is enabled
-   * @param {string} message - Message to log
-   * @param {any} [data] - Optional data to log
+   * Create the client-side rate limiter from the rateLimit option
+   * @param {Object|RequestScheduler} [rateLimit] - Scheduler or scheduler options
+   * @returns {RequestScheduler|null} Rate limiter, or null when requests are not limited
    * @private
    */
-  _log(message, data) {
-    if (this.debug) {
-      console.log(`[SonatelAPI] ${message}`);
-      if (data) console.log(data);
+  _createRateLimiter(rateLimit) {
+    if (!rateLimit) {
+      return null;
     }
+    if (rateLimit instanceof RequestScheduler) {
+      return rateLimit;
+    }
+    return new RequestScheduler({ logger: this.logger, ...rateLimit });
   }
 
   /**
-   * Get an authentication token
-   * @returns {Promise<string>} Authentication token
+   * Key under which the token is kept in the token store
+   * @returns {string} Token store key
+   * @private
+   */
+  get _tokenKey() {
+    return `sonatel:token:${this.clientId}@${this.baseUrl}`;
+  }
+
+  /**
+   * Check whether the cached token is still usable
+   *
+   * Tokens are considered stale `tokenRefreshMargin` before they expire
+   * so that they are refreshed before requests start failing.
+   * @returns {boolean} True if the cached token can be used
    * @private
    */
-  async _getToken() {
+  _isTokenFresh() {
+    return Boolean(this.token && this.tokenExpiry &&
+      Date.now() < this.tokenExpiry.getTime() - this.tokenRefreshMargin);
+  }
+
+  /**
+   * Get an authentication token, fetching a new one when needed
+   *
+   * Concurrent callers share a single in-flight token request.
+   * @param {Object} [options] - Fetch options
+   * @param {AbortSignal} [options.signal] - Signal to stop waiting for the token
+   * @returns {Promise<string>} Authentication token
+   */
+  async getToken(options = {}) {
     // Check if we have a valid token
-    if (this.token && this.tokenExpiry && new Date() < this.tokenExpiry) {
-      this._log('Using cached token');
+    if (this._isTokenFresh()) {
+      this.logger.debug('Using cached token');
       return this.token;
     }
 
-    this._log('Fetching new token');
-    
+    if (!this._tokenRefresh) {
+      const refresh = this._refreshToken().finally(() => {
+        // Credentials rotation may already have replaced it
+        if (this._tokenRefresh === refresh) {
+          this._tokenRefresh = null;
+        }
+      });
+      this._tokenRefresh = refresh;
+    }
+
+    const { signal } = options;
+    if (!signal) {
+      return this._tokenRefresh;
+    }
+
+    // The shared refresh keeps running for other callers; only this caller stops waiting
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(new SonatelAbortError('Waiting for authentication token was aborted', {
+        endpoint: '/oauth/token',
+        method: 'POST',
+        cause: signal.reason
+      }));
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      this._tokenRefresh.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Load the token from the token store, or fetch a new one
+   * @returns {Promise<string>} Authentication token
+   * @private
+   */
+  async _refreshToken() {
+    const version = this._credentialsVersion;
+    // Another client sharing the store may already have refreshed it
+    let stored = null;
+    try {
+      stored = await this.tokenStore.get(this._tokenKey);
+    } catch (error) {
+      this.logger.warn('Token store read failed', { error });
+    }
+
+    if (stored && stored.accessToken && Date.now() < stored.expiresAt - this.tokenRefreshMargin) {
+      if (version !== this._credentialsVersion) {
+        return stored.accessToken;
+      }
+      this.token = stored.accessToken;
+      this.tokenExpiry = new Date(stored.expiresAt);
+      this.logger.debug('Using token from token store');
+      this.emit('token.refresh', { source: 'store', success: true, duration: 0 });
+      return this.token;
+    }
+
+    const startedAt = Date.now();
     try {
-      const response = await fetch(`${this.baseUrl}/oauth/token`, {
+      const token = await this._fetchToken();
+      this.emit('token.refresh', { source: 'network', success: true, duration: Date.now() - startedAt });
+      return token;
+    } catch (error) {
+      this.emit('token.refresh', { source: 'network', success: false, duration: Date.now() - startedAt, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch a new token from the OAuth endpoint and save it in the token store
+   * @returns {Promise<string>} Authentication token
+   * @throws {SonatelAuthError} When the credentials are rejected
+   * @private
+   */
+  async _fetchToken() {
+    this.logger.debug('Fetching new token', { endpoint: '/oauth/token' });
+    const endpoint = '/oauth/token';
+    const version = this._credentialsVersion;
+    
+    const { response, body: data } = await this._fetch(endpoint, `${this.baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+      }),
+    });
+
+    if (!response.ok) {
+      const httpError = createHttpError({ response, body: data, endpoint, method: 'POST' });
+      this.logger.error('Token acquisition failed', {
+        endpoint,
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-        body: new URLSearchParams({
-          grant_type: 'client_credentials',
-          client_id: this.clientId,
-          client_secret: this.clientSecret,
-        }),
-        timeout: this.timeout,
+        status: httpError.status,
+        error: httpError
       });
+      // Any failure to authenticate is reported as an auth error
+      throw httpError instanceof SonatelAuthError
+        ? httpError
+        : new SonatelAuthError(`Failed to get authentication token: ${httpError.message}`, {
+          status: httpError.status,
+          code: httpError.code,
+          requestId: httpError.requestId,
+          endpoint,
+          method: 'POST',
+          headers: httpError.headers,
+          body: httpError.body,
+          cause: httpError
+        });
+    }
+
+    if (version !== this._credentialsVersion) {
+      // Obtained with rotated credentials: only used by the callers already waiting for it
+      this.logger.debug('Token acquired with previous credentials, not cached');
+      return data.access_token;
+    }
+
+    this.token = data.access_token;
+    
+    // Set token expiry (usually expires_in is in seconds)
+    const expiresIn = data.expires_in || 3600;
+    this.tokenExpiry = new Date(Date.now() + expiresIn * 1000);
+    
+    try {
+      await this.tokenStore.set(this._tokenKey, {
+        accessToken: this.token,
+        expiresAt: this.tokenExpiry.getTime()
+      }, expiresIn * 1000);
+    } catch (error) {
+      this.logger.warn('Token store write failed', { error });
+    }
+    
+    this.logger.info('Token acquired', { expiresIn });
+    return this.token;
+  }
+
+  /**
+   * Drop the cached token so that the next request fetches a new one
+   * @param {string} [token] - Only drop the cache if it still holds this token
+   * @returns {Promise<void>}
+   */
+  async invalidateToken(token) {
+    if (token && token !== this.token) {
+      // A newer token has already replaced the rejected one
+      return;
+    }
+
+    const rejected = this.token;
+    this.token = null;
+    this.tokenExpiry = null;
+    await this._deleteStoredToken(this._tokenKey, rejected);
+  }
 
-      if (!response.ok) {
-        throw new Error(`Authentication failed: ${response.status} ${response.statusText}`);
+  /**
+   * Remove a token from the token store
+   * @param {string} key - Token store key
+   * @param {string|null} token - Only remove the stored token if it is this one
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deleteStoredToken(key, token) {
+    try {
+      const stored = await this.tokenStore.get(key);
+      if (stored && (!token || stored.accessToken === token)) {
+        await this.tokenStore.delete(key);
       }
+    } catch (error) {
+      this.logger.warn('Token store delete failed', { error });
+    }
+  }
 
-      const data = await response.json();
-      this.token = data.access_token;
-      
-      // Set token expiry (usually expires_in is in seconds)
-      const expiresIn = data.expires_in || 3600;
-      this.tokenExpiry = new Date(Date.now() + expiresIn * 1000);
-      
-      this._log('Token acquired', { expiresIn });
-      return this.token;
+  /**
+   * Replace the client credentials at runtime
+   *
+   * New requests authenticate with the new credentials. Requests already
+   * sent keep their token; if the API rejects it with a 401 they are sent
+   * again with a token obtained with the new credentials.
+   * @param {Object} credentials - New credentials
+   * @param {string} [credentials.clientId] - Client ID (defaults to the current one)
+   * @param {string} credentials.clientSecret - Client Secret
+   * @returns {Promise<void>}
+   */
+  async rotateCredentials(credentials = {}) {
+    if (!credentials.clientSecret) {
+      throw new Error('Client Secret is required');
+    }
+
+    const previousKey = this._tokenKey;
+    const previousToken = this.token;
+    this.clientId = credentials.clientId || this.clientId;
+    this.clientSecret = credentials.clientSecret;
+    this._credentialsVersion += 1;
+    // A token request running with the old credentials still answers its callers
+    this._tokenRefresh = null;
+    this.token = null;
+    this.tokenExpiry = null;
+
+    this.logger.info('Credentials rotated', { clientId: this.clientId });
+    await this._deleteStoredToken(previousKey, previousToken);
+  }
+
+  /**
+   * Parse a response body as JSON or text depending on its content type
+   * @param {Response} response - Fetch response
+   * @returns {Promise<any>} Parsed body
+   * @private
+   */
+  async _parseResponse(response) {
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('application/json')) {
+      const text = await response.text();
+      try {
+        return text ? JSON.parse(text) : null;
+      } catch (error) {
+        return text;
+      }
+    }
+    return response.text();
+  }
+
+  /**
+   * Call fetch with a timeout and read the response body
+   *
+   * Native fetch has no timeout option, so the request is aborted through
+   * an AbortController once the timeout elapses. The caller's signal is
+   * linked to the same controller.
+   * @param {string} endpoint - API endpoint, used in error details
+   * @param {string} url - Full request URL
+   * @param {Object} init - Fetch init options
+   * @param {Object} [options] - Fetch control options
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request
+   * @param {number} [options.timeout] - Timeout in milliseconds (defaults to the client timeout)
+   * @returns {Promise<{response: Response, body: any}>} Response and parsed body
+   * @throws {SonatelTimeoutError} When the timeout elapses
+   * @throws {SonatelAbortError} When the caller's signal is aborted
+   * @throws {SonatelNetworkError} When no response is received
+   * @private
+   */
+  async _fetch(endpoint, url, init, options = {}) {
+    const { signal } = options;
+    const timeout = options.timeout || this.timeout;
+    const method = init.method || 'GET';
+    const details = { endpoint, method };
+
+    if (signal && signal.aborted) {
+      throw new SonatelAbortError(`${method} ${endpoint} was aborted`, { ...details, cause: signal.reason });
+    }
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+
+    try {
+      // Called unbound: native fetch throws when called as a method of another object
+      const fetchImpl = resolveFetch(this.fetchImpl);
+      const response = await fetchImpl(url, { ...init, signal: controller.signal });
+      const body = await this._parseResponse(response);
+      return { response, body };
     } catch (error) {
-      this._log('Token acquisition failed', error);
-      throw new Error(`Failed to get authentication token: ${error.message}`);
+      this.logger.debug(`${method} ${endpoint} failed`, { endpoint, method, error });
+      if (timedOut) {
+        throw new SonatelTimeoutError(`${method} ${endpoint} timed out after ${timeout}ms`, { ...details, cause: error });
+      }
+      if (signal && signal.aborted) {
+        throw new SonatelAbortError(`${method} ${endpoint} was aborted`, { ...details, cause: signal.reason || error });
+      }
+      throw new SonatelNetworkError(`${method} ${endpoint} failed: ${error.message}`, { ...details, cause: error });
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Add a middleware to the request pipeline
+   *
+   * Middlewares are called as `middleware(ctx, next)` and must return the
+   * response `{ status, headers, data }`, usually the one returned by
+   * `next()`. The context holds `endpoint`, its `service` and `route`
+   * (the endpoint with IDs replaced by `:id`), `method`, `params`, `data`,
+   * `headers`, the per-call `options`, the `attempt` number, a free-form
+   * `state` object, the `api` client and its `logger`. A middleware
+   * can modify the request before calling `next()`, transform the
+   * response, or return a response without calling `next()`.
+   *
+   * The built-in chain is `retry`, `rateLimit`, `auth`, `telemetry`,
+   * `logging`.
+   * Middlewares are added at the end, so they run for every HTTP attempt,
+   * unless placed with `before` or `after`.
+   * @param {Function} middleware - Middleware function
+   * @param {Object} [options] - Placement options
+   * @param {string} [options.name] - Name used to place, replace or remove it (defaults to the function name)
+   * @param {string} [options.before] - Insert before the middleware with this name
+   * @param {string} [options.after] - Insert after the middleware with this name
+   * @returns {SonatelAPI} This client
+   */
+  use(middleware, options = {}) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
+    }
+
+    const entry = { name: options.name || middleware.name || null, fn: middleware };
+    let index = this.middleware.length;
+    if (options.before) {
+      index = this._middlewareIndex(options.before);
+    } else if (options.after) {
+      index = this._middlewareIndex(options.after) + 1;
+    }
+
+    this.middleware.splice(index, 0, entry);
+    this._pipeline = null;
+    return this;
+  }
+
+  /**
+   * Replace a middleware, e.g. the built-in `auth`, `retry` or `logging`
+   * @param {string} name - Name of the middleware to replace
+   * @param {Function} middleware - New middleware
+   * @returns {SonatelAPI} This client
+   */
+  replaceMiddleware(name, middleware) {
+    if (typeof middleware !== 'function') {
+      throw new Error('Middleware must be a function');
     }
+
+    this.middleware[this._middlewareIndex(name)] = { name, fn: middleware };
+    this._pipeline = null;
+    return this;
+  }
+
+  /**
+   * Remove a middleware from the request pipeline
+   * @param {string} name - Name of the middleware to remove
+   * @returns {SonatelAPI} This client
+   */
+  removeMiddleware(name) {
+    this.middleware.splice(this._middlewareIndex(name), 1);
+    this._pipeline = null;
+    return this;
+  }
+
+  /**
+   * Find the position of a named middleware
+   * @param {string} name - Middleware name
+   * @returns {number} Index in the chain
+   * @throws {Error} When no middleware has this name
+   * @private
+   */
+  _middlewareIndex(name) {
+    const index = this.middleware.findIndex(entry => entry.name === name);
+    if (index === -1) {
+      throw new Error(`Unknown middleware: ${name}`);
+    }
+    return index;
   }
 
   /**
    * Make an authenticated request to the Sonatel API
+   *
+   * The request runs through the middleware pipeline, see use(). With
+   * the built-in middlewares, failed requests are retried according to
+   * the retry policy: only idempotent methods, and POST requests
+   * carrying an idempotency key, are retried.
    * @param {string} endpoint - API endpoint path
    * @param {Object} options - Request options
    * @param {string} [options.method='GET'] - HTTP method
    * @param {Object} [options.params={}] - URL parameters
    * @param {Object} [options.data=null] - Request body data
    * @param {Object} [options.headers={}] - Additional request headers
+   * @param {string} [options.idempotencyKey] - Sent as the Idempotency-Key header
+   * @param {Object|boolean} [options.retry] - Retry policy overrides for this call, or false to disable retries
+   * @param {AbortSignal} [options.signal] - Signal to cancel the request, including pending retries
+   * @param {number} [options.timeout] - Timeout of each attempt in milliseconds (defaults to the client timeout)
+   * @param {number} [options.priority] - Rate limiter priority, higher first (defaults to the priority of the group)
+   * @param {string} [options.rateLimitGroup] - Rate limiter group (defaults to the group of the endpoint)
+   * @param {RequestScheduler} [options.rateLimiter] - Rate limiter for this call, used when the client has none
+   * @param {boolean} [options.raw] - For service methods, return the response body rather than a normalized result
    * @returns {Promise<Object>} Response data
+   * @throws {SonatelError} When the request fails, see ./errors for the subclasses
    */
   async request(endpoint, options = {}) {
-    const method = options.method || 'GET';
-    const params = options.params || {};
-    const data = options.data || null;
-    const headers = options.headers || {};
-    
-    // Get authentication token
-    const token = await this._getToken();
+    const headers = { ...options.headers };
+    if (options.idempotencyKey) {
+      headers['Idempotency-Key'] = options.idempotencyKey;
+    }
+
+    if (!this._pipeline) {
+      this._pipeline = compose(this.middleware.map(entry => entry.fn), ctx => this._transport(ctx));
+    }
+
+    const path = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
+    const { service, route } = describeEndpoint(path);
+    const response = await this._pipeline({
+      api: this,
+      endpoint: path,
+      service,
+      route,
+      method: options.method || 'GET',
+      params: options.params || {},
+      data: options.data || null,
+      headers,
+      options,
+      attempt: 1,
+      state: {},
+      logger: this.logger
+    });
+    return response.data;
+  }
+
+  /**
+   * Send a request over HTTP, at the end of the middleware pipeline
+   * @param {Object} ctx - Request context, see use()
+   * @returns {Promise<Object>} Response: { status, headers, data }
+   * @throws {SonatelAPIError} When the response status is not 2xx
+   * @private
+   */
+  async _transport(ctx) {
+    const { endpoint, method, params, data } = ctx;
     
     // Prepare URL with query parameters
-    let url = `${this.baseUrl}${endpoint.startsWith('/') ? endpoint : '/' + endpoint}`;
+    let url = `${this.baseUrl}${endpoint}`;
     
     if (Object.keys(params).length > 0) {
       const queryParams = new URLSearchParams();
@@ -116,11 +607,9 @@ class SonatelAPI {
     const requestOptions = {
       method,
       headers: {
-        'Authorization': `Bearer ${token}`,
         'Content-Type': 'application/json',
-        ...headers,
+        ...ctx.headers,
       },
-      timeout: this.timeout,
     };
     
     // Add request body for non-GET requests
@@ -128,30 +617,20 @@ class SonatelAPI {
       requestOptions.body = JSON.stringify(data);
     }
     
-    this._log(`Making ${method} request to ${url}`, { params, data });
+    const { response, body: responseData } = await this._fetch(endpoint, url, requestOptions, {
+      signal: ctx.options.signal,
+      timeout: ctx.options.timeout
+    });
     
-    try {
-      const response = await fetch(url, requestOptions);
-      
-      // Parse response
-      let responseData;
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        responseData = await response.json();
-      } else {
-        responseData = await response.text();
-      }
-      
-      if (!response.ok) {
-        throw new Error(`Request failed: ${response.status} ${response.statusText}`);
-      }
-      
-      this._log('Request successful', responseData);
-      return responseData;
-    } catch (error) {
-      this._log('Request failed', error);
-      throw new Error(`API request failed: ${error.message}`);
+    if (!response.ok) {
+      throw createHttpError({ response, body: responseData, endpoint, method });
     }
+    
+    const headers = {};
+    response.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+    return { status: response.status, headers, data: responseData };
   }
 
   /**
@@ -0,0 +1,142 @@
+/**
+ * Status normalization for the Orange Sonatel API
+ *
+ * Payment and SMS delivery statuses come in several spellings depending
+ * on the endpoint; these helpers map them to a fixed set of values.
+ */
+
+const PaymentStatus = Object.freeze({
+  PENDING: 'PENDING',
+  SUCCESS: 'SUCCESS',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+  EXPIRED: 'EXPIRED',
+  UNKNOWN: 'UNKNOWN'
+});
+
+const DeliveryStatus = Object.freeze({
+  PENDING: 'PENDING',
+  SENT: 'SENT',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED',
+  EXPIRED: 'EXPIRED',
+  UNCERTAIN: 'UNCERTAIN',
+  UNKNOWN: 'UNKNOWN'
+});
+
+// Outcomes of the phone verification service
+const VerificationStatus = Object.freeze({
+  PENDING: 'PENDING',
+  APPROVED: 'APPROVED',
+  INVALID: 'INVALID',
+  EXPIRED: 'EXPIRED',
+  NOT_FOUND: 'NOT_FOUND',
+  LOCKED: 'LOCKED',
+  RATE_LIMITED: 'RATE_LIMITED'
+});
+
+const PAYMENT_STATUS_ALIASES = {
+  PENDING: PaymentStatus.PENDING,
+  INITIATED: PaymentStatus.PENDING,
+  CREATED: PaymentStatus.PENDING,
+  PROCESSING: PaymentStatus.PENDING,
+  IN_PROGRESS: PaymentStatus.PENDING,
+  SUCCESS: PaymentStatus.SUCCESS,
+  SUCCESSFUL: PaymentStatus.SUCCESS,
+  SUCCEEDED: PaymentStatus.SUCCESS,
+  COMPLETED: PaymentStatus.SUCCESS,
+  PAID: PaymentStatus.SUCCESS,
+  FAILED: PaymentStatus.FAILED,
+  FAILURE: PaymentStatus.FAILED,
+  REJECTED: PaymentStatus.FAILED,
+  ERROR: PaymentStatus.FAILED,
+  CANCELLED: PaymentStatus.CANCELLED,
+  CANCELED: PaymentStatus.CANCELLED,
+  EXPIRED: PaymentStatus.EXPIRED,
+  TIMEOUT: PaymentStatus.EXPIRED
+};
+
+// OneAPI delivery statuses, plus the plain spellings some endpoints use
+const DELIVERY_STATUS_ALIASES = {
+  MESSAGEWAITING: DeliveryStatus.PENDING,
+  PENDING: DeliveryStatus.PENDING,
+  DELIVEREDTONETWORK: DeliveryStatus.SENT,
+  SENT: DeliveryStatus.SENT,
+  DELIVEREDTOTERMINAL: DeliveryStatus.DELIVERED,
+  DELIVERED: DeliveryStatus.DELIVERED,
+  DELIVERYIMPOSSIBLE: DeliveryStatus.FAILED,
+  FAILED: DeliveryStatus.FAILED,
+  EXPIRED: DeliveryStatus.EXPIRED,
+  DELIVERYUNCERTAIN: DeliveryStatus.UNCERTAIN,
+  DELIVERYNOTIFICATIONNOTSUPPORTED: DeliveryStatus.UNCERTAIN
+};
+
+const TERMINAL_PAYMENT_STATUSES = [
+  PaymentStatus.SUCCESS,
+  PaymentStatus.FAILED,
+  PaymentStatus.CANCELLED,
+  PaymentStatus.EXPIRED
+];
+
+// UNCERTAIN deliveries (DeliveryUncertain, DeliveryNotificationNotSupported) never get an
+// update, while UNKNOWN (missing or unrecognized) statuses may still change
+const TERMINAL_DELIVERY_STATUSES = [
+  DeliveryStatus.DELIVERED,
+  DeliveryStatus.FAILED,
+  DeliveryStatus.EXPIRED,
+  DeliveryStatus.UNCERTAIN
+];
+
+/**
+ * Normalize a payment status
+ * @param {string} status - Status as returned by the API
+ * @returns {string} One of PaymentStatus
+ */
+function normalizePaymentStatus(status) {
+  if (!status) {
+    return PaymentStatus.UNKNOWN;
+  }
+  const key = String(status).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  return PAYMENT_STATUS_ALIASES[key] || PaymentStatus.UNKNOWN;
+}
+
+/**
+ * Normalize an SMS delivery status
+ * @param {string} status - Status as returned by the API
+ * @returns {string} One of DeliveryStatus
+ */
+function normalizeDeliveryStatus(status) {
+  if (!status) {
+    return DeliveryStatus.UNKNOWN;
+  }
+  const key = String(status).replace(/[\s_-]+/g, '').toUpperCase();
+  return DELIVERY_STATUS_ALIASES[key] || DeliveryStatus.UNKNOWN;
+}
+
+/**
+ * Check whether a normalized payment status is final
+ * @param {string} status - Normalized payment status
+ * @returns {boolean} True if the payment will not change anymore
+ */
+function isTerminalPaymentStatus(status) {
+  return TERMINAL_PAYMENT_STATUSES.includes(status);
+}
+
+/**
+ * Check whether a normalized delivery status is final
+ * @param {string} status - Normalized delivery status
+ * @returns {boolean} True if the delivery will not change anymore
+ */
+function isTerminalDeliveryStatus(status) {
+  return TERMINAL_DELIVERY_STATUSES.includes(status);
+}
+
+export {
+  PaymentStatus,
+  DeliveryStatus,
+  VerificationStatus,
+  normalizePaymentStatus,
+  normalizeDeliveryStatus,
+  isTerminalPaymentStatus,
+  isTerminalDeliveryStatus
+};
@@ -0,0 +1,213 @@
+/**
+ * File-backed key/value store
+ *
+ * Keeps entries in a JSON file so that several processes on the same
+ * host, such as cluster workers, can share them. The file is re-read on
+ * every access and replaced atomically on every write. Writes hold a
+ * lock file, so that concurrent updates from several processes are not
+ * lost.
+ *
+ * Node-only: it is exported from `sonatel-api/file-store`, not from the
+ * package root, which only relies on web-standard APIs.
+ */
+
+import { promises as fs } from 'node:fs';
+
+class FileStore {
+  /**
+   * Create a store backed by a JSON file
+   * @param {string} filePath - Path of the JSON file, created on first write
+   * @param {Object} [options] - Store options
+   * @param {number} [options.lockTimeout=5000] - Maximum time to wait for the lock in milliseconds
+   * @param {number} [options.staleLockAge=10000] - Age after which a lock left by a crashed process is broken, in milliseconds
+   */
+  constructor(filePath, options = {}) {
+    if (!filePath) {
+      throw new Error('File path is required');
+    }
+
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.lockTimeout = options.lockTimeout || 5000;
+    this.staleLockAge = options.staleLockAge || 10000;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Read all entries from the file
+   * @returns {Promise<Object>} Entries by key
+   * @private
+   */
+  async _read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      // A missing or half-written file is treated as empty
+      return {};
+    }
+  }
+
+  /**
+   * Write all entries to the file
+   * @param {Object} entries - Entries by key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _write(entries) {
+    const tmpPath = `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entries), { mode: 0o600 });
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Create the lock file, waiting while another process holds it
+   * @returns {Promise<void>}
+   * @throws {Error} When the lock is not obtained within lockTimeout
+   * @private
+   */
+  async _lock() {
+    const deadline = Date.now() + this.lockTimeout;
+    for (let delay = 5; ; delay = Math.min(delay * 2, 100)) {
+      try {
+        const handle = await fs.open(this.lockPath, 'wx', 0o600);
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      // Break locks left behind by a process that died while writing
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > this.staleLockAge) {
+        await fs.unlink(this.lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for the lock on ${this.filePath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Read, modify and write the entries while holding the lock
+   *
+   * Updates from this process are queued, so that they do not compete
+   * for the lock file.
+   * @param {Function} update - Called with the entries; returns whether to write them, and the result
+   * @returns {Promise<any>} Result of the update
+   * @private
+   */
+  _update(update) {
+    const run = async () => {
+      await this._lock();
+      try {
+        const entries = await this._read();
+        const { write, result } = update(entries);
+        if (write) {
+          await this._write(entries);
+        }
+        return result;
+      } finally {
+        await fs.unlink(this.lockPath).catch(() => {});
+      }
+    };
+
+    const promise = this._queue.then(run, run);
+    this._queue = promise.catch(() => {});
+    return promise;
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Entry key
+   * @returns {Promise<any>} Stored value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = (await this._read())[key];
+    if (!entry || (entry.expiresAt && Date.now() >= entry.expiresAt)) {
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Entry key
+   * @param {any} value - JSON-serializable value to store
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    await this._update(entries => {
+      entries[key] = {
+        value,
+        expiresAt: ttl ? Date.now() + ttl : null
+      };
+      return { write: true };
+    });
+  }
+
+  /**
+   * Set a value unless the key already holds one
+   * @param {string} key - Entry key
+   * @param {any} value - JSON-serializable value to store
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<boolean>} True if the value was set
+   */
+  add(key, value, ttl) {
+    return this._update(entries => {
+      const entry = entries[key];
+      if (entry && (!entry.expiresAt || Date.now() < entry.expiresAt)) {
+        return { write: false, result: false };
+      }
+      entries[key] = {
+        value,
+        expiresAt: ttl ? Date.now() + ttl : null
+      };
+      return { write: true, result: true };
+    });
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} key - Counter key
+   * @param {number} [ttl] - Time to live in milliseconds, set when the counter is created
+   * @returns {Promise<number>} Value of the counter after the increment
+   */
+  increment(key, ttl) {
+    return this._update(entries => {
+      const entry = entries[key];
+      if (entry && (!entry.expiresAt || Date.now() < entry.expiresAt)) {
+        entry.value += 1;
+      } else {
+        entries[key] = {
+          value: 1,
+          expiresAt: ttl ? Date.now() + ttl : null
+        };
+      }
+      return { write: true, result: entries[key].value };
+    });
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this._update(entries => {
+      if (!(key in entries)) {
+        return { write: false };
+      }
+      delete entries[key];
+      return { write: true };
+    });
+  }
+}
+
+export { FileStore };
+export default FileStore;
@@ -0,0 +1,98 @@
+/**
+ * In-memory key/value store
+ *
+ * Default store used for tokens and other client state. Entries live
+ * only as long as the process; use a shared store to share them across
+ * processes.
+ */
+
+class MemoryStore {
+  /**
+   * Create an empty in-memory store
+   */
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value
+   * @param {string} key - Entry key
+   * @returns {Promise<any>} Stored value, or null if missing or expired
+   */
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Set a value
+   * @param {string} key - Entry key
+   * @param {any} value - Value to store
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<void>}
+   */
+  async set(key, value, ttl) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+  }
+
+  /**
+   * Set a value unless the key already holds one
+   * @param {string} key - Entry key
+   * @param {any} value - Value to store
+   * @param {number} [ttl] - Time to live in milliseconds
+   * @returns {Promise<boolean>} True if the value was set
+   */
+  async add(key, value, ttl) {
+    const entry = this.entries.get(key);
+    if (entry && (!entry.expiresAt || Date.now() < entry.expiresAt)) {
+      return false;
+    }
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+    return true;
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} key - Counter key
+   * @param {number} [ttl] - Time to live in milliseconds, set when the counter is created
+   * @returns {Promise<number>} Value of the counter after the increment
+   */
+  async increment(key, ttl) {
+    const entry = this.entries.get(key);
+    if (entry && (!entry.expiresAt || Date.now() < entry.expiresAt)) {
+      entry.value += 1;
+      return entry.value;
+    }
+    this.entries.set(key, {
+      value: 1,
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+    return 1;
+  }
+
+  /**
+   * Delete a value
+   * @param {string} key - Entry key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+export default MemoryStore;
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Notification subscription helpers
+ *
+ * Normalizes the subscription resources of the SMS, USSD and Payment
+ * APIs, and reconciles the registered subscriptions with a declared list.
+ */
+
+import { lastSegment } from './oneapi.js';
+
+// Method creating a subscription on each service
+const SUBSCRIBE_METHODS = {
+  sms: 'subscribeToDeliveryNotifications',
+  ussd: 'subscribeToNotifications',
+  payment: 'subscribeToNotifications'
+};
+
+/**
+ * Normalize a subscription resource
+ * @param {string} service - Service name ('sms', 'ussd' or 'payment')
+ * @param {string} wrapper - Name of the envelope property, e.g. 'deliveryReceiptSubscription'
+ * @param {Object} body - Subscription as returned by the API
+ * @returns {Object} Subscription with id, service, notifyUrl, keyword, eventType, clientCorrelator and raw response
+ */
+function normalizeSubscription(service, wrapper, body) {
+  const subscription = (body && body[wrapper]) || body || {};
+  const callbackReference = subscription.callbackReference || {};
+  const resourceReference = (body && body.resourceReference) || {};
+
+  return {
+    id: subscription.subscriptionId || subscription.id ||
+      lastSegment(subscription.resourceURL) || lastSegment(resourceReference.resourceURL),
+    service,
+    notifyUrl: callbackReference.notifyURL || subscription.notifyUrl || null,
+    keyword: subscription.keyword || null,
+    eventType: subscription.eventType || null,
+    clientCorrelator: subscription.clientCorrelator || null,
+    raw: body
+  };
+}
+
+/**
+ * Normalize a list of subscription resources
+ * @param {string} service - Service name ('sms', 'ussd' or 'payment')
+ * @param {string} wrapper - Name of the envelope property of each subscription
+ * @param {Object|Array} body - Subscription list as returned by the API
+ * @returns {Object[]} Normalized subscriptions
+ */
+function normalizeSubscriptionList(service, wrapper, body) {
+  let items = body;
+  if (body && !Array.isArray(body)) {
+    const list = body[`${wrapper}List`];
+    items = (list && list[wrapper]) || body.subscriptions || [];
+  }
+
+  return (items || []).map(item => normalizeSubscription(service, wrapper, item));
+}
+
+/**
+ * Identify a subscription by the settings that matter for notifications
+ * @param {Object} subscription - Normalized or desired subscription
+ * @returns {string} Comparison key
+ * @private
+ */
+function subscriptionKey(subscription) {
+  return [
+    subscription.service,
+    subscription.notifyUrl,
+    subscription.keyword || '',
+    subscription.service === 'payment' ? subscription.eventType || 'all' : ''
+  ].join('|');
+}
+
+/**
+ * Make the registered subscriptions match a declared list
+ *
+ * Subscriptions missing from the API are created. Registered ones that
+ * are not declared are deleted, for the services present in `desired`
+ * or listed in `options.services`.
+ * @param {Object} services - Services by name, e.g. { sms, ussd, payment }
+ * @param {Object[]} desired - Declared subscriptions
+ * @param {string} desired[].service - Service name ('sms', 'ussd' or 'payment')
+ * @param {string} desired[].notifyUrl - URL to receive notifications
+ * @param {string} [desired[].keyword] - USSD service keyword
+ * @param {string} [desired[].eventType] - Payment event type
+ * @param {string} [desired[].clientCorrelator] - Client correlator
+ * @param {Object} [options] - Reconciliation options
+ * @param {string[]} [options.services] - Services to reconcile (defaults to those in `desired`)
+ * @param {boolean} [options.prune=true] - Delete subscriptions that are not declared
+ * @param {boolean} [options.dryRun=false] - Report the changes without applying them
+ * @returns {Promise<{created: Object[], deleted: Object[], unchanged: Object[]}>} Applied changes
+ */
+async function reconcileSubscriptions(services, desired, options = {}) {
+  if (!Array.isArray(desired)) {
+    throw new Error('Desired subscriptions must be an array');
+  }
+
+  const names = options.services || [...new Set(desired.map(subscription => subscription.service))];
+  const prune = options.prune !== false;
+  const result = { created: [], deleted: [], unchanged: [] };
+
+  for (const name of names) {
+    const service = services[name];
+    if (!service || !SUBSCRIBE_METHODS[name]) {
+      throw new Error(`Unknown service: ${name}`);
+    }
+
+    const existing = await service.listSubscriptions();
+    const wanted = desired.filter(subscription => subscription.service === name);
+    const remaining = [...existing];
+
+    for (const subscription of wanted) {
+      const index = remaining.findIndex(item => subscriptionKey(item) === subscriptionKey(subscription));
+      if (index !== -1) {
+        result.unchanged.push(remaining[index]);
+        remaining.splice(index, 1);
+      } else if (options.dryRun) {
+        result.created.push({ id: null, ...subscription });
+      } else {
+        result.created.push(await service[SUBSCRIBE_METHODS[name]](subscription));
+      }
+    }
+
+    if (prune) {
+      for (const subscription of remaining) {
+        if (!options.dryRun) {
+          await service.deleteSubscription(subscription.id);
+        }
+        result.deleted.push(subscription);
+      }
+    }
+  }
+
+  return result;
+}
+
+export {
+  normalizeSubscription,
+  normalizeSubscriptionList,
+  reconcileSubscriptions
+};
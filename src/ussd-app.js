@@ -0,0 +1,345 @@
+/**
+ * Declarative USSD application engine
+ *
+ * Menus are declared as a graph of screens with options, input prompts
+ * and validators. The engine keeps the session state in a pluggable
+ * store, handles chained dial strings (`*123*1*2#`), back/home
+ * navigation and pagination within the USSD message limit, and produces
+ * responses accepted by USSDService#handleInbound.
+ */
+
+import MemoryStore from './stores/memory-store.js';
+
+const DEFAULT_KEYS = {
+  back: '0',
+  home: '00',
+  next: '99',
+  previous: '98'
+};
+
+// USSD handsets do not reliably render accents, so the defaults avoid them
+const DEFAULT_LABELS = {
+  back: 'Retour',
+  next: 'Suivant',
+  previous: 'Precedent',
+  invalidChoice: 'Choix invalide',
+  timeout: 'Session expiree. Veuillez recommencer.'
+};
+
+class USSDApp {
+  /**
+   * USSD application
+   * @param {Object} options - Application options
+   * @param {Object} options.screens - Screens by ID, see README for their shape
+   * @param {string} options.start - ID of the first screen
+   * @param {Object} [options.sessionStore] - Store keeping sessions by sessionId (defaults to an in-memory store)
+   * @param {number} [options.sessionTimeout=180] - Inactivity timeout of a session in seconds; sessions are kept in the store for twice as long, to tell users theirs expired
+   * @param {number} [options.maxLength=182] - Maximum length of a USSD message
+   * @param {Object} [options.keys] - Navigation keys: back ('0'), home ('00'), next ('99'), previous ('98')
+   * @param {Object} [options.labels] - Texts for navigation lines and errors
+   */
+  constructor(options) {
+    if (!options || !options.screens || !options.start) {
+      throw new Error('Screens and start screen are required');
+    }
+
+    this.screens = {};
+    Object.entries(options.screens).forEach(([id, screen]) => this._register(id, screen));
+    if (!this.screens[options.start]) {
+      throw new Error(`Unknown start screen: ${options.start}`);
+    }
+
+    this.start = options.start;
+    this.sessionStore = options.sessionStore || new MemoryStore();
+    this.sessionTimeout = options.sessionTimeout || 180;
+    this.maxLength = options.maxLength || 182;
+    this.keys = { ...DEFAULT_KEYS, ...options.keys };
+    this.labels = { ...DEFAULT_LABELS, ...options.labels };
+  }
+
+  /**
+   * Register a screen and the inline screens of its options
+   * @param {string} id - Screen ID
+   * @param {Object} screen - Screen definition
+   * @private
+   */
+  _register(id, screen) {
+    this.screens[id] = screen;
+
+    if (Array.isArray(screen.options)) {
+      screen.options.forEach((option, index) => {
+        if (option.next && typeof option.next === 'object') {
+          const childId = `${id}.${index + 1}`;
+          this._register(childId, option.next);
+          option.next = childId;
+        }
+      });
+    }
+
+    if (screen.next && typeof screen.next === 'object') {
+      const childId = `${id}.next`;
+      this._register(childId, screen.next);
+      screen.next = childId;
+    }
+  }
+
+  /**
+   * Handle an inbound USSD message
+   * @param {Object} request - Inbound message
+   * @param {string} request.sessionId - USSD session ID
+   * @param {string} request.address - User's MSISDN
+   * @param {string} request.message - Message typed by the user, or the dial string on the first message
+   * @returns {Promise<Object>} Response for handleInbound: { sessionId, address, message, endSession }
+   */
+  async handle({ sessionId, address, message }) {
+    if (!sessionId) {
+      throw new Error('Session ID is required');
+    }
+
+    const key = `sonatel:ussd:${sessionId}`;
+    let session = await this.sessionStore.get(key);
+    let inputs;
+
+    if (session && Date.now() - session.updatedAt > this.sessionTimeout * 1000) {
+      await this.sessionStore.delete(key);
+      return { sessionId, address, message: this.labels.timeout, endSession: true };
+    }
+
+    if (!session) {
+      session = { sessionId, address, screen: this.start, history: [], page: 0, data: {} };
+      inputs = parseDialString(message);
+    } else {
+      inputs = [String(message === undefined || message === null ? '' : message).trim()];
+    }
+
+    let error = null;
+    for (const input of inputs) {
+      error = await this._applyInput(session, input);
+      if (error || this.screens[session.screen].end) {
+        break;
+      }
+    }
+
+    const screen = this.screens[session.screen];
+    const text = await this._render(session, error);
+    const endSession = Boolean(screen.end);
+
+    if (endSession) {
+      await this.sessionStore.delete(key);
+    } else {
+      session.updatedAt = Date.now();
+      // Outlive the timeout, so that a late message gets the timeout label rather than a new session
+      await this.sessionStore.set(key, session, this.sessionTimeout * 2000);
+    }
+
+    return { sessionId, address, message: text, endSession };
+  }
+
+  /**
+   * Handle an inbound message and send the response through the USSD service
+   * @param {USSDService} ussd - USSD service
+   * @param {Object} request - Inbound message, see handle()
+   * @param {Object} [requestOptions] - Per-call request options, see SonatelAPI.request
+   * @returns {Promise<Object>} Result of handleInbound: { sessionId, address, message, endSession, raw }
+   */
+  async respond(ussd, request, requestOptions) {
+    const response = await this.handle(request);
+    return ussd.handleInbound(response, requestOptions);
+  }
+
+  /**
+   * Build the context passed to screen callbacks
+   * @param {Object} session - Session state
+   * @param {string} [input] - Current input
+   * @returns {Object} { sessionId, address, data, input }
+   * @private
+   */
+  _context(session, input) {
+    return { sessionId: session.sessionId, address: session.address, data: session.data, input };
+  }
+
+  /**
+   * Apply one user input to the session
+   * @param {Object} session - Session state, updated in place
+   * @param {string} input - User input
+   * @returns {Promise<string|null>} Error message to display, or null
+   * @private
+   */
+  async _applyInput(session, input) {
+    const screen = this.screens[session.screen];
+
+    if (input === this.keys.home) {
+      Object.assign(session, { screen: this.start, history: [], page: 0 });
+      return null;
+    }
+    if (input === this.keys.back && session.history.length > 0) {
+      Object.assign(session, { screen: session.history.pop(), page: 0 });
+      return null;
+    }
+
+    const context = this._context(session, input);
+    let next;
+
+    if (screen.options) {
+      const options = await resolve(screen.options, context);
+      const header = await resolve(screen.text || '', context);
+      const pages = this._paginate(session, header, options);
+
+      if (input === this.keys.next && session.page < pages.length - 1) {
+        session.page++;
+        return null;
+      }
+      if (input === this.keys.previous && session.page > 0) {
+        session.page--;
+        return null;
+      }
+
+      const option = /^\d+$/.test(input) ? options[Number(input) - 1] : undefined;
+      if (!option) {
+        return this.labels.invalidChoice;
+      }
+
+      if (screen.input) {
+        session.data[screen.input] = option.value === undefined ? option.label : option.value;
+      }
+      next = await resolve(option.next || screen.next, context, option);
+    } else if (screen.input) {
+      if (screen.validate) {
+        const valid = await screen.validate(input, context);
+        if (valid !== true && valid !== undefined) {
+          return typeof valid === 'string' ? valid : this.labels.invalidChoice;
+        }
+      }
+
+      session.data[screen.input] = input;
+      next = await resolve(screen.next, context);
+    } else {
+      // Informational screen: any input moves on, or stays if there is nowhere to go
+      next = await resolve(screen.next, context);
+      if (!next) {
+        return null;
+      }
+    }
+
+    if (!next || !this.screens[next]) {
+      throw new Error(`Unknown USSD screen: ${next}`);
+    }
+
+    session.history.push(session.screen);
+    Object.assign(session, { screen: next, page: 0 });
+    return null;
+  }
+
+  /**
+   * Split the option lines of a screen into pages within maxLength
+   * @param {Object} session - Session state
+   * @param {string} header - Text shown above the options
+   * @param {Object[]} options - Resolved options
+   * @returns {string[][]} Option lines of each page
+   * @private
+   */
+  _paginate(session, header, options) {
+    const lines = options.map((option, index) => `${index + 1}. ${option.label}`);
+    const pages = [];
+    let start = 0;
+
+    while (start < lines.length || pages.length === 0) {
+      const page = [];
+      const navigation = this._navigationLines(session, pages.length, true);
+      while (start < lines.length) {
+        const candidate = [header, ...page, lines[start], ...navigation].filter(Boolean).join('\n');
+        if (page.length > 0 && candidate.length > this.maxLength) {
+          break;
+        }
+        page.push(lines[start++]);
+      }
+      pages.push(page);
+    }
+
+    return pages;
+  }
+
+  /**
+   * Navigation lines shown at the bottom of a screen
+   * @param {Object} session - Session state
+   * @param {number} page - Page index
+   * @param {boolean} hasNext - Whether a next page exists
+   * @returns {string[]} Navigation lines
+   * @private
+   */
+  _navigationLines(session, page, hasNext) {
+    const lines = [];
+    if (hasNext) lines.push(`${this.keys.next}. ${this.labels.next}`);
+    if (page > 0) lines.push(`${this.keys.previous}. ${this.labels.previous}`);
+    if (session.history.length > 0) lines.push(`${this.keys.back}. ${this.labels.back}`);
+    return lines;
+  }
+
+  /**
+   * Render the current screen of a session
+   * @param {Object} session - Session state
+   * @param {string|null} error - Error message to show above the screen
+   * @returns {Promise<string>} USSD message
+   * @private
+   */
+  async _render(session, error) {
+    const screen = this.screens[session.screen];
+    const context = this._context(session);
+    const header = [error, await resolve(screen.text || screen.prompt || '', context)].filter(Boolean).join('\n');
+
+    if (!screen.options) {
+      const navigation = screen.end ? [] : this._navigationLines(session, 0, false);
+      return truncate([header, ...navigation].filter(Boolean).join('\n'), this.maxLength);
+    }
+
+    const options = await resolve(screen.options, context);
+    const pages = this._paginate(session, header, options);
+    session.page = Math.min(session.page, pages.length - 1);
+    const hasNext = session.page < pages.length - 1;
+    const lines = [header, ...pages[session.page], ...this._navigationLines(session, session.page, hasNext)];
+
+    return truncate(lines.filter(Boolean).join('\n'), this.maxLength);
+  }
+}
+
+/**
+ * Resolve a static value or a (possibly async) callback
+ * @param {any} value - Value or function
+ * @param {...any} args - Callback arguments
+ * @returns {Promise<any>} Resolved value
+ * @private
+ */
+async function resolve(value, ...args) {
+  return typeof value === 'function' ? value(...args) : value;
+}
+
+/**
+ * Split a dial string such as `*123*1*2#` into menu inputs
+ *
+ * The service code is dropped, so `*123*1*2#` gives ['1', '2'].
+ * Messages that are not dial strings give no input.
+ * @param {string} message - First message of a session
+ * @returns {string[]} Inputs to replay
+ * @private
+ */
+function parseDialString(message) {
+  const text = String(message || '').trim();
+  if (!/^\*[\d*]*#?$/.test(text)) {
+    return [];
+  }
+
+  return text.replace(/^\*/, '').replace(/#$/, '').split('*').slice(1).filter(Boolean);
+}
+
+/**
+ * Cut a message to the maximum USSD length
+ * @param {string} text - Message
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Message within the limit
+ * @private
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
+export { USSDApp, parseDialString };
@@ -0,0 +1,435 @@
+/**
+ * Webhook receiver for Orange Sonatel notifications
+ *
+ * This module parses the notifications Sonatel POSTs to the URLs
+ * registered through the services' subscribe methods, verifies their
+ * signature and emits them as typed events.
+ */
+
+import { hmacSha256, sha256, safeEqual } from './crypto.js';
+import EventEmitter from './event-emitter.js';
+import MemoryStore from './stores/memory-store.js';
+import { SonatelWebhookError } from './errors.js';
+import { normalizeDeliveryStatus, normalizePaymentStatus } from './status.js';
+import { lastSegment, stripTel } from './oneapi.js';
+
+/**
+ * Read a header from a plain object or a Headers instance
+ * @param {Object|Headers} headers - Request headers
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ * @private
+ */
+function getHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name);
+  }
+
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  if (!key) {
+    return null;
+  }
+  return Array.isArray(headers[key]) ? headers[key][0] : headers[key];
+}
+
+class SonatelWebhooks extends EventEmitter {
+  /**
+   * Webhook receiver for SMS, USSD and payment notifications
+   * @param {Object} [options] - Receiver options
+   * @param {string} [options.secret] - HMAC-SHA256 secret used to sign notifications
+   * @param {string} [options.sharedSecret] - Static secret expected in the shared secret header
+   * @param {string} [options.signatureHeader=x-sonatel-signature] - Header carrying the HMAC signature
+   * @param {string} [options.timestampHeader=x-sonatel-timestamp] - Header carrying the signing timestamp (seconds)
+   * @param {string} [options.sharedSecretHeader=x-sonatel-secret] - Header carrying the shared secret
+   * @param {number} [options.tolerance=300] - Maximum age of a signed notification in seconds
+   * @param {number} [options.replayWindow=86400] - How long event IDs are remembered, in seconds
+   * @param {Object} [options.replayStore] - Store used to detect replayed events (defaults to an in-memory store);
+   *   its add(key, value, ttl) method, when present, must set a key atomically unless it exists
+   */
+  constructor(options = {}) {
+    super();
+    this.secret = options.secret || null;
+    this.sharedSecret = options.sharedSecret || null;
+    this.signatureHeader = options.signatureHeader || 'x-sonatel-signature';
+    this.timestampHeader = options.timestampHeader || 'x-sonatel-timestamp';
+    this.sharedSecretHeader = options.sharedSecretHeader || 'x-sonatel-secret';
+    this.tolerance = options.tolerance === undefined ? 300 : options.tolerance;
+    this.replayWindow = options.replayWindow === undefined ? 86400 : options.replayWindow;
+    this.replayStore = options.replayStore || new MemoryStore();
+    this._reserved = new Set();
+  }
+
+  /**
+   * Verify the shared secret and HMAC signature of a notification
+   * @param {string} rawBody - Raw request body
+   * @param {Object|Headers} headers - Request headers
+   * @returns {Promise<void>}
+   * @throws {SonatelWebhookError} When the notification is not authentic
+   */
+  async verify(rawBody, headers) {
+    if (this.sharedSecret && !safeEqual(getHeader(headers, this.sharedSecretHeader), this.sharedSecret)) {
+      throw new SonatelWebhookError('Invalid webhook shared secret', { status: 401, code: 'INVALID_SIGNATURE' });
+    }
+
+    if (!this.secret) {
+      return;
+    }
+
+    const signature = getHeader(headers, this.signatureHeader);
+    if (!signature) {
+      throw new SonatelWebhookError('Missing webhook signature', { status: 401, code: 'INVALID_SIGNATURE' });
+    }
+
+    const timestamp = getHeader(headers, this.timestampHeader);
+    if (timestamp) {
+      const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+      if (Number.isNaN(age) || age > this.tolerance) {
+        throw new SonatelWebhookError('Webhook timestamp is outside the tolerance window', {
+          status: 401,
+          code: 'STALE_EVENT'
+        });
+      }
+    }
+
+    const payload = timestamp ? `${timestamp}.${rawBody}` : rawBody;
+    const expected = await hmacSha256(this.secret, payload);
+    if (!safeEqual(signature.replace(/^sha256=/, ''), expected)) {
+      throw new SonatelWebhookError('Invalid webhook signature', { status: 401, code: 'INVALID_SIGNATURE' });
+    }
+  }
+
+  /**
+   * Parse a notification body into a typed event
+   *
+   * Event types are `sms.delivery`, `ussd.inbound` and `payment.status`.
+   * @param {string|Object} body - Raw or parsed notification body
+   * @param {Object|Headers} [headers] - Request headers
+   * @returns {Promise<Object>} Event with id, type, data, receivedAt and raw payload
+   * @throws {SonatelWebhookError} When the payload is not a known notification
+   */
+  async parse(body, headers = {}) {
+    let raw = body;
+    if (typeof body === 'string') {
+      try {
+        raw = JSON.parse(body);
+      } catch (error) {
+        throw new SonatelWebhookError('Webhook body is not valid JSON', {
+          status: 400,
+          code: 'INVALID_PAYLOAD',
+          cause: error
+        });
+      }
+    }
+
+    if (!raw || typeof raw !== 'object') {
+      throw new SonatelWebhookError('Webhook body must be a JSON object', { status: 400, code: 'INVALID_PAYLOAD' });
+    }
+
+    const event = parseDeliveryNotification(raw) || parseUSSDNotification(raw) || parsePaymentNotification(raw);
+    if (!event) {
+      throw new SonatelWebhookError('Unknown webhook notification type', {
+        status: 400,
+        code: 'INVALID_PAYLOAD',
+        body: raw
+      });
+    }
+
+    const id = raw.notificationId || raw.eventId || getHeader(headers, 'x-sonatel-event-id') ||
+      await sha256(JSON.stringify(raw));
+
+    return {
+      id,
+      ...event,
+      receivedAt: new Date().toISOString(),
+      raw
+    };
+  }
+
+  /**
+   * Verify, parse and dispatch a notification
+   *
+   * Listeners registered for the event type, for the status-specific
+   * type (e.g. `payment.completed`) and for `*` are called and awaited.
+   * The event ID is reserved before the listeners are called, so a replay
+   * of the same event, even a concurrent one, is rejected. It is released
+   * when a listener throws, so that the notification can be delivered
+   * again.
+   * @param {Object} request - Notification request
+   * @param {string|Object} request.body - Raw body (required when a secret is configured) or parsed body
+   * @param {Object|Headers} [request.headers] - Request headers
+   * @returns {Promise<Object>} Dispatched event
+   * @throws {SonatelWebhookError} When the notification is rejected
+   */
+  async handle({ body, headers = {} }) {
+    const rawBody = typeof body === 'string' ? body : JSON.stringify(body);
+    await this.verify(rawBody, headers);
+
+    const event = await this.parse(body, headers);
+    const replayKey = `sonatel:webhook:${event.id}`;
+    if (!await this._reserve(replayKey)) {
+      throw new SonatelWebhookError(`Webhook event ${event.id} was already processed`, {
+        status: 409,
+        code: 'REPLAYED_EVENT'
+      });
+    }
+
+    try {
+      await this.emitAsync(event.type, event);
+      if (event.alias) {
+        await this.emitAsync(event.alias, event);
+      }
+      await this.emitAsync('*', event);
+    } catch (error) {
+      await this.replayStore.delete(replayKey);
+      throw error;
+    }
+    return event;
+  }
+
+  /**
+   * Remember an event ID unless it is already known
+   *
+   * Uses the atomic add() of the replay store when it has one. Otherwise
+   * the check and the write are only serialized within this process.
+   * @param {string} replayKey - Store key of the event ID
+   * @returns {Promise<boolean>} True if the event was not seen before
+   * @private
+   */
+  async _reserve(replayKey) {
+    const ttl = this.replayWindow * 1000;
+    if (typeof this.replayStore.add === 'function') {
+      return this.replayStore.add(replayKey, true, ttl);
+    }
+
+    if (this._reserved.has(replayKey)) {
+      return false;
+    }
+    this._reserved.add(replayKey);
+    try {
+      if (await this.replayStore.get(replayKey)) {
+        return false;
+      }
+      await this.replayStore.set(replayKey, true, ttl);
+      return true;
+    } finally {
+      this._reserved.delete(replayKey);
+    }
+  }
+
+  /**
+   * Answer a notification once handled
+   * @param {Error|null} error - Error raised while handling, if any
+   * @returns {{status: number, body: Object}} Response status and JSON body
+   * @private
+   */
+  _result(error) {
+    if (!error) {
+      return { status: 200, body: { received: true } };
+    }
+    if (error instanceof SonatelWebhookError) {
+      this.emit('error', error);
+      return { status: error.status, body: { error: error.code } };
+    }
+
+    this.emit('error', error);
+    return { status: 500, body: { error: 'HANDLER_FAILED' } };
+  }
+
+  /**
+   * Create a Node `http` request listener
+   * @returns {Function} Listener taking (req, res)
+   */
+  nodeHandler() {
+    return async (req, res) => {
+      let error = null;
+      try {
+        // TextDecoder rather than Buffer, so that the module only needs web-standard globals
+        const decoder = new TextDecoder();
+        let rawBody = '';
+        for await (const chunk of req) {
+          rawBody += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        }
+        rawBody += decoder.decode();
+        await this.handle({ body: rawBody, headers: req.headers });
+      } catch (err) {
+        error = err;
+      }
+
+      const { status, body } = this._result(error);
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(body));
+    };
+  }
+
+  /**
+   * Create an Express-style middleware
+   *
+   * Signature verification needs the raw body: mount it behind
+   * `express.raw({ type: 'application/json' })`, or expose `req.rawBody`.
+   * @returns {Function} Middleware taking (req, res, next)
+   */
+  expressMiddleware() {
+    return async (req, res, next) => {
+      let error = null;
+      try {
+        let body = req.rawBody || req.body;
+        if (body instanceof Uint8Array) {
+          body = new TextDecoder().decode(body);
+        }
+        req.sonatelEvent = await this.handle({ body, headers: req.headers });
+      } catch (err) {
+        error = err;
+      }
+
+      if (error && !(error instanceof SonatelWebhookError) && next) {
+        this.emit('error', error);
+        next(error);
+        return;
+      }
+
+      const { status, body } = this._result(error);
+      res.status(status).json(body);
+    };
+  }
+
+  /**
+   * Create a handler for Fetch API runtimes (Deno, Bun, Cloudflare Workers, ...)
+   * @returns {Function} Handler taking a Request and resolving to a Response
+   */
+  fetchHandler() {
+    return async request => {
+      let error = null;
+      try {
+        await this.handle({ body: await request.text(), headers: request.headers });
+      } catch (err) {
+        error = err;
+      }
+
+      const { status, body } = this._result(error);
+      return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    };
+  }
+}
+
+/**
+ * Parse an SMS delivery receipt
+ * @param {Object} raw - Notification body
+ * @returns {Object|null} Event fields, or null if not a delivery receipt
+ * @private
+ */
+function parseDeliveryNotification(raw) {
+  const notification = raw.deliveryInfoNotification;
+  if (!notification) {
+    return null;
+  }
+
+  const info = notification.deliveryInfo || {};
+  if (!info.deliveryStatus) {
+    throw new SonatelWebhookError('Delivery receipt is missing deliveryStatus', {
+      status: 400,
+      code: 'INVALID_PAYLOAD',
+      body: raw
+    });
+  }
+
+  const status = normalizeDeliveryStatus(info.deliveryStatus);
+  return {
+    type: 'sms.delivery',
+    alias: `sms.${status.toLowerCase()}`,
+    data: {
+      messageId: notification.messageId || lastSegment(notification.resourceURL) || null,
+      address: stripTel(info.address),
+      status,
+      deliveryStatus: info.deliveryStatus,
+      callbackData: notification.callbackData || null
+    }
+  };
+}
+
+/**
+ * Parse an inbound USSD message
+ * @param {Object} raw - Notification body
+ * @returns {Object|null} Event fields, or null if not a USSD message
+ * @private
+ */
+function parseUSSDNotification(raw) {
+  const notification = raw.inboundUSSDMessageNotification || raw.inboundUSSDMessageRequest;
+  if (!notification) {
+    return null;
+  }
+
+  const message = notification.inboundUSSDMessage ? notification.inboundUSSDMessage.message : notification.message;
+  if (!notification.address || !notification.sessionId || message === undefined) {
+    throw new SonatelWebhookError('USSD notification requires address, sessionId and message', {
+      status: 400,
+      code: 'INVALID_PAYLOAD',
+      body: raw
+    });
+  }
+
+  return {
+    type: 'ussd.inbound',
+    alias: null,
+    data: {
+      sessionId: notification.sessionId,
+      address: stripTel(notification.address),
+      message,
+      keyword: notification.keyword || null,
+      sessionTerminated: Boolean(notification.ussdSessionTermination)
+    }
+  };
+}
+
+/**
+ * Parse a payment status change
+ * @param {Object} raw - Notification body
+ * @returns {Object|null} Event fields, or null if not a payment notification
+ * @private
+ */
+function parsePaymentNotification(raw) {
+  const notification = raw.paymentNotification;
+  if (!notification) {
+    return null;
+  }
+
+  if (!notification.paymentId || !notification.status) {
+    throw new SonatelWebhookError('Payment notification requires paymentId and status', {
+      status: 400,
+      code: 'INVALID_PAYLOAD',
+      body: raw
+    });
+  }
+
+  const status = normalizePaymentStatus(notification.status);
+  const aliases = {
+    SUCCESS: 'payment.completed',
+    FAILED: 'payment.failed',
+    CANCELLED: 'payment.cancelled',
+    EXPIRED: 'payment.expired',
+    PENDING: 'payment.pending'
+  };
+
+  return {
+    type: 'payment.status',
+    alias: aliases[status] || null,
+    data: {
+      paymentId: notification.paymentId,
+      status,
+      rawStatus: notification.status,
+      amount: notification.amount === undefined ? null : notification.amount,
+      currency: notification.currency || null,
+      orderId: notification.orderId || null,
+      customerMsisdn: stripTel(notification.customerMsisdn),
+      transactionId: notification.transactionId || null
+    }
+  };
+}
+
+export default SonatelWebhooks;
@@ -0,0 +1,114 @@
+import { BulkSMSCampaign, renderTemplate } from '../src/bulk-sms.js';
+import { useMockServer } from '../src/mock-server.js';
+
+describe('renderTemplate', () => {
+  test('substitutes nested variables', () => {
+    expect(renderTemplate('Hi {{ name }}, {{order.id}}', { name: 'Awa', order: { id: 7 } })).toBe('Hi Awa, 7');
+  });
+
+  test('rejects missing variables', () => {
+    expect(() => renderTemplate('Hi {{name}}', {})).toThrow(expect.objectContaining({ code: 'MISSING_VARIABLE' }));
+  });
+});
+
+describe('BulkSMSCampaign', () => {
+  const mock = useMockServer();
+
+  test('sends to each recipient once and reports the outcomes', async () => {
+    const client = mock.createClient({ retry: false });
+    const campaign = client.sms.sendBulk(
+      [{ recipient: '771234567', name: 'Awa' }, '78 123 45 67', '+221771234567', 'not a number'],
+      'Bonjour {{name}}',
+      { rateLimit: 100, campaignId: 'c1' }
+    );
+
+    const report = await campaign;
+    expect(report).toEqual(expect.objectContaining({ total: 4, processed: 4, sent: 1, failed: 2, duplicates: 1 }));
+    const byStatus = Object.fromEntries(report.results.map(result => [result.recipient, result.status]));
+    expect(byStatus['+221771234567']).toBe('duplicate');
+    expect(report.results.find(result => result.recipient === '78 123 45 67').error.code).toBe('MISSING_VARIABLE');
+    expect(mock.requests.find(request => request.method === 'POST' && request.path === '/sms/v1/messages')
+      .headers['idempotency-key']).toBe('c1:+221771234567');
+  });
+
+  test('goes through the client rate limiter when there is one', async () => {
+    const client = mock.createClient({ retry: false, rateLimit: { limits: { sms: { rate: 1000 } } } });
+    const campaign = new BulkSMSCampaign(client.sms, ['771234567', '781234567'], 'Hello', { rateLimit: 1 });
+    expect(campaign.rateLimiter).toBeNull();
+
+    const started = Date.now();
+    await campaign;
+    // A 1 message/s campaign limit would have held the second message for a second
+    expect(Date.now() - started).toBeLessThan(900);
+    expect(client.api.rateLimiter.getStats().groups.sms.granted).toBeGreaterThanOrEqual(2);
+  });
+
+  test('applies its own limit through a scheduler otherwise', async () => {
+    const client = mock.createClient({ retry: false });
+    const campaign = client.sms.sendBulk(['771234567', '781234567', '771234568'], 'Hello', { rateLimit: 20 });
+
+    const report = await campaign;
+    expect(report.sent).toBe(3);
+    expect(campaign.rateLimiter.getStats().groups.sms).toEqual(expect.objectContaining({ granted: 3, throttled: 2 }));
+  });
+
+  test('removes its abort listener when resumed', async () => {
+    const client = mock.createClient({ retry: false });
+    const controller = new AbortController();
+    const { signal } = controller;
+    const added = jest.spyOn(signal, 'addEventListener');
+    const removed = jest.spyOn(signal, 'removeEventListener');
+
+    const campaign = client.sms.sendBulk(['771234567', '781234567'], 'Hello', { signal, concurrency: 1, rateLimit: 100 });
+    campaign.pause();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    campaign.resume();
+    await campaign;
+
+    const pauseListeners = added.mock.calls.filter(([event, listener]) => event === 'abort' &&
+      removed.mock.calls.some(([, removedListener]) => removedListener === listener));
+    expect(pauseListeners.length).toBe(added.mock.calls.length);
+  });
+
+  test('stops when aborted while paused', async () => {
+    const client = mock.createClient({ retry: false });
+    const controller = new AbortController();
+    const campaign = client.sms.sendBulk(['771234567'], 'Hello', { signal: controller.signal });
+    campaign.pause();
+    setTimeout(() => controller.abort(), 5);
+
+    const report = await campaign;
+    expect(report.aborted).toBe(true);
+    expect(report.processed).toBe(0);
+  });
+
+  test('emits error and rejects when the recipients cannot be read', async () => {
+    const client = mock.createClient({ retry: false });
+    async function* recipients() {
+      yield '771234567';
+      throw new Error('Stream broken');
+    }
+
+    const campaign = client.sms.sendBulk(recipients(), 'Hello', { concurrency: 1, rateLimit: 100 });
+    const errors = [];
+    campaign.on('error', error => errors.push(error.message));
+
+    await expect(campaign).rejects.toThrow('Stream broken');
+    expect(errors).toEqual(['Stream broken']);
+  });
+
+  test('does not leave an unhandled rejection when not awaited', async () => {
+    const client = mock.createClient({ retry: false });
+    const unhandled = jest.fn();
+    process.on('unhandledRejection', unhandled);
+    try {
+      const campaign = client.sms.sendBulk({ [Symbol.iterator]: () => { throw new Error('No recipients'); } }, 'Hello');
+      const error = await new Promise(resolve => campaign.on('error', resolve));
+      expect(error.message).toBe('No recipients');
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(unhandled).not.toHaveBeenCalled();
+    } finally {
+      process.off('unhandledRejection', unhandled);
+    }
+  });
+});
@@ -0,0 +1,114 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import Sonatel from '../src/index.js';
+import { applyEnvironment, configFromEnv } from '../src/config.js';
+import { loadConfig, loadConfigFile } from '../src/config-file.js';
+
+/**
+ * Collect the modules statically imported by a module, recursively
+ * @param {string} file - Path of the module
+ * @param {Set<string>} [seen] - Modules already visited
+ * @returns {Set<string>} Paths of the module and its relative imports, and bare specifiers
+ */
+async function importGraph(file, seen = new Set()) {
+  if (seen.has(file)) {
+    return seen;
+  }
+  seen.add(file);
+
+  const source = await fs.readFile(file, 'utf8');
+  const specifiers = [...source.matchAll(/^(?:import|export)[^'"]*?from\s+['"]([^'"]+)['"]/gm)].map(match => match[1]);
+  for (const specifier of specifiers) {
+    if (specifier.startsWith('.')) {
+      await importGraph(path.resolve(path.dirname(file), specifier), seen);
+    } else {
+      seen.add(specifier);
+    }
+  }
+  return seen;
+}
+
+describe('config', () => {
+  test('reads a client configuration from prefixed environment variables', () => {
+    const config = configFromEnv({
+      SONATEL_A_CLIENT_ID: 'id',
+      SONATEL_A_CLIENT_SECRET: 'secret',
+      SONATEL_A_TIMEOUT: '1500',
+      SONATEL_A_DEBUG: 'true'
+    }, { prefix: 'SONATEL_A_' });
+
+    expect(config).toMatchObject({ clientId: 'id', clientSecret: 'secret', timeout: 1500, debug: true });
+  });
+
+  test('applies environment presets under explicit options', () => {
+    Sonatel.defineEnvironment('config-test', { baseUrl: 'https://sonatel.test', timeout: 1000 });
+
+    expect(applyEnvironment({ environment: 'config-test', timeout: 50 }))
+      .toMatchObject({ baseUrl: 'https://sonatel.test', timeout: 50 });
+    expect(() => applyEnvironment({ environment: 'nope' })).toThrow(/Unknown Sonatel environment/);
+  });
+
+  test('the package root does not import Node-only modules', async () => {
+    const graph = await importGraph(path.resolve(__dirname, '../src/index.js'));
+    const files = [...graph].map(file => path.basename(file));
+
+    expect([...graph].filter(specifier => specifier.startsWith('node:'))).toEqual([]);
+    expect(files).not.toContain('config-file.js');
+    expect(files).not.toContain('file-store.js');
+    expect(files).not.toContain('mock-server.js');
+  });
+
+  describe('config files', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sonatel-config-'));
+      filePath = path.join(dir, 'sonatel.json');
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('replaces environment variable references', async () => {
+      await fs.writeFile(filePath, JSON.stringify({
+        defaults: { environment: 'sandbox' },
+        clients: { merchantA: { clientId: 'A_ID', clientSecret: '${SECRET_A}' } }
+      }));
+
+      expect(await loadConfigFile(filePath, { SECRET_A: 'a-secret' })).toEqual({
+        defaults: { environment: 'sandbox' },
+        clients: { merchantA: { clientId: 'A_ID', clientSecret: 'a-secret' } }
+      });
+      await expect(loadConfigFile(filePath, {})).rejects.toThrow('Environment variable SECRET_A is not set');
+    });
+
+    test('uses a single configuration as the default client', async () => {
+      await fs.writeFile(filePath, JSON.stringify({ clientId: 'id', clientSecret: 'secret' }));
+
+      expect(await loadConfigFile(filePath, {})).toEqual({
+        defaults: {},
+        clients: { default: { clientId: 'id', clientSecret: 'secret' } }
+      });
+    });
+
+    test('rejects invalid JSON', async () => {
+      await fs.writeFile(filePath, '{ nope');
+
+      await expect(loadConfigFile(filePath, {})).rejects.toThrow(`Invalid Sonatel config file ${filePath}`);
+    });
+
+    test('registers the clients of the file', async () => {
+      await fs.writeFile(filePath, JSON.stringify({
+        defaults: { environment: 'sandbox' },
+        clients: { fileClient: { clientId: 'id', clientSecret: 'secret', timeout: 999 } }
+      }));
+
+      expect(await loadConfig(filePath, {})).toEqual(['fileClient']);
+      expect(Sonatel.getClient('fileClient').api.timeout).toBe(999);
+      Sonatel.removeClient('fileClient');
+    });
+  });
+});
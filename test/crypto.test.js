@@ -0,0 +1,67 @@
+import { createHash, createHmac } from 'node:crypto';
+import { randomUUID, randomHex, randomInt, hmacSha256, sha256, safeEqual } from '../src/crypto.js';
+import { useMockServer } from '../src/mock-server.js';
+
+describe('crypto helpers', () => {
+  test('compute the same digests as node:crypto', async () => {
+    expect(await hmacSha256('secret', 'payload')).toBe(createHmac('sha256', 'secret').update('payload').digest('hex'));
+    expect(await sha256('é payload')).toBe(createHash('sha256').update('é payload').digest('hex'));
+  });
+
+  test('generate random values', () => {
+    expect(randomUUID()).toMatch(/^[0-9a-f-]{36}$/);
+    expect(randomHex(16)).toMatch(/^[0-9a-f]{32}$/);
+
+    const values = Array.from({ length: 200 }, () => randomInt(0, 10));
+    expect(Math.min(...values)).toBeGreaterThanOrEqual(0);
+    expect(Math.max(...values)).toBeLessThan(10);
+    expect(new Set(values).size).toBeGreaterThan(5);
+  });
+
+  test('compare strings', () => {
+    expect(safeEqual('abc', 'abc')).toBe(true);
+    expect(safeEqual('abc', 'abd')).toBe(false);
+    expect(safeEqual('abc', 'abcd')).toBe(false);
+    expect(safeEqual(null, 'abc')).toBe(false);
+  });
+});
+
+describe('without a global crypto, as on Node 18', () => {
+  const mock = useMockServer();
+  const descriptor = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  let Sonatel;
+  let helpers;
+
+  beforeAll(() => {
+    delete globalThis.crypto;
+    jest.isolateModules(() => {
+      Sonatel = require('../src/index.js').default;
+      helpers = require('../src/crypto.js');
+    });
+  });
+
+  afterAll(() => {
+    if (descriptor) {
+      Object.defineProperty(globalThis, 'crypto', descriptor);
+    }
+  });
+
+  test('falls back to the webcrypto of node:crypto', async () => {
+    expect(globalThis.crypto).toBeUndefined();
+    expect(helpers.randomUUID()).toMatch(/^[0-9a-f-]{36}$/);
+    expect(helpers.randomHex(8)).toMatch(/^[0-9a-f]{16}$/);
+    expect(await helpers.hmacSha256('secret', 'payload')).toBe(createHmac('sha256', 'secret').update('payload').digest('hex'));
+  });
+
+  test('creates clients and sends verification codes', async () => {
+    const client = Sonatel.createClient({
+      clientId: mock.clientId,
+      clientSecret: mock.clientSecret,
+      baseUrl: mock.url,
+      retry: false
+    });
+
+    await expect(client.verify.start('77 123 45 67')).resolves.toMatchObject({ status: 'PENDING' });
+    expect(mock.requests.some(request => request.path === '/sms/v1/messages')).toBe(true);
+  });
+});
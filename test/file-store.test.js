@@ -0,0 +1,77 @@
+import { promises as fs } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import FileStore from '../src/stores/file-store.js';
+
+describe('FileStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sonatel-store-'));
+    filePath = path.join(dir, 'store.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('stores, expires and deletes values', async () => {
+    const store = new FileStore(filePath);
+    await store.set('token', { accessToken: 'abc' });
+    await store.set('short', 1, 1);
+
+    expect(await store.get('token')).toEqual({ accessToken: 'abc' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    expect(await store.get('short')).toBeNull();
+
+    await store.delete('token');
+    expect(await store.get('token')).toBeNull();
+    expect((await fs.stat(filePath)).mode & 0o777).toBe(0o600);
+  });
+
+  test('keeps every concurrent write', async () => {
+    // Two instances on the same file behave like two processes
+    const stores = [new FileStore(filePath), new FileStore(filePath)];
+    await Promise.all(Array.from({ length: 40 }, (_, i) => stores[i % 2].set(`key-${i}`, i)));
+
+    const entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    expect(Object.keys(entries)).toHaveLength(40);
+    await expect(fs.access(`${filePath}.lock`)).rejects.toThrow();
+  });
+
+  test('adds a key only once', async () => {
+    const stores = [new FileStore(filePath), new FileStore(filePath), new FileStore(filePath)];
+    const results = await Promise.all(stores.map(store => store.add('event-1', true, 60000)));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+  });
+
+  test('increments counters atomically', async () => {
+    const stores = [new FileStore(filePath), new FileStore(filePath)];
+    const counts = await Promise.all(Array.from({ length: 10 }, (_, i) => stores[i % 2].increment('attempts', 60000)));
+
+    expect(counts.sort((a, b) => a - b)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(await stores[0].get('attempts')).toBe(10);
+  });
+
+  test('waits for the lock of another process', async () => {
+    const store = new FileStore(filePath, { lockTimeout: 50 });
+    await fs.writeFile(`${filePath}.lock`, '');
+
+    await expect(store.set('key', 1)).rejects.toThrow('Timed out waiting for the lock');
+    await fs.unlink(`${filePath}.lock`);
+    await store.set('key', 1);
+    expect(await store.get('key')).toBe(1);
+  });
+
+  test('breaks stale locks', async () => {
+    const store = new FileStore(filePath, { staleLockAge: 1000 });
+    await fs.writeFile(`${filePath}.lock`, '');
+    const past = new Date(Date.now() - 5000);
+    await fs.utimes(`${filePath}.lock`, past, past);
+
+    await store.set('key', 1);
+    expect(await store.get('key')).toBe(1);
+  });
+});
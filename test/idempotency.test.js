@@ -0,0 +1,92 @@
+import { IdempotencyLedger, generateIdempotencyKey } from '../src/idempotency.js';
+import { SonatelValidationError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+/**
+ * Store whose reads resolve on a later tick, like a network store
+ * @returns {Object} Store
+ */
+function slowStore() {
+  const entries = new Map();
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+  return {
+    entries,
+    get: async key => { await tick(); return entries.has(key) ? entries.get(key) : null; },
+    set: async (key, value) => { await tick(); entries.set(key, value); },
+    delete: async key => { entries.delete(key); }
+  };
+}
+
+describe('IdempotencyLedger', () => {
+  test('generates UUID keys', () => {
+    expect(generateIdempotencyKey()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(generateIdempotencyKey()).not.toBe(generateIdempotencyKey());
+  });
+
+  test('returns the stored result on replay', async () => {
+    const ledger = new IdempotencyLedger();
+    const operation = jest.fn(async key => ({ paymentId: `pay-${key}` }));
+
+    await expect(ledger.run('payment', 'k1', { amount: 1 }, operation)).resolves.toEqual({ paymentId: 'pay-k1' });
+    await expect(ledger.run('payment', 'k1', { amount: 1 }, operation)).resolves.toEqual({ paymentId: 'pay-k1' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  test('runs concurrent calls once, even with a slow store', async () => {
+    const ledger = new IdempotencyLedger({ store: slowStore() });
+    const operation = jest.fn(async () => ({ paymentId: 'pay-1' }));
+
+    const results = await Promise.all([
+      ledger.run('payment', 'k1', { amount: 1 }, operation),
+      ledger.run('payment', 'k1', { amount: 1 }, operation),
+      ledger.run('payment', 'k1', { amount: 1 }, operation)
+    ]);
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(results).toEqual([{ paymentId: 'pay-1' }, { paymentId: 'pay-1' }, { paymentId: 'pay-1' }]);
+  });
+
+  test('rejects a key reused with other parameters', async () => {
+    const ledger = new IdempotencyLedger({ store: slowStore() });
+    const operation = async () => ({ paymentId: 'pay-1' });
+
+    const first = ledger.run('payment', 'k1', { amount: 1 }, operation);
+    await expect(ledger.run('payment', 'k1', { amount: 2 }, operation)).rejects.toBeInstanceOf(SonatelValidationError);
+    await first;
+    const error = await ledger.run('payment', 'k1', { amount: 2 }, operation).catch(e => e);
+    expect(error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('does not remember failures', async () => {
+    const ledger = new IdempotencyLedger();
+    const operation = jest.fn()
+      .mockRejectedValueOnce(new Error('Network down'))
+      .mockResolvedValueOnce({ paymentId: 'pay-1' });
+
+    await expect(ledger.run('payment', 'k1', {}, operation)).rejects.toThrow('Network down');
+    await expect(ledger.run('payment', 'k1', {}, operation)).resolves.toEqual({ paymentId: 'pay-1' });
+  });
+
+  test('scopes keys', async () => {
+    const ledger = new IdempotencyLedger();
+    await ledger.run('payment', 'k1', {}, async () => 'payment');
+    await expect(ledger.run('refund:pay-1', 'k1', {}, async () => 'refund')).resolves.toBe('refund');
+  });
+});
+
+describe('requestPayment idempotency', () => {
+  const mock = useMockServer();
+
+  test('sends concurrent payments with the same key once', async () => {
+    const client = mock.createClient({ retry: false });
+    const params = { amount: 1000, currency: 'XOF', customerMsisdn: '221770000000', idempotencyKey: 'order-42' };
+
+    const [first, second] = await Promise.all([
+      client.payment.requestPayment(params),
+      client.payment.requestPayment(params)
+    ]);
+    expect(second.paymentId).toBe(first.paymentId);
+    expect(mock.state.payments.size).toBe(1);
+    expect(mock.requests.find(request => request.method === 'POST' && request.path.endsWith('/payments'))
+      .headers['idempotency-key']).toBe('order-42');
+  });
+});
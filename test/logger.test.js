@@ -0,0 +1,146 @@
+import { createLogger, redact, maskMsisdn } from '../src/logger.js';
+import { SonatelAPIError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+/**
+ * winston-style logger recording its calls
+ * @returns {Object} Logger, with the records in `records`
+ */
+function recordingLogger() {
+  const records = [];
+  const logger = { records };
+  ['debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (message, fields) => records.push({ level, message, fields });
+  });
+  return logger;
+}
+
+describe('redact', () => {
+  test('masks phone numbers, keeping the last 4 digits', () => {
+    expect(maskMsisdn('+221771234567')).toBe('+********4567');
+    expect(redact('Sent to 771234567 and +221 ok')).toBe('Sent to *****4567 and +221 ok');
+    expect(redact(221771234567)).toBe('********4567');
+    expect(redact(1500)).toBe(1500);
+  });
+
+  test('redacts sensitive headers', () => {
+    expect(redact({
+      Authorization: 'Bearer abc',
+      'X-Api-Key': 'key',
+      Cookie: 'session=1',
+      'X-Sonatel-Signature': 'sha256=00',
+      'Content-Type': 'application/json'
+    })).toEqual({
+      Authorization: '[REDACTED]',
+      'X-Api-Key': '[REDACTED]',
+      Cookie: '[REDACTED]',
+      'X-Sonatel-Signature': '[REDACTED]',
+      'Content-Type': 'application/json'
+    });
+  });
+
+  test('redacts nested bodies without changing the original', () => {
+    const body = {
+      outboundSMSMessageRequest: {
+        address: ['tel:+221771234567'],
+        credentials: { client_secret: 's3cret', password: 'p' },
+        outboundSMSTextMessage: { message: 'Code 1234' }
+      },
+      tokens: [{ access_token: 'abc' }]
+    };
+
+    expect(redact(body)).toEqual({
+      outboundSMSMessageRequest: {
+        address: ['tel:+********4567'],
+        credentials: { client_secret: '[REDACTED]', password: '[REDACTED]' },
+        outboundSMSTextMessage: { message: 'Code 1234' }
+      },
+      tokens: '[REDACTED]'
+    });
+    expect(body.outboundSMSMessageRequest.address[0]).toBe('tel:+221771234567');
+  });
+
+  test('handles circular references', () => {
+    const value = { name: 'loop' };
+    value.self = value;
+    expect(redact(value)).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+
+  test('accepts extra keys, and can keep phone numbers or turn redaction off', () => {
+    const value = { pin: '0000', msisdn: '771234567', token: 'abc' };
+
+    expect(redact(value, { keys: ['PIN'], msisdn: false })).toEqual({ pin: '[REDACTED]', msisdn: '771234567', token: '[REDACTED]' });
+    expect(redact(value, false)).toBe(value);
+  });
+});
+
+describe('createLogger', () => {
+  test('does nothing without a logger or debug mode', () => {
+    const logger = createLogger();
+    expect(logger.enabled).toBe(false);
+    expect(() => logger.info('Hello', { token: 'abc' })).not.toThrow();
+  });
+
+  test('redacts the message and the fields', () => {
+    const target = recordingLogger();
+    createLogger({ logger: target }).info('Sending to +221771234567', {
+      headers: { authorization: 'Bearer abc' },
+      data: { recipient: '771234567' },
+      skipped: undefined
+    });
+
+    expect(target.records).toEqual([{
+      level: 'info',
+      message: 'Sending to +********4567',
+      fields: { headers: { authorization: '[REDACTED]' }, data: { recipient: '*****4567' } }
+    }]);
+  });
+
+  test('serializes errors, with their body only when bodies are logged', () => {
+    const error = new SonatelAPIError('Unknown recipient 771234567', {
+      status: 400,
+      code: 'SVC0002',
+      body: { requestError: { address: 'tel:+221771234567', access_token: 'abc' } }
+    });
+
+    const target = recordingLogger();
+    createLogger({ logger: target }).warn('Failed', { error });
+    expect(target.records[0].fields.error).toEqual({
+      name: 'SonatelAPIError',
+      message: 'Unknown recipient *****4567',
+      code: 'SVC0002',
+      status: 400
+    });
+
+    createLogger({ logger: target, logBodies: true }).warn('Failed', { error });
+    expect(target.records[1].fields.error.body).toEqual({
+      requestError: { address: 'tel:+********4567', access_token: '[REDACTED]' }
+    });
+  });
+
+  test('calls pino-style loggers with the fields first', () => {
+    const calls = [];
+    const pino = { levels: { values: { info: 30 } }, info: (...args) => calls.push(args) };
+
+    createLogger({ logger: pino }).debug('Token refreshed', { access_token: 'abc' });
+    expect(calls).toEqual([[{ access_token: '[REDACTED]' }, 'Token refreshed']]);
+  });
+});
+
+describe('client logging', () => {
+  const mock = useMockServer();
+
+  test('never logs the access token or the full recipient', async () => {
+    const logger = recordingLogger();
+    const client = mock.createClient({ retry: false, logger, logBodies: true });
+
+    await client.sms.sendSMS({ recipient: '221771234567', message: 'Hello' });
+
+    const output = JSON.stringify(logger.records);
+    const [token] = mock.tokens;
+    expect(output).toContain('/oauth/token');
+    expect(output).toContain('*******4567');
+    expect(output).not.toContain('221771234567');
+    expect(output).not.toContain(token);
+  });
+});
@@ -0,0 +1,128 @@
+import { MetricsCollector } from '../src/metrics.js';
+import EventEmitter from '../src/event-emitter.js';
+import { SonatelTimeoutError, SonatelAbortError, SonatelNetworkError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+describe('MetricsCollector', () => {
+  test('keeps one counter series per label set, regardless of label order', () => {
+    const metrics = new MetricsCollector();
+    metrics.increment('requests_total', { service: 'sms', status: '201' });
+    metrics.increment('requests_total', { status: '201', service: 'sms' }, 2);
+    metrics.increment('requests_total', { service: 'payment', status: '201' });
+
+    expect(metrics.get('requests_total', { service: 'sms', status: '201' })).toBe(3);
+    expect(metrics.get('requests_total', { service: 'payment', status: '201' })).toBe(1);
+    expect(metrics.get('requests_total', { service: 'ussd', status: '201' })).toBeNull();
+    expect(metrics.get('missing_total')).toBeNull();
+  });
+
+  test('counts histogram observations in cumulative buckets', () => {
+    const metrics = new MetricsCollector({ buckets: [1, 0.1, 0.5] });
+    [0.05, 0.1, 0.3, 2].forEach(value => metrics.observe('request_duration_seconds', { service: 'sms' }, value));
+
+    expect(metrics.get('request_duration_seconds', { service: 'sms' })).toEqual({
+      count: 4,
+      sum: 2.45,
+      buckets: { 0.1: 2, 0.5: 3, 1: 3 }
+    });
+  });
+
+  test('rejects a name used with another metric type', () => {
+    const metrics = new MetricsCollector();
+    metrics.increment('requests_total');
+    expect(() => metrics.observe('requests_total', {}, 1)).toThrow('Metric requests_total is a counter, not a histogram');
+  });
+
+  test('lists the series in a snapshot', () => {
+    const metrics = new MetricsCollector({ prefix: 'app_', buckets: [1] });
+    metrics.increment('requests_total', { service: 'sms' });
+    metrics.observe('custom_seconds', {}, 0.5);
+
+    expect(metrics.snapshot()).toEqual([
+      { name: 'app_requests_total', type: 'counter', help: 'HTTP requests sent to the Sonatel API', series: [{ labels: { service: 'sms' }, value: 1 }] },
+      { name: 'app_custom_seconds', type: 'histogram', help: 'custom_seconds', series: [{ labels: {}, count: 1, sum: 0.5, buckets: { 1: 1 } }] }
+    ]);
+  });
+
+  test('exports the Prometheus text format', () => {
+    const metrics = new MetricsCollector({ buckets: [0.5, 1] });
+    metrics.increment('requests_total', { service: 'sms', endpoint: '/sms/v1/"x"' });
+    metrics.observe('request_duration_seconds', { service: 'sms' }, 0.7);
+
+    expect(metrics.toPrometheus()).toBe([
+      '# HELP sonatel_requests_total HTTP requests sent to the Sonatel API',
+      '# TYPE sonatel_requests_total counter',
+      'sonatel_requests_total{service="sms",endpoint="/sms/v1/\\"x\\""} 1',
+      '# HELP sonatel_request_duration_seconds Duration of HTTP requests to the Sonatel API',
+      '# TYPE sonatel_request_duration_seconds histogram',
+      'sonatel_request_duration_seconds_bucket{service="sms",le="0.5"} 0',
+      'sonatel_request_duration_seconds_bucket{service="sms",le="1"} 1',
+      'sonatel_request_duration_seconds_bucket{service="sms",le="+Inf"} 1',
+      'sonatel_request_duration_seconds_sum{service="sms"} 0.7',
+      'sonatel_request_duration_seconds_count{service="sms"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('drops every series on reset', () => {
+    const metrics = new MetricsCollector();
+    metrics.increment('requests_total', { service: 'sms' });
+    metrics.reset();
+
+    expect(metrics.get('requests_total', { service: 'sms' })).toBeNull();
+    expect(metrics.snapshot()).toEqual([]);
+    expect(metrics.toPrometheus()).toBe('');
+  });
+
+  test('labels requests by operation and status, or by the reason no response came', () => {
+    const api = new EventEmitter();
+    const metrics = new MetricsCollector();
+    const detach = metrics.attach(api);
+    const request = { service: 'sms', endpoint: '/sms/v1/messages', method: 'POST', duration: 200 };
+
+    api.emit('request', { ...request, status: 201 });
+    api.emit('request', { ...request, status: 201 });
+    api.emit('request', { ...request, status: 503 });
+    api.emit('request', { ...request, error: new SonatelTimeoutError('Timed out') });
+    api.emit('request', { ...request, error: new SonatelAbortError('Aborted') });
+    api.emit('request', { ...request, error: new SonatelNetworkError('Reset') });
+    api.emit('retry', request);
+    api.emit('rateLimit', { ...request, source: 'server' });
+    api.emit('token.refresh', { source: 'network', success: false, duration: 50 });
+
+    const labels = { service: 'sms', endpoint: '/sms/v1/messages', method: 'POST' };
+    expect(metrics.get('requests_total', { ...labels, status: '201' })).toBe(2);
+    expect(metrics.get('request_duration_seconds', { ...labels, status: '201' })).toMatchObject({ count: 2, sum: 0.4 });
+    ['503', 'timeout', 'aborted', 'network'].forEach(status => {
+      expect(metrics.get('requests_total', { ...labels, status })).toBe(1);
+    });
+    expect(metrics.get('retries_total', labels)).toBe(1);
+    expect(metrics.get('rate_limit_hits_total', { ...labels, source: 'server' })).toBe(1);
+    expect(metrics.get('token_refreshes_total', { source: 'network', outcome: 'failure' })).toBe(1);
+    expect(metrics.get('token_refresh_duration_seconds', { source: 'network' })).toMatchObject({ count: 1, sum: 0.05 });
+
+    detach();
+    api.emit('request', { ...request, status: 201 });
+    expect(metrics.get('requests_total', { ...labels, status: '201' })).toBe(2);
+  });
+});
+
+describe('client metrics', () => {
+  const mock = useMockServer();
+
+  test('records the requests, retries and token refreshes of a client', async () => {
+    const metrics = new MetricsCollector();
+    const client = mock.createClient({ metrics, retry: { baseDelay: 1, jitter: false } });
+    mock.inject({ method: 'GET', path: '/payment/v1/account/balance', status: 503, times: 1 });
+
+    await client.payment.getAccountBalance();
+    await client.sms.sendSMS({ recipient: '221770000000', message: 'Hello' });
+
+    const balance = { service: 'payment', endpoint: '/payment/v1/account/balance', method: 'GET' };
+    expect(metrics.get('requests_total', { ...balance, status: '503' })).toBe(1);
+    expect(metrics.get('requests_total', { ...balance, status: '200' })).toBe(1);
+    expect(metrics.get('retries_total', balance)).toBe(1);
+    expect(metrics.get('requests_total', { service: 'sms', endpoint: '/sms/v1/messages', method: 'POST', status: '201' })).toBe(1);
+    expect(metrics.get('token_refreshes_total', { source: 'network', outcome: 'success' })).toBe(1);
+  });
+});
@@ -0,0 +1,100 @@
+import { useMockServer } from '../src/mock-server.js';
+
+/**
+ * Middleware recording its name in a shared list
+ * @param {string[]} calls - Names of the middlewares called
+ * @param {string} name - Name to record
+ * @returns {Function} Middleware
+ */
+function recorder(calls, name) {
+  return (ctx, next) => {
+    calls.push(name);
+    return next();
+  };
+}
+
+describe('middleware pipeline', () => {
+  const mock = useMockServer();
+
+  test('starts with the built-in chain', () => {
+    const client = mock.createClient({ retry: false });
+    expect(client.api.middleware.map(entry => entry.name)).toEqual(['retry', 'rateLimit', 'auth', 'telemetry', 'logging']);
+  });
+
+  test('appends middlewares, or places them before or after a named one', async () => {
+    const client = mock.createClient({ retry: false });
+    const calls = [];
+    client.api
+      .use(recorder(calls, 'last'), { name: 'last' })
+      .use(recorder(calls, 'first'), { name: 'first', before: 'retry' })
+      .use(recorder(calls, 'afterAuth'), { name: 'afterAuth', after: 'auth' });
+
+    expect(client.api.middleware.map(entry => entry.name)).toEqual(
+      ['first', 'retry', 'rateLimit', 'auth', 'afterAuth', 'telemetry', 'logging', 'last']
+    );
+    await client.payment.getAccountBalance();
+    expect(calls).toEqual(['first', 'afterAuth', 'last']);
+  });
+
+  test('names middlewares after their function by default', () => {
+    const client = mock.createClient({ retry: false });
+    client.api.use(function tagRequest(ctx, next) { return next(); });
+    expect(client.api.middleware[client.api.middleware.length - 1].name).toBe('tagRequest');
+  });
+
+  test('lets a middleware short-circuit the request', async () => {
+    const client = mock.createClient({ retry: false });
+    client.api.use(() => ({ status: 200, headers: {}, data: { amount: 42, currency: 'XOF' } }), { name: 'stub', before: 'retry' });
+
+    await expect(client.payment.getAccountBalance()).resolves.toMatchObject({ amount: 42 });
+    expect(mock.requests.some(request => request.path === '/payment/v1/account/balance')).toBe(false);
+  });
+
+  test('replaces a named middleware in place', async () => {
+    const client = mock.createClient({ retry: false });
+    const calls = [];
+    client.api.replaceMiddleware('logging', recorder(calls, 'logging'));
+
+    expect(client.api.middleware.map(entry => entry.name)).toEqual(['retry', 'rateLimit', 'auth', 'telemetry', 'logging']);
+    await client.payment.getAccountBalance();
+    expect(calls).toEqual(['logging']);
+  });
+
+  test('rebuilds the pipeline after a change', async () => {
+    const client = mock.createClient({ retry: false });
+    const calls = [];
+    await client.payment.getAccountBalance();
+
+    client.api.use(recorder(calls, 'late'), { name: 'late' });
+    await client.payment.getAccountBalance();
+    expect(calls).toEqual(['late']);
+
+    client.api.removeMiddleware('late');
+    await client.payment.getAccountBalance();
+    expect(calls).toEqual(['late']);
+  });
+
+  test('removes a named middleware', async () => {
+    const client = mock.createClient({ retry: false });
+    client.api.removeMiddleware('auth');
+
+    expect(client.api.middleware.map(entry => entry.name)).toEqual(['retry', 'rateLimit', 'telemetry', 'logging']);
+    await expect(client.payment.getAccountBalance()).rejects.toMatchObject({ status: 401 });
+    const request = mock.requests.find(candidate => candidate.path === '/payment/v1/account/balance');
+    expect(mock.requests.some(candidate => candidate.path === '/oauth/token')).toBe(false);
+    expect(request.headers.authorization).toBeUndefined();
+  });
+
+  test('rejects unknown names and non-functions', () => {
+    const client = mock.createClient({ retry: false });
+    const noop = (ctx, next) => next();
+
+    expect(() => client.api.use(noop, { before: 'missing' })).toThrow('Unknown middleware: missing');
+    expect(() => client.api.use(noop, { after: 'missing' })).toThrow('Unknown middleware: missing');
+    expect(() => client.api.replaceMiddleware('missing', noop)).toThrow('Unknown middleware: missing');
+    expect(() => client.api.removeMiddleware('missing')).toThrow('Unknown middleware: missing');
+    expect(() => client.api.use('logging')).toThrow('Middleware must be a function');
+    expect(() => client.api.replaceMiddleware('logging', null)).toThrow('Middleware must be a function');
+    expect(client.api.middleware).toHaveLength(5);
+  });
+});
@@ -0,0 +1,93 @@
+import { MockSonatelServer, startMockServer, useMockServer } from '../src/mock-server.js';
+import { SonatelRateLimitError, SonatelAuthError } from '../src/errors.js';
+
+const mock = useMockServer({ balance: 5000, stepDelay: 5 });
+
+describe('useMockServer', () => {
+  test('starts a listening server for the test file', () => {
+    expect(mock).toBeInstanceOf(MockSonatelServer);
+    expect(mock.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+  });
+
+  test('sends an SMS and delivers it', async () => {
+    const client = mock.createClient({ retry: false });
+    const sms = await client.sms.sendSMS({ recipient: '221770000000', message: 'Hello' });
+
+    expect(mock.getMessage(sms.id).message).toBe('Hello');
+    const delivery = await client.sms.waitForDelivery(sms.id, { interval: 5 });
+    expect(delivery.status).toBe('DELIVERED');
+  });
+
+  test('completes a payment and credits the balance', async () => {
+    const client = mock.createClient({ retry: false });
+    const payment = await client.payment.requestPayment({
+      amount: 1000,
+      currency: 'XOF',
+      customerMsisdn: '221770000000'
+    });
+
+    const result = await client.payment.waitForCompletion(payment.paymentId, { interval: 5 });
+    expect(result.status).toBe('SUCCESS');
+    expect(mock.state.balance).toBe(6000);
+  });
+
+  test('resets its state after each test', () => {
+    expect(mock.state.payments.size).toBe(0);
+    expect(mock.state.messages.size).toBe(0);
+    expect(mock.state.balance).toBe(5000);
+  });
+
+  test('answers injected faults', async () => {
+    const client = mock.createClient({ retry: false });
+    mock.inject({ method: 'POST', path: '/sms/v1/messages', status: 429, retryAfter: 2 });
+
+    const error = await client.sms.sendSMS({ recipient: '221770000000', message: 'Hi' }).catch(e => e);
+    expect(error).toBeInstanceOf(SonatelRateLimitError);
+    expect(error.retryAfter).toBe(2000);
+    await expect(client.sms.sendSMS({ recipient: '221770000000', message: 'Hi' })).resolves.toHaveProperty('id');
+  });
+
+  test('rejects expired tokens once', async () => {
+    const client = mock.createClient({ retry: false });
+    await client.payment.getAccountBalance();
+    mock.expireTokens();
+
+    await expect(client.payment.getAccountBalance()).resolves.toEqual(expect.objectContaining({ amount: 5000 }));
+    expect(mock.requests.filter(request => request.path === '/oauth/token')).toHaveLength(2);
+  });
+
+  test('rejects unknown credentials', async () => {
+    const client = mock.createClient({ clientSecret: 'wrong', retry: false });
+    await expect(client.payment.getAccountBalance()).rejects.toBeInstanceOf(SonatelAuthError);
+  });
+
+});
+
+describe('startMockServer', () => {
+  test('applies custom lifecycles', async () => {
+    const server = await startMockServer({ stepDelay: 5, lifecycles: { payment: ['PENDING', 'FAILED'] } });
+    try {
+      const client = server.createClient({ retry: false });
+      const payment = await client.payment.requestPayment({ amount: 100, currency: 'XOF', customerMsisdn: '221770000000' });
+      const result = await client.payment.waitForCompletion(payment.paymentId, { interval: 5 });
+      expect(result.status).toBe('FAILED');
+      expect(server.state.balance).toBe(0);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('moves resources to a status on demand', async () => {
+    const server = await startMockServer({ lifecycles: { payment: ['PENDING'] } });
+    try {
+      const client = server.createClient({ retry: false });
+      const payment = await client.payment.requestPayment({ amount: 500, currency: 'XOF', customerMsisdn: '221770000000' });
+      expect((await client.payment.checkPaymentStatus(payment.paymentId)).status).toBe('PENDING');
+
+      await server.setPaymentStatus(payment.paymentId, 'CANCELLED');
+      expect((await client.payment.checkPaymentStatus(payment.paymentId)).status).toBe('CANCELLED');
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,92 @@
+import { Money, CURRENCIES, toMoney } from '../src/money.js';
+import { SonatelValidationError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+/**
+ * Get the code of the validation error thrown by a function
+ * @param {Function} fn - Function expected to throw
+ * @returns {string} Error code
+ */
+function errorCode(fn) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(SonatelValidationError);
+    return error.code;
+  }
+  throw new Error('Expected a validation error');
+}
+
+describe('Money', () => {
+  test('keeps amounts in integer minor units', () => {
+    expect(new Money(1000)).toMatchObject({ currency: 'XOF', minor: 1000 });
+    expect(new Money('10.50', 'eur')).toMatchObject({ currency: 'EUR', minor: 1050 });
+    expect(new Money(0.1, 'EUR').add(new Money(0.2, 'EUR')).equals(new Money('0.3', 'EUR'))).toBe(true);
+    expect(Money.fromMinor(1999, 'USD').amount).toBe(19.99);
+    expect(Object.isFrozen(new Money(1))).toBe(true);
+  });
+
+  test.each([
+    ['10.5', 'XOF', 'INVALID_AMOUNT'],
+    [10.5, 'XOF', 'INVALID_AMOUNT'],
+    ['-100', 'XOF', 'INVALID_AMOUNT'],
+    [-100, 'XOF', 'INVALID_AMOUNT'],
+    ['1e3', 'XOF', 'INVALID_AMOUNT'],
+    ['1,000', 'XOF', 'INVALID_AMOUNT'],
+    ['10.555', 'EUR', 'INVALID_AMOUNT'],
+    [Infinity, 'XOF', 'INVALID_AMOUNT'],
+    [null, 'XOF', 'INVALID_AMOUNT'],
+    [2 ** 53, 'XOF', 'INVALID_AMOUNT'],
+    [100, 'XAF', 'UNSUPPORTED_CURRENCY']
+  ])('rejects %p %s', (amount, currency, code) => {
+    expect(errorCode(() => new Money(amount, currency))).toBe(code);
+  });
+
+  test('compares and subtracts amounts of the same currency', () => {
+    const price = new Money(15000);
+
+    expect(price.subtract(new Money(5000)).amount).toBe(10000);
+    expect(price.compare(new Money(20000))).toBe(-1);
+    expect(new Money(0).isZero()).toBe(true);
+    expect(errorCode(() => new Money(1).subtract(price))).toBe('INVALID_AMOUNT');
+    expect(errorCode(() => price.add(new Money(1, 'EUR')))).toBe('CURRENCY_MISMATCH');
+    expect(() => price.add(1)).toThrow(TypeError);
+  });
+
+  test('checks transaction limits', () => {
+    expect(new Money(500).checkLimits({ min: 100, max: 1000 }).amount).toBe(500);
+    expect(errorCode(() => new Money(50).checkLimits({ min: 100 }))).toBe('AMOUNT_BELOW_MINIMUM');
+    expect(errorCode(() => new Money(5000).checkLimits({ max: 1000 }))).toBe('AMOUNT_ABOVE_MAXIMUM');
+  });
+
+  test('formats amounts', () => {
+    expect(new Money(15000).format()).toBe('15 000 FCFA');
+    expect(new Money(15000).format({ locale: 'en', symbol: false })).toBe('15,000 XOF');
+    expect(new Money(10.5, 'EUR').toString()).toBe('10.50 EUR');
+    expect(JSON.stringify(new Money(10.5, 'EUR'))).toBe('{"amount":10.5,"currency":"EUR"}');
+    expect(Object.keys(CURRENCIES)).toEqual(['XOF', 'GNF', 'SLE', 'EUR', 'USD']);
+  });
+
+  test('converts plain amounts and checks the currency of Money amounts', () => {
+    expect(toMoney('2500').equals(new Money(2500))).toBe(true);
+    expect(toMoney(5, 'EUR').currency).toBe('EUR');
+    expect(errorCode(() => toMoney(new Money(5, 'EUR'), 'XOF'))).toBe('CURRENCY_MISMATCH');
+  });
+});
+
+describe('payment amounts', () => {
+  const mock = useMockServer();
+
+  test('validates amounts before sending a payment', async () => {
+    const client = mock.createClient({ retry: false, transactionLimits: { XOF: { min: 100 } } });
+
+    await expect(client.payment.requestPayment({ amount: '10.5', currency: 'XOF', customerMsisdn: '771234567' }))
+      .rejects.toMatchObject({ code: 'INVALID_AMOUNT' });
+    await expect(client.payment.requestPayment({ amount: 50, currency: 'XOF', customerMsisdn: '771234567' }))
+      .rejects.toMatchObject({ code: 'AMOUNT_BELOW_MINIMUM' });
+    expect(mock.state.payments.size).toBe(0);
+
+    const payment = await client.payment.requestPayment({ amount: new Money(1500), customerMsisdn: '771234567' });
+    expect(payment).toMatchObject({ amount: 1500, currency: 'XOF' });
+  });
+});
@@ -0,0 +1,115 @@
+import { Paginator, readPageInfo } from '../src/pagination.js';
+import { useMockServer } from '../src/mock-server.js';
+
+/**
+ * Page fetcher over a list of numbers
+ * @param {number} count - Number of items
+ * @param {Object} [options] - { cap: maximum page size served, meta: include total }
+ * @returns {Function} fetchPage, with the requested offsets in `calls`
+ */
+function source(count, { cap = Infinity, meta = false } = {}) {
+  const items = Array.from({ length: count }, (_, i) => i);
+  const fetchPage = jest.fn(async ({ offset, limit }) => {
+    const page = items.slice(offset, offset + Math.min(limit, cap));
+    return meta ? { items: page, total: count } : page;
+  });
+  return fetchPage;
+}
+
+describe('Paginator', () => {
+  test('stops on an empty page', async () => {
+    const fetchPage = source(25);
+    const items = await new Paginator({ fetchPage, pageSize: 10 }).collectAll();
+
+    expect(items).toHaveLength(25);
+    expect(fetchPage.mock.calls.map(([call]) => call.offset)).toEqual([0, 10, 20, 25]);
+  });
+
+  test('keeps going after a page capped by the server', async () => {
+    const fetchPage = source(25, { cap: 7 });
+    const items = await new Paginator({ fetchPage, pageSize: 10 }).collectAll();
+
+    expect(items).toEqual(Array.from({ length: 25 }, (_, i) => i));
+  });
+
+  test('refetches from the gap when pages fetched ahead were capped', async () => {
+    const fetchPage = source(25, { cap: 7 });
+    const items = await new Paginator({ fetchPage, pageSize: 10, concurrency: 3 }).collectAll();
+
+    expect(items).toEqual(Array.from({ length: 25 }, (_, i) => i));
+  });
+
+  test('stops at the reported total without an extra request', async () => {
+    const fetchPage = source(25, { meta: true });
+    const items = await new Paginator({ fetchPage, pageSize: 10 }).collectAll();
+
+    expect(items).toHaveLength(25);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+  });
+
+  test('stops when hasMore is false', async () => {
+    const fetchPage = jest.fn(async ({ offset }) => ({ items: [offset], hasMore: offset < 2 }));
+    const items = await new Paginator({ fetchPage, pageSize: 1 }).collectAll();
+    expect(items).toEqual([0, 1, 2]);
+  });
+
+  test('caps the number of items', async () => {
+    const fetchPage = source(100);
+    const items = await new Paginator({ fetchPage, pageSize: 10, maxItems: 15 }).collectAll();
+
+    expect(items).toHaveLength(15);
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('resumes from a cursor', async () => {
+    const paginator = new Paginator({ fetchPage: source(30), pageSize: 10 });
+    for await (const item of paginator) {
+      if (item === 11) {
+        break;
+      }
+    }
+
+    const rest = await new Paginator({ fetchPage: source(30), pageSize: 10, cursor: paginator.cursor }).collectAll();
+    expect(rest[0]).toBe(12);
+    expect(rest).toHaveLength(18);
+  });
+
+  test('rejects invalid cursors', () => {
+    expect(() => new Paginator({ fetchPage: source(1), cursor: 'nope' })).toThrow('Invalid pagination cursor');
+  });
+});
+
+describe('readPageInfo', () => {
+  test('reads totals and next links', () => {
+    expect(readPageInfo({ totalCount: 12 })).toEqual({ total: 12, hasMore: null });
+    expect(readPageInfo({ next: null })).toEqual({ total: null, hasMore: false });
+    expect(readPageInfo({ links: { next: '/page/2' } })).toEqual({ total: null, hasMore: true });
+    expect(readPageInfo(undefined)).toEqual({ total: null, hasMore: null });
+  });
+});
+
+describe('iterateTransactions', () => {
+  const mock = useMockServer({ stepDelay: 1 });
+
+  test('pages through the transaction history', async () => {
+    const client = mock.createClient({ retry: false });
+    for (let i = 0; i < 5; i++) {
+      await client.payment.requestPayment({ amount: 100 + i, currency: 'XOF', customerMsisdn: '221770000000' });
+    }
+
+    const transactions = await client.payment.iterateTransactions({ pageSize: 2 }).collectAll();
+    expect(transactions).toHaveLength(5);
+    const listRequests = mock.requests.filter(request => request.path === '/payment/v1/transactions');
+    expect(listRequests).toHaveLength(3);
+  });
+
+  test('pages through the SMS history', async () => {
+    const client = mock.createClient({ retry: false });
+    for (let i = 0; i < 3; i++) {
+      await client.sms.sendSMS({ recipient: '221770000000', message: `Hello ${i}` });
+    }
+
+    const messages = await client.sms.iterateHistory({ pageSize: 2 }).collectAll();
+    expect(messages).toHaveLength(3);
+  });
+});
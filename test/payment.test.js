@@ -0,0 +1,49 @@
+import { useMockServer } from '../src/mock-server.js';
+import { SonatelValidationError } from '../src/errors.js';
+
+describe('PaymentService', () => {
+  const mock = useMockServer({ stepDelay: 5 });
+
+  test.each(['77 123 45 67', '221771234567', '00221771234567', 'tel:+221771234567'])(
+    'sends the customer number %s in E.164',
+    async customerMsisdn => {
+      const client = mock.createClient({ retry: false });
+      await client.payment.requestPayment({ amount: 1000, currency: 'XOF', customerMsisdn });
+
+      const request = mock.requests.find(candidate => candidate.path === '/payment/v1/payments');
+      expect(request.body.requestPayment.customerMsisdn).toBe('+221771234567');
+    }
+  );
+
+  test('rejects non-Orange customer numbers', async () => {
+    const client = mock.createClient({ retry: false });
+    const error = await client.payment.requestPayment({
+      amount: 1000,
+      currency: 'XOF',
+      customerMsisdn: '76 123 45 67'
+    }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SonatelValidationError);
+    expect(error.code).toBe('NON_ORANGE_MSISDN');
+    expect(mock.requests.some(request => request.path === '/payment/v1/payments')).toBe(false);
+  });
+
+  test('returns normalized payments', async () => {
+    const client = mock.createClient({ retry: false });
+    const payment = await client.payment.requestPayment({
+      amount: '1500',
+      currency: 'XOF',
+      customerMsisdn: '771234567',
+      orderId: 'order-1'
+    });
+
+    expect(payment).toEqual(expect.objectContaining({
+      status: 'PENDING',
+      amount: 1500,
+      currency: 'XOF',
+      orderId: 'order-1',
+      createdAt: expect.any(Date)
+    }));
+    expect(payment.paymentId).toEqual(expect.any(String));
+  });
+});
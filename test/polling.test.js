@@ -0,0 +1,97 @@
+import { pollUntilTerminal } from '../src/polling.js';
+import { isTerminalDeliveryStatus, normalizeDeliveryStatus } from '../src/status.js';
+import { normalizeDeliveryInfo } from '../src/results.js';
+import { SonatelTimeoutError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+describe('pollUntilTerminal', () => {
+  test('calls onStatusChange with the new and previous results', async () => {
+    const statuses = ['PENDING', 'PENDING', 'SENT', 'DELIVERED'];
+    const changes = [];
+
+    const result = await pollUntilTerminal({
+      description: 'SMS sms-1',
+      interval: 1,
+      isTerminal: isTerminalDeliveryStatus,
+      check: async () => ({ id: 'sms-1', status: statuses.shift() }),
+      onStatusChange: (current, previous) => changes.push([previous && previous.status, current.status])
+    });
+
+    expect(result.status).toBe('DELIVERED');
+    expect(changes).toEqual([[null, 'PENDING'], ['PENDING', 'SENT'], ['SENT', 'DELIVERED']]);
+  });
+
+  test('times out on resources that stay pending', async () => {
+    await expect(pollUntilTerminal({
+      description: 'Payment pay-1',
+      timeout: 20,
+      interval: 5,
+      isTerminal: () => false,
+      check: async () => ({ status: 'PENDING' })
+    })).rejects.toBeInstanceOf(SonatelTimeoutError);
+  });
+});
+
+describe('delivery statuses', () => {
+  test.each([
+    ['DeliveryUncertain', 'UNCERTAIN'],
+    ['DeliveryNotificationNotSupported', 'UNCERTAIN'],
+    ['DeliveredToTerminal', 'DELIVERED'],
+    ['DeliveryImpossible', 'FAILED']
+  ])('%s is final as %s', (deliveryStatus, status) => {
+    expect(normalizeDeliveryStatus(deliveryStatus)).toBe(status);
+    expect(isTerminalDeliveryStatus(status)).toBe(true);
+  });
+
+  test('DeliveredToNetwork is not final', () => {
+    expect(isTerminalDeliveryStatus(normalizeDeliveryStatus('DeliveredToNetwork'))).toBe(false);
+  });
+
+  test.each([undefined, '', 'DeliveryQueued'])('%p is UNKNOWN and not final', deliveryStatus => {
+    expect(normalizeDeliveryStatus(deliveryStatus)).toBe('UNKNOWN');
+    expect(isTerminalDeliveryStatus('UNKNOWN')).toBe(false);
+  });
+
+  test('a message is not final while a recipient has an unknown status', () => {
+    const body = (...statuses) => ({
+      deliveryInfoList: { deliveryInfo: statuses.map((deliveryStatus, i) => ({ address: `tel:+22177000000${i}`, deliveryStatus })) }
+    });
+
+    expect(normalizeDeliveryInfo('sms-1', body('DeliveredToTerminal', 'Queued')).status).toBe('UNKNOWN');
+    expect(normalizeDeliveryInfo('sms-1', body('DeliveredToTerminal', undefined)).status).toBe('UNKNOWN');
+    expect(normalizeDeliveryInfo('sms-1', body('DeliveredToTerminal', 'DeliveryUncertain')).status).toBe('UNCERTAIN');
+    expect(normalizeDeliveryInfo('sms-1', body('DeliveredToTerminal', 'DeliveredToTerminal')).status).toBe('DELIVERED');
+  });
+});
+
+describe('waitForDelivery', () => {
+  const mock = useMockServer({ lifecycles: { sms: ['MessageWaiting', 'DeliveryNotificationNotSupported'] }, stepDelay: 50 });
+
+  test('stops when the network does not report deliveries', async () => {
+    const client = mock.createClient({ retry: false });
+    const sms = await client.sms.sendSMS({ recipient: '221770000000', message: 'Hello' });
+
+    const changes = [];
+    const delivery = await client.sms.waitForDelivery(sms.id, {
+      interval: 5,
+      timeout: 2000,
+      onStatusChange: (result, previous) => changes.push([previous && previous.status, result.status])
+    });
+    expect(delivery.status).toBe('UNCERTAIN');
+    expect(delivery.deliveries[0].deliveryStatus).toBe('DeliveryNotificationNotSupported');
+    expect(changes[changes.length - 1]).toEqual(['PENDING', 'UNCERTAIN']);
+  });
+});
+
+describe('waitForDelivery with unrecognized statuses', () => {
+  const mock = useMockServer({ lifecycles: { sms: ['MessageWaiting', 'DeliveryQueued'] }, stepDelay: 5 });
+
+  test('keeps polling until the timeout', async () => {
+    const client = mock.createClient({ retry: false });
+    const sms = await client.sms.sendSMS({ recipient: '221770000000', message: 'Hello' });
+
+    await expect(client.sms.waitForDelivery(sms.id, { interval: 5, timeout: 200 })).rejects.toBeInstanceOf(SonatelTimeoutError);
+    const checks = mock.requests.filter(request => request.path.endsWith('/deliveryInfos'));
+    expect(checks.length).toBeGreaterThan(2);
+  });
+});
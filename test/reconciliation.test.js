@@ -0,0 +1,110 @@
+import { ReconciliationIssue, reconcileTransactions } from '../src/reconciliation.js';
+import { Money } from '../src/money.js';
+import { SonatelValidationError } from '../src/errors.js';
+
+/**
+ * Build a successful payment of the history
+ * @param {string} id - Payment ID
+ * @param {number|string} amount - Amount
+ * @param {Object} [fields] - Other fields
+ * @returns {Object} Transaction
+ */
+function payment(id, amount, fields = {}) {
+  return { transactionId: `txn-${id}`, type: 'payment', paymentId: id, amount, currency: 'XOF', status: 'SUCCESS', ...fields };
+}
+
+describe('reconcileTransactions', () => {
+  test('matches records and reports discrepancies', () => {
+    const report = reconcileTransactions([
+      payment('p1', 1000, { orderId: 'A-1' }),
+      payment('p2', 2500, { orderId: 'A-2' }),
+      payment('p3', 300)
+    ], [
+      { orderId: 'A-1', amount: 1000 },
+      { orderId: 'A-2', amount: '2000' },
+      { orderId: 'A-3', amount: 700 }
+    ]);
+
+    expect(report.summary).toMatchObject({ matched: 1, issues: 3 });
+    expect(report.issues.map(issue => issue.type).sort()).toEqual([
+      ReconciliationIssue.AMOUNT_MISMATCH,
+      ReconciliationIssue.MISSING_PAYMENT,
+      ReconciliationIssue.MISSING_RECORD
+    ]);
+    expect(report.issues.find(issue => issue.type === ReconciliationIssue.AMOUNT_MISMATCH).message)
+      .toBe('Paid 2500 XOF, expected 2000 XOF');
+  });
+
+  test('accepts Money amounts in records', () => {
+    const report = reconcileTransactions([
+      payment('p1', '1000', { orderId: 'A-1' }),
+      payment('p2', 10.5, { orderId: 'A-2', currency: 'EUR' })
+    ], [
+      { orderId: 'A-1', amount: new Money(1000) },
+      { orderId: 'A-2', amount: new Money('10.50', 'EUR') },
+      { orderId: 'A-3', amount: new Money(5, 'EUR') }
+    ]);
+
+    expect(report.matched.map(entry => entry.expectedAmount)).toEqual([1000, 10.5]);
+    expect(report.issues).toEqual([expect.objectContaining({
+      type: ReconciliationIssue.MISSING_PAYMENT,
+      expectedAmount: 5,
+      currency: 'EUR'
+    })]);
+  });
+
+  test('reports a payment in another currency than the record', () => {
+    const report = reconcileTransactions([payment('p1', 10, { currency: 'EUR' })], [
+      { paymentId: 'p1', amount: new Money(10, 'USD') }
+    ]);
+
+    expect(report.issues[0]).toMatchObject({ type: ReconciliationIssue.AMOUNT_MISMATCH, message: 'Paid 10.00 EUR, expected 10.00 USD' });
+  });
+
+  test('sums the settlement in minor units', () => {
+    const transactions = Array.from({ length: 10 }, (_, i) => payment(`p${i}`, 0.1, { currency: 'EUR' }));
+    transactions.push({ ...payment('p0', 0.3, { currency: 'EUR' }), type: 'refund', refundId: 'r1', transactionId: 'txn-r1' });
+
+    const report = reconcileTransactions(transactions, []);
+
+    expect(report.settlement).toEqual([{
+      currency: 'EUR',
+      paymentCount: 10,
+      paymentTotal: 1,
+      refundCount: 1,
+      refundTotal: 0.3,
+      net: 0.7
+    }]);
+  });
+
+  test('reports transactions with an invalid amount', () => {
+    const report = reconcileTransactions([
+      payment('p1', 'abc', { orderId: 'A-1' }),
+      payment('p2', null),
+      payment('p3', 500, { currency: 'ZZZ' }),
+      payment('p4', 1000, { orderId: 'A-4' }),
+      { ...payment('p4', '', { currency: 'XOF' }), type: 'refund', refundId: 'r1', transactionId: 'txn-r1' },
+      payment('p5', 'abc', { status: 'FAILED' })
+    ], [
+      { orderId: 'A-1', amount: 1000 },
+      { orderId: 'A-4', amount: 1000 }
+    ]);
+
+    expect(report.matched.map(entry => entry.orderId)).toEqual(['A-4']);
+    expect(report.issues.map(issue => issue.type)).toEqual(Array(4).fill(ReconciliationIssue.INVALID_AMOUNT));
+    expect(report.issues[0]).toMatchObject({
+      orderId: 'A-1',
+      paymentId: 'p1',
+      actualAmount: null,
+      record: { orderId: 'A-1' },
+      message: 'Payment p1 cannot be reconciled: Invalid XOF amount abc: not a plain decimal number'
+    });
+    expect(report.issues[3]).toMatchObject({ paymentId: 'p4', refundId: 'r1' });
+    expect(report.summary).toMatchObject({ INVALID_AMOUNT: 4, MISSING_PAYMENT: 0 });
+    expect(report.settlement).toEqual([expect.objectContaining({ currency: 'XOF', paymentTotal: 1000, refundCount: 0 })]);
+  });
+
+  test('rejects records with an invalid amount', () => {
+    expect(() => reconcileTransactions([], [{ orderId: 'A-1', amount: '10.5' }])).toThrow(SonatelValidationError);
+  });
+});
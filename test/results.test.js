@@ -0,0 +1,102 @@
+import { normalizeMessageList, normalizeTransactionList } from '../src/results.js';
+import { DeliveryStatus, PaymentStatus, VerificationStatus } from '../src/status.js';
+import { useMockServer } from '../src/mock-server.js';
+
+describe('history results', () => {
+  test('normalizes a page of transactions', () => {
+    const body = {
+      transactions: [
+        { transactionId: 't1', type: 'payment', paymentId: 'p1', orderId: 'A-1', amount: '1000', currency: 'XOF', status: 'SUCCESSFUL', createdAt: '2024-01-01T00:00:00Z' },
+        { transactionId: 't2', type: 'refund', paymentId: 'p1', refundId: 'r1', amount: 400, currency: 'XOF', status: 'INITIATED' }
+      ],
+      totalCount: 7
+    };
+
+    const page = normalizeTransactionList(body);
+
+    expect(page).toMatchObject({ total: 7, hasMore: null, raw: body });
+    expect(page.transactions[0]).toEqual({
+      type: 'payment',
+      paymentId: 'p1',
+      refundId: null,
+      status: PaymentStatus.SUCCESS,
+      rawStatus: 'SUCCESSFUL',
+      amount: 1000,
+      currency: 'XOF',
+      createdAt: new Date('2024-01-01T00:00:00Z'),
+      orderId: 'A-1',
+      transactionId: 't1',
+      raw: body.transactions[0]
+    });
+    expect(page.transactions[1]).toMatchObject({ type: 'refund', refundId: 'r1', status: PaymentStatus.PENDING, createdAt: null });
+  });
+
+  test('normalizes a page of sent messages', () => {
+    const body = {
+      outboundSMSMessageList: {
+        outboundSMSMessage: [{
+          messageId: 'sms-1',
+          address: ['tel:+221770000000'],
+          senderAddress: 'tel:+221330000000',
+          outboundSMSTextMessage: { message: 'Hello' },
+          deliveryStatus: 'DeliveredToTerminal'
+        }],
+        totalCount: 1
+      }
+    };
+
+    expect(normalizeMessageList(body)).toEqual({
+      messages: [{
+        id: 'sms-1',
+        status: DeliveryStatus.DELIVERED,
+        deliveryStatus: 'DeliveredToTerminal',
+        recipients: ['+221770000000'],
+        senderAddress: '+221330000000',
+        message: 'Hello',
+        createdAt: null,
+        raw: body.outboundSMSMessageList.outboundSMSMessage[0]
+      }],
+      total: 1,
+      hasMore: null,
+      raw: body
+    });
+  });
+
+  test('uses upper-case verification statuses, like the other statuses', () => {
+    Object.values(VerificationStatus).forEach(status => expect(status).toBe(status.toUpperCase()));
+  });
+});
+
+describe('service results', () => {
+  const mock = useMockServer({ stepDelay: 1 });
+
+  test('returns normalized history listings unless raw responses are requested', async () => {
+    const client = mock.createClient({ retry: false });
+    await client.payment.requestPayment({ amount: 1500, currency: 'XOF', customerMsisdn: '771234567', orderId: 'A-1' });
+    await client.sms.sendSMS({ recipient: '771234567', message: 'Hello' });
+
+    const history = await client.payment.getTransactionHistory();
+    expect(history).toMatchObject({ total: 1, transactions: [{ type: 'payment', amount: 1500, orderId: 'A-1' }] });
+    expect(history.transactions[0].createdAt).toBeInstanceOf(Date);
+    expect(await client.payment.getTransactionHistory({}, { raw: true })).toHaveProperty('transactions.0.amount', 1500);
+
+    const [transaction] = await client.payment.iterateTransactions().collectAll();
+    expect(transaction).toMatchObject({ type: 'payment', paymentId: history.transactions[0].paymentId });
+    const [rawTransaction] = await client.payment.iterateTransactions({}, { raw: true }).collectAll();
+    expect(rawTransaction).toEqual(history.transactions[0].raw);
+
+    const messages = await client.sms.getHistory();
+    expect(messages.messages[0]).toMatchObject({ recipients: ['+221771234567'], message: 'Hello' });
+    const [rawMessage] = await mock.createClient({ retry: false, rawResponses: true }).sms.iterateHistory().collectAll();
+    expect(rawMessage).toHaveProperty('outboundSMSTextMessage.message', 'Hello');
+  });
+
+  test('returns the normalized response to an inbound USSD message', async () => {
+    const client = mock.createClient({ retry: false });
+
+    const result = await client.ussd.handleInbound({ sessionId: 's1', address: '77 123 45 67', message: 'Merci', endSession: true });
+
+    expect(result).toMatchObject({ sessionId: 's1', address: '+221771234567', message: 'Merci', endSession: true });
+    expect(result.raw).toHaveProperty('inboundUSSDMessageRequest');
+  });
+});
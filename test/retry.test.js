@@ -0,0 +1,94 @@
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryable,
+  computeRetryDelay
+} from '../src/retry.js';
+import { SonatelError, SonatelNetworkError, SonatelRateLimitError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+const policy = { ...DEFAULT_RETRY_POLICY, jitter: false };
+
+function rateLimitError(retryAfter) {
+  return new SonatelRateLimitError('Too many requests', {
+    status: 429,
+    headers: retryAfter === undefined ? {} : { 'retry-after': String(retryAfter) }
+  });
+}
+
+describe('resolveRetryPolicy', () => {
+  test('disables retries with false', () => {
+    expect(resolveRetryPolicy(policy, false).maxAttempts).toBe(1);
+  });
+
+  test('merges overrides into the base policy', () => {
+    const resolved = resolveRetryPolicy(policy, { maxAttempts: 5 });
+    expect(resolved.maxAttempts).toBe(5);
+    expect(resolved.baseDelay).toBe(policy.baseDelay);
+  });
+});
+
+describe('isRetryable', () => {
+  test('retries idempotent methods on retryable statuses', () => {
+    expect(isRetryable(policy, { method: 'GET', headers: {} }, new SonatelError('Unavailable', { status: 503 }))).toBe(true);
+    expect(isRetryable(policy, { method: 'GET', headers: {} }, new SonatelError('Bad request', { status: 400 }))).toBe(false);
+  });
+
+  test('retries POST only with an idempotency key', () => {
+    const error = new SonatelNetworkError('Connection reset');
+    expect(isRetryable(policy, { method: 'POST', headers: {} }, error)).toBe(false);
+    expect(isRetryable(policy, { method: 'POST', headers: { 'Idempotency-Key': 'abc' } }, error)).toBe(true);
+  });
+
+  test('gives up when Retry-After exceeds maxDelay', () => {
+    expect(isRetryable(policy, { method: 'GET', headers: {} }, rateLimitError(10))).toBe(true);
+    expect(isRetryable(policy, { method: 'GET', headers: {} }, rateLimitError(11))).toBe(false);
+    expect(isRetryable({ ...policy, respectRetryAfter: false }, { method: 'GET', headers: {} }, rateLimitError(11))).toBe(true);
+  });
+});
+
+describe('computeRetryDelay', () => {
+  test('backs off exponentially up to maxDelay', () => {
+    const error = new SonatelError('Unavailable', { status: 503 });
+    expect(computeRetryDelay(policy, 1, error)).toBe(300);
+    expect(computeRetryDelay(policy, 3, error)).toBe(1200);
+    expect(computeRetryDelay(policy, 10, error)).toBe(10000);
+  });
+
+  test('applies full jitter', () => {
+    const delay = computeRetryDelay({ ...policy, jitter: true }, 2, new SonatelError('Unavailable', { status: 503 }));
+    expect(delay).toBeGreaterThanOrEqual(0);
+    expect(delay).toBeLessThanOrEqual(600);
+  });
+
+  test('honors Retry-After exactly', () => {
+    expect(computeRetryDelay(policy, 1, rateLimitError(2))).toBe(2000);
+    expect(computeRetryDelay({ ...policy, maxDelay: 1000 }, 1, rateLimitError(0))).toBe(0);
+  });
+});
+
+describe('retry middleware', () => {
+  const mock = useMockServer();
+
+  test('retries after a 503', async () => {
+    const client = mock.createClient({ retry: { baseDelay: 1 } });
+    const retries = [];
+    client.api.on('retry', event => retries.push(event));
+    mock.inject({ method: 'GET', path: '/payment/v1/account/balance', status: 503, times: 2 });
+
+    await expect(client.payment.getAccountBalance()).resolves.toHaveProperty('currency', 'XOF');
+    expect(retries.map(event => event.attempt)).toEqual([2, 3]);
+  });
+
+  test('throws the rate limit error when Retry-After exceeds maxDelay', async () => {
+    const client = mock.createClient({ retry: { baseDelay: 1, maxDelay: 500 } });
+    const retries = [];
+    client.api.on('retry', event => retries.push(event));
+    mock.inject({ method: 'GET', path: '/payment/v1/account/balance', status: 429, retryAfter: 1 });
+
+    const error = await client.payment.getAccountBalance().catch(e => e);
+    expect(error).toBeInstanceOf(SonatelRateLimitError);
+    expect(error.retryAfter).toBe(1000);
+    expect(retries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,134 @@
+import { RequestScheduler, MemoryRateLimitStore } from '../src/scheduler.js';
+import { SonatelAbortError, SonatelRateLimitError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+const tick = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RequestScheduler', () => {
+  test('rate limits each group with its own bucket', async () => {
+    const scheduler = new RequestScheduler({ limits: { sms: { rate: 20, capacity: 1 } } });
+    const started = Date.now();
+
+    const first = await scheduler.acquire({ group: 'sms' });
+    const unlimited = await scheduler.acquire({ group: 'payment' });
+    const second = await scheduler.acquire({ group: 'sms' });
+
+    expect(first.throttled).toBe(false);
+    expect(unlimited.throttled).toBe(false);
+    expect(second.throttled).toBe(true);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+    expect(scheduler.getStats().groups.sms).toMatchObject({ granted: 2, throttled: 1 });
+  });
+
+  test('applies the default limit to the other groups', async () => {
+    const scheduler = new RequestScheduler({ limits: { default: { rate: 1, capacity: 1 } } });
+
+    await scheduler.acquire({ group: 'ussd' });
+    const granted = jest.fn();
+    scheduler.acquire({ group: 'ussd' }).then(granted);
+    await tick(20);
+
+    expect(granted).not.toHaveBeenCalled();
+    expect(scheduler.getStats()).toMatchObject({ queueDepth: 1, groups: { ussd: { queued: 1 } } });
+  });
+
+  test('bounds the requests in flight and serves higher priorities first', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, priorities: { payment: 10 } });
+
+    const held = await scheduler.acquire({ group: 'sms' });
+    const order = [];
+    const waiting = [
+      { group: 'sms', name: 'sms' },
+      { group: 'payment', name: 'payment' },
+      { group: 'sms', priority: 20, name: 'urgent' }
+    ].map(request => scheduler.acquire(request).then(slot => {
+      order.push(request.name);
+      slot.release();
+    }));
+    await tick();
+    expect(order).toEqual([]);
+    expect(scheduler.getStats()).toMatchObject({ inFlight: 1, queueDepth: 3 });
+
+    held.release();
+    held.release();
+    await Promise.all(waiting);
+
+    expect(order).toEqual(['urgent', 'payment', 'sms']);
+    expect(scheduler.getStats().inFlight).toBe(0);
+  });
+
+  test('rejects requests when the queue is full', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1, maxQueueSize: 1 });
+    await scheduler.acquire({ group: 'sms' });
+    scheduler.acquire({ group: 'sms' });
+
+    const error = await scheduler.acquire({ group: 'sms' }).catch(e => e);
+    expect(error).toBeInstanceOf(SonatelRateLimitError);
+    expect(error.code).toBe('QUEUE_FULL');
+    expect(scheduler.getStats().rejected).toBe(1);
+  });
+
+  test('stops waiting when the signal is aborted', async () => {
+    const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+    await scheduler.acquire({ group: 'sms' });
+    const controller = new AbortController();
+
+    const waiting = scheduler.acquire({ group: 'sms', signal: controller.signal });
+    controller.abort();
+
+    await expect(waiting).rejects.toBeInstanceOf(SonatelAbortError);
+    expect(scheduler.getStats().queueDepth).toBe(0);
+  });
+
+  test('holds back a paused group', async () => {
+    const scheduler = new RequestScheduler();
+    scheduler.pause('payment', 50);
+    const started = Date.now();
+
+    await scheduler.acquire({ group: 'payment' });
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+  });
+
+  test('lets requests through when the store fails', async () => {
+    const logger = { warn: jest.fn() };
+    const scheduler = new RequestScheduler({
+      limits: { default: { rate: 1 } },
+      store: { take: async () => { throw new Error('store down'); } },
+      logger
+    });
+
+    await scheduler.acquire({ group: 'sms' });
+    await scheduler.acquire({ group: 'sms' });
+
+    expect(scheduler.getStats().storeErrors).toBe(2);
+    expect(logger.warn).toHaveBeenCalledWith('Rate limit store failed', expect.objectContaining({ group: 'sms' }));
+  });
+
+  test('keys buckets by owner, so that clients with different credentials do not share them', async () => {
+    const store = new MemoryRateLimitStore();
+    const scheduler = new RequestScheduler({ limits: { default: { rate: 1, capacity: 1 } }, store });
+
+    await scheduler.acquire({ group: 'sms', id: 'client-a' });
+    await scheduler.acquire({ group: 'sms', id: 'client-b' });
+
+    expect([...store.buckets.keys()]).toEqual(['sonatel:ratelimit:client-a:sms', 'sonatel:ratelimit:client-b:sms']);
+  });
+});
+
+describe('client rate limiting', () => {
+  const mock = useMockServer();
+
+  test('throttles requests and pauses the group after a 429', async () => {
+    const client = mock.createClient({ retry: false, rateLimit: { limits: { sms: { rate: 5, capacity: 1 } } } });
+    const events = [];
+    client.api.on('rateLimit', event => events.push(event));
+
+    await client.sms.sendSMS({ recipient: '771234567', message: 'one' });
+    await client.sms.sendSMS({ recipient: '771234567', message: 'two' });
+    expect(events).toEqual([expect.objectContaining({ source: 'client', group: 'sms' })]);
+
+    mock.inject({ method: 'POST', path: '/sms/v1/messages', status: 429, retryAfter: 1, times: 1 });
+    await expect(client.sms.sendSMS({ recipient: '771234567', message: 'three' })).rejects.toBeInstanceOf(SonatelRateLimitError);
+    expect(client.api.rateLimiter._pausedUntil.get('sms')).toBeGreaterThan(Date.now());
+  });
+});
@@ -0,0 +1,103 @@
+import { analyzeMessage, detectEncoding, estimateSMSCost, transliterate } from '../src/sms-encoding.js';
+
+describe('detectEncoding', () => {
+  test.each([
+    ['Bonjour, votre code est 1234', 'GSM-7'],
+    ['Prix: 5€ [promo] {ok} ~^|\\', 'GSM-7'],
+    ['Déjà payé à Dakar', 'GSM-7'],
+    ['Reçu', 'UCS-2'],
+    ['Fête', 'UCS-2'],
+    ['Merci 👍', 'UCS-2'],
+    ['مرحبا', 'UCS-2']
+  ])('%s is sent as %s', (text, encoding) => {
+    expect(detectEncoding(text)).toBe(encoding);
+    expect(analyzeMessage(text).encoding).toBe(encoding);
+  });
+});
+
+describe('analyzeMessage', () => {
+  test('counts extension characters as two septets', () => {
+    expect(analyzeMessage('€').length).toBe(2);
+    expect(analyzeMessage('[a]').length).toBe(5);
+    expect(analyzeMessage('{}\\^~|\f').length).toBe(14);
+  });
+
+  test.each([
+    [160, 1, 0],
+    [161, 2, 145],
+    [306, 2, 0],
+    [307, 3, 152]
+  ])('splits %i GSM-7 characters in %i segments of 160/153', (size, segments, remaining) => {
+    expect(analyzeMessage('a'.repeat(size))).toMatchObject({
+      encoding: 'GSM-7',
+      length: size,
+      segments,
+      perSegment: segments > 1 ? 153 : 160,
+      remaining
+    });
+  });
+
+  test.each([
+    [70, 1, 0],
+    [71, 2, 63],
+    [134, 2, 0],
+    [135, 3, 66]
+  ])('splits %i UCS-2 characters in %i segments of 70/67', (size, segments, remaining) => {
+    expect(analyzeMessage('ç'.repeat(size))).toMatchObject({
+      encoding: 'UCS-2',
+      length: size,
+      segments,
+      perSegment: segments > 1 ? 67 : 70,
+      remaining
+    });
+  });
+
+  test('counts extension characters against the limits', () => {
+    expect(analyzeMessage(`${'a'.repeat(158)}€`)).toMatchObject({ length: 160, segments: 1 });
+    expect(analyzeMessage(`${'a'.repeat(159)}€`)).toMatchObject({ length: 161, segments: 2 });
+  });
+
+  test('does not split an escaped character across segments', () => {
+    // 152 septets then an escape sequence: it moves to the second segment
+    const text = `${'a'.repeat(152)}€${'a'.repeat(152)}`;
+    expect(analyzeMessage(text)).toMatchObject({ length: 306, segments: 3 });
+  });
+
+  test('does not split a surrogate pair across segments', () => {
+    const text = `${'ç'.repeat(66)}👍${'ç'.repeat(66)}`;
+    expect(analyzeMessage(text)).toMatchObject({ encoding: 'UCS-2', length: 134, segments: 3 });
+  });
+
+  test('counts no segment for an empty message', () => {
+    expect(analyzeMessage('')).toMatchObject({ length: 0, segments: 0, remaining: 0 });
+  });
+
+  test('lists the characters outside GSM-7', () => {
+    expect(analyzeMessage('Reçu, reçu, fête 👍').unsupportedCharacters).toEqual(['ç', 'ê', '👍']);
+  });
+
+  test('transliterates to stay in GSM-7', () => {
+    expect(transliterate('Reçu « Fête » – 10 000 FCFA…')).toBe('Recu " Fete " - 10 000 FCFA...');
+    expect(transliterate('Merci 👍')).toBe('Merci 👍');
+
+    const text = `Reçu ${'a'.repeat(70)}`;
+    expect(analyzeMessage(text)).toMatchObject({ encoding: 'UCS-2', segments: 2 });
+    expect(analyzeMessage(text, { transliterate: true })).toMatchObject({ text: `Recu ${'a'.repeat(70)}`, encoding: 'GSM-7', segments: 1 });
+  });
+});
+
+describe('estimateSMSCost', () => {
+  test('multiplies the segments by the recipients and the price', () => {
+    expect(estimateSMSCost('a'.repeat(161), { pricePerSegment: 25, recipients: 10 })).toEqual({
+      segments: 2,
+      recipients: 10,
+      amount: 500,
+      currency: 'XOF'
+    });
+    expect(estimateSMSCost('Fête', { pricePerSegment: 0.05, currency: 'EUR', transliterate: true })).toMatchObject({ segments: 1, amount: 0.05 });
+  });
+
+  test('requires a price per segment', () => {
+    expect(() => estimateSMSCost('Hello')).toThrow('Price per segment is required');
+  });
+});
@@ -0,0 +1,191 @@
+import SonatelAPI from '../src/sonatel-api.js';
+import { SonatelAuthError, SonatelAbortError, SonatelTimeoutError, SonatelNetworkError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+describe('token management', () => {
+  const mock = useMockServer();
+  const tokenRequests = () => mock.requests.filter(request => request.path === '/oauth/token');
+
+  test('shares a single token request between concurrent callers', async () => {
+    const { api } = mock.createClient({ retry: false });
+    mock.inject({ method: 'POST', path: '/oauth/token', delay: 20 });
+
+    const tokens = await Promise.all([api.getToken(), api.getToken(), api.getToken()]);
+
+    expect(new Set(tokens).size).toBe(1);
+    expect(mock.tokens.has(tokens[0])).toBe(true);
+    expect(tokenRequests()).toHaveLength(1);
+    await expect(api.getToken()).resolves.toBe(tokens[0]);
+    expect(tokenRequests()).toHaveLength(1);
+  });
+
+  test('rejects every waiter when the refresh fails, then tries again', async () => {
+    const { api } = mock.createClient({ retry: false });
+    const refreshes = [];
+    api.on('token.refresh', event => refreshes.push(event));
+    mock.inject({ method: 'POST', path: '/oauth/token', status: 500, delay: 20 });
+
+    const results = await Promise.allSettled([api.getToken(), api.getToken(), api.getToken()]);
+
+    expect(results.map(result => result.status)).toEqual(['rejected', 'rejected', 'rejected']);
+    results.forEach(result => expect(result.reason).toBeInstanceOf(SonatelAuthError));
+    expect(new Set(results.map(result => result.reason)).size).toBe(1);
+    expect(api._tokenRefresh).toBeNull();
+    expect(api.token).toBeNull();
+    expect(refreshes).toEqual([expect.objectContaining({ source: 'network', success: false })]);
+
+    await expect(api.getToken()).resolves.toEqual(expect.any(String));
+    expect(tokenRequests()).toHaveLength(2);
+  });
+
+  test('lets a caller stop waiting without cancelling the shared refresh', async () => {
+    const { api } = mock.createClient({ retry: false });
+    mock.inject({ method: 'POST', path: '/oauth/token', delay: 20 });
+    const controller = new AbortController();
+
+    const aborted = api.getToken({ signal: controller.signal });
+    const waiting = api.getToken();
+    controller.abort();
+
+    await expect(aborted).rejects.toBeInstanceOf(SonatelAbortError);
+    await expect(waiting).resolves.toEqual(expect.any(String));
+    expect(tokenRequests()).toHaveLength(1);
+  });
+
+  test('fetches a new token once the cached one is invalidated', async () => {
+    const { api } = mock.createClient({ retry: false });
+    const first = await api.getToken();
+
+    await api.invalidateToken(first);
+    expect(await api.tokenStore.get(api._tokenKey)).toBeNull();
+    const second = await api.getToken();
+    expect(second).not.toBe(first);
+
+    // A late invalidation of the old token keeps the new one
+    await api.invalidateToken(first);
+    await expect(api.getToken()).resolves.toBe(second);
+    expect(tokenRequests()).toHaveLength(2);
+  });
+});
+
+describe('request timeouts and cancellation', () => {
+  const URL = 'https://api.orange-sonatel.com/sms/v1/messages';
+
+  /**
+   * fetch implementation answering only once its signal is aborted
+   * @returns {Function} Mocked fetch
+   */
+  function hangingFetch() {
+    return jest.fn((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+    }));
+  }
+
+  /**
+   * Create a client using the given fetch implementation
+   * @param {Function} fetch - fetch implementation
+   * @returns {SonatelAPI} Client
+   */
+  function createAPI(fetch) {
+    return new SonatelAPI({ clientId: 'id', clientSecret: 'secret', timeout: 1000, fetch });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('aborts the request once the timeout elapses', async () => {
+    const fetch = hangingFetch();
+    const api = createAPI(fetch);
+
+    const request = api._fetch('/sms/v1/messages', URL, { method: 'POST' });
+    let settled = false;
+    request.catch(() => {}).finally(() => { settled = true; });
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(settled).toBe(false);
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(1);
+    const error = await request.catch(e => e);
+    expect(error).toBeInstanceOf(SonatelTimeoutError);
+    expect(error).toMatchObject({ message: 'POST /sms/v1/messages timed out after 1000ms', endpoint: '/sms/v1/messages', method: 'POST' });
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  test('uses the timeout given for the call', async () => {
+    const api = createAPI(hangingFetch());
+
+    const request = api._fetch('/sms/v1/messages', URL, {}, { timeout: 50 });
+    jest.advanceTimersByTime(50);
+
+    await expect(request).rejects.toThrow('GET /sms/v1/messages timed out after 50ms');
+  });
+
+  test('aborts the request when the caller signal is aborted', async () => {
+    const fetch = hangingFetch();
+    const api = createAPI(fetch);
+    const controller = new AbortController();
+    const removed = jest.spyOn(controller.signal, 'removeEventListener');
+    const reason = new Error('Shutting down');
+
+    const request = api._fetch('/sms/v1/messages', URL, { method: 'POST' }, { signal: controller.signal });
+    controller.abort(reason);
+
+    const error = await request.catch(e => e);
+    expect(error).toBeInstanceOf(SonatelAbortError);
+    expect(error.cause).toBe(reason);
+    expect(fetch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(removed).toHaveBeenCalledWith('abort', expect.any(Function));
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('does not send the request when the signal is already aborted', async () => {
+    const fetch = hangingFetch();
+    const api = createAPI(fetch);
+
+    await expect(api._fetch('/sms/v1/messages', URL, {}, { signal: AbortSignal.abort() }))
+      .rejects.toBeInstanceOf(SonatelAbortError);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('clears the timer once the response is read', async () => {
+    const fetch = jest.fn(async () => new Response(JSON.stringify({ ok: true }), {
+      status: 201,
+      headers: { 'Content-Type': 'application/json' }
+    }));
+    const api = createAPI(fetch);
+
+    const { response, body } = await api._fetch('/sms/v1/messages', URL, { method: 'POST' });
+
+    expect(response.status).toBe(201);
+    expect(body).toEqual({ ok: true });
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  test('reports other failures as network errors and clears the timer', async () => {
+    const api = createAPI(jest.fn(async () => {
+      throw new TypeError('fetch failed');
+    }));
+
+    await expect(api._fetch('/sms/v1/messages', URL, {})).rejects.toThrow(SonatelNetworkError);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+});
+
+describe('request timeouts against the mock server', () => {
+  const mock = useMockServer();
+
+  test('times out when the server never answers', async () => {
+    const client = mock.createClient({ retry: false, timeout: 50 });
+    await client.api.getToken();
+    mock.inject({ method: 'GET', path: '/payment/v1/account/balance', hang: true });
+
+    await expect(client.payment.getAccountBalance()).rejects.toBeInstanceOf(SonatelTimeoutError);
+    await expect(client.payment.getAccountBalance()).resolves.toHaveProperty('amount');
+  });
+});
@@ -0,0 +1,130 @@
+import { normalizeSubscription, normalizeSubscriptionList } from '../src/subscriptions.js';
+import { SonatelServerError } from '../src/errors.js';
+import { useMockServer } from '../src/mock-server.js';
+
+const HOOK = 'https://shop.example/hooks';
+
+/**
+ * Summarize subscriptions for comparisons
+ * @param {Object[]} subscriptions - Normalized subscriptions
+ * @returns {string[]} 'service notifyUrl' of each, sorted
+ */
+function summarize(subscriptions) {
+  return subscriptions.map(subscription => `${subscription.service} ${subscription.notifyUrl}`).sort();
+}
+
+describe('normalizeSubscription', () => {
+  test('flattens the subscription envelopes', () => {
+    const body = {
+      deliveryReceiptSubscription: {
+        callbackReference: { notifyURL: HOOK, callbackData: 'abc' },
+        clientCorrelator: 'c-1',
+        resourceURL: 'https://api.orange-sonatel.com/sms/v1/subscriptions/sub-1'
+      }
+    };
+
+    expect(normalizeSubscription('sms', 'deliveryReceiptSubscription', body)).toMatchObject({
+      id: 'sub-1',
+      service: 'sms',
+      notifyUrl: HOOK,
+      clientCorrelator: 'c-1',
+      raw: body
+    });
+    expect(normalizeSubscriptionList('sms', 'deliveryReceiptSubscription', {
+      deliveryReceiptSubscriptionList: { deliveryReceiptSubscription: [body.deliveryReceiptSubscription] }
+    })).toEqual([expect.objectContaining({ id: 'sub-1' })]);
+  });
+});
+
+describe('reconcileSubscriptions', () => {
+  const mock = useMockServer();
+
+  /**
+   * Register subscriptions directly, as if created earlier
+   * @param {Object} client - Sonatel client
+   * @returns {Promise<Object[]>} Created subscriptions
+   */
+  async function existing(client) {
+    return [
+      await client.sms.subscribeToDeliveryNotifications({ notifyUrl: `${HOOK}/sms` }),
+      await client.sms.subscribeToDeliveryNotifications({ notifyUrl: `${HOOK}/old` }),
+      await client.payment.subscribeToNotifications({ notifyUrl: `${HOOK}/payment` })
+    ];
+  }
+
+  test('creates the missing subscriptions and deletes the undeclared ones', async () => {
+    const client = mock.createClient({ retry: false });
+    const [kept, stale, payment] = await existing(client);
+
+    const result = await client.reconcileSubscriptions([
+      { service: 'sms', notifyUrl: `${HOOK}/sms` },
+      { service: 'sms', notifyUrl: `${HOOK}/sms-v2` },
+      { service: 'ussd', notifyUrl: `${HOOK}/ussd`, keyword: 'SHOP' }
+    ]);
+
+    expect(result.unchanged.map(subscription => subscription.id)).toEqual([kept.id]);
+    expect(summarize(result.created)).toEqual([`sms ${HOOK}/sms-v2`, `ussd ${HOOK}/ussd`]);
+    expect(result.created.every(subscription => subscription.id)).toBe(true);
+    expect(result.deleted.map(subscription => subscription.id)).toEqual([stale.id]);
+
+    expect(summarize(await client.sms.listSubscriptions())).toEqual([`sms ${HOOK}/sms`, `sms ${HOOK}/sms-v2`]);
+    expect(await client.ussd.listSubscriptions()).toEqual([expect.objectContaining({ keyword: 'SHOP' })]);
+    // Payment is neither declared nor listed in options.services, so it is left alone
+    expect((await client.payment.listSubscriptions()).map(subscription => subscription.id)).toEqual([payment.id]);
+  });
+
+  test('replaces a changed subscription, and does nothing once in sync', async () => {
+    const client = mock.createClient({ retry: false });
+    await existing(client);
+    const desired = [{ service: 'sms', notifyUrl: `${HOOK}/sms-v2` }];
+
+    const first = await client.reconcileSubscriptions(desired, { services: ['sms', 'payment'] });
+    expect(summarize(first.created)).toEqual([`sms ${HOOK}/sms-v2`]);
+    expect(summarize(first.deleted)).toEqual([`payment ${HOOK}/payment`, `sms ${HOOK}/old`, `sms ${HOOK}/sms`]);
+
+    const second = await client.reconcileSubscriptions(desired, { services: ['sms', 'payment'] });
+    expect(second).toMatchObject({ created: [], deleted: [], unchanged: [expect.objectContaining({ notifyUrl: `${HOOK}/sms-v2` })] });
+  });
+
+  test('only reports the changes in a dry run, and keeps undeclared ones without prune', async () => {
+    const client = mock.createClient({ retry: false });
+    await existing(client);
+    const desired = [{ service: 'sms', notifyUrl: `${HOOK}/sms-v2` }];
+    const requestCount = () => mock.requests.filter(request => request.method !== 'GET').length;
+
+    const before = requestCount();
+    const dryRun = await client.reconcileSubscriptions(desired, { dryRun: true });
+    expect(dryRun.created).toEqual([{ id: null, service: 'sms', notifyUrl: `${HOOK}/sms-v2` }]);
+    expect(summarize(dryRun.deleted)).toEqual([`sms ${HOOK}/old`, `sms ${HOOK}/sms`]);
+    expect(requestCount()).toBe(before);
+
+    const kept = await client.reconcileSubscriptions(desired, { prune: false });
+    expect(kept.deleted).toEqual([]);
+    expect(await client.sms.listSubscriptions()).toHaveLength(3);
+  });
+
+  test('stops at the first failed call, and converges when run again', async () => {
+    const client = mock.createClient({ retry: false });
+    await existing(client);
+    const desired = [
+      { service: 'sms', notifyUrl: `${HOOK}/sms-v2` },
+      { service: 'sms', notifyUrl: `${HOOK}/sms-v3` }
+    ];
+    mock.inject({ method: 'DELETE', path: /^\/sms\/v1\/subscriptions\//, status: 500, times: 1 });
+
+    await expect(client.reconcileSubscriptions(desired)).rejects.toBeInstanceOf(SonatelServerError);
+    expect(await client.sms.listSubscriptions()).toHaveLength(4);
+
+    const result = await client.reconcileSubscriptions(desired);
+    expect(result.created).toEqual([]);
+    expect(result.deleted).toHaveLength(2);
+    expect(summarize(await client.sms.listSubscriptions())).toEqual([`sms ${HOOK}/sms-v2`, `sms ${HOOK}/sms-v3`]);
+  });
+
+  test('rejects unknown services and invalid input', async () => {
+    const client = mock.createClient({ retry: false });
+
+    await expect(client.reconcileSubscriptions({})).rejects.toThrow('Desired subscriptions must be an array');
+    await expect(client.reconcileSubscriptions([{ service: 'mms', notifyUrl: HOOK }])).rejects.toThrow('Unknown service: mms');
+  });
+});
@@ -0,0 +1,207 @@
+import { USSDApp, parseDialString } from '../src/ussd-app.js';
+import MemoryStore from '../src/stores/memory-store.js';
+
+const ADDRESS = '+221771234567';
+
+/**
+ * Build a banking menu
+ * @param {Object} [options] - Other USSDApp options
+ * @returns {USSDApp} Application
+ */
+function bankApp(options = {}) {
+  return new USSDApp({
+    start: 'main',
+    screens: {
+      main: {
+        text: 'Bienvenue',
+        options: [
+          { label: 'Solde', next: 'balance' },
+          { label: 'Transfert', next: 'amount' },
+          {
+            label: 'Recharge',
+            next: {
+              text: 'Operateur',
+              input: 'operator',
+              options: [{ label: 'Orange', value: 'orange', next: 'done' }]
+            }
+          }
+        ]
+      },
+      balance: { text: 'Solde: 1000 FCFA', end: true },
+      amount: {
+        prompt: 'Montant:',
+        input: 'amount',
+        validate: value => /^\d+$/.test(value) || 'Montant invalide',
+        next: 'confirm'
+      },
+      confirm: {
+        text: ctx => `Confirmer ${ctx.data.amount} FCFA ?`,
+        options: [
+          { label: 'Oui', next: 'done' },
+          { label: 'Non', next: 'main' }
+        ]
+      },
+      done: { text: ctx => `Merci (${ctx.data.amount || ctx.data.operator})`, end: true }
+    },
+    ...options
+  });
+}
+
+/**
+ * Send the messages of a session in turn
+ * @param {USSDApp} app - Application
+ * @param {string} sessionId - Session ID
+ * @param {...string} messages - Dial string, then user inputs
+ * @returns {Promise<Object>} Response to the last message
+ */
+async function dial(app, sessionId, ...messages) {
+  let response;
+  for (const message of messages) {
+    response = await app.handle({ sessionId, address: ADDRESS, message });
+  }
+  return response;
+}
+
+const MAIN = 'Bienvenue\n1. Solde\n2. Transfert\n3. Recharge';
+
+describe('parseDialString', () => {
+  test.each([
+    ['*123*1*2#', ['1', '2']],
+    ['*123#', []],
+    ['*123*2*5000', ['2', '5000']],
+    ['*123*abc#', []],
+    ['Bonjour', []]
+  ])('%s gives %p', (message, inputs) => {
+    expect(parseDialString(message)).toEqual(inputs);
+  });
+});
+
+describe('USSDApp', () => {
+  test('requires screens and a known start screen', () => {
+    expect(() => new USSDApp({ start: 'main' })).toThrow('Screens and start screen are required');
+    expect(() => new USSDApp({ start: 'missing', screens: { main: { text: 'Hi' } } })).toThrow('Unknown start screen: missing');
+  });
+
+  test('shows the start screen on the first message', async () => {
+    await expect(dial(bankApp(), 's1', '*123#')).resolves.toEqual({
+      sessionId: 's1',
+      address: ADDRESS,
+      message: MAIN,
+      endSession: false
+    });
+  });
+
+  test('replays the inputs of a chained dial string', async () => {
+    const app = bankApp();
+
+    await expect(dial(app, 's1', '*123*2*5000#')).resolves.toMatchObject({
+      message: 'Confirmer 5000 FCFA ?\n1. Oui\n2. Non\n0. Retour',
+      endSession: false
+    });
+    await expect(dial(app, 's1', '1')).resolves.toMatchObject({ message: 'Merci (5000)', endSession: true });
+    await expect(app.sessionStore.get('sonatel:ussd:s1')).resolves.toBeNull();
+  });
+
+  test('stops replaying a dial string at an end screen or an invalid input', async () => {
+    const app = bankApp();
+
+    await expect(dial(app, 's1', '*123*1*2#')).resolves.toMatchObject({ message: 'Solde: 1000 FCFA', endSession: true });
+    await expect(dial(app, 's2', '*123*7*1#')).resolves.toMatchObject({ message: `Choix invalide\n${MAIN}`, endSession: false });
+  });
+
+  test('goes back one screen, or home to the start screen', async () => {
+    const app = bankApp();
+
+    await expect(dial(app, 's1', '*123#', '2', '0')).resolves.toMatchObject({ message: MAIN });
+    await expect(dial(app, 's1', '2', '5000')).resolves.toMatchObject({ message: expect.stringMatching(/^Confirmer 5000/) });
+    await expect(dial(app, 's1', '00')).resolves.toMatchObject({ message: MAIN });
+    await expect(dial(app, 's1', '0')).resolves.toMatchObject({ message: `Choix invalide\n${MAIN}` });
+  });
+
+  test('shows an error above the screen on an invalid choice', async () => {
+    const app = bankApp();
+
+    await expect(dial(app, 's1', '*123#', '7')).resolves.toMatchObject({ message: `Choix invalide\n${MAIN}`, endSession: false });
+    await expect(dial(app, 's1', 'abc')).resolves.toMatchObject({ message: `Choix invalide\n${MAIN}` });
+    await expect(dial(app, 's1', '1')).resolves.toMatchObject({ message: 'Solde: 1000 FCFA', endSession: true });
+  });
+
+  test('validates inputs and stores them, or the value of the chosen option', async () => {
+    const app = bankApp({ labels: { invalidChoice: 'Erreur' } });
+
+    await expect(dial(app, 's1', '*123*2#', '12a')).resolves.toMatchObject({ message: 'Montant invalide\nMontant:\n0. Retour' });
+    await expect(dial(app, 's1', ' 2500 ')).resolves.toMatchObject({ message: expect.stringMatching(/^Confirmer 2500 FCFA/) });
+    await expect(dial(app, 's2', '*123*3*1#')).resolves.toMatchObject({ message: 'Merci (orange)', endSession: true });
+    await expect(dial(app, 's3', '*123#', '9')).resolves.toMatchObject({ message: `Erreur\n${MAIN}` });
+  });
+
+  test('pages through long menus with the next and previous keys', async () => {
+    const app = new USSDApp({
+      start: 'list',
+      maxLength: 60,
+      screens: {
+        list: { text: 'Villes', options: Array.from({ length: 12 }, (_, i) => ({ label: `Ville ${i + 1}`, next: 'end' })) },
+        end: { text: 'Fin', end: true }
+      }
+    });
+
+    const first = await dial(app, 's1', '*123#');
+    expect(first.message.length).toBeLessThanOrEqual(60);
+    expect(first.message).toMatch(/^Villes\n1\. Ville 1\n[\s\S]*\n99\. Suivant$/);
+
+    const second = await dial(app, 's1', '99');
+    expect(second.message).not.toContain('1. Ville 1\n');
+    expect(second.message).toContain('98. Precedent');
+
+    await expect(dial(app, 's1', '98')).resolves.toEqual(first);
+    await expect(dial(app, 's1', '12')).resolves.toMatchObject({ message: 'Fin', endSession: true });
+  });
+
+  test('ends sessions that were inactive for longer than the timeout', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+    try {
+      const app = bankApp({ sessionTimeout: 60 });
+      await dial(app, 's1', '*123#', '2');
+
+      now.mockReturnValue(1000000 + 61000);
+      await expect(dial(app, 's1', '5000')).resolves.toMatchObject({
+        message: 'Session expiree. Veuillez recommencer.',
+        endSession: true
+      });
+      await expect(dial(app, 's1', '*123#')).resolves.toMatchObject({ message: MAIN });
+
+      now.mockReturnValue(1000000 + 61000 + 59000);
+      await expect(dial(app, 's1', '2')).resolves.toMatchObject({ message: 'Montant:\n0. Retour' });
+
+      now.mockReturnValue(1000000 + 61000 + 59000 + 121000);
+      await expect(dial(app, 's1', '*123*1#')).resolves.toMatchObject({ message: 'Solde: 1000 FCFA' });
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('keeps sessions in the given store', async () => {
+    const sessionStore = new MemoryStore();
+    await dial(bankApp({ sessionStore }), 's1', '*123*2#');
+
+    await expect(dial(bankApp({ sessionStore }), 's1', '5000')).resolves.toMatchObject({
+      message: expect.stringMatching(/^Confirmer 5000/)
+    });
+  });
+
+  test('rejects options leading to an unknown screen', async () => {
+    const app = new USSDApp({ start: 'main', screens: { main: { text: 'Menu', options: [{ label: 'A', next: 'missing' }] } } });
+    await expect(dial(app, 's1', '*123*1#')).rejects.toThrow('Unknown USSD screen: missing');
+  });
+
+  test('sends the response through the USSD service', async () => {
+    const ussd = { handleInbound: jest.fn(async response => ({ ...response, raw: {} })) };
+
+    await expect(bankApp().respond(ussd, { sessionId: 's1', address: ADDRESS, message: '*123*1#' }, { timeout: 5000 }))
+      .resolves.toMatchObject({ message: 'Solde: 1000 FCFA', endSession: true });
+    expect(ussd.handleInbound).toHaveBeenCalledWith(
+      { sessionId: 's1', address: ADDRESS, message: 'Solde: 1000 FCFA', endSession: true },
+      { timeout: 5000 }
+    );
+  });
+});
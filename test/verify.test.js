@@ -0,0 +1,149 @@
+import VerifyService from '../src/services/verify.js';
+import MemoryStore from '../src/stores/memory-store.js';
+import { VerificationStatus } from '../src/status.js';
+import { SonatelValidationError } from '../src/errors.js';
+
+const NUMBER = '+221771234567';
+const SECRET = 'shared-secret';
+
+/**
+ * SMS and USSD services recording the codes they send
+ * @returns {Object} { sms, ussd, codes }
+ */
+function fakeServices() {
+  const codes = [];
+  const record = async ({ message }) => { codes.push(message.match(/\d{4,}/)[0]); };
+  return { sms: { sendSMS: record }, ussd: { sendNotification: record }, codes };
+}
+
+/**
+ * Store whose reads and writes resolve on a later tick, like a network store
+ * @param {Object} [base] - Store to delay
+ * @returns {Object} Store, with increment when the base store has one
+ */
+function slowStore(base = new MemoryStore()) {
+  const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+  const store = {
+    get: async key => { await tick(); return base.get(key); },
+    set: async (key, value, ttl) => { await tick(); return base.set(key, value, ttl); },
+    delete: async key => { await tick(); return base.delete(key); }
+  };
+  if (base.increment) {
+    store.increment = async (key, ttl) => { const count = await base.increment(key, ttl); await tick(); return count; };
+  }
+  return store;
+}
+
+/**
+ * Get a wrong code of the same length
+ * @param {string} code - Code sent
+ * @returns {string} Different code
+ */
+function wrong(code) {
+  return code.replace(/^./, digit => String((Number(digit) + 1) % 10));
+}
+
+describe('VerifyService', () => {
+  test('approves a code once and locks the number after too many wrong codes', async () => {
+    const services = fakeServices();
+    const verify = new VerifyService(services, { maxAttempts: 3, resendCooldown: 0 });
+
+    await expect(verify.start('77 123 45 67')).resolves.toMatchObject({ status: VerificationStatus.PENDING, msisdn: NUMBER });
+    const [code] = services.codes;
+    await expect(verify.check(NUMBER, wrong(code))).resolves.toEqual({ status: VerificationStatus.INVALID, msisdn: NUMBER, attemptsRemaining: 2 });
+    await expect(verify.check(NUMBER, code)).resolves.toMatchObject({ status: VerificationStatus.APPROVED });
+    await expect(verify.check(NUMBER, code)).resolves.toMatchObject({ status: VerificationStatus.NOT_FOUND });
+
+    await verify.start(NUMBER);
+    const next = services.codes[1];
+    await verify.check(NUMBER, wrong(next));
+    await verify.check(NUMBER, wrong(next));
+    await expect(verify.check(NUMBER, wrong(next))).resolves.toMatchObject({ status: VerificationStatus.LOCKED });
+    await expect(verify.check(NUMBER, next)).resolves.toMatchObject({ status: VerificationStatus.LOCKED });
+  });
+
+  test('counts concurrent checks against maxAttempts, even with a store without increment', async () => {
+    const services = fakeServices();
+    const store = slowStore();
+    delete store.increment;
+    const verify = new VerifyService(services, { store, secret: SECRET, maxAttempts: 3 });
+
+    await verify.start(NUMBER);
+    const [code] = services.codes;
+    const results = await Promise.all(Array.from({ length: 10 }, () => verify.check(NUMBER, wrong(code))));
+
+    expect(results.filter(result => result.status === VerificationStatus.INVALID)).toHaveLength(2);
+    expect(results.filter(result => result.status === VerificationStatus.LOCKED)).toHaveLength(8);
+    await expect(verify.check(NUMBER, code)).resolves.toMatchObject({ status: VerificationStatus.LOCKED });
+  });
+
+  test('approves concurrent checks of the right code once', async () => {
+    const services = fakeServices();
+    const verify = new VerifyService(services, { store: slowStore(), secret: SECRET });
+
+    await verify.start(NUMBER);
+    const results = await Promise.all(Array.from({ length: 5 }, () => verify.check(NUMBER, services.codes[0])));
+
+    expect(results.filter(result => result.status === VerificationStatus.APPROVED)).toHaveLength(1);
+  });
+
+  test('counts attempts atomically across instances sharing a store', async () => {
+    const services = fakeServices();
+    const store = slowStore();
+    const options = { store, secret: SECRET, maxAttempts: 3 };
+    const first = new VerifyService(services, options);
+    const second = new VerifyService(services, options);
+
+    await first.start(NUMBER);
+    const [code] = services.codes;
+    const results = await Promise.all(Array.from({ length: 6 }, (_, i) => (i % 2 ? first : second).check(NUMBER, wrong(code))));
+
+    expect(results.filter(result => result.status === VerificationStatus.INVALID)).toHaveLength(2);
+    await expect(second.check(NUMBER, code)).resolves.toMatchObject({ status: VerificationStatus.LOCKED });
+  });
+
+  test('requires a secret with a store', () => {
+    expect(() => new VerifyService(fakeServices(), { store: new MemoryStore() })).toThrow(SonatelValidationError);
+    expect(() => new VerifyService(fakeServices(), { store: new MemoryStore(), secret: SECRET })).not.toThrow();
+  });
+
+  test('checks codes sent by another instance sharing the store', async () => {
+    const services = fakeServices();
+    const store = new MemoryStore();
+    const first = new VerifyService(services, { store, secret: SECRET });
+    const second = new VerifyService(services, { store, secret: SECRET });
+
+    await first.start(NUMBER);
+    await expect(second.check(NUMBER, services.codes[0])).resolves.toMatchObject({ status: VerificationStatus.APPROVED });
+    await expect(first.check(NUMBER, services.codes[0])).resolves.toMatchObject({ status: VerificationStatus.NOT_FOUND });
+
+    const other = new VerifyService(services, { store, secret: 'other-secret', resendCooldown: 0 });
+    await other.start(NUMBER);
+    await expect(first.check(NUMBER, services.codes[1])).resolves.toMatchObject({ status: VerificationStatus.INVALID });
+  });
+
+  test('limits checks per IP address', async () => {
+    const services = fakeServices();
+    const verify = new VerifyService(services, { ipLimit: { max: 2 }, maxAttempts: 10 });
+
+    await verify.start(NUMBER);
+    const [code] = services.codes;
+    await verify.check(NUMBER, wrong(code), { ip: '10.0.0.1' });
+    await verify.check(NUMBER, wrong(code), { ip: '10.0.0.1' });
+
+    await expect(verify.check(NUMBER, code, { ip: '10.0.0.1' }))
+      .resolves.toMatchObject({ status: VerificationStatus.RATE_LIMITED, reason: 'ip' });
+    await expect(verify.check(NUMBER, code, { ip: '10.0.0.2' })).resolves.toMatchObject({ status: VerificationStatus.APPROVED });
+  });
+
+  test('limits codes sent per number', async () => {
+    const verify = new VerifyService(fakeServices(), { numberLimit: { max: 2 }, resendCooldown: 0 });
+
+    await verify.start(NUMBER);
+    await verify.start(NUMBER);
+
+    const result = await verify.start(NUMBER);
+    expect(result).toMatchObject({ status: VerificationStatus.RATE_LIMITED, reason: 'number' });
+    expect(result.retryAfter).toBeLessThanOrEqual(3600);
+  });
+});
@@ -0,0 +1,147 @@
+import { createHmac } from 'node:crypto';
+import SonatelWebhooks from '../src/webhooks.js';
+import { SonatelWebhookError } from '../src/errors.js';
+
+function paymentNotification(overrides = {}) {
+  return {
+    notificationId: 'evt-1',
+    paymentNotification: {
+      paymentId: 'pay-1',
+      status: 'SUCCESSFUL',
+      amount: 1000,
+      currency: 'XOF',
+      customerMsisdn: 'tel:+221770000000',
+      ...overrides
+    }
+  };
+}
+
+describe('SonatelWebhooks', () => {
+  test('parses and dispatches typed events', async () => {
+    const webhooks = new SonatelWebhooks();
+    const received = [];
+    webhooks.on('payment.status', event => received.push(['payment.status', event.data.status]));
+    webhooks.on('payment.completed', event => received.push(['payment.completed', event.data.paymentId]));
+    webhooks.on('*', event => received.push(['*', event.id]));
+
+    const event = await webhooks.handle({ body: JSON.stringify(paymentNotification()) });
+    expect(event.data.customerMsisdn).toBe('+221770000000');
+    expect(received).toEqual([
+      ['payment.status', 'SUCCESS'],
+      ['payment.completed', 'pay-1'],
+      ['*', 'evt-1']
+    ]);
+  });
+
+  test('verifies HMAC signatures', async () => {
+    const webhooks = new SonatelWebhooks({ secret: 'shh' });
+    const body = JSON.stringify(paymentNotification());
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = createHmac('sha256', 'shh').update(`${timestamp}.${body}`).digest('hex');
+
+    await expect(webhooks.handle({
+      body,
+      headers: { 'x-sonatel-signature': `sha256=${signature}`, 'x-sonatel-timestamp': timestamp }
+    })).resolves.toHaveProperty('type', 'payment.status');
+
+    const error = await webhooks.handle({
+      body,
+      headers: { 'x-sonatel-signature': 'bad', 'x-sonatel-timestamp': timestamp }
+    }).catch(e => e);
+    expect(error).toBeInstanceOf(SonatelWebhookError);
+    expect(error.code).toBe('INVALID_SIGNATURE');
+  });
+
+  test('rejects replayed events', async () => {
+    const webhooks = new SonatelWebhooks();
+    const body = JSON.stringify(paymentNotification());
+    await webhooks.handle({ body });
+
+    const error = await webhooks.handle({ body }).catch(e => e);
+    expect(error.code).toBe('REPLAYED_EVENT');
+    expect(error.status).toBe(409);
+  });
+
+  test('dispatches concurrent duplicates once', async () => {
+    const webhooks = new SonatelWebhooks();
+    let calls = 0;
+    webhooks.on('payment.status', async () => {
+      calls += 1;
+      await new Promise(resolve => setTimeout(resolve, 10));
+    });
+
+    const body = JSON.stringify(paymentNotification());
+    const results = await Promise.allSettled([webhooks.handle({ body }), webhooks.handle({ body })]);
+    expect(calls).toBe(1);
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  test('dispatches concurrent duplicates once with a store without add()', async () => {
+    const entries = new Map();
+    const replayStore = {
+      get: async key => entries.get(key) || null,
+      set: async (key, value) => { entries.set(key, value); },
+      delete: async key => { entries.delete(key); }
+    };
+    const webhooks = new SonatelWebhooks({ replayStore });
+    let calls = 0;
+    webhooks.on('payment.status', () => { calls += 1; });
+
+    const body = JSON.stringify(paymentNotification());
+    await Promise.allSettled([webhooks.handle({ body }), webhooks.handle({ body })]);
+    expect(calls).toBe(1);
+  });
+
+  test('releases the event ID when a listener throws', async () => {
+    const webhooks = new SonatelWebhooks();
+    let fail = true;
+    webhooks.on('payment.status', () => {
+      if (fail) {
+        throw new Error('Database unavailable');
+      }
+    });
+
+    const body = JSON.stringify(paymentNotification());
+    await expect(webhooks.handle({ body })).rejects.toThrow('Database unavailable');
+    fail = false;
+    await expect(webhooks.handle({ body })).resolves.toHaveProperty('id', 'evt-1');
+  });
+
+  test('derives an ID from the body when the notification has none', async () => {
+    const webhooks = new SonatelWebhooks();
+    const { notificationId, ...body } = paymentNotification();
+
+    const event = await webhooks.parse(JSON.stringify(body));
+    expect(event.id).toMatch(/^[0-9a-f]{64}$/);
+    expect((await webhooks.parse(body)).id).toBe(event.id);
+  });
+
+  test('reads raw bodies from Node requests', async () => {
+    const webhooks = new SonatelWebhooks({ secret: 'shh' });
+    const body = JSON.stringify(paymentNotification({ orderId: 'Commande n°1' }));
+    const signature = createHmac('sha256', 'shh').update(body).digest('hex');
+    const bytes = new TextEncoder().encode(body);
+    // Split inside the multi-byte character
+    const split = bytes.indexOf(0xc2) + 1;
+    const req = {
+      headers: { 'x-sonatel-signature': signature },
+      async *[Symbol.asyncIterator]() {
+        yield bytes.slice(0, split);
+        yield bytes.slice(split);
+      }
+    };
+    const res = { setHeader: jest.fn(), end: jest.fn() };
+    const events = [];
+    webhooks.on('payment.status', event => events.push(event));
+
+    await webhooks.nodeHandler()(req, res);
+    expect(res.statusCode).toBe(200);
+    expect(events[0].data.orderId).toBe('Commande n°1');
+  });
+
+  test('rejects unknown payloads', async () => {
+    const webhooks = new SonatelWebhooks();
+    const error = await webhooks.handle({ body: '{"hello":"world"}' }).catch(e => e);
+    expect(error.code).toBe('INVALID_PAYLOAD');
+  });
+});
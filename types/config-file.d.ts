@@ -0,0 +1,17 @@
+/**
+ * Type definitions for sonatel-api/config-file
+ */
+
+import type { ClientsConfig } from './index.js';
+
+/** Read client configurations from a JSON file, replacing ${NAME} with environment variables */
+export declare function loadConfigFile(
+  filePath: string,
+  env?: Record<string, string | undefined>
+): Promise<Required<ClientsConfig>>;
+
+/** Register the clients of a JSON configuration file, returning their names */
+export declare function loadConfig(
+  filePath: string,
+  env?: Record<string, string | undefined>
+): Promise<string[]>;
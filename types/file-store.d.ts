@@ -0,0 +1,24 @@
+/**
+ * Type definitions for sonatel-api/file-store
+ */
+
+import type { SonatelStore } from './index.js';
+
+/** Store keeping its entries in a JSON file */
+export declare class FileStore implements SonatelStore {
+  constructor(filePath: string, options?: {
+    /** Maximum time to wait for the lock in milliseconds (default: 5000) */
+    lockTimeout?: number;
+    /** Age after which a lock left by a crashed process is broken, in milliseconds (default: 10000) */
+    staleLockAge?: number;
+  });
+  filePath: string;
+  lockPath: string;
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  add(key: string, value: any, ttl?: number): Promise<boolean>;
+  increment(key: string, ttl?: number): Promise<number>;
+}
+
+export default FileStore;
@@ -0,0 +1,1860 @@
+/**
+ * Type definitions for sonatel-api
+ *
+ * Request and response shapes follow the Orange Sonatel (OneAPI) payloads
+ * documented in the service JSDoc comments. Fields the API may add are
+ * allowed through index signatures on the raw response types.
+ */
+
+// ---------------------------------------------------------------------------
+// Statuses
+// ---------------------------------------------------------------------------
+
+/** Normalized payment statuses */
+export declare const PaymentStatus: {
+  readonly PENDING: 'PENDING';
+  readonly SUCCESS: 'SUCCESS';
+  readonly FAILED: 'FAILED';
+  readonly CANCELLED: 'CANCELLED';
+  readonly EXPIRED: 'EXPIRED';
+  readonly UNKNOWN: 'UNKNOWN';
+};
+export type PaymentStatus = typeof PaymentStatus[keyof typeof PaymentStatus];
+
+/** Payment statuses that will not change anymore */
+export type TerminalPaymentStatus = 'SUCCESS' | 'FAILED' | 'CANCELLED' | 'EXPIRED';
+
+/** Normalized SMS delivery statuses */
+export declare const DeliveryStatus: {
+  readonly PENDING: 'PENDING';
+  readonly SENT: 'SENT';
+  readonly DELIVERED: 'DELIVERED';
+  readonly FAILED: 'FAILED';
+  readonly EXPIRED: 'EXPIRED';
+  readonly UNCERTAIN: 'UNCERTAIN';
+  readonly UNKNOWN: 'UNKNOWN';
+};
+export type DeliveryStatus = typeof DeliveryStatus[keyof typeof DeliveryStatus];
+
+/** Delivery statuses that will not change anymore */
+export type TerminalDeliveryStatus = 'DELIVERED' | 'FAILED' | 'EXPIRED' | 'UNCERTAIN';
+
+/** Outcomes of the phone verification service */
+export declare const VerificationStatus: {
+  readonly PENDING: 'PENDING';
+  readonly APPROVED: 'APPROVED';
+  readonly INVALID: 'INVALID';
+  readonly EXPIRED: 'EXPIRED';
+  readonly NOT_FOUND: 'NOT_FOUND';
+  readonly LOCKED: 'LOCKED';
+  readonly RATE_LIMITED: 'RATE_LIMITED';
+};
+export type VerificationStatus = typeof VerificationStatus[keyof typeof VerificationStatus];
+
+/** Delivery statuses as sent by the OneAPI endpoints */
+export type OneAPIDeliveryStatus =
+  | 'MessageWaiting'
+  | 'DeliveredToNetwork'
+  | 'DeliveredToTerminal'
+  | 'DeliveryImpossible'
+  | 'DeliveryUncertain'
+  | 'DeliveryNotificationNotSupported'
+  | (string & {});
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+export interface SonatelErrorDetails {
+  status?: number;
+  code?: string;
+  requestId?: string;
+  endpoint?: string;
+  method?: string;
+  headers?: Record<string, string>;
+  body?: unknown;
+  cause?: unknown;
+}
+
+/** Base class for all errors raised by the client */
+export declare class SonatelError extends Error {
+  constructor(message: string, details?: SonatelErrorDetails);
+  status: number | null;
+  code: string | null;
+  requestId: string | null;
+  endpoint: string | null;
+  method: string | null;
+  headers: Record<string, string>;
+  body: unknown;
+  cause?: unknown;
+  /** Response details, shaped like the `error.response` of common HTTP clients */
+  readonly response: { status: number; headers: Record<string, string>; data: unknown } | null;
+}
+
+/** The API answered with a non-2xx status not covered by a more specific class */
+export declare class SonatelAPIError extends SonatelError {}
+
+/** Authentication failed (401/403) or no token could be obtained */
+export declare class SonatelAuthError extends SonatelAPIError {}
+
+/** The request was rejected as invalid (400/422), or failed local validation */
+export declare class SonatelValidationError extends SonatelAPIError {}
+
+/** The requested resource does not exist (404) */
+export declare class SonatelNotFoundError extends SonatelAPIError {}
+
+/** The API quota was exceeded (429) */
+export declare class SonatelRateLimitError extends SonatelAPIError {
+  constructor(message: string, details?: SonatelErrorDetails & { retryAfter?: number });
+  /** Delay requested by the API in milliseconds */
+  retryAfter: number | null;
+}
+
+/** The API failed on its side (5xx) */
+export declare class SonatelServerError extends SonatelAPIError {}
+
+/** The request never got a response */
+export declare class SonatelNetworkError extends SonatelError {}
+
+/** The request did not complete within the configured timeout */
+export declare class SonatelTimeoutError extends SonatelNetworkError {}
+
+/** The request was cancelled through the caller's AbortSignal */
+export declare class SonatelAbortError extends SonatelError {}
+
+export type WebhookErrorCode = 'INVALID_PAYLOAD' | 'INVALID_SIGNATURE' | 'STALE_EVENT' | 'REPLAYED_EVENT';
+
+/** A webhook notification was rejected */
+export declare class SonatelWebhookError extends SonatelError {
+  status: number;
+  code: WebhookErrorCode;
+}
+
+// ---------------------------------------------------------------------------
+// Stores, events and logging
+// ---------------------------------------------------------------------------
+
+/** Key-value store with expiring entries, e.g. a Redis wrapper */
+export interface SonatelStore {
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  /** Set a value unless the key exists, atomically; resolves to true if it was set */
+  add?(key: string, value: any, ttl?: number): Promise<boolean>;
+  /** Increment a counter atomically, created with the ttl; resolves to its new value */
+  increment?(key: string, ttl?: number): Promise<number>;
+}
+
+/** In-memory store, the default for tokens, sessions and idempotency results */
+export declare class MemoryStore implements SonatelStore {
+  constructor();
+  get(key: string): Promise<any>;
+  set(key: string, value: any, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  add(key: string, value: any, ttl?: number): Promise<boolean>;
+  increment(key: string, ttl?: number): Promise<number>;
+}
+
+/** Minimal event emitter shared by the client, webhooks and campaigns */
+declare class EventEmitter<Events extends Record<string, any> = Record<string, any>> {
+  on<K extends keyof Events & string>(event: K, listener: (payload: Events[K]) => unknown): this;
+  once<K extends keyof Events & string>(event: K, listener: (payload: Events[K]) => unknown): this;
+  off<K extends keyof Events & string>(event: K, listener: (payload: Events[K]) => unknown): this;
+  emit<K extends keyof Events & string>(event: K, payload: Events[K]): boolean;
+  emitAsync<K extends keyof Events & string>(event: K, payload: Events[K]): Promise<boolean>;
+  listenerCount(event: keyof Events & string): number;
+}
+
+/** pino-, winston- or console-style logger */
+export interface Logger {
+  debug(...args: any[]): void;
+  info(...args: any[]): void;
+  warn(...args: any[]): void;
+  error(...args: any[]): void;
+}
+
+export type RedactOption = boolean | {
+  /** Additional keys whose values are redacted */
+  keys?: string[];
+  /** Mask phone numbers, keeping the last 4 digits (default: true) */
+  msisdn?: boolean;
+};
+
+/** Logger used by the client and passed to middlewares, taking (message, fields) */
+export interface ClientLogger {
+  enabled: boolean;
+  logBodies: boolean;
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+}
+
+export declare function redact<T>(value: T, options?: RedactOption): T;
+
+// ---------------------------------------------------------------------------
+// Client configuration, requests and middleware
+// ---------------------------------------------------------------------------
+
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'DELETE' | 'PATCH' | 'HEAD' | 'OPTIONS';
+
+export interface RetryInfo {
+  attempt: number;
+  delay: number;
+  error: SonatelError;
+  endpoint: string;
+  method: HttpMethod;
+}
+
+export interface RetryPolicy {
+  /** Maximum number of attempts, including the first one (default: 3) */
+  maxAttempts?: number;
+  /** Base backoff delay in milliseconds (default: 300) */
+  baseDelay?: number;
+  /** Maximum backoff delay in milliseconds; a longer Retry-After is not waited for (default: 10000) */
+  maxDelay?: number;
+  /** Randomize backoff delays (default: true) */
+  jitter?: boolean;
+  /** HTTP statuses that may be retried (default: 408, 429, 500, 502, 503, 504) */
+  retryStatuses?: number[];
+  /** Retry network errors and timeouts (default: true) */
+  retryNetworkErrors?: boolean;
+  /** Honor the Retry-After response header (default: true) */
+  respectRetryAfter?: boolean;
+  /** Methods that are always safe to retry */
+  idempotentMethods?: HttpMethod[];
+  /** Called before each retry */
+  onRetry?: ((info: RetryInfo) => void) | null;
+}
+
+/** Per-call request options, accepted as the last argument of every service method */
+export interface RequestOptions {
+  /** Sent as the Idempotency-Key header */
+  idempotencyKey?: string;
+  /** Retry policy overrides for this call, or false to disable retries */
+  retry?: RetryPolicy | boolean;
+  /** Signal to cancel the request, including pending retries */
+  signal?: AbortSignal;
+  /** Timeout of each attempt in milliseconds */
+  timeout?: number;
+  /** Additional request headers */
+  headers?: Record<string, string>;
+  /** Rate limiter priority, higher first (defaults to the priority of the group) */
+  priority?: number;
+  /** Rate limiter group (defaults to the group of the endpoint) */
+  rateLimitGroup?: string;
+  /** Rate limiter for this call, used when the client has none */
+  rateLimiter?: RequestScheduler;
+  /** Return the response body rather than a normalized result (defaults to the client's rawResponses) */
+  raw?: boolean;
+}
+
+/** Request options of a call returning the response body as is */
+export type RawResultOptions = RequestOptions & { raw: true };
+
+export interface RawRequestOptions extends RequestOptions {
+  method?: HttpMethod;
+  params?: Record<string, string | number | boolean>;
+  data?: unknown;
+}
+
+/** Response passed through the middleware pipeline */
+export interface MiddlewareResponse<T = any> {
+  status: number;
+  headers: Record<string, string>;
+  data: T;
+}
+
+/** Request context passed to middlewares */
+export interface MiddlewareContext {
+  api: SonatelAPI;
+  /** Endpoint path, e.g. '/payment/v1/payments/pay-42' */
+  endpoint: string;
+  /** First path segment, e.g. 'payment' */
+  service: string;
+  /** Endpoint with IDs replaced by `:id`, e.g. '/payment/v1/payments/:id' */
+  route: string;
+  method: HttpMethod;
+  params: Record<string, string | number | boolean>;
+  data: unknown;
+  headers: Record<string, string>;
+  options: RawRequestOptions;
+  attempt: number;
+  /** Free-form state shared by the middlewares of one call */
+  state: Record<string, any>;
+  logger: ClientLogger;
+}
+
+export type Middleware = (
+  ctx: MiddlewareContext,
+  next: () => Promise<MiddlewareResponse>
+) => MiddlewareResponse | Promise<MiddlewareResponse>;
+
+export interface MiddlewarePlacement {
+  /** Name used to place, replace or remove it (defaults to the function name) */
+  name?: string;
+  /** Insert before the middleware with this name */
+  before?: string;
+  /** Insert after the middleware with this name */
+  after?: string;
+}
+
+export declare function retryMiddleware(): Middleware;
+export declare function rateLimitMiddleware(): Middleware;
+export declare function authMiddleware(): Middleware;
+export declare function telemetryMiddleware(): Middleware;
+export declare function loggingMiddleware(): Middleware;
+
+/** Instrumentation events emitted by the client */
+export interface ClientEvents {
+  request: {
+    service: string;
+    endpoint: string;
+    method: HttpMethod;
+    status: number | null;
+    duration: number;
+    attempt: number;
+    error?: SonatelError;
+  };
+  retry: {
+    service: string;
+    endpoint: string;
+    method: HttpMethod;
+    attempt: number;
+    delay: number;
+    error: SonatelError;
+  };
+  rateLimit: {
+    service: string;
+    endpoint: string;
+    method: HttpMethod;
+    source: 'server' | 'client';
+    retryAfter?: number | null;
+    /** Rate limiter group, for client-side limits */
+    group?: string;
+    /** Time spent waiting for a token in milliseconds, for client-side limits */
+    wait?: number;
+  };
+  'token.refresh': {
+    source: 'network' | 'store';
+    success: boolean;
+    duration: number;
+    error?: SonatelError;
+  };
+}
+
+/** Subset of the OpenTelemetry Tracer interface used by the client */
+export interface Tracer {
+  startSpan(name: string, options?: { kind?: number; attributes?: Record<string, unknown> }): any;
+  startActiveSpan?(name: string, options: { kind?: number; attributes?: Record<string, unknown> }, fn: (span: any) => any): any;
+}
+
+export interface SonatelAPIConfig {
+  /** Client ID for authentication */
+  clientId: string;
+  /** Client Secret for authentication */
+  clientSecret: string;
+  /** Environment preset providing the base URL and defaults */
+  environment?: EnvironmentName;
+  /** Base URL for API requests (default: https://api.orange-sonatel.com) */
+  baseUrl?: string;
+  /** Request timeout in milliseconds (default: 10000) */
+  timeout?: number;
+  /** fetch implementation (defaults to the global fetch) */
+  fetch?: typeof fetch;
+  /** Log to the console when no logger is given */
+  debug?: boolean;
+  /** pino/winston-style logger receiving structured log records */
+  logger?: Logger;
+  /** Redaction of tokens, secrets and phone numbers in logs (default: true) */
+  redact?: RedactOption;
+  /** Include request and response bodies in logs (default: false) */
+  logBodies?: boolean;
+  /** Store shared by clients to cache tokens (default: in memory) */
+  tokenStore?: SonatelStore;
+  /** Refresh the token this many seconds before it expires (default: 60) */
+  tokenRefreshMargin?: number;
+  /** Retry policy, or false to disable retries */
+  retry?: RetryPolicy | boolean;
+  /** Middlewares added after the built-in ones */
+  middleware?: Middleware[];
+  /** Collector recording the client's metrics */
+  metrics?: MetricsCollector;
+  /** OpenTelemetry tracer used to create a span for each HTTP attempt */
+  tracer?: Tracer;
+  /** Send the span's trace context in traceparent/tracestate headers (default: true) */
+  propagateTraceContext?: boolean;
+  /** Client-side rate limits (default: none) */
+  rateLimit?: RequestSchedulerOptions | RequestScheduler;
+  /** Have the services return response bodies as is; the result types assume normalized results (default: false) */
+  rawResponses?: boolean;
+}
+
+export type Runtime = 'node' | 'deno' | 'bun' | 'workerd' | 'browser' | 'unknown';
+
+/** 'production', 'sandbox' or an environment added with defineEnvironment */
+export type EnvironmentName = 'production' | 'sandbox' | (string & {});
+
+/** Configuration defaults of an environment */
+export interface EnvironmentPreset extends Partial<Omit<SonatelAPIConfig, 'clientId' | 'clientSecret' | 'environment'>> {
+  baseUrl: string;
+}
+
+export declare const ENVIRONMENTS: Record<EnvironmentName, EnvironmentPreset>;
+/** Add or replace an environment preset */
+export declare function defineEnvironment(name: string, preset: EnvironmentPreset): void;
+
+/** Options read from environment variables */
+export interface EnvConfig {
+  clientId?: string;
+  clientSecret?: string;
+  environment?: EnvironmentName;
+  baseUrl?: string;
+  timeout?: number;
+  debug?: boolean;
+}
+
+/** Read CLIENT_ID, CLIENT_SECRET, ENVIRONMENT, BASE_URL, TIMEOUT and DEBUG after the prefix (default: 'SONATEL_') */
+export declare function configFromEnv(
+  env?: Record<string, string | undefined>,
+  options?: { prefix?: string }
+): EnvConfig;
+
+/** Contents of a configuration file */
+export interface ClientsConfig {
+  /** Options shared by all clients */
+  defaults?: Partial<ClientConfig>;
+  /** Client configurations by name */
+  clients: Record<string, ClientConfig>;
+}
+
+/** Token bucket limit: requests per second and burst size */
+export interface RateLimit {
+  rate: number;
+  /** Requests that may be sent at once (defaults to rate) */
+  capacity?: number;
+}
+
+/** Store holding token buckets, e.g. an adapter over Redis shared by several processes */
+export interface RateLimitStore {
+  /** Take a token; resolves to 0 when one was taken, otherwise to the milliseconds until one is available */
+  take(key: string, limit: RateLimit): Promise<number>;
+}
+
+/** In-process token buckets */
+export declare class MemoryRateLimitStore implements RateLimitStore {
+  take(key: string, limit: RateLimit): Promise<number>;
+}
+
+export interface RequestSchedulerOptions {
+  /** Limits by group, e.g. { sms: { rate: 10 }, payment: { rate: 5 } }; `default` applies to the other groups */
+  limits?: Record<string, RateLimit>;
+  /** Maximum number of requests in flight (default: unlimited) */
+  maxConcurrent?: number;
+  /** Reject requests when this many are already waiting (default: unlimited) */
+  maxQueueSize?: number;
+  /** Default priority by group, higher first (default: 0) */
+  priorities?: Record<string, number>;
+  /** Group of a request (defaults to the service) */
+  group?: (request: { service: string; route: string; method: HttpMethod }) => string;
+  /** Store holding the buckets (default: in memory) */
+  store?: RateLimitStore;
+  /** Prefix of the bucket keys (default: 'sonatel:ratelimit') */
+  keyPrefix?: string;
+  logger?: ClientLogger;
+}
+
+export interface RateLimitSlot {
+  /** Time spent waiting in milliseconds */
+  wait: number;
+  /** Whether the request waited for a token */
+  throttled: boolean;
+  /** Free the slot once the request completes */
+  release(): void;
+}
+
+export interface RateLimitGroupStats {
+  queued: number;
+  granted: number;
+  throttled: number;
+  /** Milliseconds */
+  averageWait: number;
+  /** Milliseconds */
+  maxWait: number;
+}
+
+export interface RateLimitStats {
+  inFlight: number;
+  queueDepth: number;
+  maxQueueDepth: number;
+  /** Requests rejected because the queue was full */
+  rejected: number;
+  /** Store failures, during which requests were not limited */
+  storeErrors: number;
+  groups: Record<string, RateLimitGroupStats>;
+}
+
+/** Client-side rate limiter and priority queue */
+export declare class RequestScheduler {
+  constructor(options?: RequestSchedulerOptions);
+  limits: Record<string, RateLimit>;
+  maxConcurrent: number;
+  maxQueueSize: number;
+  store: RateLimitStore;
+  inFlight: number;
+  /** Wait for a slot; rejects with SonatelRateLimitError (code QUEUE_FULL) when the queue is full */
+  acquire(request: { group: string; priority?: number; signal?: AbortSignal; id?: string }): Promise<RateLimitSlot>;
+  /** Hold back a group for a number of milliseconds */
+  pause(group: string, delay: number): void;
+  getStats(): RateLimitStats;
+  resetStats(): void;
+}
+
+/** Low-level client handling authentication, retries and the middleware pipeline */
+export declare class SonatelAPI extends EventEmitter<ClientEvents> {
+  constructor(config: SonatelAPIConfig);
+  clientId: string;
+  /** Environment preset the client was created with */
+  environment: EnvironmentName | null;
+  baseUrl: string;
+  timeout: number;
+  /** Runtime the client runs on */
+  runtime: Runtime;
+  debug: boolean;
+  logger: ClientLogger;
+  tokenStore: SonatelStore;
+  token: string | null;
+  tokenExpiry: Date | null;
+  tracer: Tracer | null;
+  propagateTraceContext: boolean;
+  /** Client-side rate limiter, null when requests are not limited */
+  rateLimiter: RequestScheduler | null;
+  /** Whether the services return response bodies as is */
+  rawResponses: boolean;
+
+  /** Get an authentication token, fetching a new one when needed */
+  getToken(options?: { signal?: AbortSignal }): Promise<string>;
+  /** Drop the cached token so that the next request fetches a new one */
+  invalidateToken(token?: string): Promise<void>;
+  /** Replace the credentials; requests already sent keep their token */
+  rotateCredentials(credentials: { clientId?: string; clientSecret: string }): Promise<void>;
+
+  use(middleware: Middleware, options?: MiddlewarePlacement): this;
+  replaceMiddleware(name: string, middleware: Middleware): this;
+  removeMiddleware(name: string): this;
+
+  /** Make an authenticated request to the Sonatel API */
+  request<T = any>(endpoint: string, options?: RawRequestOptions): Promise<T>;
+  get<T = any>(endpoint: string, params?: Record<string, string | number | boolean>, options?: RawRequestOptions): Promise<T>;
+  post<T = any>(endpoint: string, data?: unknown, options?: RawRequestOptions): Promise<T>;
+  put<T = any>(endpoint: string, data?: unknown, options?: RawRequestOptions): Promise<T>;
+  delete<T = any>(endpoint: string, options?: RawRequestOptions): Promise<T>;
+}
+
+// ---------------------------------------------------------------------------
+// Shared payloads
+// ---------------------------------------------------------------------------
+
+export interface ResourceReference {
+  resourceURL: string;
+}
+
+/** Date filter accepted by history methods, sent as an ISO string */
+export type DateInput = string | Date;
+
+/** Async iterable over paginated results */
+declare class Paginator<T> implements AsyncIterable<T> {
+  /** Cursor pointing after the last item yielded, to resume an interrupted iteration */
+  readonly cursor: string;
+  [Symbol.asyncIterator](): AsyncGenerator<T, void, undefined>;
+  collectAll(): Promise<T[]>;
+}
+
+export interface PaginationOptions {
+  /** Number of items requested per page (default: 50) */
+  pageSize?: number;
+  /** Stop after this many items */
+  maxItems?: number;
+  /** Number of pages fetched in parallel (default: 1) */
+  concurrency?: number;
+  /** Cursor of an interrupted iteration to resume */
+  cursor?: string;
+}
+
+export interface PollingOptions<R> {
+  /** Maximum time to wait in milliseconds (default: 120000) */
+  timeout?: number;
+  /** Delay before the second check in milliseconds (default: 2000) */
+  interval?: number;
+  /** Factor applied to the delay after each check (default: 1.5) */
+  backoff?: number;
+  /** Maximum delay between checks in milliseconds (default: 15000) */
+  maxInterval?: number;
+  /** Signal to stop waiting */
+  signal?: AbortSignal;
+  /** Called with the new and previous check results on every status change */
+  onStatusChange?: (result: R, previous: R | null) => void;
+}
+
+export type SubscriptionServiceName = 'sms' | 'ussd' | 'payment';
+
+export interface Subscription<S extends SubscriptionServiceName = SubscriptionServiceName> {
+  id: string | null;
+  service: S;
+  notifyUrl: string | null;
+  keyword: string | null;
+  eventType: string | null;
+  clientCorrelator: string | null;
+  raw: any;
+}
+
+export interface DesiredSubscription {
+  service: SubscriptionServiceName;
+  notifyUrl: string;
+  /** USSD service keyword */
+  keyword?: string;
+  /** Payment event type */
+  eventType?: string;
+  clientCorrelator?: string;
+}
+
+export interface ReconcileOptions {
+  /** Services to reconcile (defaults to those in `desired`) */
+  services?: SubscriptionServiceName[];
+  /** Delete subscriptions that are not declared (default: true) */
+  prune?: boolean;
+  /** Report the changes without applying them (default: false) */
+  dryRun?: boolean;
+}
+
+export interface ReconcileResult {
+  created: Subscription[];
+  deleted: Subscription[];
+  unchanged: Subscription[];
+}
+
+// ---------------------------------------------------------------------------
+// SMS
+// ---------------------------------------------------------------------------
+
+export interface OutboundSMSMessageRequest {
+  address: string;
+  senderAddress?: string;
+  outboundSMSTextMessage: { message: string };
+}
+
+export interface SendSMSResponse {
+  outboundSMSMessageRequest: OutboundSMSMessageRequest & { resourceURL: string };
+  resourceReference: ResourceReference;
+  [key: string]: unknown;
+}
+
+export interface DeliveryInfo {
+  address: string;
+  deliveryStatus: OneAPIDeliveryStatus;
+}
+
+export interface DeliveryInfoListResponse {
+  deliveryInfoList: {
+    resourceURL?: string;
+    deliveryInfo: DeliveryInfo | DeliveryInfo[];
+  };
+  [key: string]: unknown;
+}
+
+export interface SMSHistoryMessage {
+  messageId: string;
+  address: string | string[];
+  senderAddress: string | null;
+  outboundSMSTextMessage: { message: string };
+  deliveryStatus?: OneAPIDeliveryStatus;
+  createdAt?: string;
+  [key: string]: unknown;
+}
+
+export interface SMSHistoryResponse {
+  outboundSMSMessageList: {
+    outboundSMSMessage: SMSHistoryMessage[];
+    totalCount?: number;
+  };
+  [key: string]: unknown;
+}
+
+/** Message of the sent SMS history */
+export interface SMSHistoryMessageResult {
+  id: string;
+  status: DeliveryStatus;
+  /** Status as returned by the API */
+  deliveryStatus: OneAPIDeliveryStatus | null;
+  recipients: string[];
+  senderAddress: string | null;
+  message: string | null;
+  createdAt: Date | null;
+  raw: SMSHistoryMessage;
+}
+
+/** Page of the sent SMS history */
+export interface SMSHistoryResult {
+  messages: SMSHistoryMessageResult[];
+  /** Total number of messages, when the API reports it */
+  total: number | null;
+  /** Whether more pages follow, when the API reports it */
+  hasMore: boolean | null;
+  raw: SMSHistoryResponse;
+}
+
+export type SMSEncoding = 'GSM-7' | 'UCS-2';
+
+export interface MessageAnalysis {
+  text: string;
+  encoding: SMSEncoding;
+  length: number;
+  segments: number;
+  perSegment: number;
+  remaining: number;
+  unsupportedCharacters: string[];
+}
+
+export interface SMSCostEstimate {
+  segments: number;
+  recipients: number;
+  amount: number;
+  currency: string;
+}
+
+export interface SMSServiceOptions {
+  /** Price of one SMS segment, used for cost estimates */
+  pricePerSegment?: number;
+  /** Currency of the segment price (default: 'XOF') */
+  currency?: string;
+  /** Default maximum number of segments per message */
+  maxSegments?: number;
+  /** Transliterate messages to stay in GSM-7 by default */
+  transliterate?: boolean;
+}
+
+export interface SendSMSOptions {
+  /** Recipient phone number, normalized to E.164 */
+  recipient: string;
+  message: string;
+  sender?: string;
+  transliterate?: boolean;
+  /** Reject messages longer than this many segments */
+  maxSegments?: number;
+  /** Validate and analyze the message without sending it */
+  dryRun?: boolean;
+}
+
+export interface SMSDryRun extends MessageAnalysis {
+  dryRun: true;
+  request: { outboundSMSMessageRequest: OutboundSMSMessageRequest };
+}
+
+export interface SMSDelivery<S extends DeliveryStatus = DeliveryStatus> {
+  address: string | null;
+  status: S;
+  deliveryStatus: OneAPIDeliveryStatus;
+}
+
+/** Outbound SMS or USSD message */
+export interface MessageResult<R = SendSMSResponse> {
+  /** Message ID, taken from the resource URL */
+  id: string;
+  /** PENDING until the API reports a delivery */
+  status: DeliveryStatus;
+  /** Recipient phone number */
+  recipient: string | null;
+  raw: R;
+}
+
+/** Result of a delivery status check, discriminated by `status` */
+export type SMSDeliveryResult<S extends DeliveryStatus = DeliveryStatus> = {
+  [K in S]: {
+    id: string;
+    /** Same as id */
+    messageId: string;
+    status: K;
+    deliveries: SMSDelivery[];
+    raw: DeliveryInfoListResponse;
+  };
+}[S];
+
+export interface SMSHistoryOptions {
+  limit?: number;
+  offset?: number;
+  senderAddress?: string;
+  startDate?: DateInput;
+  endDate?: DateInput;
+}
+
+export type BulkRecipient = string | ({ recipient?: string; msisdn?: string } & Record<string, unknown>);
+
+export interface BulkSMSOptions {
+  sender?: string;
+  /** Messages sent per second, for clients without a rateLimit (default: 10) */
+  rateLimit?: number;
+  /** Messages that may be sent at once before the rate limit applies, for clients without a rateLimit (default: 1) */
+  burst?: number;
+  /** Maximum number of requests in flight (default: 5) */
+  concurrency?: number;
+  /** Campaign ID, used in idempotency keys (generated if omitted) */
+  campaignId?: string;
+  transliterate?: boolean;
+  maxSegments?: number;
+  retry?: RetryPolicy | boolean;
+  /** Priority in the client's rate limiter (default: -1, below other requests) */
+  priority?: number;
+  /** Keep per-recipient results in the report (default: true) */
+  includeResults?: boolean;
+  signal?: AbortSignal;
+}
+
+export interface BulkSMSResult {
+  index: number;
+  recipient: string;
+  msisdn: string | null;
+  status: 'sent' | 'failed' | 'duplicate';
+  messageId: string | null;
+  error: { name: string; code: string | null; status: number | null; message: string } | null;
+}
+
+export interface BulkSMSProgress {
+  campaignId: string;
+  total: number | null;
+  processed: number;
+  sent: number;
+  failed: number;
+  duplicates: number;
+}
+
+export interface BulkSMSReport extends BulkSMSProgress {
+  aborted: boolean;
+  results: BulkSMSResult[];
+}
+
+export interface BulkSMSEvents {
+  result: BulkSMSResult;
+  progress: BulkSMSProgress;
+  complete: BulkSMSReport;
+  pause: undefined;
+  resume: undefined;
+  /** The recipients could not be read; the campaign rejects with the same error */
+  error: Error;
+}
+
+/** Bulk SMS campaign, started on creation and awaitable for its report */
+declare class BulkSMSCampaign extends EventEmitter<BulkSMSEvents> implements PromiseLike<BulkSMSReport> {
+  campaignId: string;
+  paused: boolean;
+  report: BulkSMSReport;
+  /** Scheduler applying rateLimit and burst, null when the client's rate limiter is used */
+  rateLimiter: RequestScheduler | null;
+  pause(): void;
+  resume(): void;
+  then<R1 = BulkSMSReport, R2 = never>(
+    onFulfilled?: ((report: BulkSMSReport) => R1 | PromiseLike<R1>) | null,
+    onRejected?: ((error: any) => R2 | PromiseLike<R2>) | null
+  ): Promise<R1 | R2>;
+  catch<R = never>(onRejected?: ((error: any) => R | PromiseLike<R>) | null): Promise<BulkSMSReport | R>;
+}
+
+export declare class SMSService {
+  constructor(api: SonatelAPI, options?: SMSServiceOptions);
+  api: SonatelAPI;
+  endpoint: string;
+
+  analyzeMessage(message: string, options?: { transliterate?: boolean }): MessageAnalysis & {
+    cost: { amount: number; currency: string } | null;
+  };
+  sendSMS(options: SendSMSOptions & { dryRun: true }, requestOptions?: RequestOptions): Promise<SMSDryRun>;
+  sendSMS(options: SendSMSOptions, requestOptions: RawResultOptions): Promise<SendSMSResponse>;
+  sendSMS(options: SendSMSOptions, requestOptions?: RequestOptions): Promise<MessageResult>;
+  sendBulk(
+    recipients: Iterable<BulkRecipient> | AsyncIterable<BulkRecipient>,
+    template: string | ((recipient: Exclude<BulkRecipient, string>) => string),
+    options?: BulkSMSOptions
+  ): BulkSMSCampaign;
+  getDeliveryStatus(messageId: string, requestOptions: RawResultOptions): Promise<DeliveryInfoListResponse>;
+  getDeliveryStatus(messageId: string, requestOptions?: RequestOptions): Promise<SMSDeliveryResult>;
+  waitForDelivery(
+    messageId: string,
+    options?: PollingOptions<SMSDeliveryResult>
+  ): Promise<SMSDeliveryResult<TerminalDeliveryStatus>>;
+  getHistory(options: SMSHistoryOptions | undefined, requestOptions: RawResultOptions): Promise<SMSHistoryResponse>;
+  getHistory(options?: SMSHistoryOptions, requestOptions?: RequestOptions): Promise<SMSHistoryResult>;
+  iterateHistory(
+    filters: (Omit<SMSHistoryOptions, 'limit' | 'offset'> & PaginationOptions) | undefined,
+    requestOptions: RawResultOptions
+  ): Paginator<SMSHistoryMessage>;
+  iterateHistory(
+    filters?: Omit<SMSHistoryOptions, 'limit' | 'offset'> & PaginationOptions,
+    requestOptions?: RequestOptions
+  ): Paginator<SMSHistoryMessageResult>;
+  subscribeToDeliveryNotifications(
+    options: { notifyUrl: string; clientCorrelator?: string },
+    requestOptions?: RequestOptions
+  ): Promise<Subscription<'sms'>>;
+  listSubscriptions(requestOptions?: RequestOptions): Promise<Subscription<'sms'>[]>;
+  getSubscription(subscriptionId: string, requestOptions?: RequestOptions): Promise<Subscription<'sms'>>;
+  updateSubscription(
+    subscriptionId: string,
+    options: { notifyUrl: string; clientCorrelator?: string },
+    requestOptions?: RequestOptions
+  ): Promise<Subscription<'sms'>>;
+  deleteSubscription(subscriptionId: string, requestOptions?: RequestOptions): Promise<unknown>;
+}
+
+// ---------------------------------------------------------------------------
+// USSD
+// ---------------------------------------------------------------------------
+
+export interface SendUSSDOptions {
+  /** User's MSISDN, normalized to E.164 */
+  address: string;
+  message: string;
+  keyword?: string;
+}
+
+export interface SendUSSDResponse {
+  outboundUSSDMessageRequest: {
+    address: string;
+    keyword: string;
+    outboundUSSDMessage: { message: string };
+    resourceURL?: string;
+  };
+  resourceReference?: ResourceReference;
+  [key: string]: unknown;
+}
+
+export interface InboundUSSDResponse {
+  /** User's MSISDN, normalized to E.164 */
+  address: string;
+  message: string;
+  sessionId: string;
+  endSession?: boolean;
+}
+
+export interface HandleInboundResponse {
+  inboundUSSDMessageRequest: {
+    address: string;
+    inboundUSSDMessage: { message: string };
+    ussdSessionTermination: boolean;
+    sessionId?: string;
+  };
+  [key: string]: unknown;
+}
+
+/** Response sent to an inbound USSD message */
+export interface InboundResult {
+  sessionId: string;
+  address: string;
+  message: string;
+  endSession: boolean;
+  raw: HandleInboundResponse;
+}
+
+export declare class USSDService {
+  constructor(api: SonatelAPI);
+  api: SonatelAPI;
+  endpoint: string;
+
+  sendNotification(options: SendUSSDOptions, requestOptions: RawResultOptions): Promise<SendUSSDResponse>;
+  sendNotification(options: SendUSSDOptions, requestOptions?: RequestOptions): Promise<MessageResult<SendUSSDResponse>>;
+  handleInbound(options: InboundUSSDResponse, requestOptions: RawResultOptions): Promise<HandleInboundResponse>;
+  handleInbound(options: InboundUSSDResponse, requestOptions?: RequestOptions): Promise<InboundResult>;
+  subscribeToNotifications(
+    options: { notifyUrl: string; keyword: string; clientCorrelator?: string },
+    requestOptions?: RequestOptions
+  ): Promise<Subscription<'ussd'>>;
+  listSubscriptions(requestOptions?: RequestOptions): Promise<Subscription<'ussd'>[]>;
+  getSubscription(subscriptionId: string, requestOptions?: RequestOptions): Promise<Subscription<'ussd'>>;
+  updateSubscription(
+    subscriptionId: string,
+    options: { notifyUrl: string; keyword: string; clientCorrelator?: string },
+    requestOptions?: RequestOptions
+  ): Promise<Subscription<'ussd'>>;
+  deleteSubscription(subscriptionId: string, requestOptions?: RequestOptions): Promise<unknown>;
+  cancelSession(sessionId: string, requestOptions?: RequestOptions): Promise<unknown>;
+}
+
+// ---------------------------------------------------------------------------
+// Phone verification
+// ---------------------------------------------------------------------------
+
+export type VerificationChannel = 'sms' | 'ussd';
+
+/** Message sent with the code: {code} and {minutes} placeholders, or a function */
+export type VerificationTemplate = string | ((values: { code: string; ttl: number; msisdn: string }) => string);
+
+export interface VerifyServiceOptions {
+  /** Store keeping verifications and counters (default: in memory) */
+  store?: SonatelStore;
+  /** Key used to hash the codes, required with a store (default: random per instance with the in-memory store) */
+  secret?: string;
+  /** Default channel (default: 'sms') */
+  channel?: VerificationChannel;
+  /** Default number of digits (default: 6) */
+  length?: number;
+  /** Default code lifetime in seconds (default: 300) */
+  ttl?: number;
+  template?: VerificationTemplate;
+  /** SMS sender identifier */
+  sender?: string;
+  /** USSD service keyword */
+  keyword?: string;
+  /** Wrong codes accepted before the number is locked (default: 5) */
+  maxAttempts?: number;
+  /** How long a locked number stays locked, in seconds (default: 900) */
+  lockoutDuration?: number;
+  /** Minimum delay between two codes sent to a number, in seconds (default: 30) */
+  resendCooldown?: number;
+  /** Codes sent per number (default: 5 per 3600 seconds), or false */
+  numberLimit?: { max?: number; window?: number } | false;
+  /** Codes requested, and codes checked, per IP address (default: 20 per 3600 seconds), or false */
+  ipLimit?: { max?: number; window?: number } | false;
+}
+
+export interface VerifyStartOptions {
+  channel?: VerificationChannel;
+  /** Number of digits, from 4 to 10 */
+  length?: number;
+  /** Code lifetime in seconds */
+  ttl?: number;
+  template?: VerificationTemplate;
+  /** IP address of the user, for per-IP limits */
+  ip?: string;
+}
+
+export interface VerificationPending {
+  status: 'PENDING';
+  msisdn: string;
+  channel: VerificationChannel;
+  expiresAt: Date;
+  /** When a new code can be sent */
+  resendAfter: Date;
+}
+
+export interface VerificationRateLimited {
+  status: 'RATE_LIMITED';
+  msisdn: string;
+  /** Limit that was reached */
+  reason: 'cooldown' | 'number' | 'ip';
+  /** Seconds before the limit resets */
+  retryAfter: number;
+}
+
+export interface VerificationLocked {
+  status: 'LOCKED';
+  msisdn: string;
+  /** Seconds before the lockout ends */
+  retryAfter: number;
+}
+
+export interface VerificationApproved {
+  status: 'APPROVED';
+  msisdn: string;
+  channel: VerificationChannel;
+}
+
+export interface VerificationInvalid {
+  status: 'INVALID';
+  msisdn: string;
+  /** Wrong codes accepted before the number is locked */
+  attemptsRemaining: number;
+}
+
+export interface VerificationExpired {
+  status: 'EXPIRED' | 'NOT_FOUND';
+  msisdn: string;
+}
+
+export type VerificationStartResult = VerificationPending | VerificationRateLimited | VerificationLocked;
+export type VerificationCheckResult =
+  | VerificationApproved
+  | VerificationInvalid
+  | VerificationExpired
+  | VerificationLocked
+  | VerificationRateLimited;
+
+export interface VerifyCheckOptions {
+  /** IP address of the user, for per-IP limits */
+  ip?: string;
+}
+
+export declare class VerifyService {
+  constructor(services: { sms: SMSService; ussd: USSDService }, options?: VerifyServiceOptions);
+  store: SonatelStore;
+
+  /** Send a verification code to a phone number */
+  start(msisdn: string, options?: VerifyStartOptions, requestOptions?: RequestOptions): Promise<VerificationStartResult>;
+  /** Check a code entered by the user */
+  check(msisdn: string, code: string, options?: VerifyCheckOptions): Promise<VerificationCheckResult>;
+  /** Drop the pending code of a phone number */
+  cancel(msisdn: string): Promise<void>;
+  /** Remove the lockout of a phone number */
+  unlock(msisdn: string): Promise<void>;
+}
+
+export interface USSDContext {
+  sessionId: string;
+  address: string;
+  /** Inputs stored by the screens of the session */
+  data: Record<string, any>;
+  /** Current input, when handling one */
+  input?: string;
+}
+
+type Resolvable<T, Args extends any[] = [USSDContext]> = T | ((...args: Args) => T | Promise<T>);
+
+export interface USSDOption {
+  label: string;
+  /** Stored under the screen's `input` name when chosen (defaults to the label) */
+  value?: unknown;
+  next?: Resolvable<string | USSDScreen | undefined, [USSDContext, USSDOption]>;
+}
+
+export interface USSDScreen {
+  /** Text shown on the screen */
+  text?: Resolvable<string>;
+  /** Text of an input screen */
+  prompt?: Resolvable<string>;
+  options?: Resolvable<USSDOption[]>;
+  /** Name under which the input (or the chosen option's value) is stored */
+  input?: string;
+  /** Returns true, or an error message shown above the screen */
+  validate?: (value: string, ctx: USSDContext) => boolean | string | void | Promise<boolean | string | void>;
+  next?: Resolvable<string | USSDScreen | undefined>;
+  /** Ends the session after this screen */
+  end?: boolean;
+}
+
+export interface USSDAppOptions {
+  screens: Record<string, USSDScreen>;
+  /** ID of the first screen */
+  start: string;
+  /** Store keeping sessions (default: in memory) */
+  sessionStore?: SonatelStore;
+  /** Inactivity timeout of a session in seconds (default: 180) */
+  sessionTimeout?: number;
+  /** Maximum length of a USSD message (default: 182) */
+  maxLength?: number;
+  keys?: Partial<Record<'back' | 'home' | 'next' | 'previous', string>>;
+  labels?: Partial<Record<'back' | 'next' | 'previous' | 'invalidChoice' | 'timeout', string>>;
+}
+
+/** Declarative USSD application */
+export declare class USSDApp {
+  constructor(options: USSDAppOptions);
+  handle(request: { sessionId: string; address: string; message?: string }): Promise<Required<InboundUSSDResponse>>;
+  respond(
+    ussd: USSDService,
+    request: { sessionId: string; address: string; message?: string },
+    requestOptions: RawResultOptions
+  ): Promise<HandleInboundResponse>;
+  respond(
+    ussd: USSDService,
+    request: { sessionId: string; address: string; message?: string },
+    requestOptions?: RequestOptions
+  ): Promise<InboundResult>;
+}
+
+// ---------------------------------------------------------------------------
+// Money
+// ---------------------------------------------------------------------------
+
+export type CurrencyCode = 'XOF' | 'GNF' | 'SLE' | 'EUR' | 'USD';
+
+export interface CurrencyInfo {
+  code: CurrencyCode;
+  /** Digits of the minor unit (0 for XOF) */
+  decimals: number;
+  /** Display symbol, e.g. 'FCFA' */
+  symbol: string;
+  name: string;
+}
+
+export declare const CURRENCIES: Readonly<Record<CurrencyCode, CurrencyInfo>>;
+
+/** Amount limits in major units */
+export interface AmountLimits {
+  min?: number;
+  max?: number;
+}
+
+/** Immutable amount of money, kept as an integer number of minor units */
+export declare class Money {
+  /** Amount in major units; fractional XOF, negative and non-decimal amounts are rejected */
+  constructor(amount: number | string, currency?: CurrencyCode | (string & {}));
+  static fromMinor(minor: number, currency?: CurrencyCode | (string & {})): Money;
+  static currency(code: string): CurrencyInfo;
+  readonly currency: CurrencyCode;
+  /** Integer number of minor units */
+  readonly minor: number;
+  /** Amount in major units */
+  readonly amount: number;
+
+  add(other: Money): Money;
+  /** Throws when the result would be negative */
+  subtract(other: Money): Money;
+  compare(other: Money): -1 | 0 | 1;
+  equals(other: unknown): boolean;
+  isZero(): boolean;
+  /** Throws a SonatelValidationError when the amount is outside the limits */
+  checkLimits(limits?: AmountLimits): this;
+  /** Display format, e.g. '1 000 FCFA' (default locale: 'fr-SN') */
+  format(options?: { locale?: string; symbol?: boolean }): string;
+  /** e.g. '1000 XOF' */
+  toString(): string;
+  toJSON(): { amount: number; currency: CurrencyCode };
+}
+
+// ---------------------------------------------------------------------------
+// Payments
+// ---------------------------------------------------------------------------
+
+interface RequestPaymentBase {
+  description?: string;
+  /** Customer phone number, which must be an Orange line */
+  customerMsisdn: string;
+  callbackUrl?: string;
+  merchantId?: string;
+  orderId?: string;
+  /** Idempotency key (generated if omitted) */
+  idempotencyKey?: string;
+}
+
+/** The currency (e.g. 'XOF') is taken from Money amounts, and required with plain amounts */
+export type RequestPaymentOptions = RequestPaymentBase & (
+  | { amount: Money; currency?: string }
+  | { amount: string | number; currency: string }
+);
+
+export interface RequestPaymentResponse {
+  requestPayment: {
+    paymentId: string;
+    amount: string | number;
+    currency: string;
+    description: string;
+    customerMsisdn: string;
+    status?: string;
+    createdAt?: string;
+    callbackUrl?: string;
+    merchantId?: string;
+    orderId?: string;
+    [key: string]: unknown;
+  };
+  resourceReference?: ResourceReference;
+  [key: string]: unknown;
+}
+
+export interface Refund {
+  refundId: string;
+  paymentId: string;
+  transactionId?: string;
+  amount: number;
+  currency: string;
+  reason: string | null;
+  status: string;
+  createdAt: string;
+}
+
+export interface Payment {
+  paymentId: string;
+  transactionId?: string;
+  amount: number | string;
+  currency: string;
+  description?: string;
+  customerMsisdn: string;
+  merchantId?: string | null;
+  orderId?: string | null;
+  /** Status as returned by the API, see normalizePaymentStatus */
+  status: string;
+  refundedAmount?: number;
+  refunds?: Refund[];
+  createdAt?: string;
+  updatedAt?: string;
+  [key: string]: unknown;
+}
+
+export interface PaymentStatusResponse {
+  payment: Payment;
+  [key: string]: unknown;
+}
+
+/** Payment, discriminated by `status` */
+export type PaymentResult<S extends PaymentStatus = PaymentStatus> = {
+  [K in S]: {
+    paymentId: string;
+    status: K;
+    /** Status as returned by the API */
+    rawStatus: string | null;
+    /** Amount in major units, e.g. 1000 for 1 000 FCFA */
+    amount: number | null;
+    currency: string | null;
+    createdAt: Date | null;
+    orderId: string | null;
+    transactionId: string | null;
+    raw: RequestPaymentResponse | PaymentStatusResponse;
+  };
+}[S];
+
+export interface RefundResult {
+  refundId: string;
+  paymentId: string;
+  status: PaymentStatus;
+  /** Status as returned by the API */
+  rawStatus: string | null;
+  amount: number | null;
+  currency: string | null;
+  createdAt: Date | null;
+  transactionId: string | null;
+  raw: RefundPaymentResponse;
+}
+
+export interface BalanceResult {
+  amount: number | null;
+  currency: string | null;
+  raw: BalanceResponse;
+}
+
+export interface RefundPaymentOptions {
+  paymentId: string;
+  amount: Money | string | number;
+  /** Currency of a plain amount, which must be the payment currency (default: 'XOF') */
+  currency?: string;
+  reason?: string;
+  /** Idempotency key (generated if omitted) */
+  idempotencyKey?: string;
+}
+
+export interface RefundPaymentResponse {
+  refundPayment: Refund;
+  resourceReference?: ResourceReference;
+  [key: string]: unknown;
+}
+
+interface TransactionBase {
+  transactionId: string;
+  paymentId: string;
+  orderId: string | null;
+  amount: number;
+  currency: string;
+  status: string;
+  createdAt: string;
+  [key: string]: unknown;
+}
+
+export interface PaymentTransaction extends TransactionBase {
+  type: 'payment';
+  customerMsisdn: string;
+}
+
+export interface RefundTransaction extends TransactionBase {
+  type: 'refund';
+  refundId: string;
+}
+
+/** Transaction of the history, discriminated by `type` */
+export type Transaction = PaymentTransaction | RefundTransaction;
+
+export interface TransactionHistoryResponse {
+  transactions: Transaction[];
+  totalCount?: number;
+  [key: string]: unknown;
+}
+
+/** Transaction of the history, discriminated by `type` */
+export interface TransactionResult {
+  type: 'payment' | 'refund';
+  paymentId: string | null;
+  /** Set for refunds */
+  refundId: string | null;
+  status: PaymentStatus;
+  /** Status as returned by the API */
+  rawStatus: string | null;
+  /** Amount in major units */
+  amount: number | null;
+  currency: string | null;
+  createdAt: Date | null;
+  orderId: string | null;
+  transactionId: string | null;
+  raw: Transaction;
+}
+
+/** Page of the transaction history */
+export interface TransactionHistoryResult {
+  transactions: TransactionResult[];
+  /** Total number of transactions, when the API reports it */
+  total: number | null;
+  /** Whether more pages follow, when the API reports it */
+  hasMore: boolean | null;
+  raw: TransactionHistoryResponse;
+}
+
+export interface TransactionHistoryOptions {
+  limit?: number;
+  offset?: number;
+  startDate?: DateInput;
+  endDate?: DateInput;
+  status?: string;
+}
+
+// ---------------------------------------------------------------------------
+// Reconciliation
+// ---------------------------------------------------------------------------
+
+/** Discrepancies found by a reconciliation */
+export declare const ReconciliationIssue: {
+  readonly MISSING_PAYMENT: 'MISSING_PAYMENT';
+  readonly MISSING_RECORD: 'MISSING_RECORD';
+  readonly DUPLICATE_PAYMENT: 'DUPLICATE_PAYMENT';
+  readonly DUPLICATE_RECORD: 'DUPLICATE_RECORD';
+  readonly AMOUNT_MISMATCH: 'AMOUNT_MISMATCH';
+  readonly INVALID_AMOUNT: 'INVALID_AMOUNT';
+  readonly REFUND_WITHOUT_PAYMENT: 'REFUND_WITHOUT_PAYMENT';
+};
+export type ReconciliationIssueType = typeof ReconciliationIssue[keyof typeof ReconciliationIssue];
+
+/** Caller's record, matched by paymentId when set, otherwise by orderId */
+export interface ReconciliationRecord {
+  orderId?: string;
+  paymentId?: string;
+  /** Amount in major units, or Money */
+  amount: number | string | Money;
+  currency?: string;
+  [key: string]: unknown;
+}
+
+export interface ReconciliationEntry {
+  orderId: string | null;
+  paymentId: string | null;
+  transactionId?: string | null;
+  expectedAmount: number | null;
+  actualAmount?: number | null;
+  currency?: string | null;
+  transactionStatus?: string | null;
+  createdAt?: string | null;
+  record?: ReconciliationRecord;
+}
+
+export interface ReconciliationIssueEntry extends ReconciliationEntry {
+  type: ReconciliationIssueType;
+  message: string;
+  refundId?: string | null;
+}
+
+export interface SettlementTotals {
+  /** Currency code, XOF for transactions without one */
+  currency: string;
+  paymentCount: number;
+  paymentTotal: number;
+  refundCount: number;
+  refundTotal: number;
+  /** Payments minus refunds */
+  net: number;
+}
+
+export type ReconciliationSummary = {
+  transactions: number;
+  records: number;
+  matched: number;
+  issues: number;
+} & Record<ReconciliationIssueType, number>;
+
+export declare class ReconciliationReport {
+  generatedAt: Date;
+  period: { startDate: string | null; endDate: string | null } | null;
+  /** Records matched to a successful payment of the same amount */
+  matched: ReconciliationEntry[];
+  issues: ReconciliationIssueEntry[];
+  /** Net settlement per currency, from successful payments and refunds */
+  settlement: SettlementTotals[];
+  transactionCount: number;
+  recordCount: number;
+  readonly summary: ReconciliationSummary;
+  /** True if there are no issues */
+  readonly balanced: boolean;
+
+  /** Export as CSV, one row per matched record or issue */
+  toCSV(options?: { issuesOnly?: boolean; delimiter?: string }): string;
+  toJSON(): {
+    generatedAt: string;
+    period: ReconciliationReport['period'];
+    summary: ReconciliationSummary;
+    settlement: SettlementTotals[];
+    matched: ReconciliationEntry[];
+    issues: ReconciliationIssueEntry[];
+  };
+}
+
+/** Reconcile transactions against the caller's records */
+export declare function reconcileTransactions(
+  transactions: Array<TransactionResult | Transaction | Record<string, any>>,
+  records: Iterable<ReconciliationRecord>,
+  options?: { period?: { startDate: string | null; endDate: string | null } }
+): ReconciliationReport;
+
+export interface BalanceResponse {
+  balance: { amount: number; currency: string };
+  [key: string]: unknown;
+}
+
+export interface PaymentServiceOptions {
+  /** Store keeping results by idempotency key (default: in memory) */
+  idempotencyStore?: SonatelStore;
+  /** How long results are kept, in seconds (default: 86400) */
+  idempotencyTtl?: number;
+  /** Payment limits by currency, e.g. { XOF: { min: 100, max: 2000000 } } */
+  transactionLimits?: Partial<Record<CurrencyCode, AmountLimits>>;
+}
+
+export declare class PaymentService {
+  constructor(api: SonatelAPI, options?: PaymentServiceOptions);
+  api: SonatelAPI;
+  endpoint: string;
+
+  requestPayment(options: RequestPaymentOptions, requestOptions: RawResultOptions): Promise<RequestPaymentResponse>;
+  requestPayment(options: RequestPaymentOptions, requestOptions?: RequestOptions): Promise<PaymentResult>;
+  checkPaymentStatus(paymentId: string, requestOptions: RawResultOptions): Promise<PaymentStatusResponse>;
+  checkPaymentStatus(paymentId: string, requestOptions?: RequestOptions): Promise<PaymentResult>;
+  waitForCompletion(
+    paymentId: string,
+    options?: PollingOptions<PaymentResult>
+  ): Promise<PaymentResult<TerminalPaymentStatus>>;
+  refundPayment(options: RefundPaymentOptions, requestOptions: RawResultOptions): Promise<RefundPaymentResponse>;
+  refundPayment(options: RefundPaymentOptions, requestOptions?: RequestOptions): Promise<RefundResult>;
+  getTransactionHistory(
+    options: TransactionHistoryOptions | undefined,
+    requestOptions: RawResultOptions
+  ): Promise<TransactionHistoryResponse>;
+  getTransactionHistory(
+    options?: TransactionHistoryOptions,
+    requestOptions?: RequestOptions
+  ): Promise<TransactionHistoryResult>;
+  iterateTransactions(
+    filters: (Omit<TransactionHistoryOptions, 'limit' | 'offset'> & PaginationOptions) | undefined,
+    requestOptions: RawResultOptions
+  ): Paginator<Transaction>;
+  iterateTransactions(
+    filters?: Omit<TransactionHistoryOptions, 'limit' | 'offset'> & PaginationOptions,
+    requestOptions?: RequestOptions
+  ): Paginator<TransactionResult>;
+  /** Reconcile the transactions of a period against the caller's records */
+  reconcile(
+    records: Iterable<ReconciliationRecord>,
+    options?: { startDate?: DateInput; endDate?: DateInput; pageSize?: number },
+    requestOptions?: RequestOptions
+  ): Promise<ReconciliationReport>;
+  getAccountBalance(requestOptions: RawResultOptions): Promise<BalanceResponse>;
+  getAccountBalance(requestOptions?: RequestOptions): Promise<BalanceResult>;
+  subscribeToNotifications(
+    options: { notifyUrl: string; eventType?: string },
+    requestOptions?: RequestOptions
+  ): Promise<Subscription<'payment'>>;
+  listSubscriptions(requestOptions?: RequestOptions): Promise<Subscription<'payment'>[]>;
+  getSubscription(subscriptionId: string, requestOptions?: RequestOptions): Promise<Subscription<'payment'>>;
+  updateSubscription(
+    subscriptionId: string,
+    options: { notifyUrl: string; eventType?: string },
+    requestOptions?: RequestOptions
+  ): Promise<Subscription<'payment'>>;
+  deleteSubscription(subscriptionId: string, requestOptions?: RequestOptions): Promise<unknown>;
+}
+
+// ---------------------------------------------------------------------------
+// Webhooks
+// ---------------------------------------------------------------------------
+
+interface WebhookEventBase {
+  id: string;
+  /** ISO timestamp */
+  receivedAt: string;
+  /** Notification body as received */
+  raw: any;
+}
+
+export interface SMSDeliveryEventData<S extends DeliveryStatus = DeliveryStatus> {
+  messageId: string | null;
+  address: string | null;
+  status: S;
+  deliveryStatus: OneAPIDeliveryStatus;
+  callbackData: string | null;
+}
+
+/** `sms.delivery` event, with `alias` naming the status-specific event */
+export type SMSDeliveryEvent<S extends DeliveryStatus = DeliveryStatus> = {
+  [K in S]: WebhookEventBase & {
+    type: 'sms.delivery';
+    alias: `sms.${Lowercase<K>}`;
+    data: SMSDeliveryEventData<K>;
+  };
+}[S];
+
+export interface USSDInboundEvent extends WebhookEventBase {
+  type: 'ussd.inbound';
+  alias: null;
+  data: {
+    sessionId: string;
+    address: string;
+    message: string;
+    keyword: string | null;
+    sessionTerminated: boolean;
+  };
+}
+
+/** Status-specific event names of payment notifications */
+export interface PaymentStatusAliases {
+  PENDING: 'payment.pending';
+  SUCCESS: 'payment.completed';
+  FAILED: 'payment.failed';
+  CANCELLED: 'payment.cancelled';
+  EXPIRED: 'payment.expired';
+  UNKNOWN: null;
+}
+
+export interface PaymentStatusEventData<S extends PaymentStatus = PaymentStatus> {
+  paymentId: string;
+  status: S;
+  rawStatus: string;
+  amount: number | string | null;
+  currency: string | null;
+  orderId: string | null;
+  customerMsisdn: string | null;
+  transactionId: string | null;
+}
+
+/** `payment.status` event, with `alias` naming the status-specific event */
+export type PaymentStatusEvent<S extends PaymentStatus = PaymentStatus> = {
+  [K in S]: WebhookEventBase & {
+    type: 'payment.status';
+    alias: PaymentStatusAliases[K];
+    data: PaymentStatusEventData<K>;
+  };
+}[S];
+
+/** Any webhook event, discriminated by `type` */
+export type WebhookEvent = SMSDeliveryEvent | USSDInboundEvent | PaymentStatusEvent;
+
+/** Events emitted by SonatelWebhooks, by name */
+export interface WebhookEvents {
+  'sms.delivery': SMSDeliveryEvent;
+  'sms.pending': SMSDeliveryEvent<'PENDING'>;
+  'sms.sent': SMSDeliveryEvent<'SENT'>;
+  'sms.delivered': SMSDeliveryEvent<'DELIVERED'>;
+  'sms.failed': SMSDeliveryEvent<'FAILED'>;
+  'sms.expired': SMSDeliveryEvent<'EXPIRED'>;
+  'sms.uncertain': SMSDeliveryEvent<'UNCERTAIN'>;
+  'sms.unknown': SMSDeliveryEvent<'UNKNOWN'>;
+  'ussd.inbound': USSDInboundEvent;
+  'payment.status': PaymentStatusEvent;
+  'payment.pending': PaymentStatusEvent<'PENDING'>;
+  'payment.completed': PaymentStatusEvent<'SUCCESS'>;
+  'payment.failed': PaymentStatusEvent<'FAILED'>;
+  'payment.cancelled': PaymentStatusEvent<'CANCELLED'>;
+  'payment.expired': PaymentStatusEvent<'EXPIRED'>;
+  '*': WebhookEvent;
+  error: Error;
+}
+
+export type WebhookHeaders = Record<string, string | string[] | undefined> | Headers;
+
+export interface SonatelWebhooksOptions {
+  /** HMAC-SHA256 secret used to sign notifications */
+  secret?: string;
+  /** Static secret expected in the shared secret header */
+  sharedSecret?: string;
+  signatureHeader?: string;
+  timestampHeader?: string;
+  sharedSecretHeader?: string;
+  /** Maximum age of a signed notification in seconds (default: 300) */
+  tolerance?: number;
+  /** How long event IDs are remembered, in seconds (default: 86400) */
+  replayWindow?: number;
+  /** Store used to detect replayed events (default: in memory); needs an atomic add() to be shared between processes */
+  replayStore?: SonatelStore;
+}
+
+/** Webhook receiver for SMS, USSD and payment notifications */
+export declare class SonatelWebhooks extends EventEmitter<WebhookEvents> {
+  constructor(options?: SonatelWebhooksOptions);
+  verify(rawBody: string, headers: WebhookHeaders): Promise<void>;
+  parse(body: string | object, headers?: WebhookHeaders): Promise<WebhookEvent>;
+  handle(request: { body: string | object; headers?: WebhookHeaders }): Promise<WebhookEvent>;
+  nodeHandler(): (req: any, res: any) => Promise<void>;
+  expressMiddleware(): (req: any, res: any, next?: (error?: unknown) => void) => Promise<void>;
+  fetchHandler(): (request: Request) => Promise<Response>;
+}
+
+// ---------------------------------------------------------------------------
+// Metrics
+// ---------------------------------------------------------------------------
+
+export interface HistogramValue {
+  count: number;
+  sum: number;
+  /** Cumulative counts by upper bound */
+  buckets: Record<string, number>;
+}
+
+export interface MetricSnapshot {
+  name: string;
+  type: 'counter' | 'histogram';
+  help: string;
+  series: Array<{ labels: Record<string, string> } & ({ value: number } | HistogramValue)>;
+}
+
+/** In-memory metrics with Prometheus export */
+export declare class MetricsCollector {
+  constructor(options?: { prefix?: string; buckets?: number[] });
+  prefix: string;
+  buckets: number[];
+  /** Record the events of a client; returns a function that stops recording */
+  attach(api: SonatelAPI): () => void;
+  increment(name: string, labels?: Record<string, string | number>, value?: number): void;
+  observe(name: string, labels: Record<string, string | number>, value: number): void;
+  get(name: string, labels?: Record<string, string | number>): number | HistogramValue | null;
+  snapshot(): MetricSnapshot[];
+  toPrometheus(): string;
+  reset(): void;
+}
+
+// ---------------------------------------------------------------------------
+// Phone numbers and SMS encoding
+// ---------------------------------------------------------------------------
+
+export type Operator = 'orange' | 'free' | 'expresso' | 'promobile';
+
+export interface ParsedMsisdn {
+  /** e.g. '+221771234567' */
+  e164: string;
+  /** e.g. '221771234567' */
+  international: string;
+  /** e.g. '771234567' */
+  national: string;
+  prefix: string;
+  operator: Operator;
+  isOrange: boolean;
+}
+
+export interface MsisdnOptions {
+  /** Only accept Orange lines */
+  requireOrange?: boolean;
+  /** Name of the field, used in error messages */
+  field?: string;
+}
+
+export declare function parseMsisdn(input: string | number): ParsedMsisdn | null;
+export declare function isValidMsisdn(input: string | number): boolean;
+export declare function normalizeMsisdn(input: string | number, options?: MsisdnOptions): string;
+export declare function validateMsisdn(input: string | number, options?: MsisdnOptions): ParsedMsisdn;
+
+export declare function analyzeMessage(text: string, options?: { transliterate?: boolean }): MessageAnalysis;
+export declare function detectEncoding(text: string): SMSEncoding;
+export declare function estimateSMSCost(text: string, options: {
+  pricePerSegment: number;
+  currency?: string;
+  recipients?: number;
+  transliterate?: boolean;
+}): SMSCostEstimate;
+export declare function transliterate(text: string): string;
+
+// ---------------------------------------------------------------------------
+// Client factory
+// ---------------------------------------------------------------------------
+
+export interface ClientConfig extends SonatelAPIConfig {
+  /** SMS service options */
+  sms?: SMSServiceOptions;
+  /** Store keeping payment results by idempotency key */
+  idempotencyStore?: SonatelStore;
+  /** How long payment results are kept, in seconds */
+  idempotencyTtl?: number;
+  /** Payment limits by currency, e.g. { XOF: { min: 100, max: 2000000 } } */
+  transactionLimits?: Partial<Record<CurrencyCode, AmountLimits>>;
+  /** Phone verification service options */
+  verify?: VerifyServiceOptions;
+}
+
+export interface SonatelClient {
+  api: SonatelAPI;
+  sms: SMSService;
+  ussd: USSDService;
+  payment: PaymentService;
+  verify: VerifyService;
+  /** Make the registered notification subscriptions match a declared list */
+  reconcileSubscriptions(desired: DesiredSubscription[], options?: ReconcileOptions): Promise<ReconcileResult>;
+}
+
+// Classes only available as types; instances are created by the services
+export type {
+  EventEmitter,
+  Paginator,
+  BulkSMSCampaign
+};
+
+declare const Sonatel: {
+  createClient(config: ClientConfig): SonatelClient;
+  /** Create a client with the credentials read from the SONATEL_* environment variables */
+  createClient(config?: Partial<ClientConfig>): SonatelClient;
+  createWebhooks(options?: SonatelWebhooksOptions): SonatelWebhooks;
+  createUSSDApp(options: USSDAppOptions): USSDApp;
+
+  /** Create and register a named client */
+  registerClient(name: string, config: ClientConfig): SonatelClient;
+  /** Get a named client, created from its environment variables if needed (default: 'default') */
+  getClient(name?: string): SonatelClient;
+  removeClient(name: string): boolean;
+  listClients(): string[];
+  /** Register the clients of a configuration, returning their names */
+  configure(config: ClientsConfig): string[];
+
+  SonatelAPI: typeof SonatelAPI;
+  SMSService: typeof SMSService;
+  USSDService: typeof USSDService;
+  PaymentService: typeof PaymentService;
+  VerifyService: typeof VerifyService;
+  SonatelWebhooks: typeof SonatelWebhooks;
+  USSDApp: typeof USSDApp;
+  PaymentStatus: typeof PaymentStatus;
+  DeliveryStatus: typeof DeliveryStatus;
+  VerificationStatus: typeof VerificationStatus;
+  ENVIRONMENTS: typeof ENVIRONMENTS;
+  defineEnvironment: typeof defineEnvironment;
+  configFromEnv: typeof configFromEnv;
+  Money: typeof Money;
+  CURRENCIES: typeof CURRENCIES;
+  ReconciliationIssue: typeof ReconciliationIssue;
+  ReconciliationReport: typeof ReconciliationReport;
+  reconcileTransactions: typeof reconcileTransactions;
+  parseMsisdn: typeof parseMsisdn;
+  isValidMsisdn: typeof isValidMsisdn;
+  normalizeMsisdn: typeof normalizeMsisdn;
+  validateMsisdn: typeof validateMsisdn;
+  analyzeMessage: typeof analyzeMessage;
+  detectEncoding: typeof detectEncoding;
+  estimateSMSCost: typeof estimateSMSCost;
+  transliterate: typeof transliterate;
+  retryMiddleware: typeof retryMiddleware;
+  rateLimitMiddleware: typeof rateLimitMiddleware;
+  authMiddleware: typeof authMiddleware;
+  telemetryMiddleware: typeof telemetryMiddleware;
+  loggingMiddleware: typeof loggingMiddleware;
+  redact: typeof redact;
+  MetricsCollector: typeof MetricsCollector;
+  RequestScheduler: typeof RequestScheduler;
+  MemoryRateLimitStore: typeof MemoryRateLimitStore;
+  MemoryStore: typeof MemoryStore;
+  SonatelError: typeof SonatelError;
+  SonatelAPIError: typeof SonatelAPIError;
+  SonatelAuthError: typeof SonatelAuthError;
+  SonatelValidationError: typeof SonatelValidationError;
+  SonatelNotFoundError: typeof SonatelNotFoundError;
+  SonatelRateLimitError: typeof SonatelRateLimitError;
+  SonatelServerError: typeof SonatelServerError;
+  SonatelNetworkError: typeof SonatelNetworkError;
+  SonatelTimeoutError: typeof SonatelTimeoutError;
+  SonatelAbortError: typeof SonatelAbortError;
+  SonatelWebhookError: typeof SonatelWebhookError;
+};
+
+export default Sonatel;
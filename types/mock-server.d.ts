@@ -0,0 +1,107 @@
+/**
+ * Type definitions for sonatel-api/mock-server
+ */
+
+import type { ClientConfig, SonatelClient } from './index.js';
+
+export interface MockServerOptions {
+  /** Accepted client ID (default: 'test-client-id') */
+  clientId?: string;
+  /** Accepted client secret (default: 'test-client-secret') */
+  clientSecret?: string;
+  /** Lifetime of issued tokens in seconds (default: 3600) */
+  tokenTtl?: number;
+  /** Initial account balance (default: 0) */
+  balance?: number;
+  /** Account currency (default: 'XOF') */
+  currency?: string;
+  /** Status sequences, each an array or a function of the resource returning one */
+  lifecycles?: {
+    payment?: string[] | ((payment: Record<string, any>) => string[]);
+    sms?: string[] | ((message: Record<string, any>) => string[]);
+  };
+  /** Delay between two lifecycle steps in milliseconds (default: 20) */
+  stepDelay?: number;
+  /** HMAC-SHA256 secret used to sign notifications */
+  webhookSecret?: string;
+  /** Host to listen on (default: '127.0.0.1') */
+  host?: string;
+  /** Port to listen on (random by default) */
+  port?: number;
+}
+
+export interface MockFault {
+  method?: string;
+  /** Path prefix or pattern to match (all paths by default) */
+  path?: string | RegExp;
+  /** Number of requests to fail (default: 1, Infinity for all) */
+  times?: number;
+  /** HTTP status to answer with, e.g. 401, 429 or 503 */
+  status?: number;
+  /** Response body (a OneAPI error matching the status by default) */
+  body?: unknown;
+  headers?: Record<string, string>;
+  /** Retry-After header value in seconds */
+  retryAfter?: number;
+  /** Delay before answering in milliseconds */
+  delay?: number;
+  /** Never answer, so the client times out */
+  hang?: boolean;
+}
+
+export interface MockRequest {
+  id: string;
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  headers: Record<string, string | string[] | undefined>;
+  body: any;
+}
+
+export interface MockWebhookDelivery {
+  url: string;
+  body: any;
+  status: number | null;
+  error: unknown;
+}
+
+export declare class MockSonatelServer {
+  constructor(options?: MockServerOptions);
+  clientId: string;
+  clientSecret: string;
+  /** Base URL of the running server */
+  readonly url: string;
+  state: {
+    balance: number;
+    payments: Map<string, Record<string, any>>;
+    refunds: Record<string, any>[];
+    messages: Map<string, Record<string, any>>;
+    subscriptions: Map<string, Record<string, any>>;
+    idempotency: Map<string, unknown>;
+    ussd: {
+      outbound: Array<{ address: string; keyword: string | null; message: string }>;
+      responses: Array<{ sessionId: string; address: string; message: string; endSession: boolean }>;
+      cancelled: string[];
+    };
+  };
+  requests: MockRequest[];
+  webhooks: MockWebhookDelivery[];
+
+  listen(): Promise<this>;
+  close(): Promise<void>;
+  reset(): void;
+  createClient(config?: Partial<ClientConfig>): SonatelClient;
+  inject(fault: MockFault): MockFault & { remaining: number };
+  expireTokens(): void;
+  getPayment(paymentId: string): Record<string, any> | undefined;
+  getMessage(messageId: string): Record<string, any> | undefined;
+  setPaymentStatus(paymentId: string, status: string): Promise<void>;
+  setDeliveryStatus(messageId: string, status: string): Promise<void>;
+  sendUSSD(options: { sessionId: string; address: string; message: string; keyword?: string }): Promise<MockWebhookDelivery[]>;
+  settle(): Promise<void>;
+}
+
+export declare function startMockServer(options?: MockServerOptions): Promise<MockSonatelServer>;
+
+/** Start a mock server for the current Jest test file, reset after each test */
+export declare function useMockServer(options?: MockServerOptions): MockSonatelServer;